@@ -0,0 +1,37 @@
+/**
+ * One-off migration: move Shopify linkage still stored on ProductVariant documents
+ * (pre multi-store data) into StoreVariantLink records of the store it belongs to.
+ * The store must be named explicitly; existing links of that store are left as they are.
+ *
+ * Usage: node scripts/migrations/store-variant-links.js <storeId>
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const database = require('../../config/database');
+const logger = require('../../src/utils/logger');
+const Store = require('../../src/models/Store');
+const StoreVariantLink = require('../../src/models/StoreVariantLink');
+
+async function migrate(storeId) {
+  if (!storeId || !mongoose.Types.ObjectId.isValid(storeId)) {
+    throw new Error('Usage: node scripts/migrations/store-variant-links.js <storeId>');
+  }
+
+  await database.connect();
+
+  const store = await Store.findById(storeId, { _id: 1, shopifyDomain: 1 }).lean();
+  if (!store) {
+    throw new Error(`Store ${storeId} not found`);
+  }
+
+  const migrated = await StoreVariantLink.migrateLegacyLinks(store._id);
+  logger.info(`Legacy variant linkage migrated to ${store.shopifyDomain || storeId}: ${migrated} variant(s)`);
+}
+
+migrate(process.argv[2])
+  .then(() => database.disconnect())
+  .catch(async (error) => {
+    logger.error('Migration failed:', error);
+    await database.disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,37 @@
+/**
+ * One-off migration: make variantSku the only unique key of ProductVariant.
+ * Drops the old unique { mainSku, color, size } index (which rejects a second vendor's variant
+ * with the same main SKU, color and size) and builds the current indexes.
+ *
+ * Usage: node scripts/migrations/variant-sku-unique-key.js
+ */
+require('dotenv').config();
+const database = require('../../config/database');
+const logger = require('../../src/utils/logger');
+const ProductVariant = require('../../src/models/ProductVariant');
+
+const LEGACY_INDEX = 'mainSku_1_color_1_size_1';
+
+async function migrate() {
+  await database.connect();
+
+  const indexes = await ProductVariant.collection.indexes();
+  const legacy = indexes.find(index => index.name === LEGACY_INDEX && index.unique);
+  if (legacy) {
+    await ProductVariant.collection.dropIndex(LEGACY_INDEX);
+    logger.info(`Dropped unique index ${LEGACY_INDEX}`);
+  } else {
+    logger.info(`No unique index ${LEGACY_INDEX}; nothing to drop`);
+  }
+
+  await ProductVariant.createIndexes();
+  logger.info('ProductVariant indexes are up to date');
+}
+
+migrate()
+  .then(() => database.disconnect())
+  .catch(async (error) => {
+    logger.error('Migration failed:', error);
+    await database.disconnect();
+    process.exit(1);
+  });
@@ -8,6 +8,8 @@ const rateLimit = require('express-rate-limit');
 const logger = require('./utils/logger');
 const database = require('../config/database');
 const { ResponseHelper } = require('./utils/helpers');
+const queueManager = require('./queues/queue-manager');
+const schedulerService = require('./services/scheduler.service');
 
 // Import routes
 const authRoutes = require('./routes/auth.routes');
@@ -15,9 +17,11 @@ const storeRoutes = require('./routes/store.routes');
 const syncRoutes = require('./routes/sync.routes');
 const inventoryRoutes = require('./routes/inventory.routes');
 const shopifyRoutes = require('./routes/shopify.routes');
+const webhookRoutes = require('./routes/webhook.routes');
 const cronRoutes = require('./routes/cron.routes');
 const queueRoutes = require('./routes/queue.routes');
 const productRoutes = require('./routes/product.routes');
+const vendorRoutes = require('./routes/vendor.routes');
 
 // Import middleware
 // Note: Sessions removed; JWT is used for auth
@@ -65,11 +69,21 @@ class App {
       },
       standardHeaders: true,
       legacyHeaders: false,
+      // Shopify webhooks arrive in bursts from Shopify's IPs and are HMAC verified
+      skip: (req) => req.originalUrl.startsWith('/api/shopify/webhooks'),
     });
     this.app.use('/api/', limiter);
 
     // Body parsing middleware
-    this.app.use(express.json({ limit: '10mb' }));
+    this.app.use(express.json({
+      limit: '10mb',
+      // Keep the raw body for Shopify webhook HMAC verification
+      verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/api/shopify/webhooks')) {
+          req.rawBody = buf;
+        }
+      }
+    }));
     this.app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
     // Sessions removed: using stateless JWT auth
@@ -109,10 +123,12 @@ class App {
     this.app.use('/api/stores', storeRoutes);
     this.app.use('/api/sync', syncRoutes);
     this.app.use('/api/inventory', inventoryRoutes);
+    this.app.use('/api/shopify/webhooks', webhookRoutes); // before /api/shopify (admin auth)
     this.app.use('/api/shopify', shopifyRoutes);
     this.app.use('/api/cron', cronRoutes);
     this.app.use('/api/queue', queueRoutes);
     this.app.use('/api/products', productRoutes);
+    this.app.use('/api/vendors', vendorRoutes);
 
     // API root - provides API documentation
     this.app.get('/api', (req, res) => {
@@ -129,7 +145,8 @@ class App {
           shopify: '/api/shopify',
           cron: '/api/cron',
           queue: '/api/queue',
-          products: '/api/products'
+          products: '/api/products',
+          vendors: '/api/vendors'
         }
       });
     });
@@ -197,6 +214,10 @@ class App {
       await database.connect();
       logger.info('Database connected successfully');
 
+      // Start sync queue processors, then the cron schedules (catches up missed runs first)
+      queueManager.initialize();
+      await schedulerService.initialize();
+
       // Start server
       this.server = this.app.listen(this.port, () => {
         logger.info(`Server running on port ${this.port}`, {
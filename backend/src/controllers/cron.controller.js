@@ -1,7 +1,11 @@
-const { ResponseHelper } = require('../utils/helpers');
+const { ResponseHelper, DateHelper } = require('../utils/helpers');
 const logger = require('../utils/logger');
 const SyncSchedule = require('../models/SyncSchedule');
 const SyncJob = require('../models/SyncJob');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const ScheduleRun = require('../models/ScheduleRun');
+const notificationService = require('../services/notification.service');
+const schedulerService = require('../services/scheduler.service');
 
 /**
  * Cron Controller
@@ -62,7 +66,10 @@ class CronController {
    */
   async createSchedule(req, res) {
     try {
-      const { name, description, cronExpression, storeId, vendorId, syncConfig, timezone, notifications } = req.body;
+      const {
+        name, description, cronExpression, storeId, vendorId, syncConfig, timezone, notifications,
+        overlapPolicy, catchUpPolicy, blackoutWindows, runAfter
+      } = req.body;
       
       // Validate required fields
       if (!name || !cronExpression || !storeId || !vendorId) {
@@ -74,6 +81,13 @@ class CronController {
       if (cronParts.length !== 5) {
         return ResponseHelper.error(res, 'Invalid cron expression format. Expected 5 fields.', 400, 'INVALID_CRON_EXPRESSION');
       }
+
+      if (runAfter?.length) {
+        const problem = await SyncSchedule.checkDependencies(null, runAfter);
+        if (problem) {
+          return ResponseHelper.error(res, problem, 400, 'INVALID_SCHEDULE_DEPENDENCY');
+        }
+      }
       
       // Create new schedule
       const schedule = new SyncSchedule({
@@ -85,6 +99,10 @@ class CronController {
         syncConfig: syncConfig || {},
         timezone: timezone || 'UTC',
         notifications: notifications || {},
+        overlapPolicy,
+        catchUpPolicy,
+        blackoutWindows,
+        runAfter,
         createdBy: req.user?.id || 'system'
       });
       
@@ -92,6 +110,9 @@ class CronController {
       await schedule.updateNextRun();
       
       const savedSchedule = await schedule.save();
+      if (savedSchedule.isActive) {
+        await schedulerService.startSchedule(savedSchedule);
+      }
       await savedSchedule.populate(['storeId', 'vendorId']);
       
       ResponseHelper.success(res, savedSchedule, 'Cron schedule created successfully', 201);
@@ -170,9 +191,19 @@ class CronController {
           return ResponseHelper.error(res, 'Invalid cron expression format. Expected 5 fields.', 400, 'INVALID_CRON_EXPRESSION');
         }
       }
+
+      if (updateData.runAfter) {
+        const problem = await SyncSchedule.checkDependencies(schedule._id, updateData.runAfter);
+        if (problem) {
+          return ResponseHelper.error(res, problem, 400, 'INVALID_SCHEDULE_DEPENDENCY');
+        }
+      }
       
       // Update allowed fields
-      const allowedUpdates = ['name', 'description', 'cronExpression', 'syncConfig', 'timezone', 'notifications', 'metadata'];
+      const allowedUpdates = [
+        'name', 'description', 'cronExpression', 'syncConfig', 'timezone', 'notifications',
+        'overlapPolicy', 'catchUpPolicy', 'blackoutWindows', 'runAfter', 'metadata'
+      ];
       allowedUpdates.forEach(field => {
         if (updateData[field] !== undefined) {
           schedule[field] = updateData[field];
@@ -181,12 +212,16 @@ class CronController {
       
       schedule.lastModifiedBy = req.user?.id || 'system';
       
-      // Recalculate next run if cron expression changed
-      if (updateData.cronExpression) {
+      // Recalculate next run if cron expression or timezone changed
+      if (updateData.cronExpression || updateData.timezone) {
         await schedule.updateNextRun();
       }
       
       const updatedSchedule = await schedule.save();
+      // Restart the running task so cron expression, timezone and policy changes take effect
+      if (updatedSchedule.isActive) {
+        await schedulerService.startSchedule(updatedSchedule);
+      }
       await updatedSchedule.populate(['storeId', 'vendorId']);
       
       ResponseHelper.success(res, updatedSchedule, 'Cron schedule updated successfully');
@@ -231,8 +266,8 @@ class CronController {
         }
       );
       
-      // Delete the schedule
-      await SyncSchedule.findByIdAndDelete(id);
+      // Stop and delete the schedule; schedules that ran after it no longer wait for it
+      await schedulerService.deleteSchedule(id);
       
       ResponseHelper.success(res, null, 'Cron schedule deleted successfully');
     } catch (error) {
@@ -264,8 +299,9 @@ class CronController {
         return ResponseHelper.error(res, 'Schedule is already active', 400, 'SCHEDULE_ALREADY_ACTIVE');
       }
       
-      // Activate the schedule using model method
+      // Activate the schedule using model method, then start its task
       await schedule.activate();
+      await schedulerService.startSchedule(schedule);
       await schedule.populate(['storeId', 'vendorId']);
       
       const activationResult = {
@@ -322,7 +358,8 @@ class CronController {
         }
       );
       
-      // Deactivate the schedule using model method
+      // Stop its task, then deactivate the schedule using model method
+      await schedulerService.stopSchedule(id);
       await schedule.deactivate();
       await schedule.populate(['storeId', 'vendorId']);
       
@@ -512,6 +549,158 @@ class CronController {
       ResponseHelper.error(res, 'Failed to retrieve cron job history', 500, 'CRON_JOB_HISTORY_ERROR');
     }
   }
+
+  /**
+   * Validate a cron expression in a timezone and list its next fire times
+   * Query params: expression, timezone (IANA, default UTC), count (default 5), from
+   */
+  async previewSchedule(req, res) {
+    try {
+      const { expression, timezone, count, from } = req.query;
+
+      let nextRuns;
+      try {
+        nextRuns = DateHelper.getCronExecutions(expression, { timezone, count, from: from || new Date() });
+      } catch (error) {
+        return ResponseHelper.error(res, `Invalid cron expression: ${error.message}`, 400, 'INVALID_CRON_EXPRESSION');
+      }
+
+      ResponseHelper.success(res, {
+        expression,
+        timezone,
+        nextRuns: nextRuns.map(date => ({
+          at: date.toISOString(),
+          local: DateHelper.formatInTimezone(date, timezone)
+        }))
+      }, 'Cron expression is valid');
+    } catch (error) {
+      logger.error('Error previewing cron expression:', error);
+      ResponseHelper.error(res, 'Failed to preview cron expression', 500, 'CRON_PREVIEW_ERROR');
+    }
+  }
+
+  /**
+   * Run history of a schedule (one record per fire time, including missed ones), newest first
+   * Query params: page, limit, status, trigger, from, to (scheduled time)
+   */
+  async getScheduleRuns(req, res) {
+    try {
+      const { id } = req.params;
+      const { page, limit, status, trigger, from, to } = req.query;
+
+      const schedule = await SyncSchedule.findById(id, { _id: 1 }).lean();
+      if (!schedule) {
+        return ResponseHelper.error(res, 'Schedule not found', 404, 'SCHEDULE_NOT_FOUND');
+      }
+
+      const filter = { scheduleId: schedule._id };
+      if (status) filter.status = status;
+      if (trigger) filter.trigger = trigger;
+      if (from || to) {
+        filter.scheduledFor = {};
+        if (from) filter.scheduledFor.$gte = new Date(from);
+        if (to) filter.scheduledFor.$lte = new Date(to);
+      }
+
+      const [runs, total] = await Promise.all([
+        ScheduleRun.find(filter)
+          .sort({ scheduledFor: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .populate('syncLogId', 'syncId status startedAt completedAt productsProcessed inventoryUpdated error')
+          .lean(),
+        ScheduleRun.countDocuments(filter)
+      ]);
+
+      ResponseHelper.success(res, {
+        runs,
+        retentionDays: ScheduleRun.RETENTION_DAYS,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }, 'Schedule runs retrieved successfully');
+    } catch (error) {
+      logger.error('Error retrieving schedule runs:', error);
+      ResponseHelper.error(res, 'Failed to retrieve schedule runs', 500, 'SCHEDULE_RUNS_ERROR');
+    }
+  }
+
+  /**
+   * Notification deliveries of a schedule (with every attempt), newest first
+   * Query params: page, limit, status, event
+   */
+  async getNotificationDeliveries(req, res) {
+    try {
+      const { id } = req.params;
+      const { page, limit, status, event } = req.query;
+
+      const schedule = await SyncSchedule.findById(id, { _id: 1 }).lean();
+      if (!schedule) {
+        return ResponseHelper.error(res, 'Schedule not found', 404, 'SCHEDULE_NOT_FOUND');
+      }
+
+      const filter = { scheduleId: schedule._id };
+      if (status) filter.status = status;
+      if (event) filter.event = event;
+
+      const [deliveries, total] = await Promise.all([
+        NotificationDelivery.find(filter)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        NotificationDelivery.countDocuments(filter)
+      ]);
+
+      ResponseHelper.success(res, {
+        deliveries,
+        retentionDays: NotificationDelivery.RETENTION_DAYS,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }, 'Notification deliveries retrieved successfully');
+    } catch (error) {
+      logger.error('Error retrieving notification deliveries:', error);
+      ResponseHelper.error(res, 'Failed to retrieve notification deliveries', 500, 'NOTIFICATION_DELIVERIES_ERROR');
+    }
+  }
+
+  /**
+   * Send a test notification to the schedule's targets (single attempt, no retries)
+   * Body: event (default failure)
+   */
+  async testNotification(req, res) {
+    try {
+      const schedule = await SyncSchedule.findById(req.params.id);
+      if (!schedule) {
+        return ResponseHelper.error(res, 'Schedule not found', 404, 'SCHEDULE_NOT_FOUND');
+      }
+      if (!notificationService.getTargets(schedule).length) {
+        return ResponseHelper.error(res, 'Schedule has no valid notification email or webhook', 400, 'NO_NOTIFICATION_TARGETS');
+      }
+
+      const { event } = req.body;
+      const deliveries = await notificationService.notifySchedule(schedule, event, {
+        test: true,
+        error: event === 'success' ? null : 'Test notification'
+      });
+
+      ResponseHelper.success(res, {
+        deliveries,
+        sent: deliveries.filter(d => d.status === 'sent').length,
+        failed: deliveries.filter(d => d.status === 'failed').length
+      }, 'Test notification sent');
+    } catch (error) {
+      logger.error('Error sending test notification:', error);
+      ResponseHelper.error(res, 'Failed to send test notification', 500, 'NOTIFICATION_TEST_ERROR');
+    }
+  }
 }
 
 module.exports = new CronController();
@@ -2,6 +2,19 @@ const { ResponseHelper } = require('../utils/helpers');
 const logger = require('../utils/logger');
 const ProductVariant = require('../models/ProductVariant');
 const Product = require('../models/Product');
+const Store = require('../models/Store');
+const InventoryHistory = require('../models/InventoryHistory');
+const UnmatchedSku = require('../models/UnmatchedSku');
+const StoreVariantLink = require('../models/StoreVariantLink');
+const SyncJob = require('../models/SyncJob');
+const { v4: uuidv4 } = require('uuid');
+const { createQueue } = require('../queues');
+const inventoryService = require('../services/inventory.service');
+const inventoryRulesService = require('../services/inventory-rules.service');
+const unmatchedSkuService = require('../services/unmatched-sku.service');
+
+// Targeted Shopify updates run on the same queue/processor as /api/shopify/sync-with-shopify
+const shopifySyncQueue = createQueue('shopify-sync');
 
 /**
  * Inventory Controller (simplified)
@@ -13,6 +26,18 @@ class InventoryController {
   static escapeRegex(text) {
     return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
   }
+
+  // Store whose Shopify linkage a listing shows
+  static async findStore(storeId) {
+    return Store.findById(storeId, { _id: 1 }).lean();
+  }
+
+  // Merge each variant's Shopify linkage in a store into the listed variants
+  static async withStoreLinks(storeId, variants) {
+    const links = await StoreVariantLink.mapForStore(storeId, variants.map(v => v.variantSku));
+    return variants.map(v => ({ ...v, ...(links.get(v.variantSku) || {}) }));
+  }
+
   /**
    * List variants inventory across ALL products
    * Query params:
@@ -20,6 +45,7 @@ class InventoryController {
    * - status: single value or comma-separated values of ['Active','Inactive','Discontinued']
    * - sku: substring search against variantSku (case-insensitive)
    * - stockQtyMin, stockQtyMax: numeric range filter on stockQty
+   * - storeId: store whose Shopify linkage is merged into the items (required)
    */
   async getAllProductsVariantsInventory(req, res) {
     try {
@@ -75,8 +101,13 @@ class InventoryController {
         filter.stockQty = stockQtyFilter;
       }
 
+      const store = await InventoryController.findStore(req.query.storeId);
+      if (!store) {
+        return ResponseHelper.error(res, 'Store not found', 404, 'STORE_NOT_FOUND');
+      }
+
       // Fetch total and items
-      const [total, items] = await Promise.all([
+      const [total, variants] = await Promise.all([
         ProductVariant.countDocuments(filter),
         ProductVariant.find(filter)
           .sort({ updatedAt: -1 })
@@ -84,10 +115,12 @@ class InventoryController {
           .limit(limit)
           .lean()
       ]);
+      const items = await InventoryController.withStoreLinks(store._id, variants);
 
       const pages = Math.ceil(total / limit) || 1;
 
       return ResponseHelper.success(res, {
+        storeId: store._id,
         items,
         pagination: {
           total,
@@ -159,8 +192,13 @@ class InventoryController {
         filter.stockQty = stockQtyFilter;
       }
 
+      const store = await InventoryController.findStore(req.query.storeId);
+      if (!store) {
+        return ResponseHelper.error(res, 'Store not found', 404, 'STORE_NOT_FOUND');
+      }
+
       // Fetch total and items
-      const [total, items, product] = await Promise.all([
+      const [total, variants, product] = await Promise.all([
         ProductVariant.countDocuments(filter),
         ProductVariant.find(filter)
           .sort({ updatedAt: -1 })
@@ -169,10 +207,12 @@ class InventoryController {
           .lean(),
         Product.findById(productId).lean()
       ]);
+      const items = await InventoryController.withStoreLinks(store._id, variants);
 
       const pages = Math.ceil(total / limit) || 1;
 
       return ResponseHelper.success(res, {
+        storeId: store._id,
         product: product || null,
         items,
         pagination: {
@@ -189,6 +229,418 @@ class InventoryController {
       return ResponseHelper.error(res, 'Failed to retrieve variants inventory', 500, 'VARIANTS_INVENTORY_ERROR');
     }
   }
+
+  /**
+   * Vendor vs Shopify discrepancies for a store, computed from ProductVariant data
+   * Query params: page, limit, storeId, classification (CSV), vendorKey, sku, minDifference, staleHours,
+   * refresh (rescan instead of using the cached scan)
+   */
+  async getDiscrepancies(req, res) {
+    try {
+      const { page, limit, storeId, classification, vendorKey, sku, minDifference, staleHours, refresh } = req.query;
+      const result = await inventoryService.findInventoryDiscrepancies({
+        storeId,
+        classifications: classification ? classification.split(',') : [],
+        vendorKey,
+        sku,
+        minDifference,
+        staleHours,
+        refresh,
+        page,
+        limit
+      });
+
+      return ResponseHelper.success(res, {
+        storeId: result.storeId,
+        items: result.discrepancies,
+        summary: result.summary,
+        computedAt: result.computedAt,
+        pagination: {
+          ...result.pagination,
+          hasNextPage: page < result.pagination.pages,
+          hasPrevPage: page > 1
+        }
+      }, 'Inventory discrepancies retrieved successfully');
+    } catch (error) {
+      if (error.message === 'Store not found') {
+        return ResponseHelper.error(res, 'Store not found', 404, 'STORE_NOT_FOUND');
+      }
+      logger.error('Error retrieving inventory discrepancies:', error);
+      return ResponseHelper.error(res, 'Failed to retrieve inventory discrepancies', 500, 'INVENTORY_DISCREPANCIES_ERROR');
+    }
+  }
+
+  /**
+   * Queue a Shopify update limited to the selected variants (resolves links for unlinked ones first)
+   * Body: storeId, variantSkus
+   */
+  async fixDiscrepancies(req, res) {
+    try {
+      const { storeId, variantSkus } = req.body;
+      const store = await Store.findById(storeId);
+      if (!store) {
+        return ResponseHelper.error(res, 'Store not found', 404, 'STORE_NOT_FOUND');
+      }
+
+      const known = await ProductVariant.find({ variantSku: { $in: variantSkus } }, { variantSku: 1 }).lean();
+      const knownSkus = new Set(known.map(v => v.variantSku));
+      const unknown = variantSkus.filter(sku => !knownSkus.has(sku));
+      if (!knownSkus.size) {
+        return ResponseHelper.error(res, 'None of the variantSkus exist', 404, 'VARIANTS_NOT_FOUND', { unknown });
+      }
+
+      const jobId = uuidv4();
+      const selectedSkus = Array.from(knownSkus);
+      const jobDoc = await SyncJob.create({
+        jobId,
+        type: 'manual',
+        storeId: store._id,
+        status: 'queued',
+        queueName: 'shopify-sync',
+        data: {
+          selectedProducts: selectedSkus,
+          syncConfig: { batchSize: 50, syncInventory: true, updateOutOfStock: true, dryRun: false }
+        },
+        metadata: { triggeredBy: req.user ? req.user.id : 'manual', tags: ['shopify-sync', 'discrepancy-fix'] }
+      });
+
+      await shopifySyncQueue.add(
+        'sync-with-shopify',
+        { jobId, storeId: String(store._id), options: { selectedSkus, updateOutOfStock: true } },
+        { jobId, removeOnComplete: true, removeOnFail: false }
+      );
+      logger.info(`Queued discrepancy fix for ${selectedSkus.length} variant(s)`, { jobId, storeId: String(store._id) });
+
+      return ResponseHelper.success(res, {
+        jobId: jobDoc._id,
+        syncId: jobId,
+        status: 'queued',
+        queued: selectedSkus.length,
+        unknown
+      }, 'Discrepancy fix queued', 202);
+    } catch (error) {
+      logger.error('Error queueing discrepancy fix:', error);
+      return ResponseHelper.error(res, 'Failed to queue discrepancy fix', 500, 'INVENTORY_DISCREPANCY_FIX_ERROR');
+    }
+  }
+
+  /**
+   * Unmatched SKU queue for a store
+   * Query params: page, limit, storeId, status (default open), sku
+   */
+  async listUnmatched(req, res) {
+    try {
+      const { page, limit, status, sku } = req.query;
+      const store = await InventoryController.findStore(req.query.storeId);
+      if (!store) {
+        return ResponseHelper.error(res, 'Store not found', 404, 'STORE_NOT_FOUND');
+      }
+
+      const filter = { storeId: store._id, status };
+      if (sku) {
+        filter.variantSku = { $regex: InventoryController.escapeRegex(sku), $options: 'i' };
+      }
+
+      const [total, items, counts] = await Promise.all([
+        UnmatchedSku.countDocuments(filter),
+        UnmatchedSku.find(filter)
+          .sort({ lastSeenAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        UnmatchedSku.aggregate([
+          { $match: { storeId: store._id } },
+          { $group: { _id: '$status', count: { $sum: 1 } } }
+        ])
+      ]);
+
+      const summary = { open: 0, matched: 0, not_sold: 0 };
+      for (const row of counts) summary[row._id] = row.count;
+      const pages = Math.ceil(total / limit) || 1;
+
+      return ResponseHelper.success(res, {
+        storeId: store._id,
+        items,
+        summary,
+        pagination: {
+          total,
+          page,
+          limit,
+          pages,
+          hasNextPage: page < pages,
+          hasPrevPage: page > 1
+        }
+      }, 'Unmatched SKUs retrieved successfully');
+    } catch (error) {
+      logger.error('Error retrieving unmatched SKUs:', error);
+      return ResponseHelper.error(res, 'Failed to retrieve unmatched SKUs', 500, 'UNMATCHED_SKUS_ERROR');
+    }
+  }
+
+  /**
+   * One unmatched SKU entry; suggestions are recomputed when stale or on ?refresh=true
+   */
+  async getUnmatched(req, res) {
+    try {
+      const entry = await UnmatchedSku.findById(req.params.id);
+      if (!entry) {
+        return ResponseHelper.error(res, 'Unmatched SKU not found', 404, 'UNMATCHED_SKU_NOT_FOUND');
+      }
+
+      if (req.query.refresh || unmatchedSkuService.needsSuggestions(entry)) {
+        try {
+          await unmatchedSkuService.refreshSuggestions(entry);
+        } catch (suggestErr) {
+          logger.warn(`Failed to refresh suggestions for ${entry.variantSku}: ${suggestErr.message}`);
+        }
+      }
+
+      const [variant, link] = await Promise.all([
+        ProductVariant.findOne(
+          { variantSku: entry.variantSku },
+          { variantSku: 1, mainSku: 1, color: 1, size: 1, stockQty: 1, status: 1 }
+        ).lean(),
+        StoreVariantLink.findOne(
+          { storeId: entry.storeId, variantSku: entry.variantSku },
+          { shopifyVariantId: 1, lastSyncError: 1 }
+        ).lean()
+      ]);
+
+      return ResponseHelper.success(res, {
+        ...entry.toObject(),
+        variant: variant && {
+          ...variant,
+          shopifyVariantId: link?.shopifyVariantId || null,
+          lastSyncError: link?.lastSyncError || null
+        }
+      }, 'Unmatched SKU retrieved successfully');
+    } catch (error) {
+      logger.error('Error retrieving unmatched SKU:', error);
+      return ResponseHelper.error(res, 'Failed to retrieve unmatched SKU', 500, 'UNMATCHED_SKU_ERROR');
+    }
+  }
+
+  /**
+   * Manual Shopify catalog search for an unmatched SKU
+   * Query params: q, limit
+   */
+  async searchUnmatched(req, res) {
+    try {
+      const entry = await UnmatchedSku.findById(req.params.id);
+      if (!entry) {
+        return ResponseHelper.error(res, 'Unmatched SKU not found', 404, 'UNMATCHED_SKU_NOT_FOUND');
+      }
+
+      const results = await unmatchedSkuService.search(entry, req.query.q, req.query.limit);
+      return ResponseHelper.success(res, {
+        variantSku: entry.variantSku,
+        query: req.query.q,
+        results
+      }, 'Shopify catalog searched successfully');
+    } catch (error) {
+      logger.error('Error searching Shopify catalog for unmatched SKU:', error);
+      return ResponseHelper.error(res, 'Failed to search Shopify catalog', 500, 'UNMATCHED_SKU_SEARCH_ERROR');
+    }
+  }
+
+  /**
+   * Link an unmatched SKU to a Shopify variant
+   * Body: shopifyVariantId
+   */
+  async acceptUnmatched(req, res) {
+    try {
+      const entry = await UnmatchedSku.findById(req.params.id);
+      if (!entry) {
+        return ResponseHelper.error(res, 'Unmatched SKU not found', 404, 'UNMATCHED_SKU_NOT_FOUND');
+      }
+
+      const link = await unmatchedSkuService.accept(entry, req.body.shopifyVariantId, req.user?.id || 'manual');
+      return ResponseHelper.success(res, {
+        entry,
+        variant: {
+          variantSku: link.variantSku,
+          shopifyVariantId: link.shopifyVariantId,
+          shopifyInventoryItemId: link.shopifyInventoryItemId,
+          shopifyProductId: link.shopifyProductId,
+          shopifyVariantTitle: link.shopifyVariantTitle,
+          lastKnownShopifyQty: link.lastKnownShopifyQty
+        }
+      }, 'Unmatched SKU linked to Shopify variant');
+    } catch (error) {
+      if (error.message === 'Variant not found') {
+        return ResponseHelper.error(res, 'Variant not found', 404, 'VARIANT_NOT_FOUND');
+      }
+      if (error.message === 'Shopify variant not found') {
+        return ResponseHelper.error(res, 'Shopify variant not found', 404, 'SHOPIFY_VARIANT_NOT_FOUND');
+      }
+      if (error.message === 'Shopify variant already linked') {
+        return ResponseHelper.error(res, 'Shopify variant is already linked to another variant', 409, 'SHOPIFY_VARIANT_LINKED', {
+          variantSku: error.variantSku
+        });
+      }
+      logger.error('Error accepting unmatched SKU match:', error);
+      return ResponseHelper.error(res, 'Failed to link unmatched SKU', 500, 'UNMATCHED_SKU_ACCEPT_ERROR');
+    }
+  }
+
+  /**
+   * Mark an unmatched SKU as intentionally not sold in its store
+   * Body: note?
+   */
+  async markUnmatchedNotSold(req, res) {
+    try {
+      const entry = await UnmatchedSku.findById(req.params.id);
+      if (!entry) {
+        return ResponseHelper.error(res, 'Unmatched SKU not found', 404, 'UNMATCHED_SKU_NOT_FOUND');
+      }
+
+      await unmatchedSkuService.markNotSold(entry, req.user?.id || 'manual', req.body.note);
+      return ResponseHelper.success(res, entry, 'SKU marked as not sold in this store');
+    } catch (error) {
+      logger.error('Error marking unmatched SKU as not sold:', error);
+      return ResponseHelper.error(res, 'Failed to update unmatched SKU', 500, 'UNMATCHED_SKU_UPDATE_ERROR');
+    }
+  }
+
+  /**
+   * Put a resolved unmatched SKU back in the queue
+   */
+  async reopenUnmatched(req, res) {
+    try {
+      const entry = await UnmatchedSku.findById(req.params.id);
+      if (!entry) {
+        return ResponseHelper.error(res, 'Unmatched SKU not found', 404, 'UNMATCHED_SKU_NOT_FOUND');
+      }
+
+      await unmatchedSkuService.reopen(entry);
+      return ResponseHelper.success(res, entry, 'Unmatched SKU reopened');
+    } catch (error) {
+      logger.error('Error reopening unmatched SKU:', error);
+      return ResponseHelper.error(res, 'Failed to update unmatched SKU', 500, 'UNMATCHED_SKU_UPDATE_ERROR');
+    }
+  }
+
+  /**
+   * Quantity change history of one variant, newest first
+   * Query params: page, limit, field (stockQty|shopifyQty), source, from, to, storeId
+   * (storeId limits Shopify entries to that store and adds its current Shopify qty)
+   */
+  async getVariantHistory(req, res) {
+    try {
+      const { variantSku } = req.params;
+      const { page, limit, field, source, from, to, storeId } = req.query;
+
+      const store = storeId ? await InventoryController.findStore(storeId) : null;
+      if (storeId && !store) {
+        return ResponseHelper.error(res, 'Store not found', 404, 'STORE_NOT_FOUND');
+      }
+
+      const filter = { variantSku };
+      if (storeId) filter.$or = [{ field: 'stockQty' }, { storeId: store._id }];
+      if (field) filter.field = field;
+      if (source) filter.source = source;
+      if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = new Date(from);
+        if (to) filter.createdAt.$lte = new Date(to);
+      }
+
+      const [total, entries, variant, link] = await Promise.all([
+        InventoryHistory.countDocuments(filter),
+        InventoryHistory.find(filter, { _id: 0, variantSku: 0 })
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        ProductVariant.findOne({ variantSku }, { stockQty: 1, status: 1 }).lean(),
+        store ? StoreVariantLink.findOne({ storeId: store._id, variantSku }, { lastKnownShopifyQty: 1 }).lean() : null
+      ]);
+
+      const pages = Math.ceil(total / limit) || 1;
+
+      return ResponseHelper.success(res, {
+        variantSku,
+        storeId: store?._id || null,
+        current: variant ? { stockQty: variant.stockQty, lastKnownShopifyQty: link?.lastKnownShopifyQty ?? null, status: variant.status } : null,
+        retentionDays: InventoryHistory.RETENTION_DAYS,
+        items: entries.map(e => ({ ...e, delta: e.oldQty === null ? null : e.newQty - e.oldQty })),
+        pagination: {
+          total,
+          page,
+          limit,
+          pages,
+          hasNextPage: page < pages,
+          hasPrevPage: page > 1
+        }
+      }, 'Inventory history retrieved successfully');
+    } catch (error) {
+      logger.error('Error retrieving inventory history:', error);
+      return ResponseHelper.error(res, 'Failed to retrieve inventory history', 500, 'INVENTORY_HISTORY_ERROR');
+    }
+  }
+
+  /**
+   * Preview the quantities a store's inventory rules (or a draft in body.rules) would send to Shopify
+   * Body: storeId, rules?, skus? (variant SKUs), mainSku?, limit (default 50)
+   */
+  async previewRules(req, res) {
+    try {
+      const { storeId, rules: draft, skus, mainSku, limit } = req.body;
+
+      const store = await Store.findById(storeId);
+      if (!store) {
+        return ResponseHelper.error(res, 'Store not found', 404, 'STORE_NOT_FOUND');
+      }
+
+      const filter = {};
+      if (skus?.length) filter.variantSku = { $in: skus };
+      if (mainSku) filter.mainSku = mainSku;
+
+      const rules = inventoryRulesService.getStoreRules(store, draft);
+      const variants = await ProductVariant.find(filter)
+        .sort({ variantSku: 1 })
+        .limit(limit)
+        .lean();
+      const [evaluated, links] = await Promise.all([
+        inventoryRulesService.evaluateVariants(rules, variants),
+        StoreVariantLink.mapForStore(store._id, variants.map(pv => pv.variantSku))
+      ]);
+
+      const items = variants.map(pv => {
+        const result = evaluated.get(pv.variantSku);
+        const shopifyQty = links.get(pv.variantSku)?.lastKnownShopifyQty ?? null;
+        return {
+          variantSku: pv.variantSku,
+          mainSku: pv.mainSku,
+          color: pv.color,
+          size: pv.size,
+          stockQty: result.stockQty,
+          quantity: result.quantity,
+          lastKnownShopifyQty: shopifyQty,
+          changesShopify: shopifyQty !== null && shopifyQty !== result.quantity,
+          overrides: result.overrides,
+          steps: result.steps
+        };
+      });
+
+      return ResponseHelper.success(res, {
+        storeId,
+        draft: Boolean(draft),
+        rules,
+        items,
+        summary: {
+          variants: items.length,
+          adjusted: items.filter(i => i.quantity !== i.stockQty).length,
+          changesShopify: items.filter(i => i.changesShopify).length,
+          vendorTotal: items.reduce((sum, i) => sum + i.stockQty, 0),
+          shopifyTotal: items.reduce((sum, i) => sum + i.quantity, 0)
+        }
+      }, 'Inventory rules preview generated');
+    } catch (error) {
+      logger.error('Error previewing inventory rules:', error);
+      return ResponseHelper.error(res, 'Failed to preview inventory rules', 500, 'INVENTORY_RULES_PREVIEW_ERROR');
+    }
+  }
 }
 
 module.exports = new InventoryController();
@@ -4,9 +4,19 @@ const Product = require('../models/Product');
 const ProductVariant = require('../models/ProductVariant');
 const SyncLog = require('../models/SyncLog');
 const SyncJob = require('../models/SyncJob');
+const Vendor = require('../models/Vendor');
+const VendorSkuState = require('../models/VendorSkuState');
+const SyncReportItem = require('../models/SyncReportItem');
+const Store = require('../models/Store');
 const { v4: uuidv4 } = require('uuid');
 const { createQueue } = require('../queues');
 const noxaService = require('../services/noxa.service');
+const { getAdapter } = require('../services/vendor-adapters');
+const inventoryService = require('../services/inventory.service');
+const syncLockService = require('../services/sync-lock.service');
+
+// SKUs (and archived products) listed in a reconciliation summary; the rest are only counted
+const RECONCILE_SAMPLE_SIZE = 50;
 
 /**
  * Product Controller
@@ -27,10 +37,13 @@ class ProductController {
 
     // Register processor for product sync jobs (once per process)
     if (!this.productSyncQueue._productSyncProcessorAttached) {
-      this.productSyncQueue.process('sync-products', 1, async (job) => {
-        const { jobId, options = {} } = job.data || {};
+      const runProductSync = async (job, lock) => {
+        const { jobId, vendorId, options = {} } = job.data || {};
         const page = parseInt(options.page) || 1;
         const limit = parseInt(options.limit) || 100;
+        const incremental = options.mode === 'incremental';
+        // Dry run: fetch and diff only; changes go to a SyncReportItem report instead of the database
+        const dryRun = options.dryRun === true;
 
         // Create a SyncLog entry (optional if schema requires extra fields)
         let syncLog = null;
@@ -47,6 +60,7 @@ class ProductController {
             type: 'manual',
             status: 'running',
             queueName: 'product-sync',
+            vendorId: vendorId || undefined,
             jobId: String(job.id),
             startTime: new Date(),
             progress: { totalProducts: 0, processedProducts: 0, successCount: 0, errorCount: 0, skippedCount: 0, percentage: 0 },
@@ -57,30 +71,63 @@ class ProductController {
           logger.warn(`SyncLog create skipped: ${e.message}`);
         }
 
+        let vendor = null;
         try {
-          // Fetch first page to determine total and page size
-          const first = await noxaService.getActiveSKUList(page, limit);
-          if (!first.Result || !first.Response) {
-            throw new Error(first.Message || 'Failed to fetch active SKU list');
+          // Vendor-scoped jobs use that vendor's adapter; otherwise the env-configured Noxa integration
+          if (vendorId) {
+            vendor = await Vendor.findById(vendorId);
+            if (!vendor) throw new Error(`Vendor ${vendorId} not found`);
           }
+          const adapter = getAdapter(vendor);
+          // Dry runs compare against the store they were started for
+          const reportStore = dryRun ? await Store.findById(options.storeId) : null;
+          if (dryRun && !reportStore) throw new Error(`Store ${options.storeId} not found`);
+          const report = { changes: 0, unresolved: 0 };
 
-          const { SKUList: firstList = [], TotalCount = first.Response?.TotalCount || 0, ListSize = first.Response?.ListSize || firstList.length } = first.Response;
-          const totalCount = Number(TotalCount) || firstList.length;
-          const listSize = Number(ListSize) || firstList.length || limit;
+          // Fetch first page to determine total and page size
+          const first = await adapter.listActiveSkus(page, limit);
+          const firstList = first.skus;
+          let totalCount = first.total;
+          const listSize = first.pageSize || limit;
+          // Every main SKU on the active list, for discontinued-SKU reconciliation
+          const activeSkus = new Set(firstList.map(s => String(s).trim()));
           const totalPages = Math.max(1, Math.ceil(totalCount / Math.max(1, listSize)));
 
+          // Incremental: list every active SKU up front, then fetch only the ones due (priority order)
+          let plan = null;
+          if (incremental) {
+            const allSkus = [...firstList];
+            for (let p = page + 1; p <= totalPages; p += 1) {
+              const { skus } = await adapter.listActiveSkus(p, listSize);
+              allSkus.push(...skus);
+            }
+            const uniqueSkus = Array.from(new Set(allSkus.filter(Boolean).map(s => s.toString().trim())));
+            uniqueSkus.forEach(sku => activeSkus.add(sku));
+            plan = await VendorSkuState.planIncremental(adapter.skuPrefix, uniqueSkus, {
+              recentHours: vendor?.settings?.recentChangeHours,
+              lowStockThreshold: vendor?.settings?.lowStockThreshold,
+              refreshHours: vendor?.settings?.incrementalRefreshHours
+            });
+            totalCount = uniqueSkus.length;
+            if (syncLog) await syncLog.addLog('info', 'Incremental sync plan', plan.counts);
+          }
+
+          const chunkSize = adapter.maxSkusPerRequest;
+          // SKUs skipped without a fetch count as processed
+          let processed = plan ? plan.skipped.length : 0;
+          let unchangedSkus = 0;
+
           // Initialize totals
           if (syncLog) {
             syncLog.progress.totalProducts = totalCount;
+            syncLog.progress.processedProducts = processed;
+            syncLog.progress.skippedCount = processed;
             await syncLog.save();
           }
           if (syncJobDoc) {
-            await syncJobDoc.updateProgress(0, 0, totalCount);
+            await syncJobDoc.updateProgress(processed, 0, totalCount);
           }
 
-          const chunkSize = 100; // per vendor docs
-          let processed = 0;
-
           // Helper to process one page of SKUs with de-dup and limited concurrency
           const processSkuPage = async (skuList) => {
             const uniqueSkus = Array.from(new Set((skuList || [])
@@ -92,7 +139,7 @@ class ProductController {
               chunks.push(uniqueSkus.slice(i, i + chunkSize));
             }
 
-            const concurrency = Math.max(1, parseInt(process.env.NOXA_BATCH_CONCURRENCY || '3'));
+            const concurrency = Math.max(1, parseInt(vendor?.settings?.batchConcurrency || process.env.NOXA_BATCH_CONCURRENCY || '3'));
             let index = 0;
 
             const worker = async () => {
@@ -101,16 +148,32 @@ class ProductController {
                 if (currentIndex >= chunks.length) break;
                 index += 1;
                 const chunk = chunks[currentIndex];
+                if (await lock.isCancelRequested()) {
+                  throw new Error('Cancelled by a newer run');
+                }
                 try {
-                  const r = await noxaService.getInventoryBySKUs(chunk);
-                  const success = !!(r && r.Result);
-                  processed += chunk.length;
-                  if (syncLog) await syncLog.updateProgress(processed, success);
+                  if (dryRun) {
+                    const records = await adapter.fetchInventory(chunk);
+                    const { changes, unresolved } = await inventoryService.previewVendorInventory(adapter, records, { store: reportStore });
+                    await SyncReportItem.append(jobId, [...changes, ...unresolved]);
+                    report.changes += changes.length;
+                    report.unresolved += unresolved.length;
+                    processed += chunk.length;
+                    if (syncLog) await syncLog.updateProgress(processed, true);
+                  } else {
+                    const result = await adapter.syncInventory(chunk, { skipUnchanged: incremental, jobId });
+                    processed += chunk.length;
+                    unchangedSkus += result.unchangedSkus;
+                    if (syncLog) {
+                      syncLog.progress.skippedCount += result.unchangedSkus;
+                      await syncLog.updateProgress(processed, true);
+                    }
+                  }
                   if (syncJobDoc) await syncJobDoc.updateProgress(processed, syncJobDoc.progress.failed, totalCount);
                 } catch (e) {
                   processed += chunk.length;
                   if (syncLog) {
-                    await syncLog.addError({ sku: chunk, error: e.message, errorCode: 'NOXA_BATCH_FETCH_ERROR' });
+                    await syncLog.addError({ sku: chunk, error: e.message, errorCode: 'VENDOR_BATCH_FETCH_ERROR' });
                     await syncLog.updateProgress(processed, false);
                   }
                   const failed = (syncJobDoc?.progress?.failed || 0) + chunk.length;
@@ -125,22 +188,72 @@ class ProductController {
             await Promise.all(workers);
           };
 
-          // Process first page
-          await processSkuPage(firstList);
+          // Record-level errors reported by the adapter (e.g. bad feed rows)
+          const recordAdapterErrors = async () => {
+            const adapterErrors = adapter.drainErrors();
+            if (adapterErrors.length && syncLog) await syncLog.addErrors(adapterErrors);
+          };
+          await recordAdapterErrors();
+
+          if (plan) {
+            await processSkuPage(plan.due);
+            await recordAdapterErrors();
+          } else {
+            // Process first page
+            await processSkuPage(firstList);
+            await recordAdapterErrors();
+
+            // Process remaining pages
+            for (let p = page + 1; p <= totalPages; p += 1) {
+              const { skus } = await adapter.listActiveSkus(p, listSize);
+              skus.forEach(sku => activeSkus.add(String(sku).trim()));
+              await processSkuPage(skus);
+              await recordAdapterErrors();
+            }
+          }
 
-          // Process remaining pages
-          for (let p = page + 1; p <= totalPages; p += 1) {
-            const resp = await noxaService.getActiveSKUList(p, listSize);
-            if (!resp.Result || !resp.Response) {
-              throw new Error(resp.Message || `Failed to fetch active SKU list page ${p}`);
+          const skipped = plan ? { notDue: plan.skipped.length, unchanged: unchangedSkus } : undefined;
+
+          // Nothing was written: skip reconciliation, adapter bookkeeping and lastSyncAt
+          if (dryRun) {
+            const reportSummary = { ...report, storeId: reportStore?._id, download: `/api/sync/jobs/${jobId}/report` };
+            if (syncLog) await syncLog.complete(true);
+            if (syncJobDoc) {
+              await syncJobDoc.complete(true, {
+                message: `Dry run: ${report.changes} variant change(s), ${report.unresolved} unresolved SKU(s)`,
+                data: { dryRun: true, mode: incremental ? 'incremental' : 'full', plan: plan?.counts, report: reportSummary },
+                stats: { duration: syncLog ? syncLog.duration : undefined }
+              });
             }
-            const { SKUList = [] } = resp.Response;
-            await processSkuPage(SKUList);
+            return { success: true, dryRun: true, mode: incremental ? 'incremental' : 'full', processed, total: totalCount, report: reportSummary };
           }
 
+          // Only a run that listed the whole active list (from page 1) can tell which SKUs dropped off
+          let discontinued;
+          if (page === 1 && activeSkus.size > 0) {
+            if (adapter.isActiveListComplete()) {
+              discontinued = await this.reconcileDiscontinued(adapter, vendor, activeSkus, jobId);
+              if (syncLog) await syncLog.addLog('info', 'Discontinued SKU reconciliation', discontinued);
+            } else {
+              // Rejected vendor rows: their SKUs are missing from activeSkus but still on sale
+              discontinued = { skipped: true, reason: 'Vendor rows were rejected' };
+              if (syncLog) await syncLog.addLog('warn', 'Discontinued SKU reconciliation skipped: vendor rows were rejected');
+            }
+          }
+          await adapter.finalize({ processed, total: totalCount });
+          if (vendor) {
+            vendor.lastSyncAt = new Date();
+            await vendor.save();
+          }
           if (syncLog) await syncLog.complete(true);
-          if (syncJobDoc) await syncJobDoc.complete(true, { message: 'Product sync completed', stats: { duration: syncLog ? syncLog.duration : undefined } });
-          return { success: true, processed: processed, total: totalCount };
+          if (syncJobDoc) {
+            await syncJobDoc.complete(true, {
+              message: 'Product sync completed',
+              data: plan ? { mode: 'incremental', plan: plan.counts, skipped, discontinued } : { mode: 'full', discontinued },
+              stats: { duration: syncLog ? syncLog.duration : undefined }
+            });
+          }
+          return { success: true, mode: incremental ? 'incremental' : 'full', processed: processed, total: totalCount, skipped, discontinued };
         } catch (err) {
           if (syncLog) {
             await syncLog.addLog('error', 'Product sync failed', { message: err.message });
@@ -149,6 +262,18 @@ class ProductController {
           if (syncJobDoc) await syncJobDoc.fail(err, false);
           throw err;
         }
+      };
+
+      // One pull per vendor at a time (the lock is vendor-wide: no store)
+      this.productSyncQueue.process('sync-products', 1, async (job) => {
+        const { jobId, vendorId } = job.data || {};
+        return syncLockService.runSyncJob(job, { storeId: null, vendorId }, lock => runProductSync(job, lock),
+          (options, delay) => this.productSyncQueue.add('sync-products', { ...job.data, options }, {
+            jobId: `${jobId}:${Date.now()}`,
+            delay,
+            removeOnComplete: true,
+            removeOnFail: true
+          }));
       });
 
       // Mark to avoid duplicate attachment
@@ -191,6 +316,48 @@ class ProductController {
       this.inventoryUpdateQueue._inventoryUpdateProcessorAttached = true;
     }
   }
+  /**
+   * Mark variants missing from the vendor's active list as Discontinued, zero them after the
+   * grace period and, when the vendor is set to 'archive', archive fully discontinued Shopify products
+   * @param {Object} adapter - Vendor adapter used for the run
+   * @param {Object|null} vendor - Vendor document (null for the env-configured Noxa run)
+   * @param {Set<string>} activeSkus - Complete active main SKU list
+   * @param {string} [jobId] - Sync job, for InventoryHistory
+   * @returns {Promise<Object>} - Summary for the sync result: counts plus the first
+   *   RECONCILE_SAMPLE_SIZE SKUs of each list
+   */
+  async reconcileDiscontinued(adapter, vendor, activeSkus, jobId = null) {
+    const { discontinued, zeroed } = await ProductVariant.reconcileDiscontinued(adapter.skuPrefix, activeSkus, {
+      graceHours: vendor?.settings?.discontinueGraceHours ?? 72,
+      jobId
+    });
+
+    let archived;
+    if (vendor?.settings?.discontinuedAction === 'archive' && zeroed.length) {
+      archived = await inventoryService.archiveDiscontinuedProducts(zeroed);
+    }
+
+    if (discontinued.length || zeroed.length) {
+      logger.info(`Discontinued reconciliation for ${adapter.skuPrefix}: ${discontinued.length} newly discontinued, ${zeroed.length} zeroed`);
+    }
+    return {
+      discontinuedCount: discontinued.length,
+      zeroedCount: zeroed.length,
+      discontinued: discontinued.slice(0, RECONCILE_SAMPLE_SIZE),
+      zeroed: zeroed.slice(0, RECONCILE_SAMPLE_SIZE),
+      archived: archived && {
+        productCount: archived.productIds.length,
+        productIds: archived.productIds.slice(0, RECONCILE_SAMPLE_SIZE),
+        stores: archived.stores.map(({ storeId, archived: ids = [], failed = [] }) => ({
+          storeId,
+          archivedCount: ids.length,
+          failedCount: failed.length,
+          failed: failed.slice(0, RECONCILE_SAMPLE_SIZE)
+        }))
+      }
+    };
+  }
+
   /**
    * Start a product sync job
    * @param {Object} req - Express request object
@@ -198,10 +365,31 @@ class ProductController {
    */
   async startProductSync(req, res) {
     try {
-      const { page = 1, limit = 100 } = req.body;
+      const { page = 1, limit = 100, mode = 'full' } = req.body;
+      const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+
+      if (!['full', 'incremental'].includes(mode)) {
+        return ResponseHelper.error(res, "Invalid sync mode. Must be 'full' or 'incremental'", 400, 'INVALID_SYNC_MODE');
+      }
+
+      // The dry-run report compares vendor data with one store's Shopify quantities
+      let storeId = null;
+      if (dryRun) {
+        if (!/^[0-9a-fA-F]{24}$/.test(String(req.body.storeId || ''))) {
+          return ResponseHelper.error(res, 'A valid storeId is required for a dry run', 400, 'VALIDATION_ERROR');
+        }
+        const store = await Store.findById(req.body.storeId, { connectionStatus: 1, isActive: 1 }).lean();
+        if (!store || !store.isActive) {
+          return ResponseHelper.error(res, 'Store not found', 404, 'STORE_NOT_FOUND');
+        }
+        if (store.connectionStatus !== 'connected') {
+          return ResponseHelper.error(res, 'Store is not connected. Please connect the store first.', 400, 'STORE_NOT_CONNECTED');
+        }
+        storeId = String(store._id);
+      }
       const jobId = uuidv4();
 
-      logger.info(`Starting product sync job ${jobId}`, { page, limit });
+      logger.info(`Starting product sync job ${jobId}`, { page, limit, mode, dryRun, storeId });
       // Enforce single running product sync
       const existing = await SyncJob.findOne({
         queueName: 'product-sync',
@@ -223,8 +411,11 @@ class ProductController {
         type: 'manual',
         status: 'queued',
         queueName: 'product-sync',
+        ...(storeId ? { storeId } : {}),
+        data: { syncConfig: { dryRun } },
         metadata: {
-          triggeredBy: req.user ? req.user.id : 'system'
+          triggeredBy: req.user ? req.user.id : 'system',
+          tags: dryRun ? ['dry-run'] : []
         }
       });
       
@@ -233,7 +424,7 @@ class ProductController {
         'sync-products',
         { 
           jobId,
-          options: { page, limit },
+          options: { page, limit, mode, dryRun, storeId },
           startedBy: req.user ? req.user.id : 'system'
         },
         {
@@ -253,7 +444,8 @@ class ProductController {
           status: 'queued',
           progress: 0,
           page,
-          limit
+          limit,
+          dryRun
         },
       });
     } catch (error) {
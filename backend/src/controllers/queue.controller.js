@@ -1,5 +1,6 @@
 const { ResponseHelper } = require('../utils/helpers');
 const logger = require('../utils/logger');
+const shopifyRateLimiter = require('../utils/shopify-rate-limiter');
 const Queue = require('bull');
 const redis = require('redis');
 
@@ -653,6 +654,8 @@ class QueueController {
         averageProcessingTime: Math.round(overallAvgProcessingTime),
         throughput: Math.round(throughput * 100) / 100,
         byQueue: queueStats,
+        // Per-store Shopify GraphQL cost budgets as seen by this process
+        shopifyBudgets: shopifyRateLimiter.getStats(),
         generatedAt: new Date().toISOString()
       };
       
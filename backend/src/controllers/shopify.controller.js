@@ -1,11 +1,13 @@
 const { ResponseHelper } = require('../utils/helpers');
 const logger = require('../utils/logger');
 const shopifyService = require('../services/shopify.service');
+const webhookService = require('../services/webhook.service');
 const inventoryService = require('../services/inventory.service');
+const syncLockService = require('../services/sync-lock.service');
 const SyncJob = require('../models/SyncJob');
+const SyncReportItem = require('../models/SyncReportItem');
 const Store = require('../models/Store');
 const { v4: uuidv4 } = require('uuid');
-const encryption = require('../utils/encryption');
 const { createQueue } = require('../queues');
 
 /**
@@ -21,10 +23,11 @@ class ShopifyController {
     this.getStores = this.getStores.bind(this);
     this.connectStore = this.connectStore.bind(this);
     this.syncWithShopify = this.syncWithShopify.bind(this);
+    this.importCatalog = this.importCatalog.bind(this);
 
     // Register queue processor once
     if (!this.shopifySyncQueue._shopifySyncProcessorAttached) {
-      this.shopifySyncQueue.process('sync-with-shopify', 1, async (job) => {
+      const runShopifySync = async (job, lock) => {
         const { jobId, storeId, options = {} } = job.data || {};
 
         let syncJobDoc = null;
@@ -42,24 +45,28 @@ class ShopifyController {
             throw new Error('Store not found');
           }
 
-          // Resolve and persist required Shopify fields only (no inventory quantity updates here)
+          // Resolve missing Shopify fields and push stockQty to Shopify per batch
           const prep = await inventoryService.syncStoreFromProductVariants(storeId, {
             ...options,
+            reportJobId: options.dryRun ? jobId : null,
+            jobId,
+            // A newer sync of this store asked this one to stop (cancel-previous)
+            shouldStop: () => lock.isCancelRequested(),
             // Real-time progress hook
-            onProgress: async ({ processed, resolved, skipped, total }) => {
+            onProgress: async ({ processed, resolved, skipped, updated, failed, unchanged, total }) => {
               try {
                 // Update Bull job progress in percentage and SyncJob document
                 const pct = total > 0 ? Math.round((processed / total) * 100) : 0;
                 await job.progress(pct);
                 if (syncJobDoc) {
-                  await syncJobDoc.updateProgress(resolved, 0, total);
+                  await syncJobDoc.updateProgress(Math.max(0, processed - failed), failed, total);
                   if (typeof syncJobDoc.appendLogs === 'function') {
                     await syncJobDoc.appendLogs([
-                      { level: 'info', message: `Batch progress: processed=${processed} resolved=${resolved} skipped=${skipped} total=${total} (${pct}%)` }
+                      { level: 'info', message: `Batch progress: processed=${processed} resolved=${resolved} updated=${updated} unchanged=${unchanged} failed=${failed} skipped=${skipped} total=${total} (${pct}%)` }
                     ]);
                   }
                 }
-                logger.info(`[queue:shopify-sync][progress][${jobId}]`, { processed, resolved, skipped, total, pct });
+                logger.info(`[queue:shopify-sync][progress][${jobId}]`, { processed, resolved, skipped, updated, failed, unchanged, total, pct });
               } catch (e) {
                 logger.warn(`[queue:shopify-sync][progress-failed][${jobId}] ${e.message}`);
               }
@@ -71,27 +78,56 @@ class ShopifyController {
           const totalItems = Number(prep.total || 0);
           const resolvedItems = Number(prep.countToUpdate || 0);
           const skippedItems = Number(prep.skipped || 0);
-          logger.info(`[queue:shopify-sync][resolved][${jobId}]`, { totalItems, resolvedItems, skippedItems });
+          const updatedItems = Number(prep.updated || 0);
+          const failedItems = Number(prep.failed || 0);
+          const unchangedItems = Number(prep.unchanged || 0);
+          logger.info(`[queue:shopify-sync][resolved][${jobId}]`, { totalItems, resolvedItems, skippedItems, updatedItems, failedItems, unchangedItems });
+
+          if (syncJobDoc) await syncJobDoc.updateProgress(Math.max(0, totalItems - failedItems), failedItems, totalItems);
 
-          if (syncJobDoc) await syncJobDoc.updateProgress(resolvedItems, 0, totalItems);
+          if (options.dryRun) {
+            const report = { ...(await SyncReportItem.summarize(jobId)), download: `/api/sync/jobs/${jobId}/report` };
+            if (syncJobDoc) {
+              await syncJobDoc.complete(true, {
+                message: `Dry run: ${updatedItems} variant(s) would be updated in Shopify, ${prep.unresolved} not linked`,
+                data: { dryRun: true, summary: prep, report },
+                stats: { inventoryUpdates: 0, errors: 0, duration: syncJobDoc.duration }
+              });
+            }
+            logger.info(`[queue:shopify-sync][dry-run-complete][${jobId}]`, report);
+            return { dryRun: true, wouldUpdate: updatedItems, unchanged: unchangedItems, unresolved: prep.unresolved, total: totalItems, report };
+          }
 
           const logs = [
             { level: 'info', message: `Variants scanned: ${totalItems}` },
             { level: 'info', message: `Variants with required Shopify fields: ${resolvedItems}` },
+            { level: 'info', message: `Variants updated in Shopify: ${updatedItems}` },
+            { level: 'info', message: `Variants already in sync: ${unchangedItems}` },
+            { level: failedItems > 0 ? 'warn' : 'info', message: `Variants failed to update: ${failedItems}` },
             { level: 'info', message: `Variants skipped (missing fields/unqualified): ${skippedItems}` }
           ];
 
-          // Complete job with summary only; no inventory push performed in this step
           if (syncJobDoc) {
             await syncJobDoc.complete(true, {
-              message: 'Shopify field resolution completed',
+              message: prep.stopped
+                ? 'Shopify inventory sync stopped by a newer run'
+                : failedItems > 0
+                  ? `Shopify inventory sync completed with ${failedItems} failed update(s)`
+                  : 'Shopify inventory sync completed',
               data: { logs, summary: prep },
-              stats: { resolved: resolvedItems, skipped: skippedItems, duration: syncJobDoc.duration }
+              stats: { inventoryUpdates: updatedItems, errors: failedItems, duration: syncJobDoc.duration }
             });
             logger.info(`[queue:shopify-sync][complete][${jobId}]`, { dbId: String(syncJobDoc._id), durationMs: Date.now() - procStartTs });
           }
 
-          return { resolved: resolvedItems, skipped: skippedItems, total: totalItems };
+          return {
+            resolved: resolvedItems,
+            skipped: skippedItems,
+            updated: updatedItems,
+            failed: failedItems,
+            unchanged: unchangedItems,
+            total: totalItems
+          };
         } catch (error) {
           if (syncJobDoc) {
             await syncJobDoc.fail(error, false);
@@ -99,6 +135,58 @@ class ShopifyController {
           logger.error(`[queue:shopify-sync][error][${jobId}] ${error.message}`, { storeId, options });
           throw error;
         }
+      };
+
+      // One push per store at a time (the lock is store-wide: no vendor)
+      this.shopifySyncQueue.process('sync-with-shopify', 1, async (job) => {
+        const { jobId, storeId } = job.data || {};
+        return syncLockService.runSyncJob(job, { storeId, vendorId: null }, lock => runShopifySync(job, lock),
+          (options, delay) => this.shopifySyncQueue.add('sync-with-shopify', { ...job.data, options }, {
+            jobId: `${jobId}:${Date.now()}`,
+            delay,
+            removeOnComplete: true,
+            removeOnFail: true
+          }));
+      });
+
+      // Full-catalog linkage refresh through a Shopify bulk operation
+      this.shopifySyncQueue.process('shopify-bulk-import', 1, async (job) => {
+        const { jobId, storeId } = job.data || {};
+
+        let syncJobDoc = null;
+        try {
+          logger.info(`[queue:shopify-bulk-import][start][${jobId}]`, { bullJobId: job.id, storeId });
+          syncJobDoc = await SyncJob.findOne({ jobId });
+          if (syncJobDoc) await syncJobDoc.start();
+
+          const store = await Store.findById(storeId);
+          if (!store) {
+            throw new Error('Store not found');
+          }
+
+          const summary = await inventoryService.importShopifyCatalogBulk(storeId, {
+            onProgress: async ({ phase, status, objectCount, matched }) => {
+              logger.info(`[queue:shopify-bulk-import][progress][${jobId}]`, { phase, status, objectCount, matched });
+            }
+          });
+
+          if (syncJobDoc) {
+            await syncJobDoc.updateProgress(summary.matched, 0, summary.matched);
+            await syncJobDoc.complete(true, {
+              message: `Shopify catalog import linked ${summary.matched} variant(s)`,
+              data: { summary },
+              stats: { inventoryUpdates: summary.modified, errors: 0, duration: syncJobDoc.duration }
+            });
+          }
+          logger.info(`[queue:shopify-bulk-import][complete][${jobId}]`, summary);
+          return summary;
+        } catch (error) {
+          if (syncJobDoc) {
+            await syncJobDoc.fail(error, false);
+          }
+          logger.error(`[queue:shopify-bulk-import][error][${jobId}] ${error.message}`, { storeId });
+          throw error;
+        }
       });
 
       this.shopifySyncQueue._shopifySyncProcessorAttached = true;
@@ -143,9 +231,9 @@ class ShopifyController {
         normalizedDomain = `${sub}.myshopify.com`;
       }
       
-      // Check if store already exists
+      // Check if store already exists (a disconnected store may be reconnected with a new token)
       const existingStore = await Store.findOne({ shopifyDomain: normalizedDomain });
-      if (existingStore) {
+      if (existingStore && existingStore.isActive && existingStore.connectionStatus === 'connected') {
         return ResponseHelper.error(res, 'Store with this domain already exists', 400, 'STORE_ALREADY_EXISTS');
       }     
 
@@ -156,19 +244,20 @@ class ShopifyController {
         return ResponseHelper.error(res, 'Failed to connect to Shopify store: ' + connectionTest.error, 400, 'CONNECTION_FAILED');
       }
       
-      // Create store in database
-      const store = new Store({
+      // Create store in database, or reactivate the existing one
+      const store = existingStore || new Store({
         name: connectionTest.shopInfo.name,
         shopifyDomain: normalizedDomain,
-        accessToken, // encrypted by model setter
         shopifyShopId: String(connectionTest.shopInfo.id || ''),
         metadata: {
           timezone: connectionTest.shopInfo.iana_timezone,
           currency: connectionTest.shopInfo.currency
-        },
-        isActive: true,
-        lastConnectionCheck: new Date()
+        }
       });
+      store.accessToken = accessToken; // encrypted by model setter
+      store.isActive = true;
+      store.connectionStatus = 'connected';
+      store.lastConnectionCheck = new Date();
       
       await store.save();
 
@@ -178,13 +267,20 @@ class ShopifyController {
       } catch (locErr) {
         logger.warn(`Unable to cache default Shopify location for store ${store._id}: ${locErr.message}`);
       }
+
+      // Register (or re-point) webhook subscriptions; failures are kept on store.webhooks.lastError
+      try {
+        await webhookService.syncSubscriptions(store);
+      } catch (whErr) {
+        logger.warn(`Unable to register Shopify webhooks for store ${store._id}: ${whErr.message}`);
+      }
       
       // Return store without sensitive data
       const storeData = store.toObject();
       delete storeData.accessToken;
       delete storeData.encryptedCredentials;
       
-      ResponseHelper.success(res, storeData, 'Shopify store connected successfully', 201);
+      ResponseHelper.success(res, storeData, 'Shopify store connected successfully', existingStore ? 200 : 201);
     } catch (error) {
       logger.error('Error connecting Shopify store:', error);
       ResponseHelper.error(res, 'Failed to connect Shopify store', 500, 'SHOPIFY_CONNECTION_ERROR');
@@ -196,8 +292,9 @@ class ShopifyController {
    */
   async syncWithShopify(req, res) {
     try {
-      // Updated flow: remove selection option and target only variants missing Shopify IDs
-      const { /* onlyInStock = false, */ maxUpdates = 0 } = req.body || {};
+      // Scan all variants by default; onlyMissingShopifyFields narrows the run to unlinked variants.
+      // Dry run: compute the changes into a downloadable report without writing anything
+      const { storeId, maxUpdates, onlyMissingShopifyFields, updateOutOfStock, bulkImport, dryRun } = req.body;
       const reqStartTs = Date.now();
       const reqId = req.headers['x-request-id'] || uuidv4();
       logger.info(`[api:syncWithShopify][start][${reqId}]`, {
@@ -206,12 +303,13 @@ class ShopifyController {
         path: req.originalUrl
       });
 
-      // Get the connected store for current admin context
-      const store = await Store.findOne({ connectionStatus: 'connected' });
-      if (!store) {
-        return ResponseHelper.error(res, 'No connected Shopify store found', 404, 'STORE_NOT_FOUND');
+      const store = await Store.findById(storeId);
+      if (!store || !store.isActive) {
+        return ResponseHelper.error(res, 'Store not found', 404, 'STORE_NOT_FOUND');
+      }
+      if (store.connectionStatus !== 'connected') {
+        return ResponseHelper.error(res, 'Store is not connected. Please connect the store first.', 400, 'STORE_NOT_CONNECTED');
       }
-      const storeId = String(store._id);
       logger.debug(`[api:syncWithShopify][store-loaded][${reqId}]`, { storeId });
 
       const jobId = uuidv4();
@@ -226,10 +324,10 @@ class ShopifyController {
         queueName: 'shopify-sync',
         data: {
           selectedProducts: [],
-          syncConfig: { batchSize: 50, syncInventory: false, dryRun: false },
-          filters: { onlyMissingShopifyFields: true, maxUpdates }
+          syncConfig: { batchSize: 50, syncInventory: true, updateOutOfStock, dryRun },
+          filters: { onlyMissingShopifyFields, maxUpdates, bulkImport }
         },
-        metadata: { triggeredBy: 'manual', tags: ['shopify-sync'] }
+        metadata: { triggeredBy: 'manual', tags: dryRun ? ['shopify-sync', 'dry-run'] : ['shopify-sync'] }
       });
       logger.info(`[api:syncWithShopify][job-doc-created][${reqId}]`, { dbId: String(jobDoc._id), jobId, storeId });
      
@@ -239,8 +337,8 @@ class ShopifyController {
         {
           jobId,
           storeId,
-          // Processor will resolve missing Shopify fields (variantId, inventoryItemId) from Shopify by SKU
-          options: { maxUpdates, onlyMissingShopifyFields: true }
+          // Processor resolves missing Shopify fields by SKU, then pushes stockQty to Shopify
+          options: { maxUpdates, onlyMissingShopifyFields, updateOutOfStock, bulkImport, dryRun }
         },
         {
           jobId,
@@ -256,7 +354,8 @@ class ShopifyController {
         {
           jobId: jobDoc._id,
           status: 'queued',
-          message: 'Sync with Shopify job has been queued'
+          dryRun,
+          message: dryRun ? 'Dry-run sync with Shopify job has been queued' : 'Sync with Shopify job has been queued'
         },
         'Sync with Shopify queued'
       );
@@ -267,18 +366,71 @@ class ShopifyController {
     }
   }
 
+  /**
+   * Import Shopify linkage for the whole catalog via a bulk operation (background job)
+   */
+  async importCatalog(req, res) {
+    try {
+      const { storeId } = req.body;
+      const store = await Store.findById(storeId);
+      if (!store || !store.isActive) {
+        return ResponseHelper.error(res, 'Store not found', 404, 'STORE_NOT_FOUND');
+      }
+      if (store.connectionStatus !== 'connected') {
+        return ResponseHelper.error(res, 'Store is not connected. Please connect the store first.', 400, 'STORE_NOT_CONNECTED');
+      }
+      const jobId = uuidv4();
+
+      const jobDoc = await SyncJob.create({
+        jobId,
+        type: 'manual',
+        storeId,
+        status: 'queued',
+        queueName: 'shopify-sync',
+        data: {
+          selectedProducts: [],
+          syncConfig: { batchSize: 1000, syncInventory: false, dryRun: false }
+        },
+        metadata: { triggeredBy: 'manual', tags: ['shopify-bulk-import'] }
+      });
+
+      await this.shopifySyncQueue.add(
+        'shopify-bulk-import',
+        { jobId, storeId },
+        { jobId, removeOnComplete: true, removeOnFail: false }
+      );
+      logger.info(`[api:importCatalog][enqueued]`, { jobId, storeId, dbId: String(jobDoc._id) });
+
+      ResponseHelper.success(
+        res,
+        {
+          jobId: jobDoc._id,
+          status: 'queued',
+          message: 'Shopify catalog import job has been queued'
+        },
+        'Shopify catalog import queued'
+      );
+    } catch (error) {
+      logger.error(`[api:importCatalog][error] ${error.message}`);
+      ResponseHelper.error(res, 'Failed to queue Shopify catalog import', 500, 'SHOPIFY_BULK_IMPORT_ERROR');
+    }
+  }
+
   /**
    * Update inventory for a specific variant
    */
   async updateInventory(req, res) {
     try {
       const { storeId, variantId } = req.params;
-      const { quantity, inventoryItemId } = req.body;
+      const { quantity, inventoryItemId, locationId } = req.body;
       
       // Validate inputs
       if (typeof quantity !== 'number' || quantity < 0) {
         return ResponseHelper.error(res, 'Quantity must be a non-negative number', 400, 'INVALID_QUANTITY');
       }
+      if (!inventoryItemId) {
+        return ResponseHelper.error(res, 'inventoryItemId is required', 400, 'VALIDATION_ERROR');
+      }
       
       // Validate store exists and is connected
       const store = await Store.findById(storeId);
@@ -290,18 +442,16 @@ class ShopifyController {
         return ResponseHelper.error(res, 'Store is not connected. Please test connection first.', 400, 'STORE_NOT_CONNECTED');
       }
       
-      // Decrypt access token
-      const accessToken = encryption.decrypt(store.accessToken);
-      
-      // Use Shopify GraphQL API to update inventory
-      const updateResult = await shopifyService.updateInventory({
-        storeId,
-        variantId,
-        inventoryItemId,
-        quantity,
-        shopDomain: store.shopifyDomain,
-        accessToken
-      });
+      // Compare-and-set against the last known Shopify quantity
+      let updateResult;
+      try {
+        updateResult = await inventoryService.setInventoryItemQuantity(storeId, inventoryItemId, quantity, locationId);
+      } catch (updateError) {
+        if (updateError.code === 'COMPARE_QUANTITY_STALE') {
+          return ResponseHelper.error(res, 'Shopify inventory changed since it was last read; try again', 409, 'INVENTORY_CHANGED');
+        }
+        throw updateError;
+      }
       
       // Log the inventory change
       logger.info(`Inventory updated for store ${storeId}, variant ${variantId}: ${updateResult.previousQuantity} -> ${quantity}`);
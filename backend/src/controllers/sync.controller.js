@@ -1,7 +1,12 @@
 const { ResponseHelper } = require('../utils/helpers');
 const logger = require('../utils/logger');
+const mongoose = require('mongoose');
 const SyncJob = require('../models/SyncJob');
+const SyncReportItem = require('../models/SyncReportItem');
 const Store = require('../models/Store');
+const Vendor = require('../models/Vendor');
+const SyncSchedule = require('../models/SyncSchedule');
+const syncLockService = require('../services/sync-lock.service');
 
 /**
  * Sync Controller
@@ -45,10 +50,33 @@ class SyncController {
         return ResponseHelper.error(res, 'Store is not connected. Please connect the store first.', 400, 'STORE_NOT_CONNECTED');
       }
       
-      // Check if vendor is active
-      if (!vendor.isActive) {
+      // Check if vendor is active and connected
+      if (vendor.status !== 'active') {
         return ResponseHelper.error(res, 'Vendor is not active', 400, 'VENDOR_NOT_ACTIVE');
       }
+
+      if (vendor.connectionStatus !== 'connected') {
+        return ResponseHelper.error(res, 'Vendor is not connected. Please test the vendor connection first.', 400, 'VENDOR_NOT_CONNECTED');
+      }
+
+      // Syncs of a store and vendor are paused while one of their schedules is in a blackout window
+      const blackout = await SyncSchedule.findActiveBlackout(storeId, vendorId);
+      if (blackout) {
+        return ResponseHelper.error(res, 'Syncs of this store and vendor are paused by a schedule blackout window', 409, 'SYNC_BLACKOUT', {
+          scheduleId: blackout.schedule._id,
+          scheduleName: blackout.schedule.name,
+          window: blackout.window.name || null
+        });
+      }
+
+      // Another sync of this store and vendor is running (queue/cancel-previous go ahead; only the
+      // queued job itself asks the running sync to stop)
+      const overlap = await syncLockService.checkOverlap({ storeId, vendorId }, options.overlapPolicy);
+      if (overlap.skip) {
+        return ResponseHelper.error(res, 'A sync of this store and vendor is already running', 409, 'SYNC_IN_PROGRESS', {
+          lockedBy: overlap.lockedBy
+        });
+      }
       
       // Create sync job in queue
       const syncJob = new SyncJob({
@@ -162,10 +190,21 @@ class SyncController {
           continue;
         }
         
-        if (!vendor.isActive) {
+        if (vendor.status !== 'active') {
           validationErrors.push(`Operation ${i + 1}: Vendor is not active`);
           continue;
         }
+
+        if (vendor.connectionStatus !== 'connected') {
+          validationErrors.push(`Operation ${i + 1}: Vendor is not connected`);
+          continue;
+        }
+
+        const blackout = await SyncSchedule.findActiveBlackout(op.storeId, op.vendorId);
+        if (blackout) {
+          validationErrors.push(`Operation ${i + 1}: Paused by a blackout window of schedule ${blackout.schedule.name}`);
+          continue;
+        }
         
         validatedOperations.push({
           ...op,
@@ -330,6 +369,64 @@ class SyncController {
     }
   }
 
+  /**
+   * Download the dry-run diff report of a sync job as JSON or CSV
+   * Params: id (jobId or _id). Query: format=json|csv (default json), kind=change|unresolved
+   */
+  async getSyncReport(req, res) {
+    try {
+      const { id } = req.params;
+      const format = String(req.query.format || 'json').toLowerCase();
+      if (!['json', 'csv'].includes(format)) {
+        return ResponseHelper.error(res, "Invalid format. Must be 'json' or 'csv'", 400, 'INVALID_REPORT_FORMAT');
+      }
+      const { kind } = req.query;
+      if (kind && !['change', 'unresolved'].includes(kind)) {
+        return ResponseHelper.error(res, "Invalid kind. Must be 'change' or 'unresolved'", 400, 'INVALID_REPORT_KIND');
+      }
+
+      const syncJob = await SyncJob.findOne(
+        mongoose.isValidObjectId(id) ? { $or: [{ jobId: id }, { _id: id }] } : { jobId: id }
+      );
+      if (!syncJob) {
+        return ResponseHelper.error(res, 'Sync job not found', 404, 'SYNC_NOT_FOUND');
+      }
+      if (!syncJob.data?.syncConfig?.dryRun) {
+        return ResponseHelper.error(res, 'Reports are only produced by dry-run syncs', 400, 'NOT_A_DRY_RUN');
+      }
+      if (syncJob.isActive) {
+        return ResponseHelper.error(res, 'Dry run is still in progress', 409, 'REPORT_NOT_READY', { status: syncJob.status });
+      }
+
+      const filter = { jobId: syncJob.jobId };
+      if (kind) filter.kind = kind;
+      const rows = await SyncReportItem.find(filter, { _id: 0, jobId: 0, createdAt: 0 })
+        .sort({ kind: 1, variantSku: 1 })
+        .lean();
+
+      if (format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="sync-report-${syncJob.jobId}.csv"`);
+        return res.status(200).send(SyncReportItem.toCsv(rows));
+      }
+
+      res.setHeader('Content-Disposition', `attachment; filename="sync-report-${syncJob.jobId}.json"`);
+      return ResponseHelper.success(res, {
+        jobId: syncJob.jobId,
+        status: syncJob.status,
+        completedAt: syncJob.completedAt,
+        summary: {
+          changes: rows.filter(r => r.kind === 'change').length,
+          unresolved: rows.filter(r => r.kind === 'unresolved').length
+        },
+        items: rows
+      }, 'Sync report retrieved successfully');
+    } catch (error) {
+      logger.error('Error retrieving sync report:', error);
+      ResponseHelper.error(res, 'Failed to retrieve sync report', 500, 'SYNC_REPORT_ERROR');
+    }
+  }
+
   /**
    * Get sync history
    */
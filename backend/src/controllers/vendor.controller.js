@@ -0,0 +1,427 @@
+const { v4: uuidv4 } = require('uuid');
+const { ResponseHelper } = require('../utils/helpers');
+const logger = require('../utils/logger');
+const Vendor = require('../models/Vendor');
+const ProductVariant = require('../models/ProductVariant');
+const Store = require('../models/Store');
+const StoreVariantLink = require('../models/StoreVariantLink');
+const SyncJob = require('../models/SyncJob');
+const { createQueue } = require('../queues');
+const { getAdapter } = require('../services/vendor-adapters');
+
+/**
+ * Vendor Controller
+ * Manages vendor configurations and proxies vendor API calls through the vendor's adapter
+ */
+class VendorController {
+  constructor() {
+    // Shares the product-sync queue (and its processor) with the product controller
+    this.productSyncQueue = createQueue('product-sync');
+
+    // Bind methods that use 'this'
+    this.createVendor = this.createVendor.bind(this);
+    this.updateVendor = this.updateVendor.bind(this);
+    this.getVendorProducts = this.getVendorProducts.bind(this);
+    this.getVendorInventory = this.getVendorInventory.bind(this);
+    this.syncVendor = this.syncVendor.bind(this);
+    this.testConnection = this.testConnection.bind(this);
+  }
+
+  /**
+   * Get all configured vendors
+   */
+  async getVendors(req, res) {
+    try {
+      const { page = 1, limit = 50 } = req.query;
+      const skip = (page - 1) * limit;
+
+      const [vendors, total] = await Promise.all([
+        Vendor.find({})
+          .select('-apiKey')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        Vendor.countDocuments({})
+      ]);
+
+      const pagination = {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      };
+
+      ResponseHelper.success(res, { vendors, pagination }, 'Vendors retrieved successfully');
+    } catch (error) {
+      logger.error('Error retrieving vendors:', error);
+      ResponseHelper.error(res, 'Failed to retrieve vendors', 500, 'VENDOR_FETCH_ERROR');
+    }
+  }
+
+  /**
+   * Add a new vendor configuration (connection is tested before saving)
+   */
+  async createVendor(req, res) {
+    try {
+      const { name, type, apiUrl, apiKey, feed, skuPrefix, description, settings } = req.body;
+
+      const existing = await Vendor.findOne({
+        $or: [{ name }, { skuPrefix: String(skuPrefix).toLowerCase() }]
+      });
+      if (existing) {
+        return ResponseHelper.error(res, 'Vendor with this name or SKU prefix already exists', 409, 'VENDOR_ALREADY_EXISTS');
+      }
+
+      const vendor = new Vendor({ name, type, apiUrl, apiKey, feed, skuPrefix, description, settings });
+
+      const connectionTest = await this.getClient(vendor).testConnection();
+      if (!connectionTest.success) {
+        return ResponseHelper.error(res, 'Failed to connect to vendor API: ' + connectionTest.error, 400, 'VENDOR_CONNECTION_FAILED');
+      }
+
+      vendor.connectionStatus = 'connected';
+      vendor.lastConnectionCheck = new Date();
+      await vendor.save();
+
+      logger.info(`New vendor added: ${name}`, { vendorId: vendor._id });
+      ResponseHelper.success(res, vendor.toJSON(), 'Vendor created successfully', 201);
+    } catch (error) {
+      logger.error('Error creating vendor:', error);
+      if (error.code === 11000) {
+        ResponseHelper.error(res, 'Vendor with this name or SKU prefix already exists', 409, 'VENDOR_ALREADY_EXISTS');
+      } else {
+        ResponseHelper.error(res, 'Failed to create vendor', 500, 'VENDOR_CREATE_ERROR');
+      }
+    }
+  }
+
+  /**
+   * Get vendor by ID
+   */
+  async getVendorById(req, res) {
+    try {
+      const vendor = await Vendor.findById(req.params.id);
+      if (!vendor) {
+        return ResponseHelper.error(res, 'Vendor not found', 404, 'VENDOR_NOT_FOUND');
+      }
+
+      const variantCount = await ProductVariant.countDocuments({
+        variantSku: { $regex: `^${vendor.skuPrefix}_` }
+      });
+
+      ResponseHelper.success(res, { ...vendor.toJSON(), variantCount }, 'Vendor retrieved successfully');
+    } catch (error) {
+      logger.error('Error retrieving vendor:', error);
+      ResponseHelper.error(res, 'Failed to retrieve vendor', 500, 'VENDOR_FETCH_ERROR');
+    }
+  }
+
+  /**
+   * Update vendor configuration; credential changes are re-tested before saving
+   */
+  async updateVendor(req, res) {
+    try {
+      const vendor = await Vendor.findById(req.params.id);
+      if (!vendor) {
+        return ResponseHelper.error(res, 'Vendor not found', 404, 'VENDOR_NOT_FOUND');
+      }
+
+      const { name, apiUrl, apiKey, feed, description, status, settings } = req.body;
+      if (name !== undefined) vendor.name = name;
+      if (description !== undefined) vendor.description = description;
+      if (status !== undefined) vendor.status = status;
+      if (apiUrl !== undefined) vendor.apiUrl = apiUrl;
+      if (apiKey !== undefined) vendor.apiKey = apiKey; // Encrypted by the model setter
+      if (settings) {
+        Object.entries(settings).forEach(([key, value]) => {
+          vendor.set(`settings.${key}`, value);
+        });
+      }
+      if (feed) {
+        // Field by field so stored SFTP secrets are kept unless new ones are given
+        const { sftp, ...feedFields } = feed;
+        Object.entries(feedFields).forEach(([key, value]) => {
+          vendor.set(`feed.${key}`, value);
+        });
+        Object.entries(sftp || {}).forEach(([key, value]) => {
+          vendor.set(`feed.sftp.${key}`, value);
+        });
+      }
+
+      if (apiUrl !== undefined || apiKey !== undefined || feed) {
+        const connectionTest = await this.getClient(vendor).testConnection();
+        if (!connectionTest.success) {
+          return ResponseHelper.error(res, 'Failed to connect to vendor API: ' + connectionTest.error, 400, 'VENDOR_CONNECTION_FAILED');
+        }
+        vendor.connectionStatus = 'connected';
+        vendor.lastConnectionCheck = new Date();
+        vendor.lastError = null;
+      }
+
+      await vendor.save();
+
+      logger.info(`Vendor updated: ${vendor.name}`, { vendorId: vendor._id });
+      ResponseHelper.success(res, vendor.toJSON(), 'Vendor updated successfully');
+    } catch (error) {
+      logger.error('Error updating vendor:', error);
+      if (error.code === 11000) {
+        ResponseHelper.error(res, 'Vendor with this name already exists', 409, 'VENDOR_ALREADY_EXISTS');
+      } else {
+        ResponseHelper.error(res, 'Failed to update vendor', 500, 'VENDOR_UPDATE_ERROR');
+      }
+    }
+  }
+
+  /**
+   * Remove vendor configuration (soft delete: variants keep their vendor SKUs)
+   */
+  async deleteVendor(req, res) {
+    try {
+      const vendor = await Vendor.findById(req.params.id);
+      if (!vendor) {
+        return ResponseHelper.error(res, 'Vendor not found', 404, 'VENDOR_NOT_FOUND');
+      }
+
+      vendor.status = 'inactive';
+      vendor.connectionStatus = 'disconnected';
+      await vendor.save();
+
+      logger.info(`Vendor deactivated: ${vendor.name}`, { vendorId: vendor._id });
+      ResponseHelper.success(res, null, 'Vendor removed successfully');
+    } catch (error) {
+      logger.error('Error removing vendor:', error);
+      ResponseHelper.error(res, 'Failed to remove vendor', 500, 'VENDOR_DELETE_ERROR');
+    }
+  }
+
+  /**
+   * Get one page of the vendor's active SKU list (live)
+   */
+  async getVendorProducts(req, res) {
+    try {
+      const { page = 1, limit = 50 } = req.query;
+      const vendor = await Vendor.findById(req.params.id);
+      if (!vendor) {
+        return ResponseHelper.error(res, 'Vendor not found', 404, 'VENDOR_NOT_FOUND');
+      }
+
+      let result;
+      try {
+        result = await this.getClient(vendor).listActiveSkus(page, limit);
+      } catch (apiError) {
+        return ResponseHelper.error(res, apiError.message || 'Failed to fetch vendor products', 502, 'VENDOR_API_ERROR');
+      }
+      const { skus, total } = result;
+
+      ResponseHelper.success(res, {
+        products: skus,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit),
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }, 'Vendor products retrieved successfully');
+    } catch (error) {
+      logger.error('Error retrieving vendor products:', error);
+      ResponseHelper.error(res, 'Failed to retrieve vendor products', 500, 'VENDOR_PRODUCTS_ERROR');
+    }
+  }
+
+  /**
+   * Vendor inventory.
+   * With ?skus=A,B the vendor API is queried live (nothing is saved);
+   * otherwise the locally synced variants for this vendor's SKU prefix are returned, with their
+   * Shopify linkage in ?storeId (none without it).
+   */
+  async getVendorInventory(req, res) {
+    try {
+      const vendor = await Vendor.findById(req.params.id);
+      if (!vendor) {
+        return ResponseHelper.error(res, 'Vendor not found', 404, 'VENDOR_NOT_FOUND');
+      }
+
+      const skus = String(req.query.skus || '')
+        .split(',')
+        .map(s => s.trim())
+        .filter(Boolean);
+
+      if (skus.length > 0) {
+        if (skus.length > 100) {
+          return ResponseHelper.error(res, 'A maximum of 100 SKUs can be requested at once', 400, 'TOO_MANY_SKUS');
+        }
+        const adapter = this.getClient(vendor);
+        const records = await adapter.fetchInventory(skus);
+        return ResponseHelper.success(res, {
+          source: 'vendor',
+          inventory: records.map(record => ({ ...record, variantSku: adapter.generateVariantSku(record) }))
+        }, 'Vendor inventory retrieved successfully');
+      }
+
+      const page = Math.max(1, parseInt(req.query.page) || 1);
+      const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+      const filter = { variantSku: { $regex: `^${vendor.skuPrefix}_` } };
+
+      if (req.query.storeId && !/^[0-9a-fA-F]{24}$/.test(req.query.storeId)) {
+        return ResponseHelper.error(res, 'Invalid storeId', 400, 'INVALID_STORE_ID');
+      }
+      const store = req.query.storeId
+        ? await Store.findById(req.query.storeId, { _id: 1 }).lean()
+        : null;
+      if (req.query.storeId && !store) {
+        return ResponseHelper.error(res, 'Store not found', 404, 'STORE_NOT_FOUND');
+      }
+
+      const [variants, total] = await Promise.all([
+        ProductVariant.find(filter)
+          .select('variantSku mainSku color size stockQty status preOrderDate updatedAt')
+          .sort({ variantSku: 1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        ProductVariant.countDocuments(filter)
+      ]);
+      const links = await StoreVariantLink.mapForStore(store?._id, variants.map(v => v.variantSku));
+
+      ResponseHelper.success(res, {
+        source: 'local',
+        storeId: store?._id || null,
+        inventory: variants.map(v => {
+          const link = links.get(v.variantSku) || {};
+          return {
+            ...v,
+            shopifyVariantId: link.shopifyVariantId || null,
+            lastKnownShopifyQty: link.lastKnownShopifyQty ?? null,
+            lastSyncAt: link.lastSyncAt || null,
+            lastSyncStatus: link.lastSyncStatus || null
+          };
+        }),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }, 'Vendor inventory retrieved successfully');
+    } catch (error) {
+      logger.error('Error retrieving vendor inventory:', error);
+      ResponseHelper.error(res, 'Failed to retrieve vendor inventory', error.status && error.status < 500 ? 502 : 500, 'VENDOR_INVENTORY_ERROR', { error: error.message });
+    }
+  }
+
+  /**
+   * Queue a product sync for this vendor (same job as POST /api/products/sync)
+   */
+  async syncVendor(req, res) {
+    try {
+      const vendor = await Vendor.findById(req.params.id);
+      if (!vendor) {
+        return ResponseHelper.error(res, 'Vendor not found', 404, 'VENDOR_NOT_FOUND');
+      }
+      if (!vendor.isActive) {
+        return ResponseHelper.error(res, 'Vendor is not active', 400, 'VENDOR_NOT_ACTIVE');
+      }
+
+      const existing = await SyncJob.findOne({
+        queueName: 'product-sync',
+        status: { $in: ['queued', 'active', 'delayed'] }
+      });
+      if (existing) {
+        return ResponseHelper.error(
+          res,
+          'A product sync job is already in progress. Please wait until it finishes.',
+          409,
+          'SYNC_ALREADY_RUNNING',
+          { currentJobId: existing.jobId }
+        );
+      }
+
+      const mode = req.body?.mode || 'full';
+      if (!['full', 'incremental'].includes(mode)) {
+        return ResponseHelper.error(res, "Invalid sync mode. Must be 'full' or 'incremental'", 400, 'INVALID_SYNC_MODE');
+      }
+
+      const jobId = uuidv4();
+      const limit = vendor.settings?.pageSize || 100;
+
+      await SyncJob.create({
+        jobId,
+        type: 'manual',
+        status: 'queued',
+        queueName: 'product-sync',
+        vendorId: vendor._id,
+        metadata: {
+          triggeredBy: req.user ? req.user.id : 'system'
+        }
+      });
+
+      await this.productSyncQueue.add(
+        'sync-products',
+        {
+          jobId,
+          vendorId: String(vendor._id),
+          options: { page: 1, limit, mode },
+          startedBy: req.user ? req.user.id : 'system'
+        },
+        {
+          jobId,
+          removeOnComplete: true,
+          removeOnFail: true
+        }
+      );
+
+      logger.info(`Product sync queued for vendor ${vendor.name}`, { vendorId: vendor._id, jobId });
+      ResponseHelper.success(res, {
+        jobId,
+        vendorId: vendor._id,
+        mode,
+        status: 'queued'
+      }, 'Vendor product sync has been queued', 202);
+    } catch (error) {
+      logger.error('Error starting vendor product sync:', error);
+      ResponseHelper.error(res, 'Failed to start vendor product sync', 500, 'VENDOR_SYNC_ERROR', { error: error.message });
+    }
+  }
+
+  /**
+   * Test vendor API connection and record the result on the vendor
+   */
+  async testConnection(req, res) {
+    try {
+      const vendor = await Vendor.findById(req.params.id);
+      if (!vendor) {
+        return ResponseHelper.error(res, 'Vendor not found', 404, 'VENDOR_NOT_FOUND');
+      }
+
+      const result = await this.getClient(vendor).testConnection();
+      await vendor.updateConnectionStatus(result.success ? 'connected' : 'error', result.success ? null : result.error);
+
+      ResponseHelper.success(res, {
+        success: result.success,
+        connectionStatus: vendor.connectionStatus,
+        totalSkus: result.totalSkus,
+        error: result.error,
+        testedAt: vendor.lastConnectionCheck
+      }, result.success ? 'Vendor connection successful' : 'Vendor connection failed');
+    } catch (error) {
+      logger.error('Error testing vendor connection:', error);
+      ResponseHelper.error(res, 'Failed to test vendor connection', 500, 'VENDOR_CONNECTION_TEST_ERROR');
+    }
+  }
+
+  /**
+   * Adapter for a vendor document
+   */
+  getClient(vendor) {
+    return getAdapter(vendor);
+  }
+}
+
+module.exports = new VendorController();
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const { ResponseHelper } = require('../utils/helpers');
+const logger = require('../utils/logger');
+const shopifyService = require('../services/shopify.service');
+const webhookService = require('../services/webhook.service');
+const Store = require('../models/Store');
+
+/**
+ * Webhook Controller
+ * Receives Shopify webhooks (unauthenticated; verified by HMAC)
+ */
+class WebhookController {
+  /**
+   * Receive a Shopify webhook for a store
+   * Headers: X-Shopify-Topic, X-Shopify-Hmac-Sha256, X-Shopify-Shop-Domain, X-Shopify-Webhook-Id
+   */
+  async receiveShopifyWebhook(req, res) {
+    const { storeId } = req.params;
+    const topic = req.get('X-Shopify-Topic');
+    const webhookId = req.get('X-Shopify-Webhook-Id');
+
+    try {
+      // HMAC must be checked against the exact bytes Shopify sent
+      if (!req.rawBody || !shopifyService.validateWebhook(req.rawBody, req.get('X-Shopify-Hmac-Sha256'))) {
+        logger.warn('Rejected Shopify webhook with invalid HMAC', { storeId, topic, ip: req.ip });
+        return ResponseHelper.error(res, 'Invalid webhook signature', 401, 'INVALID_WEBHOOK_SIGNATURE');
+      }
+
+      if (!mongoose.isValidObjectId(storeId)) {
+        return ResponseHelper.error(res, 'Store not found', 404, 'STORE_NOT_FOUND');
+      }
+      const store = await Store.findById(storeId);
+      if (!store) {
+        return ResponseHelper.error(res, 'Store not found', 404, 'STORE_NOT_FOUND');
+      }
+
+      const shopDomain = (req.get('X-Shopify-Shop-Domain') || '').toLowerCase();
+      if (shopDomain && shopDomain !== store.shopifyDomain) {
+        logger.warn('Shopify webhook shop domain does not match store', { storeId, topic, shopDomain });
+        return ResponseHelper.error(res, 'Webhook shop does not match store', 403, 'WEBHOOK_SHOP_MISMATCH');
+      }
+
+      const result = await webhookService.handle(store, topic, req.body || {});
+      logger.info(`Shopify webhook processed: ${topic}`, { storeId, webhookId, result });
+
+      // Shopify only needs a 2xx; unsupported topics are acknowledged so they are not retried
+      ResponseHelper.success(res, result, 'Webhook received');
+    } catch (error) {
+      // Non-2xx makes Shopify retry the delivery
+      logger.error(`Error processing Shopify webhook ${topic}:`, { storeId, webhookId, error: error.message });
+      ResponseHelper.error(res, 'Failed to process webhook', 500, 'WEBHOOK_PROCESSING_ERROR');
+    }
+  }
+}
+
+module.exports = new WebhookController();
@@ -1,6 +1,7 @@
 const logger = require('../utils/logger');
 const SyncJob = require('./sync-job');
 const Store = require('../models/Store');
+const Vendor = require('../models/Vendor');
 const SyncLog = require('../models/SyncLog');
 const batchService = require('../services/batch.service');
 
@@ -26,8 +27,8 @@ class BatchSyncJob {
 
       // Validate stores and vendors
       const [stores, vendors] = await Promise.all([
-        Store.find({ _id: { $in: storeIds }, connected: true, isActive: true }),
-        Vendor.find({ _id: { $in: vendorIds }, connected: true, isActive: true })
+        Store.find({ _id: { $in: storeIds }, connectionStatus: 'connected', isActive: true }),
+        Vendor.find({ _id: { $in: vendorIds }, status: 'active', connectionStatus: 'connected' })
       ]);
 
       if (stores.length === 0) {
@@ -2,8 +2,10 @@ const logger = require('../utils/logger');
 const SyncJob = require('./sync-job');
 const BatchSyncJob = require('./batch-sync-job');
 const Store = require('../models/Store');
+const Vendor = require('../models/Vendor');
 const SyncLog = require('../models/SyncLog');
 const SyncSchedule = require('../models/SyncSchedule');
+const ScheduleRun = require('../models/ScheduleRun');
 const syncService = require('../services/sync.service');
 
 /**
@@ -12,13 +14,18 @@ const syncService = require('../services/sync.service');
  */
 class ScheduledSyncJob {
   /**
-   * Process a scheduled sync job
+   * Process a scheduled sync job. The fire time (data.scheduledFor, default the current minute)
+   * is tracked as a ScheduleRun like the scheduler's own runs, so it runs at most once and its
+   * outcome updates the schedule, notifies and starts dependent schedules.
    * @param {Object} job - Bull job object
    * @param {Function} done - Callback function
    */
   static async process(job, done) {
     const { data } = job;
     const { scheduleId, scheduleName, syncConfig } = data;
+    // Required here: the scheduler requires the queue manager, which requires this job
+    const schedulerService = require('../services/scheduler.service');
+    let run = null;
 
     logger.info(`Starting scheduled sync job for schedule ${scheduleId}: ${scheduleName}`);
 
@@ -32,12 +39,24 @@ class ScheduledSyncJob {
         throw new Error(`Schedule ${scheduleId} not found`);
       }
 
-      if (!schedule.isActive) {
-        logger.info(`Schedule ${scheduleId} is inactive, skipping execution`);
-        done(null, { skipped: true, reason: 'Schedule inactive' });
+      const startedAt = Date.now();
+      const scheduledFor = data.scheduledFor ? new Date(data.scheduledFor) : schedulerService.currentFireTime();
+      run = await ScheduleRun.claim(schedule._id, scheduledFor, data.trigger || 'cron');
+      if (!run) {
+        logger.info(`Schedule ${scheduleId} already handled for ${scheduledFor.toISOString()}`);
+        done(null, { skipped: true, reason: 'Fire time already handled' });
         return;
       }
 
+      const check = await this.shouldScheduleRun(schedule);
+      if (!check.shouldRun) {
+        logger.info(`Schedule ${scheduleId} skipped: ${check.reason}`);
+        await schedulerService.recordSkip(schedule, run, startedAt, check.reason);
+        done(null, { skipped: true, reason: check.reason, runId: run._id });
+        return;
+      }
+      await ScheduleRun.markStarted(run._id);
+
       // Update schedule last run time
       schedule.lastRun = new Date();
       schedule.runCount = (schedule.runCount || 0) + 1;
@@ -46,7 +65,12 @@ class ScheduledSyncJob {
       await job.progress(10);
 
       // Determine sync targets based on schedule configuration
-      const { storeIds, vendorIds, syncType, options = {} } = syncConfig;
+      const { storeIds, vendorIds, syncType, options: syncOptions = {} } = syncConfig;
+      const options = {
+        overlapPolicy: schedule.overlapPolicy,
+        ...schedulerService.getSyncModeOptions(schedule.syncConfig),
+        ...syncOptions
+      };
 
       // Validate and get active stores and vendors
       let stores, vendors;
@@ -54,13 +78,13 @@ class ScheduledSyncJob {
       if (storeIds && storeIds.length > 0) {
         stores = await Store.find({ 
           _id: { $in: storeIds }, 
-          connected: true, 
+          connectionStatus: 'connected', 
           isActive: true 
         });
       } else {
         // Get all active connected stores if none specified
         stores = await Store.find({ 
-          connected: true, 
+          connectionStatus: 'connected', 
           isActive: true 
         });
       }
@@ -68,14 +92,14 @@ class ScheduledSyncJob {
       if (vendorIds && vendorIds.length > 0) {
         vendors = await Vendor.find({ 
           _id: { $in: vendorIds }, 
-          connected: true, 
-          isActive: true 
+          status: 'active', 
+          connectionStatus: 'connected' 
         });
       } else {
         // Get all active connected vendors if none specified
         vendors = await Vendor.find({ 
-          connected: true, 
-          isActive: true 
+          status: 'active', 
+          connectionStatus: 'connected' 
         });
       }
 
@@ -139,6 +163,7 @@ class ScheduledSyncJob {
       await schedule.save();
 
       logger.info(`Scheduled sync job for schedule ${scheduleId} completed successfully`, syncResult);
+      await this.finishRun(run, 'success', { syncLogId: scheduledSyncLog._id }, syncResult);
       done(null, syncResult);
 
     } catch (error) {
@@ -152,6 +177,9 @@ class ScheduledSyncJob {
         schedule.lastErrorAt = new Date();
         await schedule.save();
       }
+      if (run) {
+        await this.finishRun(run, 'failed', { error: error.message });
+      }
 
       // Update scheduled sync log with error
       await SyncLog.findOneAndUpdate(
@@ -168,6 +196,20 @@ class ScheduledSyncJob {
     }
   }
 
+  /**
+   * Finish the job's schedule run and hand it to the scheduler (schedule stats, notifications,
+   * dependent schedules). Never throws.
+   */
+  static async finishRun(run, status, fields = {}, result = null) {
+    try {
+      const finished = await ScheduleRun.finish(run._id, status, fields);
+      const schedulerService = require('../services/scheduler.service');
+      await schedulerService.completeRun(run.scheduleId, finished, result);
+    } catch (error) {
+      logger.error(`Error recording schedule run ${run._id}:`, error);
+    }
+  }
+
   /**
    * Execute batch sync strategy
    */
@@ -403,9 +445,10 @@ class ScheduledSyncJob {
    * Check if schedule should run based on conditions
    */
   static async shouldScheduleRun(schedule) {
-    // Check if schedule is active
-    if (!schedule.isActive) {
-      return { shouldRun: false, reason: 'Schedule is inactive' };
+    // Check if schedule is active, outside blackout windows and its runAfter schedules succeeded
+    const blockReason = await schedule.getBlockReason();
+    if (blockReason) {
+      return { shouldRun: false, reason: blockReason };
     }
 
     // Check if within allowed time window
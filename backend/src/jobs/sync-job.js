@@ -2,17 +2,27 @@ const logger = require('../utils/logger');
 const shopifyService = require('../services/shopify.service');
 const noxaService = require('../services/noxa.service');
 const inventoryService = require('../services/inventory.service');
+const inventoryRulesService = require('../services/inventory-rules.service');
 const Store = require('../models/Store');
+const Vendor = require('../models/Vendor');
 const SyncLog = require('../models/SyncLog');
+const SyncSchedule = require('../models/SyncSchedule');
+const ScheduleRun = require('../models/ScheduleRun');
+const syncLockService = require('../services/sync-lock.service');
 const { decryptData } = require('../utils/encryption');
 
+// Processing loops look for a schedule blackout of the store+vendor at most this often
+const BLACKOUT_CHECK_INTERVAL_MS = 60000;
+
 /**
  * Sync Job Handler
  * Handles individual sync operations between stores and vendors
  */
 class SyncJob {
   /**
-   * Process a sync job
+   * Process a sync job. Runs under the store+vendor sync lock; when another sync holds it,
+   * options.overlapPolicy (skip | queue | cancel-previous) decides what happens. Waiting jobs are
+   * re-queued with a delay (options.lockWaitUntil carries the deadline) and fail once it passes.
    * @param {Object} job - Bull job object
    * @param {Function} done - Callback function
    */
@@ -22,6 +32,142 @@ class SyncJob {
 
     logger.info(`Starting sync job ${syncId}: ${syncType} sync between store ${storeId} and vendor ${vendorId}`);
 
+    try {
+      const holder = {
+        syncId,
+        jobId: String(job.id),
+        type: options.scheduledSync ? 'scheduled' : options.batchSync ? 'batch' : 'manual',
+        scheduleId: options.scheduleId ? String(options.scheduleId) : null,
+        startedAt: new Date().toISOString()
+      };
+      const outcome = await syncLockService.runQueued({ storeId, vendorId }, holder, options, async (lock) => {
+        job.syncLock = lock;
+        if (options.scheduleRunId) {
+          await ScheduleRun.markStarted(options.scheduleRunId);
+        }
+        return this.run(job);
+      }, retryOptions => this.requeue(job, retryOptions));
+
+      if (outcome.skipped) {
+        logger.info(`Sync job ${syncId} skipped: ${outcome.reason}`, { lockedBy: outcome.lockedBy });
+        await this.finishScheduleRun(options, syncId, 'skipped', { skipReason: outcome.reason });
+        done(null, { skipped: true, reason: outcome.reason, lockedBy: outcome.lockedBy });
+        return;
+      }
+      if (outcome.deferred) {
+        logger.info(`Sync job ${syncId} waiting for the running sync; retrying as job ${outcome.retryJobId}`, { lockedBy: outcome.lockedBy });
+        done(null, { deferred: true, retryJobId: outcome.retryJobId, lockedBy: outcome.lockedBy });
+        return;
+      }
+      const cancelled = Boolean(outcome.result && outcome.result.cancelled);
+      await this.finishScheduleRun(
+        options,
+        syncId,
+        cancelled ? 'cancelled' : 'success',
+        cancelled ? { error: outcome.result.cancelReason } : {},
+        outcome.result
+      );
+      done(null, outcome.result);
+    } catch (error) {
+      // Retrying the job cannot help once the wait for the lock is over
+      if (error.code === 'SYNC_LOCK_TIMEOUT' && typeof job.discard === 'function') job.discard();
+      // Bull retries failed jobs; the run stays open until the last attempt
+      if (this.isFinalAttempt(job)) {
+        await this.finishScheduleRun(options, syncId, 'failed', { error: error.message });
+      }
+      done(error);
+    }
+  }
+
+  /**
+   * Whether a failure of this attempt is final (no Bull retry follows)
+   * @param {Object} job - Bull job object
+   * @returns {boolean}
+   */
+  static isFinalAttempt(job) {
+    if (typeof job.isDiscarded === 'function' && job.isDiscarded()) return true;
+    const attempts = (job.opts && job.opts.attempts) || 1;
+    return (job.attemptsMade || 0) + 1 >= attempts;
+  }
+
+  /**
+   * Queue the job again after the lock retry delay; the schedule run follows the new job
+   * @param {Object} job - Bull job object
+   * @param {Object} options - Job options for the retry
+   * @returns {Promise<Object>} - The new Bull job
+   */
+  static async requeue(job, options) {
+    // Required here: the queue manager requires this job
+    const queueManager = require('../queues/queue-manager');
+    if (!queueManager.getQueue('sync')) {
+      throw new Error('Sync queue is not initialized; cannot wait for the running sync');
+    }
+    const retry = await queueManager.addSyncJob({ ...job.data, options }, { delay: syncLockService.retryDelayMs });
+    if (options.scheduleRunId) {
+      await ScheduleRun.updateOne({ _id: options.scheduleRunId }, { jobId: String(retry.id) });
+    }
+    return retry;
+  }
+
+  /**
+   * Record the outcome on the schedule run that queued this job (options.scheduleRunId),
+   * linked to the job's SyncLog, and hand it to the scheduler (schedule stats, notifications,
+   * dependent schedules). Never throws.
+   * @param {Object} options - Job options
+   * @param {string} syncId
+   * @param {string} status - success | failed | skipped | cancelled
+   * @param {Object} [fields] - error, skipReason
+   * @param {Object} [result] - Sync result
+   */
+  static async finishScheduleRun(options, syncId, status, fields = {}, result = null) {
+    if (!options.scheduleRunId) return;
+    try {
+      const syncLog = await SyncLog.findOne({ syncId }, { _id: 1 }).lean();
+      const run = await ScheduleRun.finish(options.scheduleRunId, status, {
+        ...fields,
+        syncLogId: syncLog ? syncLog._id : null
+      });
+
+      // Required here: the scheduler requires the queue manager, which requires this job
+      const schedulerService = require('../services/scheduler.service');
+      await schedulerService.completeRun(options.scheduleId, run, result);
+    } catch (error) {
+      logger.error(`Error recording schedule run ${options.scheduleRunId}:`, error);
+    }
+  }
+
+  /**
+   * Checkpoint of the processing loops: stop when a newer run asked this one to (cancel-previous)
+   * or a schedule of the store+vendor entered a blackout window. Sets job.stopReason.
+   * @param {Object} job - Bull job object (job.syncLock set)
+   * @returns {Promise<boolean>}
+   */
+  static async shouldStop(job) {
+    if (job.stopReason) return true;
+    if (job.syncLock && await job.syncLock.isCancelRequested()) {
+      job.stopReason = 'Cancelled by a newer run';
+      return true;
+    }
+
+    if (Date.now() - (job.lastBlackoutCheck || 0) < BLACKOUT_CHECK_INTERVAL_MS) return false;
+    job.lastBlackoutCheck = Date.now();
+    const blackout = await SyncSchedule.findActiveBlackout(job.data.storeId, job.data.vendorId);
+    if (blackout) {
+      const name = blackout.window.name ? ` "${blackout.window.name}"` : '';
+      job.stopReason = `Stopped by blackout window${name} of schedule ${blackout.schedule.name}`;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Run a sync job while holding its lock
+   * @param {Object} job - Bull job object (job.syncLock set)
+   * @returns {Promise<Object>} - Sync result
+   */
+  static async run(job) {
+    const { syncId, storeId, vendorId, syncType, options = {} } = job.data;
+
     try {
       // Update job progress
       await job.progress(10);
@@ -40,10 +186,14 @@ class SyncJob {
         throw new Error(`Vendor ${vendorId} not found`);
       }
 
-      if (!store.connected || !vendor.connected) {
+      if (store.connectionStatus !== 'connected' || vendor.connectionStatus !== 'connected') {
         throw new Error('Store or vendor is not connected');
       }
 
+      if (vendor.status !== 'active') {
+        throw new Error(`Vendor ${vendorId} is not active`);
+      }
+
       // Create sync log entry
       const syncLog = new SyncLog({
         syncId,
@@ -79,11 +229,18 @@ class SyncJob {
           throw new Error(`Unknown sync type: ${syncType}`);
       }
 
+      // A newer run with the cancel-previous policy, or a blackout window, stopped this one early
+      const cancelled = Boolean(job.stopReason);
+      if (cancelled) {
+        syncResult.cancelled = true;
+        syncResult.cancelReason = job.stopReason;
+      }
+
       // Update sync log with results
       await SyncLog.findOneAndUpdate(
         { syncId },
         {
-          status: 'completed',
+          status: cancelled ? 'cancelled' : 'completed',
           completedAt: new Date(),
           result: syncResult,
           productsProcessed: syncResult.productsProcessed || 0,
@@ -92,8 +249,8 @@ class SyncJob {
         }
       );
 
-      logger.info(`Sync job ${syncId} completed successfully`, syncResult);
-      done(null, syncResult);
+      logger.info(`Sync job ${syncId} ${cancelled ? `stopped: ${job.stopReason}` : 'completed successfully'}`, syncResult);
+      return syncResult;
 
     } catch (error) {
       logger.error(`Sync job ${syncId} failed:`, error);
@@ -109,7 +266,7 @@ class SyncJob {
         }
       );
 
-      done(error);
+      throw error;
     }
   }
 
@@ -162,8 +319,11 @@ class SyncJob {
 
       const totalMappings = mappings.length;
       let processedMappings = 0;
+      // Vendor -> Shopify location allocations (Store.settings.locationMappings), resolved once per vendor
+      const locationPlan = inventoryService.getLocationPlan(store._id);
 
       for (const mapping of mappings) {
+        if (await this.shouldStop(job)) break;
         try {
           // Get vendor inventory for this SKU
           const vendorInventory = await noxaService.getInventory(vendor._id, {
@@ -174,22 +334,25 @@ class SyncJob {
 
           if (vendorInventory && vendorInventory.length > 0) {
             const vendorStock = vendorInventory[0];
-            let newQuantity = vendorStock.quantity;
 
-            // Apply inventory buffer if configured
+            // Store inventory rules first, then the mapping's own buffer
+            const ruleResult = await inventoryRulesService.evaluateForSku(store, mapping.vendorSku, Number(vendorStock.quantity) || 0);
+            let newQuantity = ruleResult.quantity;
             if (mapping.syncSettings.inventoryBuffer > 0) {
               newQuantity = Math.max(0, newQuantity - mapping.syncSettings.inventoryBuffer);
             }
 
-            // Update Shopify inventory
-            await shopifyService.updateInventory({
-              storeId: store._id,
-              variantId: mapping.shopifyVariantId,
-              inventoryItemId: mapping.shopifyInventoryItemId,
-              quantity: newQuantity,
-              shopDomain: store.shopDomain,
-              accessToken: storeAccessToken
-            });
+            // Update Shopify inventory at each mapped location (compare-and-set against the last known quantity)
+            const targets = inventoryService.splitQuantity(newQuantity, await locationPlan.allocationsFor(mapping.vendorSku));
+            for (const target of targets) {
+              await inventoryService.setInventoryItemQuantity(
+                store._id,
+                mapping.shopifyInventoryItemId,
+                target.quantity,
+                target.locationId,
+                { jobId: String(job.id) }
+              );
+            }
 
             inventoryUpdated++;
             logger.debug(`Updated inventory for SKU ${mapping.vendorSku}: ${newQuantity}`);
@@ -245,6 +408,7 @@ class SyncJob {
       const totalProducts = products.length;
 
       for (let i = 0; i < products.length; i++) {
+        if (await this.shouldStop(job)) break;
         const product = products[i];
 
         try {
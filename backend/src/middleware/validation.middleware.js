@@ -1,5 +1,5 @@
 const Joi = require('joi');
-const { ResponseHelper } = require('../utils/helpers');
+const { ResponseHelper, DateHelper } = require('../utils/helpers');
 const logger = require('../utils/logger');
 
 /**
@@ -7,6 +7,102 @@ const logger = require('../utils/logger');
  * Provides request validation using Joi schemas
  */
 
+// Vendor.settings
+const vendorSettingsSchema = Joi.object({
+  pageSize: Joi.number().integer().min(1).max(1000),
+  batchConcurrency: Joi.number().integer().min(1).max(10),
+  timeoutMs: Joi.number().integer().min(1000).max(300000),
+  recentChangeHours: Joi.number().min(0).max(720),
+  lowStockThreshold: Joi.number().integer().min(0),
+  incrementalRefreshHours: Joi.number().min(1).max(720),
+  discontinueGraceHours: Joi.number().min(0).max(2160),
+  discontinuedAction: Joi.string().valid('zero', 'archive')
+});
+
+// File feed settings for 'feed' vendors
+const vendorFeedSchema = Joi.object({
+  source: Joi.string().valid('local', 'sftp').default('local'),
+  directory: Joi.string().required().max(500),
+  filePattern: Joi.string().optional().max(100),
+  delimiter: Joi.string().optional().length(1),
+  sheetName: Joi.string().optional().max(100),
+  sftp: Joi.object({
+    host: Joi.string().required().hostname(),
+    port: Joi.number().integer().min(1).max(65535).default(22),
+    username: Joi.string().required(),
+    password: Joi.string().optional(),
+    privateKey: Joi.string().optional()
+  }).or('password', 'privateKey').when('source', { is: 'sftp', then: Joi.required() }),
+  columnMapping: Joi.object({
+    mainSku: Joi.string().required(),
+    color: Joi.string().required(),
+    size: Joi.string().required(),
+    stockQty: Joi.string().required(),
+    preOrderDate: Joi.string().optional().allow(''),
+    status: Joi.string().optional().allow(''),
+    tags: Joi.string().optional().allow('')
+  }).optional()
+});
+
+// Store.settings.inventoryRules (also accepted as a draft by the rules preview)
+const ruleValuesSchema = {
+  zeroBelow: Joi.number().integer().min(0),
+  safetyBuffer: Joi.number().integer().min(0),
+  allocationPercent: Joi.number().min(0).max(100),
+  maxQuantity: Joi.number().integer().min(0).allow(null)
+};
+const inventoryRulesSchema = Joi.object({
+  ...ruleValuesSchema,
+  overrides: Joi.array().max(500).items(Joi.object({
+    mainSku: Joi.string().max(100),
+    color: Joi.string().max(100),
+    size: Joi.string().max(50),
+    tag: Joi.string().max(100),
+    ...ruleValuesSchema
+  }).or('mainSku', 'color', 'size', 'tag').or('zeroBelow', 'safetyBuffer', 'allocationPercent', 'maxQuantity'))
+});
+
+// SyncSchedule.notifications
+const scheduleNotificationsSchema = Joi.object({
+  onSuccess: Joi.boolean(),
+  onFailure: Joi.boolean(),
+  onPartialFailure: Joi.boolean(),
+  onSkipped: Joi.boolean(),
+  email: Joi.string().allow('', null).max(1000).custom((value, helpers) => {
+    const invalid = String(value || '').split(',').map(a => a.trim()).filter(Boolean)
+      .find(address => Joi.string().email().validate(address).error);
+    return invalid ? helpers.message(`Invalid notification email: ${invalid}`) : value;
+  }),
+  webhook: Joi.string().allow('', null).uri({ scheme: ['http', 'https'] }).max(2000),
+  webhookFormat: Joi.string().valid('json', 'slack')
+});
+
+// IANA timezone name, e.g. America/New_York
+const timezoneSchema = Joi.string().max(100).custom((value, helpers) => (
+  DateHelper.isValidTimezone(value) ? value : helpers.message(`Unknown timezone: ${value}`)
+));
+
+// SyncSchedule.blackoutWindows item: a date range or a weekly time range
+const blackoutWindowSchema = Joi.object({
+  name: Joi.string().max(100).optional(),
+  startsAt: Joi.date().iso(),
+  endsAt: Joi.date().iso().greater(Joi.ref('startsAt')),
+  daysOfWeek: Joi.array().items(Joi.number().integer().min(0).max(6)).min(1).unique(),
+  startTime: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/),
+  endTime: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+}).and('startsAt', 'endsAt').and('daysOfWeek', 'startTime', 'endTime').xor('startsAt', 'daysOfWeek');
+
+// Rejects schedules whose cron expression is invalid or never fires in their timezone
+const cronFires = (value, helpers) => {
+  if (!value.cronExpression) return value;
+  try {
+    DateHelper.getNextCronExecution(value.cronExpression, value.timezone || 'UTC');
+    return value;
+  } catch (error) {
+    return helpers.message(`Invalid cron expression: ${error.message}`);
+  }
+};
+
 // Common validation schemas
 const schemas = {
   // Store validation
@@ -20,7 +116,44 @@ const schemas = {
     update: Joi.object({
       name: Joi.string().optional().min(1).max(100),
       description: Joi.string().optional().max(500),
-      settings: Joi.object().optional()
+      settings: Joi.object({
+        locationMappings: Joi.array().items(Joi.object({
+          vendorKey: Joi.string().required().pattern(/^([a-zA-Z0-9]+|\*)$/),
+          locationId: Joi.string().required().pattern(/^gid:\/\/shopify\/Location\/\d+$/),
+          locationName: Joi.string().optional().allow('', null).max(200),
+          split: Joi.number().optional().min(0).max(100)
+        })).optional(),
+        preOrders: Joi.object({
+          enabled: Joi.boolean().optional(),
+          metafieldNamespace: Joi.string().optional().min(3).max(255),
+          metafieldKey: Joi.string().optional().min(2).max(64).pattern(/^[a-zA-Z0-9_-]+$/)
+        }).optional(),
+        inventoryRules: inventoryRulesSchema.optional()
+      }).unknown(true).optional()
+    }),
+    webhooks: Joi.object({
+      topics: Joi.array()
+        .items(Joi.string().valid('inventory_levels/update', 'products/update', 'products/delete', 'app/uninstalled'))
+        .min(1)
+        .unique()
+        .optional()
+    }),
+    skuAlias: Joi.object({
+      shopifySkus: Joi.array().items(Joi.string().trim().min(1).max(200)).max(20).unique().default([]),
+      shopifyVariantIds: Joi.array()
+        .items(Joi.string().pattern(/^(gid:\/\/shopify\/ProductVariant\/)?\d+$/))
+        .max(20)
+        .unique()
+        .default([]),
+      note: Joi.string().optional().allow('').max(500)
+    }).custom((value, helpers) => (
+      value.shopifySkus.length || value.shopifyVariantIds.length
+        ? value
+        : helpers.message('At least one of shopifySkus or shopifyVariantIds is required')
+    )),
+    skuAliasImport: Joi.object({
+      csv: Joi.string().required().min(1),
+      replace: Joi.boolean().default(false)
     })
   },
 
@@ -28,17 +161,22 @@ const schemas = {
   vendor: {
     create: Joi.object({
       name: Joi.string().required().min(1).max(100),
-      apiUrl: Joi.string().required().uri(),
-      apiKey: Joi.string().required().min(10),
+      type: Joi.string().valid('noxa', 'feed').default('noxa'),
+      apiUrl: Joi.string().uri().when('type', { is: 'noxa', then: Joi.required() }),
+      apiKey: Joi.string().min(10).when('type', { is: 'noxa', then: Joi.required() }),
+      feed: vendorFeedSchema.when('type', { is: 'feed', then: Joi.required(), otherwise: Joi.forbidden() }),
+      skuPrefix: Joi.string().required().pattern(/^[a-zA-Z0-9]+$/).max(30),
       description: Joi.string().optional().max(500),
-      settings: Joi.object().optional()
+      settings: vendorSettingsSchema.optional()
     }),
     update: Joi.object({
       name: Joi.string().optional().min(1).max(100),
       apiUrl: Joi.string().optional().uri(),
       apiKey: Joi.string().optional().min(10),
+      feed: vendorFeedSchema.optional(),
       description: Joi.string().optional().max(500),
-      settings: Joi.object().optional()
+      status: Joi.string().optional().valid('active', 'inactive'),
+      settings: vendorSettingsSchema.optional()
     })
   },
 
@@ -52,7 +190,8 @@ const schemas = {
         direction: Joi.string().valid('vendor-to-store', 'store-to-vendor').default('vendor-to-store'),
         dryRun: Joi.boolean().default(false),
         createMissing: Joi.boolean().default(false),
-        updateExisting: Joi.boolean().default(true)
+        updateExisting: Joi.boolean().default(true),
+        overlapPolicy: Joi.string().valid('skip', 'queue', 'cancel-previous').optional()
       }).optional()
     }),
     batch: Joi.object({
@@ -68,6 +207,21 @@ const schemas = {
     })
   },
 
+  // Shopify sync validation
+  shopify: {
+    syncWithShopify: Joi.object({
+      storeId: Joi.string().required().pattern(/^[0-9a-fA-F]{24}$/),
+      maxUpdates: Joi.number().integer().min(0).default(0),
+      onlyMissingShopifyFields: Joi.boolean().default(false),
+      updateOutOfStock: Joi.boolean().default(true),
+      bulkImport: Joi.boolean().default(false),
+      dryRun: Joi.boolean().default(false)
+    }),
+    importCatalog: Joi.object({
+      storeId: Joi.string().required().pattern(/^[0-9a-fA-F]{24}$/)
+    })
+  },
+
   // Mapping validation
   mapping: {
     create: Joi.object({
@@ -115,13 +269,49 @@ const schemas = {
         syncType: Joi.string().valid('inventory', 'products', 'full').default('inventory'),
         direction: Joi.string().valid('vendor-to-store', 'store-to-vendor').default('vendor-to-store'),
         options: Joi.object().optional()
-      }).required()
-    }),
+      }).required(),
+      timezone: timezoneSchema.optional(),
+      overlapPolicy: Joi.string().valid('skip', 'queue', 'cancel-previous').optional(),
+      catchUpPolicy: Joi.string().valid('run-once', 'run-all', 'skip').optional(),
+      blackoutWindows: Joi.array().items(blackoutWindowSchema).max(50).optional(),
+      runAfter: Joi.array().items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/)).max(10).unique().optional(),
+      notifications: scheduleNotificationsSchema.optional()
+    }).custom(cronFires),
     update: Joi.object({
       name: Joi.string().optional().min(1).max(100),
       cronExpression: Joi.string().optional(),
+      timezone: timezoneSchema.optional(),
       syncConfig: Joi.object().optional(),
-      isActive: Joi.boolean().optional()
+      isActive: Joi.boolean().optional(),
+      overlapPolicy: Joi.string().valid('skip', 'queue', 'cancel-previous').optional(),
+      catchUpPolicy: Joi.string().valid('run-once', 'run-all', 'skip').optional(),
+      blackoutWindows: Joi.array().items(blackoutWindowSchema).max(50).optional(),
+      runAfter: Joi.array().items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/)).max(10).unique().optional(),
+      notifications: scheduleNotificationsSchema.optional()
+    }).custom(cronFires),
+    testNotification: Joi.object({
+      event: Joi.string().valid('success', 'failure', 'partial_failure', 'skipped').default('failure')
+    })
+  },
+
+  // Inventory validation
+  inventory: {
+    fixDiscrepancies: Joi.object({
+      storeId: Joi.string().required().pattern(/^[0-9a-fA-F]{24}$/),
+      variantSkus: Joi.array().items(Joi.string().max(200)).min(1).max(500).unique().required()
+    }),
+    acceptUnmatched: Joi.object({
+      shopifyVariantId: Joi.string().required().pattern(/^gid:\/\/shopify\/ProductVariant\/\d+$/)
+    }),
+    unmatchedNotSold: Joi.object({
+      note: Joi.string().optional().allow('').max(500)
+    }),
+    rulesPreview: Joi.object({
+      storeId: Joi.string().required().pattern(/^[0-9a-fA-F]{24}$/),
+      rules: inventoryRulesSchema.optional(),
+      skus: Joi.array().items(Joi.string().max(200)).max(500).optional(),
+      mainSku: Joi.string().optional().max(100),
+      limit: Joi.number().integer().min(1).max(500).default(50)
     })
   },
 
@@ -152,7 +342,75 @@ const schemas = {
       variantSku: Joi.string().optional().max(200),
       search: Joi.string().optional().max(200),
       stockQtyMin: Joi.number().optional(),
-      stockQtyMax: Joi.number().optional()
+      stockQtyMax: Joi.number().optional(),
+      storeId: Joi.string().required().pattern(/^[0-9a-fA-F]{24}$/)
+    }),
+    // Vendor vs Shopify discrepancy filters
+    inventoryDiscrepancies: Joi.object({
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(200).default(50),
+      storeId: Joi.string().required().pattern(/^[0-9a-fA-F]{24}$/),
+      classification: Joi.string().optional()
+        .pattern(/^(unlinked|stale|shopify_higher|vendor_higher)(,(unlinked|stale|shopify_higher|vendor_higher))*$/),
+      vendorKey: Joi.string().optional().pattern(/^[a-zA-Z0-9]+$/),
+      sku: Joi.string().optional().max(200),
+      minDifference: Joi.number().integer().min(0).default(0),
+      staleHours: Joi.number().min(1).max(720).default(24),
+      refresh: Joi.boolean().default(false)
+    }),
+    // SKU alias list filters
+    skuAliases: Joi.object({
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(200).default(50),
+      sku: Joi.string().optional().max(200)
+    }),
+    // Schedule notification delivery filters
+    notificationDeliveries: Joi.object({
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(200).default(50),
+      status: Joi.string().valid('pending', 'sent', 'failed').optional(),
+      event: Joi.string().valid('success', 'failure', 'partial_failure', 'skipped').optional()
+    }),
+    // Cron expression preview
+    cronPreview: Joi.object({
+      expression: Joi.string().required().max(100),
+      timezone: timezoneSchema.default('UTC'),
+      count: Joi.number().integer().min(1).max(50).default(5),
+      from: Joi.date().iso().optional()
+    }),
+    // Schedule run history filters (scheduled time range)
+    scheduleRuns: Joi.object({
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(200).default(50),
+      status: Joi.string().valid('queued', 'running', 'success', 'failed', 'skipped', 'cancelled', 'missed').optional(),
+      trigger: Joi.string().valid('cron', 'catch-up', 'dependency').optional(),
+      from: Joi.date().iso().optional(),
+      to: Joi.date().iso().optional()
+    }),
+    // Unmatched SKU queue filters
+    unmatchedSkus: Joi.object({
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(200).default(50),
+      storeId: Joi.string().required().pattern(/^[0-9a-fA-F]{24}$/),
+      status: Joi.string().valid('open', 'matched', 'not_sold').default('open'),
+      sku: Joi.string().optional().max(200)
+    }),
+    unmatchedSku: Joi.object({
+      refresh: Joi.boolean().default(false)
+    }),
+    unmatchedSearch: Joi.object({
+      q: Joi.string().required().min(1).max(200),
+      limit: Joi.number().integer().min(1).max(50).default(10)
+    }),
+    // Inventory history filters
+    inventoryHistory: Joi.object({
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(200).default(50),
+      field: Joi.string().valid('stockQty', 'shopifyQty').optional(),
+      source: Joi.string().valid('vendor-sync', 'vendor-import', 'discontinued', 'shopify-push', 'shopify-webhook').optional(),
+      from: Joi.date().iso().optional(),
+      to: Joi.date().iso().optional(),
+      storeId: Joi.string().optional().pattern(/^[0-9a-fA-F]{24}$/)
     }),
     search: Joi.object({
       query: Joi.string().optional().max(100),
@@ -273,6 +531,28 @@ const mongoIdSchema = Joi.object({
   })
 });
 
+/**
+ * Store webhook subscription params (:id + numeric subscription id)
+ */
+const storeWebhookParamsSchema = Joi.object({
+  id: Joi.string().required().pattern(/^[0-9a-fA-F]{24}$/).messages({
+    'string.pattern.base': 'Invalid ID format'
+  }),
+  subscriptionId: Joi.string().required().pattern(/^\d+$/).messages({
+    'string.pattern.base': 'Invalid subscription ID format'
+  })
+});
+
+/**
+ * Store SKU alias params (:id + vendor variantSku)
+ */
+const storeSkuAliasParamsSchema = Joi.object({
+  id: Joi.string().required().pattern(/^[0-9a-fA-F]{24}$/).messages({
+    'string.pattern.base': 'Invalid ID format'
+  }),
+  variantSku: Joi.string().required().max(200)
+});
+
 /**
  * Common validation middleware functions
  */
@@ -294,6 +574,9 @@ const validate = {
   
   // Inventory list query validation
   inventoryList: validateQuery(schemas.query.inventoryList),
+
+  // Inventory history query validation
+  inventoryHistory: validateQuery(schemas.query.inventoryHistory),
   
   // Search validation
   search: validateQuery(schemas.query.search),
@@ -301,7 +584,13 @@ const validate = {
   // Store validation
   store: {
     create: validateBody(schemas.store.create),
-    update: validateBody(schemas.store.update)
+    update: validateBody(schemas.store.update),
+    webhooks: validateBody(schemas.store.webhooks),
+    webhookParams: validateParams(storeWebhookParamsSchema),
+    skuAlias: validateBody(schemas.store.skuAlias),
+    skuAliasImport: validateBody(schemas.store.skuAliasImport),
+    skuAliasParams: validateParams(storeSkuAliasParamsSchema),
+    skuAliases: validateQuery(schemas.query.skuAliases)
   },
   
   // Vendor validation
@@ -316,6 +605,12 @@ const validate = {
     batch: validateBody(schemas.sync.batch)
   },
   
+  // Shopify sync validation
+  shopify: {
+    syncWithShopify: validateBody(schemas.shopify.syncWithShopify),
+    importCatalog: validateBody(schemas.shopify.importCatalog)
+  },
+
   // Mapping validation
   mapping: {
     create: validateBody(schemas.mapping.create),
@@ -326,9 +621,25 @@ const validate = {
   // Cron validation
   cron: {
     create: validateBody(schemas.cron.create),
-    update: validateBody(schemas.cron.update)
+    update: validateBody(schemas.cron.update),
+    testNotification: validateBody(schemas.cron.testNotification),
+    notificationDeliveries: validateQuery(schemas.query.notificationDeliveries),
+    runs: validateQuery(schemas.query.scheduleRuns),
+    preview: validateQuery(schemas.query.cronPreview)
   },
   
+  // Inventory validation
+  inventory: {
+    rulesPreview: validateBody(schemas.inventory.rulesPreview),
+    fixDiscrepancies: validateBody(schemas.inventory.fixDiscrepancies),
+    discrepancies: validateQuery(schemas.query.inventoryDiscrepancies),
+    unmatchedList: validateQuery(schemas.query.unmatchedSkus),
+    unmatchedGet: validateQuery(schemas.query.unmatchedSku),
+    unmatchedSearch: validateQuery(schemas.query.unmatchedSearch),
+    acceptUnmatched: validateBody(schemas.inventory.acceptUnmatched),
+    unmatchedNotSold: validateBody(schemas.inventory.unmatchedNotSold)
+  },
+
   // Auth validation
   auth: {
     login: validateBody(schemas.auth.login),
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+
+// Entries expire after this many days (TTL index on createdAt)
+const RETENTION_DAYS = Number(process.env.INVENTORY_HISTORY_RETENTION_DAYS || 90);
+
+const SOURCES = ['vendor-sync', 'vendor-import', 'discontinued', 'shopify-push', 'shopify-webhook'];
+
+/**
+ * Append-only log of quantity changes per variant.
+ * field 'stockQty' is the vendor quantity stored on ProductVariant; 'shopifyQty' is the
+ * available quantity at one Shopify location (storeId + locationId).
+ */
+const inventoryHistorySchema = new mongoose.Schema({
+  variantSku: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  field: {
+    type: String,
+    enum: ['stockQty', 'shopifyQty'],
+    required: true
+  },
+  oldQty: {
+    type: Number,
+    default: null
+  },
+  newQty: {
+    type: Number,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: SOURCES,
+    required: true
+  },
+  // SyncJob.jobId of the run that made the change, when there was one
+  jobId: {
+    type: String,
+    default: null
+  },
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    default: null
+  },
+  locationId: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: RETENTION_DAYS * 24 * 3600
+  }
+}, {
+  versionKey: false
+});
+
+inventoryHistorySchema.index({ variantSku: 1, createdAt: -1 });
+inventoryHistorySchema.index({ jobId: 1 });
+
+/**
+ * Append entries, dropping those whose quantity did not change.
+ * History is best effort: failures are logged and never break the write that triggered them.
+ * @param {Array<Object>} entries - { variantSku, field, oldQty, newQty, source, jobId?, storeId?, locationId? }
+ * @returns {Promise<number>} - Entries written
+ */
+inventoryHistorySchema.statics.record = async function(entries = []) {
+  const changed = entries.filter(e => e && typeof e.newQty === 'number' && e.oldQty !== e.newQty);
+  if (!changed.length) return 0;
+  try {
+    const now = new Date();
+    await this.insertMany(changed.map(e => ({ ...e, oldQty: e.oldQty ?? null, createdAt: now })), { ordered: false });
+    return changed.length;
+  } catch (error) {
+    logger.warn(`Failed to record inventory history: ${error.message}`, { entries: changed.length });
+    return 0;
+  }
+};
+
+inventoryHistorySchema.statics.SOURCES = SOURCES;
+inventoryHistorySchema.statics.RETENTION_DAYS = RETENTION_DAYS;
+
+module.exports = mongoose.model('InventoryHistory', inventoryHistorySchema);
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+// Deliveries expire after this many days (TTL index on createdAt)
+const RETENTION_DAYS = Number(process.env.NOTIFICATION_RETENTION_DAYS || 90);
+
+const EVENTS = ['success', 'failure', 'partial_failure', 'skipped'];
+
+/**
+ * One notification sent (or being retried) to one target over one channel, with every
+ * delivery attempt made for it.
+ */
+const notificationDeliverySchema = new mongoose.Schema({
+  scheduleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SyncSchedule',
+    default: null
+  },
+  event: {
+    type: String,
+    enum: EVENTS,
+    required: true
+  },
+  channel: {
+    type: String,
+    required: true
+  },
+  // Email address or webhook URL
+  target: {
+    type: String,
+    required: true
+  },
+  // Channel-independent message the channel formats (see NotificationService.buildMessage)
+  message: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: [{
+    _id: false,
+    attemptedAt: Date,
+    success: Boolean,
+    responseStatus: Number,
+    error: String,
+    durationMs: Number
+  }],
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  sentAt: Date,
+  lastError: String,
+  // True for deliveries sent from the test endpoint
+  test: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: RETENTION_DAYS * 24 * 3600
+  }
+}, {
+  timestamps: { createdAt: false, updatedAt: true }
+});
+
+notificationDeliverySchema.index({ scheduleId: 1, createdAt: -1 });
+notificationDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+/**
+ * Claim the next pending delivery whose attempt is due. The claim moves nextAttemptAt out by
+ * the lease, so other instances skip the delivery until this one has recorded its attempt
+ * (or the lease runs out).
+ * @param {number} leaseMs
+ * @returns {Promise<Object|null>}
+ */
+notificationDeliverySchema.statics.claimDue = function(leaseMs) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    { status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: new Date(now.getTime() + leaseMs) } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+notificationDeliverySchema.statics.EVENTS = EVENTS;
+notificationDeliverySchema.statics.RETENTION_DAYS = RETENTION_DAYS;
+
+module.exports = mongoose.model('NotificationDelivery', notificationDeliverySchema);
@@ -22,7 +22,12 @@ const productSchema = new mongoose.Schema({
     required: true,
     trim: true,
     index: true
-  },  
+  },
+  // Vendor-supplied tags (lowercase), used by inventory rule overrides
+  tags: {
+    type: [String],
+    default: undefined
+  },
   // Status and availability
   status: {
     type: String,
@@ -62,6 +67,7 @@ productSchema.index({ storeId: 1 });
 productSchema.index({ status: 1, inStock: 1 });
 productSchema.index({ lastSynced: 1 });
 productSchema.index({ syncStatus: 1 });
+productSchema.index({ tags: 1 });
 
 // Virtual for checking if product has inventory
 productSchema.virtual('hasInventory').get(function() {
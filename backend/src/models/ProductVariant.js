@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const InventoryHistory = require('./InventoryHistory');
 
 const productVariantSchema = new mongoose.Schema({
   // Reference to the main product
@@ -42,45 +43,8 @@ const productVariantSchema = new mongoose.Schema({
     default: 0
   },
   
-  // Shopify linkage (cached after first successful match)
-  shopifyVariantId: {
-    type: String,
-    default: null,
-    index: true
-  },
-  shopifyInventoryItemId: {
-    type: String,
-    default: null,
-    index: true
-  },
-  // Extra Shopify metadata for better identification
-  shopifyProductId: {
-    type: String,
-    default: null,
-    index: true
-  },
-  shopifyVariantTitle: {
-    type: String,
-    default: null
-  },
-  lastKnownShopifyQty: {
-    type: Number,
-    default: null
-  },
-  lastSyncAt: {
-    type: Date,
-    default: null
-  },
-  lastSyncStatus: {
-    type: String,
-    enum: ['success', 'failed'],
-    default: null
-  },
-  lastSyncError: {
-    type: String,
-    default: null
-  },
-  
+  // Shopify linkage and sync state are per store, see StoreVariantLink
+
   preOrderDate: {
     type: Date,
     default: null
@@ -92,6 +56,11 @@ const productVariantSchema = new mongoose.Schema({
     enum: ['Active', 'Inactive', 'Discontinued'],
     default: 'Active'
   },
+  // When the SKU was first missing from the vendor's active list (cleared if it comes back)
+  discontinuedAt: {
+    type: Date,
+    default: null
+  },
   
   // Timestamps
   lastSynced: {
@@ -104,21 +73,34 @@ const productVariantSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
-// Indexes for faster queries
-productVariantSchema.index({ mainSku: 1, color: 1, size: 1  }, { unique: true });
+// Indexes for faster queries. variantSku (vendor-prefixed) is the unique key: vendors may share
+// a mainSku/color/size. Older databases have this index as unique, see
+// scripts/migrations/variant-sku-unique-key.js
+productVariantSchema.index({ mainSku: 1, color: 1, size: 1 });
 
 /**
- * Generate variant SKU in format: noxa_<mainSku>-<Color>-<Size>
+ * Generate variant SKU in format: <prefix>_<mainSku>-<Color>-<Size>
  * @param {string} mainSku - The main product SKU
  * @param {string} color - The color variant
  * @param {string} size - The size variant
+ * @param {string} [prefix='noxa'] - Vendor SKU prefix
  * @returns {string} - Generated variant SKU
  */
-productVariantSchema.statics.generateVariantSku = function(mainSku, color, size) {
+productVariantSchema.statics.generateVariantSku = function(mainSku, color, size, prefix = 'noxa') {
   const m = (mainSku || '').toString().trim();
   const c = (color || '').toString();
   const s = (size || '').toString();
-  return `noxa_${m}-${c}-${s}`;
+  return `${prefix || 'noxa'}_${m}-${c}-${s}`;
+};
+
+/**
+ * Vendor key from a variant SKU prefix (e.g. 'noxa_A1241-Red-M' -> 'noxa')
+ * @param {string} variantSku - The variant SKU
+ * @returns {string|null} - Lowercased vendor key, or null when the SKU has no prefix
+ */
+productVariantSchema.statics.getVendorKey = function(variantSku) {
+  const match = /^([a-z0-9]+)_/i.exec(String(variantSku || ''));
+  return match ? match[1].toLowerCase() : null;
 };
 
 /**
@@ -148,10 +130,21 @@ productVariantSchema.statics.findOrCreate = async function(params) {
 
 /**
  * Update inventory for multiple variants in bulk
- * @param {Array} variants - Array of variant updates
+ * @param {Array} variants - Array of variant updates ({ variantSku, mainSku, color, size, stockQty, preOrderDate, status, product_id? })
+ * @param {Object} [history] - InventoryHistory attribution for stockQty changes
+ * @param {string} [history.source='vendor-sync']
+ * @param {string} [history.jobId]
  * @returns {Promise<Object>} - Bulk write result
  */
-productVariantSchema.statics.bulkUpdateInventory = async function(variants) {
+productVariantSchema.statics.bulkUpdateInventory = async function(variants, { source = 'vendor-sync', jobId = null } = {}) {
+  if (!variants.length) {
+    return { acknowledged: true, insertedCount: 0, matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+  }
+  const previous = await this.find(
+    { variantSku: { $in: variants.map(v => v.variantSku) } },
+    { _id: 0, variantSku: 1, stockQty: 1 }
+  ).lean();
+  const previousQty = new Map(previous.map(v => [v.variantSku, v.stockQty]));
   const bulkOps = variants.map(variant => ({
     updateOne: {
       filter: { variantSku: variant.variantSku },
@@ -160,7 +153,9 @@ productVariantSchema.statics.bulkUpdateInventory = async function(variants) {
           stockQty: variant.stockQty,
           preOrderDate: variant.preOrderDate,
           status: variant.status || 'Active',
-          lastSynced: new Date()
+          lastSynced: new Date(),
+          ...(variant.product_id ? { product_id: variant.product_id } : {}),
+          ...(variant.status !== 'Discontinued' ? { discontinuedAt: null } : {})
         },
         $setOnInsert: {
           mainSku: variant.mainSku,
@@ -172,8 +167,87 @@ productVariantSchema.statics.bulkUpdateInventory = async function(variants) {
       upsert: true
     }
   }));
-  
-  return this.bulkWrite(bulkOps, { ordered: false });
+
+  const result = await this.bulkWrite(bulkOps, { ordered: false });
+  await InventoryHistory.record(variants.map(variant => ({
+    variantSku: variant.variantSku,
+    field: 'stockQty',
+    oldQty: previousQty.get(variant.variantSku),
+    newQty: variant.stockQty,
+    source,
+    jobId
+  })));
+  return result;
+};
+
+/**
+ * Shopify pre-order state a variant should have: CONTINUE with a ship date while the
+ * pre-order date is in the future and there is no stock, DENY otherwise
+ * @param {Object} variant - ProductVariant (doc or plain object)
+ * @param {Date} [now]
+ * @returns {{inventoryPolicy:string, shipDate:Date|null}}
+ */
+productVariantSchema.statics.getPreOrderState = function(variant, now = new Date()) {
+  const preOrderDate = variant.preOrderDate ? new Date(variant.preOrderDate) : null;
+  const isPreOrder = preOrderDate && preOrderDate > now && Number(variant.stockQty || 0) <= 0;
+  return isPreOrder
+    ? { inventoryPolicy: 'CONTINUE', shipDate: preOrderDate }
+    : { inventoryPolicy: 'DENY', shipDate: null };
+};
+
+/**
+ * Reconcile a vendor's variants against its complete active SKU list.
+ * Variants whose main SKU is missing are marked Discontinued; once discontinued for longer
+ * than graceHours their stock is zeroed so the next Shopify push stops selling them.
+ * @param {string} vendorKey - Vendor SKU prefix
+ * @param {Iterable<string>} activeMainSkus - Every main SKU currently on the vendor's active list
+ * @param {Object} [opts]
+ * @param {number} [opts.graceHours=72]
+ * @param {string} [opts.jobId] - Sync job, for InventoryHistory
+ * @returns {Promise<{discontinued:string[], zeroed:string[]}>} - Affected variant SKUs
+ */
+productVariantSchema.statics.reconcileDiscontinued = async function(vendorKey, activeMainSkus, { graceHours = 72, jobId = null } = {}) {
+  const now = new Date();
+  const prefixFilter = { variantSku: { $regex: `^${String(vendorKey).toLowerCase()}_` } };
+
+  const missing = await this.find({
+    ...prefixFilter,
+    mainSku: { $nin: Array.from(activeMainSkus) },
+    status: { $ne: 'Discontinued' }
+  }, { _id: 1, variantSku: 1 }).lean();
+  if (missing.length) {
+    await this.updateMany(
+      { _id: { $in: missing.map(v => v._id) } },
+      { $set: { status: 'Discontinued', discontinuedAt: now } }
+    );
+  }
+
+  const graceCutoff = new Date(now.getTime() - graceHours * 3600 * 1000);
+  const expired = await this.find({
+    ...prefixFilter,
+    status: 'Discontinued',
+    discontinuedAt: { $ne: null, $lte: graceCutoff },
+    stockQty: { $ne: 0 }
+  }, { _id: 1, variantSku: 1, stockQty: 1 }).lean();
+  if (expired.length) {
+    await this.updateMany(
+      { _id: { $in: expired.map(v => v._id) } },
+      { $set: { stockQty: 0 } }
+    );
+    await InventoryHistory.record(expired.map(v => ({
+      variantSku: v.variantSku,
+      field: 'stockQty',
+      oldQty: v.stockQty,
+      newQty: 0,
+      source: 'discontinued',
+      jobId
+    })));
+  }
+
+  return {
+    discontinued: missing.map(v => v.variantSku),
+    zeroed: expired.map(v => v.variantSku)
+  };
 };
 
 const ProductVariant = mongoose.model('ProductVariant', productVariantSchema);
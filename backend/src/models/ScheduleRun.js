@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+
+// Run records expire after this many days (TTL index on scheduledFor)
+const RETENTION_DAYS = Number(process.env.SCHEDULE_RUN_RETENTION_DAYS || 90);
+
+const STATUSES = ['queued', 'running', 'success', 'failed', 'skipped', 'cancelled', 'missed'];
+const FINAL_STATUSES = ['success', 'failed', 'skipped', 'cancelled', 'missed'];
+const OPEN_STATUSES = ['queued', 'running'];
+
+/**
+ * One execution (or missed execution) of a SyncSchedule for one cron fire time.
+ * The unique (scheduleId, scheduledFor) index makes a fire time run at most once, also when
+ * several instances run the scheduler or catch up after a restart.
+ */
+const scheduleRunSchema = new mongoose.Schema({
+  scheduleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SyncSchedule',
+    required: true
+  },
+  // Cron fire time this run belongs to
+  scheduledFor: {
+    type: Date,
+    required: true
+  },
+  // 'catch-up' runs were started on startup for a fire time missed while the server was down,
+  // 'dependency' runs after the schedule's runAfter schedules succeeded
+  trigger: {
+    type: String,
+    enum: ['cron', 'catch-up', 'dependency'],
+    default: 'cron'
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'queued'
+  },
+  // When the scheduler handled the fire time, and when the sync job actually started/ended
+  triggeredAt: {
+    type: Date,
+    default: Date.now
+  },
+  startedAt: Date,
+  finishedAt: Date,
+  durationMs: Number,
+  syncId: String,
+  jobId: String,
+  syncLogId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SyncLog',
+    default: null
+  },
+  error: String,
+  skipReason: String
+}, {
+  versionKey: false
+});
+
+scheduleRunSchema.index({ scheduleId: 1, scheduledFor: -1 }, { unique: true });
+scheduleRunSchema.index({ status: 1 });
+scheduleRunSchema.index({ scheduledFor: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 3600 });
+
+/**
+ * Create the run record for a fire time
+ * @returns {Promise<Object|null>} - The run, or null when the fire time was already handled
+ */
+scheduleRunSchema.statics.claim = async function(scheduleId, scheduledFor, trigger = 'cron') {
+  try {
+    return await this.create({ scheduleId, scheduledFor, trigger });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+/**
+ * Record fire times that will not run (catch-up policy skip, or beyond the catch-up limit)
+ */
+scheduleRunSchema.statics.recordMissed = async function(scheduleId, times, skipReason) {
+  if (!times.length) return;
+  const now = new Date();
+  try {
+    await this.insertMany(times.map(scheduledFor => ({
+      scheduleId,
+      scheduledFor,
+      status: 'missed',
+      triggeredAt: now,
+      finishedAt: now,
+      skipReason
+    })), { ordered: false });
+  } catch (error) {
+    // Fire times recorded by another instance are fine
+    if (error.code !== 11000) throw error;
+  }
+};
+
+/**
+ * Latest fire time with a run record
+ * @returns {Promise<Date|null>}
+ */
+scheduleRunSchema.statics.lastScheduledFor = async function(scheduleId) {
+  const run = await this.findOne({ scheduleId }, { scheduledFor: 1 }).sort({ scheduledFor: -1 }).lean();
+  return run ? run.scheduledFor : null;
+};
+
+scheduleRunSchema.statics.markStarted = function(runId) {
+  return this.findOneAndUpdate(
+    { _id: runId, status: 'queued' },
+    { status: 'running', startedAt: new Date() },
+    { new: true }
+  );
+};
+
+/**
+ * Set a run's final status; duration is measured from the actual start when there was one.
+ * Only queued or running runs are finished, so a run's outcome is recorded once.
+ * @param {string} status - One of FINAL_STATUSES
+ * @param {Object} [fields] - error, skipReason, syncLogId...
+ * @returns {Promise<Object|null>} - The finished run, or null when it was already finished
+ */
+scheduleRunSchema.statics.finish = async function(runId, status, fields = {}) {
+  const run = await this.findOne({ _id: runId, status: { $in: OPEN_STATUSES } });
+  if (!run) return null;
+  const finishedAt = new Date();
+  return this.findOneAndUpdate(
+    { _id: runId, status: run.status },
+    { ...fields, status, finishedAt, durationMs: finishedAt - (run.startedAt || run.triggeredAt) },
+    { new: true }
+  );
+};
+
+scheduleRunSchema.statics.STATUSES = STATUSES;
+scheduleRunSchema.statics.FINAL_STATUSES = FINAL_STATUSES;
+scheduleRunSchema.statics.RETENTION_DAYS = RETENTION_DAYS;
+
+module.exports = mongoose.model('ScheduleRun', scheduleRunSchema);
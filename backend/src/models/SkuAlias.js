@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const { parse } = require('csv-parse/sync');
+
+// Separator for multiple values in one CSV cell
+const LIST_SEPARATOR = '|';
+const CSV_COLUMNS = ['variantSku', 'shopifySkus', 'shopifyVariantIds', 'note'];
+
+/**
+ * Manual link from a vendor variantSku to the Shopify SKU(s) or variant ID(s) it is sold
+ * under in one store, for Shopify variants whose SKU doesn't follow the vendor format.
+ * Candidates are tried in order (variant IDs first, then SKUs); the first one found in
+ * Shopify is linked.
+ */
+const skuAliasSchema = new mongoose.Schema({
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true
+  },
+  variantSku: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  shopifySkus: [{
+    type: String,
+    trim: true
+  }],
+  // ProductVariant GIDs
+  shopifyVariantIds: [{
+    type: String,
+    trim: true
+  }],
+  note: {
+    type: String,
+    maxlength: 500
+  },
+  updatedBy: String
+}, {
+  timestamps: true
+});
+
+skuAliasSchema.index({ storeId: 1, variantSku: 1 }, { unique: true });
+skuAliasSchema.index({ storeId: 1, shopifySkus: 1 });
+skuAliasSchema.index({ storeId: 1, shopifyVariantIds: 1 });
+
+/**
+ * Normalize a numeric or GID Shopify variant id to a GID (null when invalid)
+ */
+skuAliasSchema.statics.toVariantGid = function(value) {
+  const text = String(value || '').trim();
+  if (/^gid:\/\/shopify\/ProductVariant\/\d+$/.test(text)) return text;
+  if (/^\d+$/.test(text)) return `gid://shopify/ProductVariant/${text}`;
+  return null;
+};
+
+/**
+ * Aliases of a store for the given vendor SKUs
+ * @param {string} storeId
+ * @param {string[]} variantSkus
+ * @returns {Promise<Map<string, Object>>} - lowercased variantSku -> alias
+ */
+skuAliasSchema.statics.forSkus = async function(storeId, variantSkus = []) {
+  if (!variantSkus.length) return new Map();
+  const aliases = await this.find({ storeId, variantSku: { $in: variantSkus } }).lean();
+  return new Map(aliases.map(a => [a.variantSku.toLowerCase(), a]));
+};
+
+/**
+ * Parse an alias CSV (header: variantSku, shopifySkus, shopifyVariantIds, note; lists separated by '|')
+ * @param {string} csv
+ * @returns {{rows:Array<Object>, errors:Array<{line:number, error:string}>}}
+ */
+skuAliasSchema.statics.fromCsv = function(csv) {
+  const records = parse(csv, { columns: true, skip_empty_lines: true, trim: true, bom: true });
+  const split = value => String(value || '').split(LIST_SEPARATOR).map(v => v.trim()).filter(Boolean);
+  const rows = [];
+  const errors = [];
+  const seen = new Set();
+
+  records.forEach((record, index) => {
+    const line = index + 2; // header is line 1
+    const variantSku = String(record.variantSku || '').trim();
+    if (!variantSku) {
+      errors.push({ line, error: 'variantSku is required' });
+      return;
+    }
+    if (seen.has(variantSku.toLowerCase())) {
+      errors.push({ line, error: `Duplicate variantSku ${variantSku}` });
+      return;
+    }
+    const ids = split(record.shopifyVariantIds);
+    const shopifyVariantIds = ids.map(id => this.toVariantGid(id));
+    if (shopifyVariantIds.includes(null)) {
+      errors.push({ line, error: `Invalid Shopify variant id in ${record.shopifyVariantIds}` });
+      return;
+    }
+    const shopifySkus = split(record.shopifySkus);
+    if (!shopifySkus.length && !shopifyVariantIds.length) {
+      errors.push({ line, error: 'At least one Shopify SKU or variant id is required' });
+      return;
+    }
+    seen.add(variantSku.toLowerCase());
+    const row = { variantSku, shopifySkus, shopifyVariantIds };
+    if (record.note) row.note = record.note;
+    rows.push(row);
+  });
+
+  return { rows, errors };
+};
+
+/**
+ * Upsert parsed rows for a store; with replace, aliases missing from the rows are removed
+ * @returns {Promise<{upserted:number, modified:number, removed:number}>}
+ */
+skuAliasSchema.statics.importRows = async function(storeId, rows = [], { replace = false, updatedBy = null } = {}) {
+  let upserted = 0;
+  let modified = 0;
+  if (rows.length) {
+    const res = await this.bulkWrite(rows.map(row => ({
+      updateOne: {
+        filter: { storeId, variantSku: row.variantSku },
+        update: { $set: { ...row, updatedBy } },
+        upsert: true
+      }
+    })), { ordered: false });
+    upserted = res.upsertedCount || 0;
+    modified = res.modifiedCount || 0;
+  }
+  let removed = 0;
+  if (replace) {
+    const res = await this.deleteMany({ storeId, variantSku: { $nin: rows.map(r => r.variantSku) } });
+    removed = res.deletedCount || 0;
+  }
+  return { upserted, modified, removed };
+};
+
+/**
+ * Render aliases as CSV in the import format
+ */
+skuAliasSchema.statics.toCsv = function(aliases = []) {
+  const escape = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = Array.isArray(value) ? value.join(LIST_SEPARATOR) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const alias of aliases) {
+    lines.push(CSV_COLUMNS.map(column => escape(alias[column])).join(','));
+  }
+  return lines.join('\n') + '\n';
+};
+
+module.exports = mongoose.model('SkuAlias', skuAliasSchema);
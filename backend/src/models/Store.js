@@ -75,6 +75,83 @@ const storeSchema = new mongoose.Schema({
     updateOutOfStock: {
       type: Boolean,
       default: true
+    },
+    // Which Shopify location(s) each vendor's stock is written to. A vendor mapped to several
+    // locations has its quantity divided by `split` (relative weights). vendorKey '*' applies to
+    // vendors without their own mapping; with no mapping at all the primary location is used.
+    locationMappings: [{
+      _id: false,
+      vendorKey: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true
+      },
+      locationId: {
+        type: String,
+        required: true
+      },
+      locationName: String,
+      split: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: 100
+      }
+    }],
+    // Opt-in: variants with a future preOrderDate and no stock are sold as pre-orders
+    // (inventory policy CONTINUE + expected ship date metafield) until the date passes or stock arrives
+    preOrders: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      metafieldNamespace: {
+        type: String,
+        trim: true,
+        default: 'custom'
+      },
+      metafieldKey: {
+        type: String,
+        trim: true,
+        default: 'expected_ship_date'
+      }
+    },
+    // Quantity sent to Shopify = vendor stock run through these rules (see inventory-rules.service).
+    // Overrides match on mainSku/color/size/tag and replace only the fields they set.
+    inventoryRules: {
+      zeroBelow: {
+        type: Number,
+        min: 0,
+        default: 0
+      },
+      safetyBuffer: {
+        type: Number,
+        min: 0,
+        default: 0
+      },
+      allocationPercent: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: 100
+      },
+      maxQuantity: {
+        type: Number,
+        min: 0,
+        default: null
+      },
+      overrides: [{
+        _id: false,
+        mainSku: { type: String, trim: true },
+        color: { type: String, trim: true },
+        size: { type: String, trim: true },
+        tag: { type: String, trim: true },
+        zeroBelow: { type: Number, min: 0 },
+        safetyBuffer: { type: Number, min: 0 },
+        allocationPercent: { type: Number, min: 0, max: 100 },
+        maxQuantity: { type: Number, min: 0 }
+      }]
     }
   },
   metadata: {
@@ -82,6 +159,24 @@ const storeSchema = new mongoose.Schema({
     timezone: String,
     currency: String,
     country: String
+  },
+  // Shopify webhookSubscriptions registered for this store
+  webhooks: {
+    subscriptions: [{
+      _id: false,
+      topic: { type: String, required: true },
+      subscriptionId: { type: String, required: true },
+      callbackUrl: String,
+      createdAt: { type: Date, default: Date.now }
+    }],
+    lastSyncedAt: {
+      type: Date,
+      default: null
+    },
+    lastError: {
+      type: String,
+      default: null
+    }
   }
 }, {
   timestamps: true,
@@ -119,6 +214,21 @@ storeSchema.methods.updateConnectionStatus = function(status, error = null) {
   return this.save();
 };
 
+storeSchema.methods.getVendorLocations = function(vendorKey) {
+  const mappings = (this.settings?.locationMappings || []).filter(m => m.split > 0);
+  const key = String(vendorKey || '').toLowerCase();
+  const own = mappings.filter(m => m.vendorKey === key);
+  return own.length ? own : mappings.filter(m => m.vendorKey === '*');
+};
+
+storeSchema.methods.setWebhookSubscriptions = function(subscriptions = [], error = null) {
+  this.webhooks = this.webhooks || {};
+  this.webhooks.subscriptions = subscriptions;
+  this.webhooks.lastSyncedAt = new Date();
+  this.webhooks.lastError = error;
+  return this.save();
+};
+
 // Static methods
 storeSchema.statics.findActive = function() {
   return this.find({ isActive: true });
@@ -0,0 +1,187 @@
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+
+// ProductVariant fields readable on a link once the variant is attached (see forVariants)
+const VARIANT_FIELDS = ['product_id', 'mainSku', 'color', 'size', 'stockQty', 'status', 'preOrderDate', 'discontinuedAt'];
+
+// Linkage fields that used to live on ProductVariant (single-store)
+const LINK_FIELDS = [
+  'shopifyVariantId', 'shopifyInventoryItemId', 'shopifyProductId', 'shopifyVariantTitle',
+  'lastKnownShopifyQty', 'lastKnownShopifyQtyByLocation', 'lastSyncAt', 'lastSyncStatus', 'lastSyncError',
+  'shopifyInventoryPolicy', 'shopifyShipDate'
+];
+
+/**
+ * Shopify linkage of one ProductVariant in one Store: the matched Shopify IDs, the last
+ * known Shopify quantities and the outcome of the last sync to that store.
+ */
+const storeVariantLinkSchema = new mongoose.Schema({
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true
+  },
+  variantSku: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  shopifyVariantId: {
+    type: String,
+    default: null
+  },
+  shopifyInventoryItemId: {
+    type: String,
+    default: null
+  },
+  shopifyProductId: {
+    type: String,
+    default: null
+  },
+  shopifyVariantTitle: {
+    type: String,
+    default: null
+  },
+  // Sum of lastKnownShopifyQtyByLocation (or the single-location quantity)
+  lastKnownShopifyQty: {
+    type: Number,
+    default: null
+  },
+  // Shopify available quantity per Location GID this variant is stocked at
+  lastKnownShopifyQtyByLocation: {
+    type: Map,
+    of: Number,
+    default: undefined
+  },
+  lastSyncAt: {
+    type: Date,
+    default: null
+  },
+  lastSyncStatus: {
+    type: String,
+    enum: ['success', 'failed'],
+    default: null
+  },
+  lastSyncError: {
+    type: String,
+    default: null
+  },
+  // Pre-order state last written to Shopify (null = never managed by us)
+  shopifyInventoryPolicy: {
+    type: String,
+    enum: ['CONTINUE', 'DENY', null],
+    default: null
+  },
+  shopifyShipDate: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+storeVariantLinkSchema.index({ storeId: 1, variantSku: 1 }, { unique: true });
+storeVariantLinkSchema.index({ storeId: 1, shopifyVariantId: 1 });
+storeVariantLinkSchema.index({ storeId: 1, shopifyInventoryItemId: 1 });
+storeVariantLinkSchema.index({ storeId: 1, shopifyProductId: 1 });
+
+// Read-through to the attached ProductVariant so links can stand in for variants in sync code
+for (const field of VARIANT_FIELDS) {
+  storeVariantLinkSchema.virtual(field).get(function() {
+    return this.$locals.variant ? this.$locals.variant[field] : undefined;
+  });
+}
+
+/**
+ * Whether the link carries the IDs needed to write inventory
+ */
+storeVariantLinkSchema.methods.isLinked = function() {
+  return Boolean(this.shopifyVariantId && this.shopifyInventoryItemId);
+};
+
+/**
+ * Link docs of a store for ProductVariants, in the same order. Variants without a link get a
+ * new unsaved one. Each link has its variant attached, so variant fields (stockQty, mainSku, ...)
+ * can be read from it.
+ * @param {string} storeId
+ * @param {Array<Object>} variants - ProductVariant docs or plain objects
+ * @returns {Promise<Array<Object>>}
+ */
+storeVariantLinkSchema.statics.forVariants = async function(storeId, variants = []) {
+  if (!variants.length) return [];
+  const existing = await this.find({ storeId, variantSku: { $in: variants.map(v => v.variantSku) } });
+  const bySku = new Map(existing.map(link => [link.variantSku, link]));
+  return variants.map(variant => {
+    const link = bySku.get(variant.variantSku) || new this({ storeId, variantSku: variant.variantSku });
+    link.$locals.variant = variant;
+    return link;
+  });
+};
+
+/**
+ * Plain link objects of a store keyed by variantSku (for listings)
+ * @param {string} storeId
+ * @param {string[]} variantSkus
+ * @returns {Promise<Map<string, Object>>}
+ */
+storeVariantLinkSchema.statics.mapForStore = async function(storeId, variantSkus = []) {
+  if (!storeId || !variantSkus.length) return new Map();
+  const links = await this.find({ storeId, variantSku: { $in: variantSkus } }, { _id: 0, storeId: 0, __v: 0 }).lean();
+  return new Map(links.map(link => [link.variantSku, link]));
+};
+
+/**
+ * Move linkage still stored on ProductVariant documents (pre multi-store) into links of the
+ * given store, then remove it from the variants. Existing links are left as they are.
+ * @param {string} storeId - Store the legacy linkage belongs to
+ * @returns {Promise<number>} - Variants migrated
+ */
+storeVariantLinkSchema.statics.migrateLegacyLinks = async function(storeId) {
+  const variants = mongoose.connection.collection('productvariants');
+  const legacyFilter = { $or: LINK_FIELDS.map(field => ({ [field]: { $exists: true } })) };
+  const projection = { variantSku: 1 };
+  for (const field of LINK_FIELDS) projection[field] = 1;
+
+  const unset = {};
+  for (const field of LINK_FIELDS) unset[field] = '';
+
+  let migrated = 0;
+  let links = [];
+  let ids = [];
+  const flush = async () => {
+    if (!ids.length) return;
+    if (links.length) await this.bulkWrite(links, { ordered: false });
+    await variants.updateMany({ _id: { $in: ids } }, { $unset: unset });
+    migrated += ids.length;
+    links = [];
+    ids = [];
+  };
+
+  for await (const doc of variants.find(legacyFilter, { projection })) {
+    const values = {};
+    for (const field of LINK_FIELDS) {
+      if (doc[field] !== undefined && doc[field] !== null) values[field] = doc[field];
+    }
+    ids.push(doc._id);
+    if (Object.keys(values).length) {
+      links.push({
+        updateOne: {
+          filter: { storeId, variantSku: doc.variantSku },
+          update: { $setOnInsert: values },
+          upsert: true
+        }
+      });
+    }
+    if (ids.length >= 1000) await flush();
+  }
+  await flush();
+
+  if (migrated) {
+    logger.info(`Moved Shopify linkage of ${migrated} variant(s) to store ${storeId}`);
+  }
+  return migrated;
+};
+
+storeVariantLinkSchema.statics.LINK_FIELDS = LINK_FIELDS;
+
+module.exports = mongoose.model('StoreVariantLink', storeVariantLinkSchema);
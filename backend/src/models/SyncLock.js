@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+/**
+ * Mongo-backed sync lock (used when Redis isn't available, see SyncLockService).
+ * One document per held lock; expired locks are removed by the TTL index and may be
+ * taken over before that.
+ */
+const syncLockSchema = new mongoose.Schema({
+  // Lock key, e.g. sync:<storeId>:<vendorId>
+  _id: {
+    type: String,
+    required: true
+  },
+  // Random value identifying the holder; only the holder can extend or release the lock
+  token: {
+    type: String,
+    required: true
+  },
+  holder: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  acquiredAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 }
+  },
+  // Set by a newer run with the cancel-previous policy; the holder stops at its next checkpoint
+  cancelRequestedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  versionKey: false
+});
+
+module.exports = mongoose.model('SyncLock', syncLockSchema);
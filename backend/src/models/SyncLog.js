@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+// Cap for errors kept on a single log document
+const MAX_STORED_ERRORS = 1000;
+
 const syncLogSchema = new mongoose.Schema({
   // Sync operation identification
   syncId: {
@@ -16,16 +19,16 @@ const syncLogSchema = new mongoose.Schema({
     required: true
   },
   
-  // References
+  // References (product-sync runs are vendor-wide and have no store; legacy env-configured runs have no vendor)
   storeId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Store',
-    required: true
+    required: function() { return this.queueName !== 'product-sync'; }
   },
   vendorId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Vendor',
-    required: true
+    required: function() { return this.queueName !== 'product-sync'; }
   },
   
   // Sync status and progress
@@ -78,6 +81,7 @@ const syncLogSchema = new mongoose.Schema({
   errors: [{
     productId: String,
     sku: String,
+    row: Number, // Source row for file-based vendor feeds
     error: String,
     errorCode: String,
     timestamp: {
@@ -287,6 +291,21 @@ syncLogSchema.methods.addError = function(error) {
   return this.save();
 };
 
+/**
+ * Record many errors with a single save (e.g. per-row feed errors).
+ * Only the first MAX_STORED_ERRORS are kept on the document; errorCount counts all of them.
+ */
+syncLogSchema.methods.addErrors = function(errors = []) {
+  if (!errors.length) return Promise.resolve(this);
+  const room = Math.max(0, MAX_STORED_ERRORS - this.errors.length);
+  const now = new Date();
+  errors.slice(0, room).forEach(error => {
+    this.errors.push({ ...error, timestamp: now });
+  });
+  this.progress.errorCount += errors.length;
+  return this.save();
+};
+
 syncLogSchema.methods.addLog = function(level, message, data = null) {
   this.logs.push({
     level,
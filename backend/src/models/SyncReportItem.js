@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+// Dry-run reports are kept for this long
+const REPORT_TTL_SECONDS = 30 * 24 * 3600;
+
+const REASONS = {
+  NEW_VARIANT: 'NEW_VARIANT',
+  VENDOR_STOCK_CHANGED: 'VENDOR_STOCK_CHANGED',
+  STATUS_CHANGED: 'STATUS_CHANGED',
+  INVENTORY_RULES: 'INVENTORY_RULES',
+  SHOPIFY_OUT_OF_SYNC: 'SHOPIFY_OUT_OF_SYNC',
+  SHOPIFY_QTY_UNKNOWN: 'SHOPIFY_QTY_UNKNOWN',
+  NOT_LINKED_TO_SHOPIFY: 'NOT_LINKED_TO_SHOPIFY'
+};
+
+/**
+ * One row of a dry-run sync report: a variant that would change ('change') or a SKU
+ * that could not be matched to Shopify ('unresolved'). Rows are keyed by SyncJob.jobId.
+ */
+const syncReportItemSchema = new mongoose.Schema({
+  jobId: {
+    type: String,
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['change', 'unresolved'],
+    required: true
+  },
+  variantSku: {
+    type: String,
+    required: true
+  },
+  mainSku: String,
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store'
+  },
+  locationId: String,
+  oldStockQty: Number,
+  newStockQty: Number,
+  oldShopifyQty: Number,
+  newShopifyQty: Number,
+  reason: {
+    type: String,
+    enum: Object.values(REASONS),
+    required: true
+  },
+  detail: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: REPORT_TTL_SECONDS
+  }
+}, {
+  versionKey: false
+});
+
+syncReportItemSchema.index({ jobId: 1, kind: 1, variantSku: 1 });
+
+// Column order for CSV downloads
+const CSV_COLUMNS = ['kind', 'variantSku', 'mainSku', 'storeId', 'locationId', 'oldStockQty', 'newStockQty', 'oldShopifyQty', 'newShopifyQty', 'reason', 'detail'];
+
+/**
+ * Append rows to a job's report
+ * @param {string} jobId - SyncJob.jobId
+ * @param {Array<Object>} rows
+ */
+syncReportItemSchema.statics.append = async function(jobId, rows = []) {
+  if (!rows.length) return;
+  await this.insertMany(rows.map(row => ({ ...row, jobId })), { ordered: false });
+};
+
+/**
+ * Counts of a job's report rows by kind
+ * @param {string} jobId
+ * @returns {Promise<{changes:number, unresolved:number}>}
+ */
+syncReportItemSchema.statics.summarize = async function(jobId) {
+  const [changes, unresolved] = await Promise.all([
+    this.countDocuments({ jobId, kind: 'change' }),
+    this.countDocuments({ jobId, kind: 'unresolved' })
+  ]);
+  return { changes, unresolved };
+};
+
+/**
+ * Render report rows as CSV (header row included)
+ * @param {Array<Object>} rows
+ * @returns {string}
+ */
+syncReportItemSchema.statics.toCsv = function(rows = []) {
+  const escape = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const row of rows) {
+    lines.push(CSV_COLUMNS.map(column => escape(row[column])).join(','));
+  }
+  return lines.join('\n') + '\n';
+};
+
+const SyncReportItem = mongoose.model('SyncReportItem', syncReportItemSchema);
+SyncReportItem.REASONS = REASONS;
+
+module.exports = SyncReportItem;
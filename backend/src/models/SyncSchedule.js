@@ -1,4 +1,37 @@
 const mongoose = require('mongoose');
+const { DateHelper } = require('../utils/helpers');
+const ScheduleRun = require('./ScheduleRun');
+
+// HH:mm -> minutes since midnight
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// A period in which the schedule doesn't run: a date range, or a weekly time range in the
+// schedule's timezone (an end time before the start time runs past midnight)
+const blackoutWindowSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  startsAt: Date,
+  endsAt: Date,
+  daysOfWeek: [{
+    type: Number,
+    min: 0,
+    max: 6
+  }],
+  startTime: {
+    type: String,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/
+  },
+  endTime: {
+    type: String,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/
+  }
+}, { _id: false });
 
 const syncScheduleSchema = new mongoose.Schema({
   // Schedule identification
@@ -39,9 +72,14 @@ const syncScheduleSchema = new mongoose.Schema({
       message: 'Invalid cron expression format'
     }
   },
+  // IANA timezone the cron expression is evaluated in
   timezone: {
     type: String,
-    default: 'UTC'
+    default: 'UTC',
+    validate: {
+      validator: v => DateHelper.isValidTimezone(v),
+      message: 'Invalid timezone'
+    }
   },
   
   // Schedule status
@@ -49,6 +87,14 @@ const syncScheduleSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Whether the scheduler currently has a cron task for it (set by SchedulerService)
+  status: {
+    type: String,
+    enum: ['active', 'inactive'],
+    default: 'active'
+  },
+  lastStarted: Date,
+  lastStopped: Date,
   
   // Execution tracking
   nextRun: Date,
@@ -92,6 +138,32 @@ const syncScheduleSchema = new mongoose.Schema({
     }
   },
   
+  // When the previous sync of this store+vendor is still running: skip this run, queue
+  // behind it, or cancel it and run
+  overlapPolicy: {
+    type: String,
+    enum: ['skip', 'queue', 'cancel-previous'],
+    default: 'skip'
+  },
+
+  // No runs during these windows (e.g. flash-sale launches)
+  blackoutWindows: [blackoutWindowSchema],
+
+  // Pipeline: runs right after all of these schedules have succeeded, and its own cron runs
+  // are skipped until they have succeeded again since its last successful run
+  runAfter: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SyncSchedule'
+  }],
+
+  // Fire times missed while the scheduler was down: run the latest one, run each of them
+  // (up to SCHEDULE_CATCH_UP_LIMIT) or skip them
+  catchUpPolicy: {
+    type: String,
+    enum: ['run-once', 'run-all', 'skip'],
+    default: 'run-once'
+  },
+
   // Execution limits
   maxExecutionTime: {
     type: Number,
@@ -120,8 +192,20 @@ const syncScheduleSchema = new mongoose.Schema({
       type: Boolean,
       default: true
     },
+    // Runs not started (blackout window, previous sync still running)
+    onSkipped: {
+      type: Boolean,
+      default: false
+    },
+    // One or more comma-separated addresses
     email: String,
-    webhook: String
+    webhook: String,
+    // 'slack' posts a Slack-compatible incoming webhook payload instead of the JSON message
+    webhookFormat: {
+      type: String,
+      enum: ['json', 'slack'],
+      default: 'json'
+    }
   },
   
   // Statistics
@@ -167,6 +251,7 @@ syncScheduleSchema.index({ storeId: 1, vendorId: 1 });
 syncScheduleSchema.index({ isActive: 1, nextRun: 1 });
 syncScheduleSchema.index({ cronExpression: 1 });
 syncScheduleSchema.index({ nextRun: 1 });
+syncScheduleSchema.index({ runAfter: 1 });
 
 // Virtual for success rate
 syncScheduleSchema.virtual('successRate').get(function() {
@@ -188,11 +273,12 @@ syncScheduleSchema.virtual('health').get(function() {
 
 // Instance methods
 syncScheduleSchema.methods.updateNextRun = function() {
-  // This is a simplified implementation
-  // In production, use a proper cron parser library like 'node-cron' or 'cron-parser'
-  const now = new Date();
-  const nextHour = new Date(now.getTime() + 60 * 60 * 1000);
-  this.nextRun = nextHour;
+  try {
+    this.nextRun = DateHelper.getNextCronExecution(this.cronExpression, this.timezone);
+  } catch (error) {
+    // Invalid expression or timezone; save() reports the validation error
+    this.nextRun = null;
+  }
   return this.save();
 };
 
@@ -220,6 +306,71 @@ syncScheduleSchema.methods.recordExecution = function(status, duration, error =
   return this.updateNextRun();
 };
 
+/**
+ * Blackout window the given time falls in, if any
+ * @param {Date} [date]
+ * @returns {Object|null}
+ */
+syncScheduleSchema.methods.getActiveBlackout = function(date = new Date()) {
+  const windows = this.blackoutWindows || [];
+  if (!windows.length) return null;
+
+  const { dayOfWeek, minutes } = DateHelper.getZonedTime(date, this.timezone || 'UTC');
+  const previousDay = (dayOfWeek + 6) % 7;
+  return windows.find((window) => {
+    if (window.startsAt && window.endsAt) {
+      return date >= window.startsAt && date < window.endsAt;
+    }
+    if (!window.daysOfWeek?.length || !window.startTime || !window.endTime) return false;
+
+    const start = toMinutes(window.startTime);
+    const end = toMinutes(window.endTime);
+    if (start < end) {
+      return window.daysOfWeek.includes(dayOfWeek) && minutes >= start && minutes < end;
+    }
+    return (window.daysOfWeek.includes(dayOfWeek) && minutes >= start)
+      || (window.daysOfWeek.includes(previousDay) && minutes < end);
+  }) || null;
+};
+
+/**
+ * Upstream (runAfter) schedules that have not succeeded since this schedule's last successful run
+ * @returns {Promise<Array<string>>} - Upstream schedule ids still waited for
+ */
+syncScheduleSchema.methods.getPendingDependencies = async function() {
+  if (!this.runAfter || !this.runAfter.length) return [];
+
+  const lastSuccess = await ScheduleRun.findOne({ scheduleId: this._id, status: 'success' }, { triggeredAt: 1 })
+    .sort({ triggeredAt: -1 })
+    .lean();
+  const pending = [];
+  for (const upstreamId of this.runAfter) {
+    const query = { scheduleId: upstreamId, status: 'success' };
+    if (lastSuccess) query.finishedAt = { $gt: lastSuccess.triggeredAt };
+    if (!(await ScheduleRun.exists(query))) pending.push(upstreamId.toString());
+  }
+  return pending;
+};
+
+/**
+ * Why the schedule may not run now: inactive, in a blackout window or waiting for upstream schedules
+ * @returns {Promise<string|null>} - Reason, or null when it may run
+ */
+syncScheduleSchema.methods.getBlockReason = async function(date = new Date()) {
+  if (!this.isActive) return 'Schedule is inactive';
+
+  const blackout = this.getActiveBlackout(date);
+  if (blackout) {
+    return `In blackout window${blackout.name ? ` "${blackout.name}"` : ''}`;
+  }
+
+  const pending = await this.getPendingDependencies();
+  if (pending.length) {
+    return `Waiting for schedule(s) ${pending.join(', ')} to succeed`;
+  }
+  return null;
+};
+
 syncScheduleSchema.methods.activate = function() {
   this.isActive = true;
   return this.updateNextRun();
@@ -251,4 +402,56 @@ syncScheduleSchema.statics.findByVendor = function(vendorId) {
   return this.find({ vendorId });
 };
 
+/**
+ * Active schedule of a store/vendor pair that is in one of its blackout windows
+ * @param {string} storeId
+ * @param {string} vendorId
+ * @param {Date} [date]
+ * @returns {Promise<{schedule:Object, window:Object}|null>}
+ */
+syncScheduleSchema.statics.findActiveBlackout = async function(storeId, vendorId, date = new Date()) {
+  const schedules = await this.find({ storeId, vendorId, isActive: true, 'blackoutWindows.0': { $exists: true } });
+  for (const schedule of schedules) {
+    const window = schedule.getActiveBlackout(date);
+    if (window) return { schedule, window };
+  }
+  return null;
+};
+
+/**
+ * Check runAfter ids for a schedule: they must exist and must not lead back to the schedule
+ * @param {string|null} scheduleId - null for a new schedule
+ * @param {Array<string>} runAfter
+ * @returns {Promise<string|null>} - Problem, or null when valid
+ */
+syncScheduleSchema.statics.checkDependencies = async function(scheduleId, runAfter = []) {
+  const ids = runAfter.map(String);
+  if (scheduleId && ids.includes(String(scheduleId))) {
+    return 'A schedule cannot run after itself';
+  }
+  const found = await this.countDocuments({ _id: { $in: ids } });
+  if (found !== ids.length) {
+    return 'runAfter references a schedule that does not exist';
+  }
+  if (!scheduleId) return null;
+
+  // Walk upstream from the new dependencies; reaching the schedule again is a cycle
+  const seen = new Set();
+  let frontier = ids;
+  while (frontier.length) {
+    const upstream = await this.find({ _id: { $in: frontier } }, { runAfter: 1 }).lean();
+    frontier = [];
+    for (const schedule of upstream) {
+      for (const id of (schedule.runAfter || []).map(String)) {
+        if (id === String(scheduleId)) return 'runAfter would create a dependency cycle';
+        if (!seen.has(id)) {
+          seen.add(id);
+          frontier.push(id);
+        }
+      }
+    }
+  }
+  return null;
+};
+
 module.exports = mongoose.model('SyncSchedule', syncScheduleSchema);
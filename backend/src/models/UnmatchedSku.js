@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['open', 'matched', 'not_sold'];
+
+const suggestionSchema = new mongoose.Schema({
+  shopifyProductId: String,
+  shopifyVariantId: String,
+  productTitle: String,
+  variantTitle: String,
+  sku: String,
+  score: Number,
+  confidence: String,
+  reasons: [String]
+}, { _id: false });
+
+/**
+ * Work queue of ProductVariants that could not be linked to a Shopify variant in a store.
+ * 'open' entries wait for a decision, 'matched' ones were linked (by a later lookup or by
+ * accepting a suggestion) and 'not_sold' ones are intentionally absent from the store and
+ * are no longer looked up.
+ */
+const unmatchedSkuSchema = new mongoose.Schema({
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true
+  },
+  variantSku: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  mainSku: String,
+  color: String,
+  size: String,
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'open'
+  },
+  suggestions: [suggestionSchema],
+  suggestionsUpdatedAt: {
+    type: Date,
+    default: null
+  },
+  // Number of lookups that came back empty
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  firstSeenAt: Date,
+  lastSeenAt: Date,
+  resolvedAt: {
+    type: Date,
+    default: null
+  },
+  resolvedBy: {
+    type: String,
+    default: null
+  },
+  // The Shopify variant the SKU was linked to when matched
+  matchedShopifyVariantId: {
+    type: String,
+    default: null
+  },
+  note: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+unmatchedSkuSchema.index({ storeId: 1, variantSku: 1 }, { unique: true });
+unmatchedSkuSchema.index({ storeId: 1, status: 1, lastSeenAt: -1 });
+
+/**
+ * Record failed lookups, (re)opening an entry per variant
+ * @param {string} storeId
+ * @param {Array<Object>} variants - ProductVariant docs
+ * @returns {Promise<number>} - Entries created
+ */
+unmatchedSkuSchema.statics.recordMisses = async function(storeId, variants = []) {
+  if (!variants.length) return 0;
+  const now = new Date();
+  const ops = variants.map(pv => ({
+    updateOne: {
+      filter: { storeId, variantSku: pv.variantSku },
+      update: {
+        $setOnInsert: { firstSeenAt: now },
+        $set: {
+          mainSku: pv.mainSku,
+          color: pv.color,
+          size: pv.size,
+          status: 'open',
+          lastSeenAt: now,
+          resolvedAt: null,
+          resolvedBy: null,
+          matchedShopifyVariantId: null
+        },
+        $inc: { attempts: 1 }
+      },
+      upsert: true
+    }
+  }));
+  const res = await this.bulkWrite(ops, { ordered: false });
+  return res.upsertedCount || 0;
+};
+
+/**
+ * Close open entries whose SKU has since been linked
+ * @param {string} storeId
+ * @param {Array<{variantSku:string, shopifyVariantId:string}>} variants
+ * @param {string} [resolvedBy]
+ */
+unmatchedSkuSchema.statics.markMatched = async function(storeId, variants = [], resolvedBy = 'lookup') {
+  if (!variants.length) return;
+  const now = new Date();
+  await this.bulkWrite(variants.map(v => ({
+    updateOne: {
+      filter: { storeId, variantSku: v.variantSku, status: 'open' },
+      update: {
+        $set: {
+          status: 'matched',
+          resolvedAt: now,
+          resolvedBy,
+          matchedShopifyVariantId: v.shopifyVariantId || null
+        }
+      }
+    }
+  })), { ordered: false });
+};
+
+/**
+ * Which of the given SKUs are marked as not sold in the store
+ * @param {string} storeId
+ * @param {string[]} variantSkus
+ * @returns {Promise<Set<string>>}
+ */
+unmatchedSkuSchema.statics.notSoldSkus = async function(storeId, variantSkus = []) {
+  if (!variantSkus.length) return new Set();
+  const rows = await this.find(
+    { storeId, variantSku: { $in: variantSkus }, status: 'not_sold' },
+    { variantSku: 1 }
+  ).lean();
+  return new Set(rows.map(r => r.variantSku));
+};
+
+unmatchedSkuSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('UnmatchedSku', unmatchedSkuSchema);
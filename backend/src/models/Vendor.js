@@ -0,0 +1,239 @@
+const mongoose = require('mongoose');
+const encryptionService = require('../utils/encryption');
+
+function encryptSecret(value) {
+  return encryptionService.encrypt(value);
+}
+
+function decryptSecret(value) {
+  try {
+    return encryptionService.decrypt(value);
+  } catch (error) {
+    return value; // Return as-is if decryption fails
+  }
+}
+
+const vendorSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  // Adapter used to talk to this vendor (see services/vendor-adapters)
+  type: {
+    type: String,
+    enum: ['noxa', 'feed'],
+    default: 'noxa'
+  },
+  apiUrl: {
+    type: String,
+    required: function() { return this.type === 'noxa'; },
+    trim: true
+  },
+  apiKey: {
+    type: String,
+    required: function() { return this.type === 'noxa'; },
+    set: function(key) {
+      // Encrypt API key before storing
+      return encryptionService.encrypt(key);
+    },
+    get: function(encryptedKey) {
+      // Decrypt API key when retrieving
+      try {
+        return encryptionService.decrypt(encryptedKey);
+      } catch (error) {
+        return encryptedKey; // Return as-is if decryption fails
+      }
+    }
+  },
+  // Prefix of the variant SKUs this vendor produces (e.g. 'noxa' -> noxa_<mainSku>-<Color>-<Size>)
+  skuPrefix: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    unique: true,
+    match: /^[a-z0-9]+$/
+  },
+  status: {
+    type: String,
+    enum: ['active', 'inactive'],
+    default: 'active'
+  },
+  connectionStatus: {
+    type: String,
+    enum: ['connected', 'disconnected', 'error'],
+    default: 'disconnected'
+  },
+  lastConnectionCheck: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  settings: {
+    pageSize: {
+      type: Number,
+      default: 100,
+      min: 1,
+      max: 1000
+    },
+    batchConcurrency: {
+      type: Number,
+      default: 3,
+      min: 1,
+      max: 10
+    },
+    timeoutMs: {
+      type: Number,
+      default: 30000
+    },
+    // Incremental sync: SKUs changed within this many hours are always refetched
+    recentChangeHours: {
+      type: Number,
+      default: 24,
+      min: 0
+    },
+    // Incremental sync: SKUs with total stock at or below this are always refetched
+    lowStockThreshold: {
+      type: Number,
+      default: 5,
+      min: 0
+    },
+    // Incremental sync: unchanged SKUs are rechecked after this many hours
+    incrementalRefreshHours: {
+      type: Number,
+      default: 24,
+      min: 1
+    },
+    // SKUs missing from the active list are zeroed after this many hours
+    discontinueGraceHours: {
+      type: Number,
+      default: 72,
+      min: 0
+    },
+    // 'archive' also archives fully discontinued products in connected Shopify stores
+    discontinuedAction: {
+      type: String,
+      enum: ['zero', 'archive'],
+      default: 'zero'
+    }
+  },
+  // File-based vendors: nightly CSV/XLSX drops in a local or SFTP directory
+  feed: {
+    source: {
+      type: String,
+      enum: ['local', 'sftp'],
+      default: 'local'
+    },
+    directory: {
+      type: String,
+      trim: true
+    },
+    // Glob-style file name pattern; the newest matching file is ingested
+    filePattern: {
+      type: String,
+      trim: true,
+      default: '*.csv'
+    },
+    delimiter: {
+      type: String,
+      default: ','
+    },
+    sheetName: {
+      type: String,
+      trim: true
+    },
+    sftp: {
+      host: String,
+      port: {
+        type: Number,
+        default: 22
+      },
+      username: String,
+      password: {
+        type: String,
+        set: encryptSecret,
+        get: decryptSecret
+      },
+      privateKey: {
+        type: String,
+        set: encryptSecret,
+        get: decryptSecret
+      }
+    },
+    // Normalized field -> column header in the vendor's file
+    columnMapping: {
+      mainSku: { type: String, default: 'SKU' },
+      color: { type: String, default: 'Color' },
+      size: { type: String, default: 'Size' },
+      stockQty: { type: String, default: 'Qty' },
+      preOrderDate: { type: String },
+      status: { type: String },
+      // Optional comma/semicolon separated product tags
+      tags: { type: String }
+    },
+    lastFile: {
+      name: String,
+      modifiedAt: Date,
+      rows: Number,
+      rowErrors: Number,
+      processedAt: Date
+    }
+  },
+  lastSyncAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    getters: true,
+    transform: function(doc, ret) {
+      // Never expose credentials
+      delete ret.apiKey;
+      if (ret.feed?.sftp) {
+        delete ret.feed.sftp.password;
+        delete ret.feed.sftp.privateKey;
+      }
+      return ret;
+    }
+  },
+  toObject: { getters: true }
+});
+
+// Indexes
+vendorSchema.index({ status: 1 });
+
+// Virtual for older callers that check vendor.isActive
+vendorSchema.virtual('isActive').get(function() {
+  return this.status === 'active';
+});
+
+// Instance methods
+vendorSchema.methods.updateConnectionStatus = function(status, error = null) {
+  this.connectionStatus = status;
+  this.lastConnectionCheck = new Date();
+  this.lastError = error;
+  return this.save();
+};
+
+// Static methods
+vendorSchema.statics.findActive = function() {
+  return this.find({ status: 'active' });
+};
+
+vendorSchema.statics.findBySkuPrefix = function(prefix) {
+  return this.findOne({ skuPrefix: String(prefix || '').toLowerCase() });
+};
+
+module.exports = mongoose.model('Vendor', vendorSchema);
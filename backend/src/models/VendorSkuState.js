@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+/**
+ * Per-vendor sync state of one main SKU.
+ * Holds a checksum of the last fetched inventory so incremental syncs can skip unchanged SKUs.
+ */
+const vendorSkuStateSchema = new mongoose.Schema({
+  // Vendor SKU prefix (same key as ProductVariant.getVendorKey)
+  vendorKey: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  mainSku: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  inventoryHash: {
+    type: String,
+    default: null
+  },
+  totalStock: {
+    type: Number,
+    default: 0
+  },
+  variantCount: {
+    type: Number,
+    default: 0
+  },
+  lastCheckedAt: {
+    type: Date,
+    default: null
+  },
+  lastChangedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+vendorSkuStateSchema.index({ vendorKey: 1, mainSku: 1 }, { unique: true });
+vendorSkuStateSchema.index({ vendorKey: 1, lastChangedAt: -1 });
+
+/**
+ * Order-independent checksum of a SKU's normalized inventory records
+ * @param {Array<Object>} records - Normalized records for one main SKU
+ * @returns {string}
+ */
+vendorSkuStateSchema.statics.hashRecords = function(records = []) {
+  const lines = records
+    .map(r => [
+      String(r.color || '').toLowerCase(),
+      String(r.size || '').toLowerCase(),
+      Number(r.stockQty) || 0,
+      r.preOrderDate ? new Date(r.preOrderDate).toISOString().slice(0, 10) : '',
+      r.status || '',
+      // Only tagged records carry the extra field so existing checksums stay valid
+      ...(Array.isArray(r.tags) ? [r.tags.map(t => String(t).toLowerCase()).sort().join(',')] : [])
+    ].join('|'))
+    .sort();
+  return crypto.createHash('sha1').update(lines.join('\n')).digest('hex');
+};
+
+/**
+ * Split active SKUs into those due for a fetch (in priority order) and those skipped as stable.
+ * Priority: never synced, recently changed, low stock, then anything not checked within refreshHours.
+ * @param {string} vendorKey
+ * @param {string[]} skus - Active main SKUs
+ * @param {Object} [opts]
+ * @param {number} [opts.recentHours=24] - Changed within this window counts as recently changed
+ * @param {number} [opts.lowStockThreshold=5] - Total stock at or below this counts as low stock
+ * @param {number} [opts.refreshHours=24] - Stable SKUs are re-checked after this long
+ * @returns {Promise<{due:string[], skipped:string[], counts:Object}>}
+ */
+vendorSkuStateSchema.statics.planIncremental = async function(vendorKey, skus, opts = {}) {
+  const { recentHours = 24, lowStockThreshold = 5, refreshHours = 24 } = opts;
+  const now = Date.now();
+  const recentSince = now - recentHours * 3600 * 1000;
+  const refreshSince = now - refreshHours * 3600 * 1000;
+
+  const states = await this.find(
+    { vendorKey: String(vendorKey).toLowerCase(), mainSku: { $in: skus } },
+    { mainSku: 1, totalStock: 1, lastCheckedAt: 1, lastChangedAt: 1 }
+  ).lean();
+  const stateBySku = new Map(states.map(s => [s.mainSku, s]));
+
+  const buckets = { new: [], recentlyChanged: [], lowStock: [], stale: [] };
+  const skipped = [];
+  for (const sku of skus) {
+    const state = stateBySku.get(sku);
+    if (!state || !state.lastCheckedAt) buckets.new.push(sku);
+    else if (state.lastChangedAt && state.lastChangedAt.getTime() >= recentSince) buckets.recentlyChanged.push(sku);
+    else if ((state.totalStock || 0) <= lowStockThreshold) buckets.lowStock.push(sku);
+    else if (state.lastCheckedAt.getTime() < refreshSince) buckets.stale.push(sku);
+    else skipped.push(sku);
+  }
+
+  // Least recently checked first within each bucket
+  const checkedAt = sku => stateBySku.get(sku)?.lastCheckedAt?.getTime() || 0;
+  Object.values(buckets).forEach(list => list.sort((a, b) => checkedAt(a) - checkedAt(b)));
+
+  return {
+    due: [...buckets.new, ...buckets.recentlyChanged, ...buckets.lowStock, ...buckets.stale],
+    skipped,
+    counts: {
+      new: buckets.new.length,
+      recentlyChanged: buckets.recentlyChanged.length,
+      lowStock: buckets.lowStock.length,
+      stale: buckets.stale.length,
+      skipped: skipped.length
+    }
+  };
+};
+
+/**
+ * Compare fetched records with the stored checksums (read-only)
+ * @param {string} vendorKey
+ * @param {string[]} skus - Main SKUs that were fetched (SKUs with no records hash as empty)
+ * @param {Array<Object>} records - Normalized records returned for them
+ * @returns {Promise<{changed:Set<string>, unchanged:Set<string>, states:Array<Object>}>}
+ */
+vendorSkuStateSchema.statics.diffFetched = async function(vendorKey, skus, records) {
+  const recordsBySku = new Map(skus.map(sku => [sku, []]));
+  for (const record of records) {
+    if (!recordsBySku.has(record.mainSku)) recordsBySku.set(record.mainSku, []);
+    recordsBySku.get(record.mainSku).push(record);
+  }
+
+  const allSkus = Array.from(recordsBySku.keys());
+  const existing = await this.find(
+    { vendorKey: String(vendorKey).toLowerCase(), mainSku: { $in: allSkus } },
+    { mainSku: 1, inventoryHash: 1 }
+  ).lean();
+  const hashBySku = new Map(existing.map(s => [s.mainSku, s.inventoryHash]));
+
+  const changed = new Set();
+  const unchanged = new Set();
+  const states = allSkus.map(sku => {
+    const items = recordsBySku.get(sku);
+    const inventoryHash = this.hashRecords(items);
+    const isChanged = hashBySku.get(sku) !== inventoryHash;
+    (isChanged ? changed : unchanged).add(sku);
+    return {
+      mainSku: sku,
+      inventoryHash,
+      totalStock: items.reduce((sum, r) => sum + (Number(r.stockQty) || 0), 0),
+      variantCount: items.length,
+      changed: isChanged
+    };
+  });
+
+  return { changed, unchanged, states };
+};
+
+/**
+ * Persist states from diffFetched (call after the inventory itself was saved)
+ * @param {string} vendorKey
+ * @param {Array<Object>} states
+ */
+vendorSkuStateSchema.statics.saveFetched = async function(vendorKey, states) {
+  if (!states.length) return;
+  const key = String(vendorKey).toLowerCase();
+  const now = new Date();
+  await this.bulkWrite(states.map(state => ({
+    updateOne: {
+      filter: { vendorKey: key, mainSku: state.mainSku },
+      update: {
+        $set: {
+          inventoryHash: state.inventoryHash,
+          totalStock: state.totalStock,
+          variantCount: state.variantCount,
+          lastCheckedAt: now,
+          ...(state.changed ? { lastChangedAt: now } : {})
+        }
+      },
+      upsert: true
+    }
+  })), { ordered: false });
+};
+
+module.exports = mongoose.model('VendorSkuState', vendorSkuStateSchema);
@@ -45,9 +45,16 @@ class InMemoryQueue extends EventEmitter {
       }
     };
     this.jobs.push(job);
-    this.waiting.push(job);
-    this.emit('waiting', job.id);
-    setImmediate(() => this._drain());
+    const enqueue = () => {
+      this.waiting.push(job);
+      this.emit('waiting', job.id);
+      setImmediate(() => this._drain());
+    };
+    if (opts.delay > 0) {
+      setTimeout(enqueue, opts.delay);
+    } else {
+      enqueue();
+    }
     return job;
   }
 
@@ -26,6 +26,14 @@ router.get('/schedules', cronController.getSchedules);
  */
 router.post('/schedules', validate.cron.create, cronController.createSchedule);
 
+/**
+ * @route GET /api/cron/preview
+ * @desc Validate a cron expression and list its next fire times in a timezone
+ *        Query: expression, timezone (IANA, default UTC), count (1-50, default 5), from (ISO date)
+ * @access Private
+ */
+router.get('/preview', validate.cron.preview, cronController.previewSchedule);
+
 /**
  * @route GET /api/cron/schedules/:id
  * @desc Get cron schedule by ID
@@ -61,6 +69,30 @@ router.post('/schedules/:id/activate', validate.mongoId, cronController.activate
  */
 router.post('/schedules/:id/deactivate', validate.mongoId, cronController.deactivateSchedule);
 
+/**
+ * @route GET /api/cron/schedules/:id/runs
+ * @desc Run history of a schedule (scheduled time, actual start/end, status, SyncLog), newest first
+ *        Query: page, limit, status, trigger (cron|catch-up|dependency), from, to (ISO dates, scheduled time)
+ * @access Private
+ */
+router.get('/schedules/:id/runs', validate.mongoId, validate.cron.runs, cronController.getScheduleRuns);
+
+/**
+ * @route GET /api/cron/schedules/:id/notifications
+ * @desc Notification deliveries of a schedule with every attempt, newest first
+ *        Query: page, limit, status (pending|sent|failed), event (success|failure|partial_failure|skipped)
+ * @access Private
+ */
+router.get('/schedules/:id/notifications', validate.mongoId, validate.cron.notificationDeliveries, cronController.getNotificationDeliveries);
+
+/**
+ * @route POST /api/cron/schedules/:id/notifications/test
+ * @desc Send a test notification to the schedule's email/webhook targets (one attempt, recorded)
+ *        Body: event (default failure)
+ * @access Private
+ */
+router.post('/schedules/:id/notifications/test', validate.mongoId, validate.cron.testNotification, cronController.testNotification);
+
 /**
  * @route GET /api/cron/jobs/running
  * @desc Get currently running cron jobs
@@ -13,11 +13,90 @@ router.use(readOnlyLimiter);
 /**
  * @route GET /api/inventory/all
  * @desc List all variants (inventory) for all products with pagination and filters
- *        Query: page, limit, status, sku, stockQtyMin, stockQtyMax
+ *        Query: storeId (Shopify linkage of that store), page, limit, status, sku, stockQtyMin, stockQtyMax
  * @access Private
  */
 router.get('/all', validate.inventoryList, inventoryController.getAllProductsVariantsInventory);
 
+/**
+ * @route GET /api/inventory/discrepancies
+ * @desc Vendor vs Shopify quantity discrepancies (unlinked, stale, shopify_higher, vendor_higher)
+ *        Query: page, limit, storeId, classification (CSV), vendorKey, sku, minDifference, staleHours, refresh
+ *        (the scan is cached for DISCREPANCY_SNAPSHOT_TTL_MS and reset by each sync; refresh=true rescans)
+ * @access Private
+ */
+router.get('/discrepancies', validate.inventory.discrepancies, inventoryController.getDiscrepancies);
+
+/**
+ * @route POST /api/inventory/discrepancies/fix
+ * @desc Queue a targeted Shopify update for the selected variantSkus
+ *        Body: storeId, variantSkus
+ * @access Private
+ */
+router.post('/discrepancies/fix', validate.inventory.fixDiscrepancies, inventoryController.fixDiscrepancies);
+
+/**
+ * @route POST /api/inventory/rules/preview
+ * @desc Preview quantities sent to Shopify under a store's inventory rules (or draft rules in the body)
+ *        Body: storeId, rules?, skus?, mainSku?, limit
+ * @access Private
+ */
+router.post('/rules/preview', validate.inventory.rulesPreview, inventoryController.previewRules);
+
+/**
+ * @route GET /api/inventory/unmatched
+ * @desc Variants with no Shopify variant in a store (suggestions are computed when an entry is opened)
+ *        Query: page, limit, storeId, status (open|matched|not_sold), sku?
+ * @access Private
+ */
+router.get('/unmatched', validate.inventory.unmatchedList, inventoryController.listUnmatched);
+
+/**
+ * @route GET /api/inventory/unmatched/:id
+ * @desc Unmatched SKU entry; open entries get suggestions when missing or stale, or on ?refresh=true
+ * @access Private
+ */
+router.get('/unmatched/:id', validate.mongoId, validate.inventory.unmatchedGet, inventoryController.getUnmatched);
+
+/**
+ * @route GET /api/inventory/unmatched/:id/search
+ * @desc Search the store's Shopify catalog for an unmatched SKU, results scored against it
+ *        Query: q (Shopify product search), limit
+ * @access Private
+ */
+router.get('/unmatched/:id/search', validate.mongoId, validate.inventory.unmatchedSearch, inventoryController.searchUnmatched);
+
+/**
+ * @route POST /api/inventory/unmatched/:id/accept
+ * @desc Link the variant to a Shopify variant (a suggestion or a search result)
+ *        Body: shopifyVariantId
+ * @access Private
+ */
+router.post('/unmatched/:id/accept', validate.mongoId, validate.inventory.acceptUnmatched, inventoryController.acceptUnmatched);
+
+/**
+ * @route POST /api/inventory/unmatched/:id/not-sold
+ * @desc Mark the SKU as intentionally not sold in the store (no further lookups)
+ *        Body: note?
+ * @access Private
+ */
+router.post('/unmatched/:id/not-sold', validate.mongoId, validate.inventory.unmatchedNotSold, inventoryController.markUnmatchedNotSold);
+
+/**
+ * @route POST /api/inventory/unmatched/:id/reopen
+ * @desc Put a matched or not-sold entry back in the queue
+ * @access Private
+ */
+router.post('/unmatched/:id/reopen', validate.mongoId, inventoryController.reopenUnmatched);
+
+/**
+ * @route GET /api/inventory/:variantSku/history
+ * @desc Quantity change history of a variant (vendor stockQty and Shopify per-location writes), newest first
+ *        Query: page, limit, field, source, from, to, storeId
+ * @access Private
+ */
+router.get('/:variantSku/history', validate.inventoryHistory, inventoryController.getVariantHistory);
+
 /**
  * @route GET /api/inventory/products/:productId/variants
  * @desc Alias route to list variants by productId param
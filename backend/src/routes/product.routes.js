@@ -17,6 +17,11 @@ router.use(defaultLimiter);
  * @access Private (Admin)
  * @body {number} [page=1] - Page number to start syncing from
  * @body {number} [limit=100] - Number of products per page
+ * @body {string} [mode=full] - 'full' refetches every SKU; 'incremental' fetches only new, recently changed,
+ *   low-stock or stale SKUs and skips saving SKUs whose inventory hash is unchanged
+ * @body {boolean} [dryRun=false] - Fetch and diff without saving; the changes are downloadable from
+ *   GET /api/sync/jobs/:jobId/report
+ * @body {string} [storeId] - Store whose Shopify quantities the dry run compares against (required with dryRun)
  * @returns {Object} - Job information including jobId
  */
 router.post('/sync', syncLimiter, productController.startProductSync);
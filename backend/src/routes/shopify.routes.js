@@ -1,6 +1,7 @@
 const express = require('express');
 const { authenticateAdmin } = require('../middleware/auth.middleware');
 const shopifyController = require('../controllers/shopify.controller');
+const { validate } = require('../middleware/validation.middleware');
 const { ResponseHelper } = require('../utils/helpers');
 
 const router = express.Router();
@@ -23,10 +24,20 @@ router.get('/', shopifyController.getStores);
 router.post('/connect', shopifyController.connectStore);
 
 /**
- * @route POST /api/shopify/:storeId/sync-inventory
+ * @route POST /api/shopify/sync-with-shopify
  * @desc Bulk sync inventory to Shopify for a store
+ *        Body: storeId (required), maxUpdates, onlyMissingShopifyFields, updateOutOfStock, bulkImport, dryRun
+ *        (dryRun writes nothing; the would-be changes are downloadable from GET /api/sync/jobs/:jobId/report)
  * @access Private
  */
-router.post('/sync-with-shopify', shopifyController.syncWithShopify);
+router.post('/sync-with-shopify', validate.shopify.syncWithShopify, shopifyController.syncWithShopify);
+
+/**
+ * @route POST /api/shopify/import-catalog
+ * @desc Link every ProductVariant to a store's Shopify products (ids + available qty) using a bulk operation
+ *        Body: storeId (required)
+ * @access Private
+ */
+router.post('/import-catalog', validate.shopify.importCatalog, shopifyController.importCatalog);
 
 module.exports = router;
@@ -4,7 +4,10 @@ const { validate } = require('../middleware/validation.middleware');
 const { defaultLimiter, readOnlyLimiter } = require('../middleware/rate-limit.middleware');
 const { ResponseHelper } = require('../utils/helpers');
 const Store = require('../models/Store');
+const SkuAlias = require('../models/SkuAlias');
+const ProductVariant = require('../models/ProductVariant');
 const shopifyService = require('../services/shopify.service');
+const webhookService = require('../services/webhook.service');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -94,6 +97,13 @@ router.post('/', validate.store.create, async (req, res) => {
 
     await store.save();
 
+    // Register webhook subscriptions; failures are kept on store.webhooks.lastError
+    try {
+      await webhookService.syncSubscriptions(store);
+    } catch (whErr) {
+      logger.warn(`Unable to register Shopify webhooks for store ${store._id}: ${whErr.message}`);
+    }
+
     // Remove sensitive data from response
     const storeResponse = store.toJSON();
     delete storeResponse.accessToken;
@@ -154,6 +164,31 @@ router.put('/:id', validate.mongoId, validate.store.update, async (req, res) =>
       return ResponseHelper.error(res, 'Cannot update inactive store', 410, 'STORE_INACTIVE');
     }
 
+    // Location mappings must point at locations that exist in this Shopify store
+    if (settings?.locationMappings?.length) {
+      const locations = await shopifyService.getLocations(id);
+      const known = new Map(locations.map(loc => [loc.id, loc]));
+      const unknown = settings.locationMappings.filter(m => !known.has(m.locationId));
+      if (unknown.length) {
+        return ResponseHelper.error(res, 'Unknown Shopify location in locationMappings', 400, 'INVALID_LOCATION_MAPPING', {
+          locationIds: unknown.map(m => m.locationId)
+        });
+      }
+      settings.locationMappings = settings.locationMappings.map(m => ({
+        ...m,
+        locationName: m.locationName || known.get(m.locationId).name
+      }));
+    }
+
+    // Partial pre-order settings keep the stored values for omitted fields
+    if (settings?.preOrders) {
+      settings.preOrders = { ...(store.settings?.preOrders || {}), ...settings.preOrders };
+    }
+    // Same for inventory rules; overrides, when given, replace the whole list
+    if (settings?.inventoryRules) {
+      settings.inventoryRules = { ...(store.settings?.inventoryRules || {}), ...settings.inventoryRules };
+    }
+
     // Update allowed fields
     if (name !== undefined) store.name = name;
     if (description !== undefined) store.description = description;
@@ -193,6 +228,13 @@ router.delete('/:id', validate.mongoId, async (req, res) => {
       return ResponseHelper.error(res, 'Store is already disconnected', 410, 'STORE_ALREADY_DISCONNECTED');
     }
 
+    // Best effort: stop Shopify delivering webhooks for a store we no longer track
+    try {
+      await webhookService.deleteAllSubscriptions(store);
+    } catch (whErr) {
+      logger.warn(`Unable to delete Shopify webhooks for store ${store._id}: ${whErr.message}`);
+    }
+
     // Soft delete - mark as inactive instead of removing
     store.isActive = false;
     store.connectionStatus = 'disconnected';
@@ -302,4 +344,316 @@ router.post('/:id/test-connection', validate.mongoId, async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/stores/:id/locations
+ * @desc List Shopify locations with the vendors mapped to each
+ * @access Private
+ */
+router.get('/:id/locations', validate.mongoId, async (req, res) => {
+  try {
+    const store = await loadConnectedStore(req, res);
+    if (!store) return;
+
+    const [locations, primaryLocationId] = await Promise.all([
+      shopifyService.getLocations(store._id),
+      shopifyService.getPrimaryLocationId(store._id)
+    ]);
+    const mappings = store.settings?.locationMappings || [];
+
+    ResponseHelper.success(res, {
+      locations: locations.map(loc => ({
+        ...loc,
+        isPrimary: loc.id === primaryLocationId,
+        vendors: mappings.filter(m => m.locationId === loc.id).map(m => ({ vendorKey: m.vendorKey, split: m.split }))
+      })),
+      locationMappings: mappings
+    }, 'Store locations retrieved successfully');
+  } catch (error) {
+    logger.error('Error retrieving store locations:', error);
+    ResponseHelper.error(res, 'Failed to retrieve store locations', 500, 'STORE_LOCATIONS_ERROR');
+  }
+});
+
+/**
+ * Load an active, connected store for routes that call Shopify
+ */
+async function loadConnectedStore(req, res) {
+  const store = await Store.findById(req.params.id);
+  if (!store) {
+    ResponseHelper.error(res, 'Store not found', 404, 'STORE_NOT_FOUND');
+    return null;
+  }
+  if (!store.isActive) {
+    ResponseHelper.error(res, 'Store is inactive', 410, 'STORE_INACTIVE');
+    return null;
+  }
+  if (store.connectionStatus !== 'connected') {
+    ResponseHelper.error(res, 'Store is not connected', 400, 'STORE_NOT_CONNECTED');
+    return null;
+  }
+  return store;
+}
+
+/**
+ * @route GET /api/stores/:id/webhooks
+ * @desc List webhook subscriptions stored on the store and registered on Shopify
+ * @access Private
+ */
+router.get('/:id/webhooks', validate.mongoId, async (req, res) => {
+  try {
+    const store = await loadConnectedStore(req, res);
+    if (!store) return;
+
+    const remote = await webhookService.listSubscriptions(store);
+
+    ResponseHelper.success(res, {
+      subscriptions: store.webhooks?.subscriptions || [],
+      remote,
+      callbackUrl: process.env.WEBHOOK_BASE_URL ? webhookService.getCallbackUrl(store) : null,
+      lastSyncedAt: store.webhooks?.lastSyncedAt || null,
+      lastError: store.webhooks?.lastError || null
+    }, 'Webhook subscriptions retrieved successfully');
+  } catch (error) {
+    logger.error('Error listing webhook subscriptions:', error);
+    ResponseHelper.error(res, 'Failed to list webhook subscriptions: ' + error.message, 500, 'WEBHOOK_LIST_ERROR');
+  }
+});
+
+/**
+ * @route POST /api/stores/:id/webhooks
+ * @desc Create webhook subscriptions for the given topics (default: all supported), keeping existing ones
+ * @access Private
+ */
+router.post('/:id/webhooks', validate.mongoId, validate.store.webhooks, async (req, res) => {
+  try {
+    const store = await loadConnectedStore(req, res);
+    if (!store) return;
+
+    const result = await webhookService.syncSubscriptions(store, { topics: req.body.topics, prune: false });
+
+    logger.info(`Webhook subscriptions created for ${store.shopifyDomain}`, { storeId: store._id, created: result.created.length });
+    ResponseHelper.success(res, result, 'Webhook subscriptions created successfully', result.created.length ? 201 : 200);
+  } catch (error) {
+    logger.error('Error creating webhook subscriptions:', error);
+    ResponseHelper.error(res, 'Failed to create webhook subscriptions: ' + error.message, 500, 'WEBHOOK_CREATE_ERROR');
+  }
+});
+
+/**
+ * @route POST /api/stores/:id/webhooks/sync
+ * @desc Re-sync subscriptions: recreate missing, re-point stale callback URLs, remove extras
+ * @access Private
+ */
+router.post('/:id/webhooks/sync', validate.mongoId, validate.store.webhooks, async (req, res) => {
+  try {
+    const store = await loadConnectedStore(req, res);
+    if (!store) return;
+
+    const result = await webhookService.syncSubscriptions(store, { topics: req.body.topics });
+
+    ResponseHelper.success(res, result, 'Webhook subscriptions synced successfully');
+  } catch (error) {
+    logger.error('Error syncing webhook subscriptions:', error);
+    ResponseHelper.error(res, 'Failed to sync webhook subscriptions: ' + error.message, 500, 'WEBHOOK_SYNC_ERROR');
+  }
+});
+
+/**
+ * @route DELETE /api/stores/:id/webhooks
+ * @desc Delete all of the app's webhook subscriptions for the store
+ * @access Private
+ */
+router.delete('/:id/webhooks', validate.mongoId, async (req, res) => {
+  try {
+    const store = await loadConnectedStore(req, res);
+    if (!store) return;
+
+    const result = await webhookService.deleteAllSubscriptions(store);
+
+    logger.info(`Webhook subscriptions deleted for ${store.shopifyDomain}`, { storeId: store._id, deleted: result.deleted.length });
+    ResponseHelper.success(res, result, 'Webhook subscriptions deleted successfully');
+  } catch (error) {
+    logger.error('Error deleting webhook subscriptions:', error);
+    ResponseHelper.error(res, 'Failed to delete webhook subscriptions: ' + error.message, 500, 'WEBHOOK_DELETE_ERROR');
+  }
+});
+
+/**
+ * @route DELETE /api/stores/:id/webhooks/:subscriptionId
+ * @desc Delete a single webhook subscription (numeric Shopify ID)
+ * @access Private
+ */
+router.delete('/:id/webhooks/:subscriptionId', validate.store.webhookParams, async (req, res) => {
+  try {
+    const store = await loadConnectedStore(req, res);
+    if (!store) return;
+
+    const deletedId = await webhookService.deleteSubscription(store, req.params.subscriptionId);
+    const remaining = (store.webhooks?.subscriptions || []).filter(sub => sub.subscriptionId !== deletedId);
+    await store.setWebhookSubscriptions(remaining);
+
+    ResponseHelper.success(res, { deleted: deletedId }, 'Webhook subscription deleted successfully');
+  } catch (error) {
+    logger.error('Error deleting webhook subscription:', error);
+    ResponseHelper.error(res, 'Failed to delete webhook subscription: ' + error.message, 500, 'WEBHOOK_DELETE_ERROR');
+  }
+});
+
+/**
+ * @route GET /api/stores/:id/sku-aliases
+ * @desc List vendor SKU -> Shopify SKU/variant aliases of a store. Query: page, limit, sku
+ * @access Private
+ */
+router.get('/:id/sku-aliases', validate.mongoId, validate.store.skuAliases, async (req, res) => {
+  try {
+    const store = await Store.findById(req.params.id, { _id: 1 }).lean();
+    if (!store) {
+      return ResponseHelper.error(res, 'Store not found', 404, 'STORE_NOT_FOUND');
+    }
+
+    const { page, limit, sku } = req.query;
+    const filter = { storeId: store._id };
+    if (sku) {
+      const pattern = { $regex: sku.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+      filter.$or = [{ variantSku: pattern }, { shopifySkus: pattern }];
+    }
+
+    const [total, aliases] = await Promise.all([
+      SkuAlias.countDocuments(filter),
+      SkuAlias.find(filter).sort({ variantSku: 1 }).skip((page - 1) * limit).limit(limit).lean()
+    ]);
+
+    ResponseHelper.success(res, {
+      aliases,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit) || 1
+      }
+    }, 'SKU aliases retrieved successfully');
+  } catch (error) {
+    logger.error('Error listing SKU aliases:', error);
+    ResponseHelper.error(res, 'Failed to list SKU aliases', 500, 'SKU_ALIAS_LIST_ERROR');
+  }
+});
+
+/**
+ * @route GET /api/stores/:id/sku-aliases/export
+ * @desc Download all aliases of a store as CSV (variantSku, shopifySkus, shopifyVariantIds, note; lists '|'-separated)
+ * @access Private
+ */
+router.get('/:id/sku-aliases/export', validate.mongoId, async (req, res) => {
+  try {
+    const store = await Store.findById(req.params.id, { _id: 1 }).lean();
+    if (!store) {
+      return ResponseHelper.error(res, 'Store not found', 404, 'STORE_NOT_FOUND');
+    }
+
+    const aliases = await SkuAlias.find({ storeId: store._id }).sort({ variantSku: 1 }).lean();
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="sku-aliases-${store._id}.csv"`);
+    res.status(200).send(SkuAlias.toCsv(aliases));
+  } catch (error) {
+    logger.error('Error exporting SKU aliases:', error);
+    ResponseHelper.error(res, 'Failed to export SKU aliases', 500, 'SKU_ALIAS_EXPORT_ERROR');
+  }
+});
+
+/**
+ * @route POST /api/stores/:id/sku-aliases/import
+ * @desc Import aliases from CSV in the export format. Body: csv, replace (remove aliases not in the file)
+ *        Nothing is written when any row is invalid.
+ * @access Private
+ */
+router.post('/:id/sku-aliases/import', validate.mongoId, validate.store.skuAliasImport, async (req, res) => {
+  try {
+    const store = await Store.findById(req.params.id, { _id: 1 }).lean();
+    if (!store) {
+      return ResponseHelper.error(res, 'Store not found', 404, 'STORE_NOT_FOUND');
+    }
+
+    let parsed;
+    try {
+      parsed = SkuAlias.fromCsv(req.body.csv);
+    } catch (parseError) {
+      return ResponseHelper.error(res, `Invalid CSV: ${parseError.message}`, 400, 'SKU_ALIAS_CSV_INVALID');
+    }
+    if (parsed.errors.length) {
+      return ResponseHelper.error(res, 'SKU alias CSV has invalid rows', 400, 'SKU_ALIAS_CSV_INVALID', { errors: parsed.errors });
+    }
+
+    const result = await SkuAlias.importRows(store._id, parsed.rows, {
+      replace: req.body.replace,
+      updatedBy: req.user?.id || 'import'
+    });
+    const known = await ProductVariant.find(
+      { variantSku: { $in: parsed.rows.map(r => r.variantSku) } },
+      { variantSku: 1 }
+    ).lean();
+    const knownSkus = new Set(known.map(v => v.variantSku));
+
+    logger.info(`Imported ${parsed.rows.length} SKU alias(es)`, { storeId: store._id, ...result });
+    ResponseHelper.success(res, {
+      rows: parsed.rows.length,
+      ...result,
+      unknownVariantSkus: parsed.rows.map(r => r.variantSku).filter(sku => !knownSkus.has(sku))
+    }, 'SKU aliases imported successfully');
+  } catch (error) {
+    logger.error('Error importing SKU aliases:', error);
+    ResponseHelper.error(res, 'Failed to import SKU aliases', 500, 'SKU_ALIAS_IMPORT_ERROR');
+  }
+});
+
+/**
+ * @route PUT /api/stores/:id/sku-aliases/:variantSku
+ * @desc Create or replace the alias of one vendor SKU. Body: shopifySkus?, shopifyVariantIds? (numeric or GID), note?
+ * @access Private
+ */
+router.put('/:id/sku-aliases/:variantSku', validate.store.skuAliasParams, validate.store.skuAlias, async (req, res) => {
+  try {
+    const store = await Store.findById(req.params.id, { _id: 1 }).lean();
+    if (!store) {
+      return ResponseHelper.error(res, 'Store not found', 404, 'STORE_NOT_FOUND');
+    }
+
+    const { shopifySkus, shopifyVariantIds, note } = req.body;
+    const alias = await SkuAlias.findOneAndUpdate(
+      { storeId: store._id, variantSku: req.params.variantSku },
+      {
+        $set: {
+          shopifySkus,
+          shopifyVariantIds: shopifyVariantIds.map(id => SkuAlias.toVariantGid(id)),
+          note,
+          updatedBy: req.user?.id || 'manual'
+        }
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    ResponseHelper.success(res, alias, 'SKU alias saved successfully');
+  } catch (error) {
+    logger.error('Error saving SKU alias:', error);
+    ResponseHelper.error(res, 'Failed to save SKU alias', 500, 'SKU_ALIAS_SAVE_ERROR');
+  }
+});
+
+/**
+ * @route DELETE /api/stores/:id/sku-aliases/:variantSku
+ * @desc Remove the alias of one vendor SKU (existing Shopify links are kept)
+ * @access Private
+ */
+router.delete('/:id/sku-aliases/:variantSku', validate.store.skuAliasParams, async (req, res) => {
+  try {
+    const result = await SkuAlias.deleteOne({ storeId: req.params.id, variantSku: req.params.variantSku });
+    if (!result.deletedCount) {
+      return ResponseHelper.error(res, 'SKU alias not found', 404, 'SKU_ALIAS_NOT_FOUND');
+    }
+    ResponseHelper.success(res, { variantSku: req.params.variantSku }, 'SKU alias deleted successfully');
+  } catch (error) {
+    logger.error('Error deleting SKU alias:', error);
+    ResponseHelper.error(res, 'Failed to delete SKU alias', 500, 'SKU_ALIAS_DELETE_ERROR');
+  }
+});
+
 module.exports = router;
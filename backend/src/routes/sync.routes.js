@@ -45,6 +45,13 @@ router.get('/jobs', validate.pagination, syncController.getSyncHistory);
  */
 router.get('/jobs/:id', validate.mongoId, syncController.getSyncStatus);
 
+/**
+ * @route GET /api/sync/jobs/:id/report
+ * @desc Download a dry-run sync's diff report (id = jobId or _id). Query: format=json|csv, kind=change|unresolved
+ * @access Private
+ */
+router.get('/jobs/:id/report', syncController.getSyncReport);
+
 /**
  * @route GET /api/sync/jobs/active
  * @desc Get active (queued/active/delayed) jobs with optional filters
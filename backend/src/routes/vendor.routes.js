@@ -68,6 +68,7 @@ router.get('/:id/inventory', validate.mongoId, vendorController.getVendorInvento
  * @route POST /api/vendors/:id/sync-products
  * @desc Fetch latest products from vendor API
  * @access Private
+ * @body {string} [mode=full] - 'full' or 'incremental' (see POST /api/products/sync)
  */
 router.post('/:id/sync-products', validate.mongoId, vendorController.syncVendor);
 
@@ -0,0 +1,15 @@
+const express = require('express');
+const webhookController = require('../controllers/webhook.controller');
+
+const router = express.Router();
+
+// No admin auth: Shopify calls these directly and each request is verified by HMAC
+
+/**
+ * @route POST /api/shopify/webhooks/:storeId
+ * @desc Receive Shopify webhooks (inventory_levels/update, products/update, products/delete, app/uninstalled)
+ * @access Public (HMAC verified)
+ */
+router.post('/:storeId', webhookController.receiveShopifyWebhook);
+
+module.exports = router;
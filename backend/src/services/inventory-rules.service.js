@@ -0,0 +1,168 @@
+const Product = require('../models/Product');
+const ProductVariant = require('../models/ProductVariant');
+
+const RULE_FIELDS = ['zeroBelow', 'safetyBuffer', 'allocationPercent', 'maxQuantity'];
+const MATCH_FIELDS = ['mainSku', 'color', 'size', 'tag'];
+
+const DEFAULT_RULES = {
+  zeroBelow: 0,
+  safetyBuffer: 0,
+  allocationPercent: 100,
+  maxQuantity: null
+};
+
+/**
+ * Inventory Rules Service
+ * Computes the quantity written to Shopify from vendor stock using a store's
+ * settings.inventoryRules. Evaluation order:
+ *   1. zeroBelow         - vendor stock below this sends 0
+ *   2. safetyBuffer      - subtract N units
+ *   3. allocationPercent - share of the remainder given to this store (rounded down)
+ *   4. maxQuantity       - cap (null = no cap)
+ * Overrides match on mainSku, color, size and/or tag (all given criteria must match,
+ * case-insensitive). Matching overrides are layered from least to most specific, so the
+ * most specific override wins for each field it sets; equal specificity goes by list order.
+ */
+class InventoryRulesService {
+  /**
+   * Effective rules for a store, optionally replaced by a draft (used by the preview)
+   * @param {Object|null} store - Store document
+   * @param {Object} [draft] - Rules in Store.settings.inventoryRules shape
+   * @returns {Object} - { zeroBelow, safetyBuffer, allocationPercent, maxQuantity, overrides }
+   */
+  getStoreRules(store, draft = null) {
+    const source = draft || store?.settings?.inventoryRules || {};
+    const plain = typeof source.toObject === 'function' ? source.toObject() : source;
+    const rules = { ...DEFAULT_RULES };
+    for (const field of RULE_FIELDS) {
+      if (plain[field] !== undefined && plain[field] !== null) rules[field] = plain[field];
+    }
+    rules.overrides = (plain.overrides || []).map(o => (typeof o.toObject === 'function' ? o.toObject() : { ...o }));
+    return rules;
+  }
+
+  /**
+   * Whether any override matches on tag (tags then need to be loaded)
+   */
+  usesTags(rules) {
+    return (rules.overrides || []).some(o => o.tag);
+  }
+
+  /**
+   * Evaluate rules for one variant
+   * @param {Object} rules - From getStoreRules
+   * @param {Object} variant - { mainSku, color, size, stockQty, tags? }
+   * @returns {{quantity:number, stockQty:number, applied:Object, overrides:number[], steps:Array<Object>}}
+   */
+  evaluate(rules, variant) {
+    const stockQty = Math.max(0, Number(variant.stockQty) || 0);
+    const tags = (variant.tags || []).map(t => String(t).toLowerCase());
+    const same = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+    const matched = (rules.overrides || [])
+      .map((override, index) => ({ override, index }))
+      .filter(({ override }) => {
+        const criteria = MATCH_FIELDS.filter(f => override[f]);
+        if (!criteria.length) return false;
+        return criteria.every(f => (f === 'tag'
+          ? tags.includes(String(override.tag).trim().toLowerCase())
+          : variant[f] != null && same(variant[f], override[f])));
+      })
+      .sort((a, b) => {
+        const specificity = o => MATCH_FIELDS.filter(f => o[f]).length;
+        return specificity(a.override) - specificity(b.override) || a.index - b.index;
+      });
+
+    const applied = {};
+    for (const field of RULE_FIELDS) applied[field] = rules[field];
+    for (const { override } of matched) {
+      for (const field of RULE_FIELDS) {
+        if (override[field] !== undefined && override[field] !== null) applied[field] = override[field];
+      }
+    }
+
+    const steps = [];
+    let quantity = stockQty;
+    if (applied.zeroBelow > 0 && stockQty < applied.zeroBelow) {
+      quantity = 0;
+      steps.push({ rule: 'zeroBelow', value: applied.zeroBelow, quantity });
+    }
+    if (quantity > 0 && applied.safetyBuffer > 0) {
+      quantity = Math.max(0, quantity - applied.safetyBuffer);
+      steps.push({ rule: 'safetyBuffer', value: applied.safetyBuffer, quantity });
+    }
+    if (quantity > 0 && applied.allocationPercent < 100) {
+      quantity = Math.floor((quantity * Math.max(0, applied.allocationPercent)) / 100);
+      steps.push({ rule: 'allocationPercent', value: applied.allocationPercent, quantity });
+    }
+    if (applied.maxQuantity !== null && applied.maxQuantity !== undefined && quantity > applied.maxQuantity) {
+      quantity = Math.max(0, applied.maxQuantity);
+      steps.push({ rule: 'maxQuantity', value: applied.maxQuantity, quantity });
+    }
+
+    return {
+      quantity,
+      stockQty,
+      applied,
+      overrides: matched.map(m => m.index),
+      steps
+    };
+  }
+
+  /**
+   * Load Product tags for variants (keyed by product_id) when the rules need them
+   * @param {Object} rules
+   * @param {Array<Object>} variants - ProductVariant docs
+   * @returns {Promise<Map<string, string[]>>}
+   */
+  async loadTags(rules, variants = []) {
+    if (!this.usesTags(rules)) return new Map();
+    const productIds = [...new Set(variants.map(v => v.product_id && String(v.product_id)).filter(Boolean))];
+    if (!productIds.length) return new Map();
+    const products = await Product.find({ _id: { $in: productIds } }, { tags: 1 }).lean();
+    return new Map(products.map(p => [String(p._id), p.tags || []]));
+  }
+
+  /**
+   * Evaluate rules for a batch of ProductVariant docs
+   * @param {Object} rules - From getStoreRules
+   * @param {Array<Object>} variants - ProductVariant docs
+   * @returns {Promise<Map<string, Object>>} - variantSku -> evaluate() result
+   */
+  async evaluateVariants(rules, variants = []) {
+    const tagsByProduct = await this.loadTags(rules, variants);
+    const results = new Map();
+    for (const pv of variants) {
+      results.set(pv.variantSku, this.evaluate(rules, {
+        mainSku: pv.mainSku,
+        color: pv.color,
+        size: pv.size,
+        stockQty: pv.stockQty,
+        tags: tagsByProduct.get(String(pv.product_id)) || []
+      }));
+    }
+    return results;
+  }
+
+  /**
+   * Evaluate a store's rules for a single variant SKU (legacy per-mapping sync path)
+   * @param {Object} store - Store document
+   * @param {string} variantSku
+   * @param {number} stockQty - Vendor quantity to start from
+   * @returns {Promise<Object>} - evaluate() result
+   */
+  async evaluateForSku(store, variantSku, stockQty) {
+    const rules = this.getStoreRules(store);
+    const pv = await ProductVariant.findOne({ variantSku }, { product_id: 1, mainSku: 1, color: 1, size: 1 }).lean();
+    const tagsByProduct = pv ? await this.loadTags(rules, [pv]) : new Map();
+    return this.evaluate(rules, {
+      mainSku: pv?.mainSku,
+      color: pv?.color,
+      size: pv?.size,
+      stockQty,
+      tags: pv ? tagsByProduct.get(String(pv.product_id)) || [] : []
+    });
+  }
+}
+
+module.exports = new InventoryRulesService();
@@ -1,18 +1,46 @@
 const logger = require('../utils/logger');
 const Store = require('../models/Store');
+const Vendor = require('../models/Vendor');
 const Product = require('../models/Product');
 const ProductVariant = require('../models/ProductVariant');
+const SyncReportItem = require('../models/SyncReportItem');
+const InventoryHistory = require('../models/InventoryHistory');
 const shopifyService = require('./shopify.service');
 const noxaService = require('./noxa.service');
+const inventoryRulesService = require('./inventory-rules.service');
+const unmatchedSkuService = require('./unmatched-sku.service');
+const UnmatchedSku = require('../models/UnmatchedSku');
+const SkuAlias = require('../models/SkuAlias');
+const StoreVariantLink = require('../models/StoreVariantLink');
+
+// A discrepancy scan is reused for this long per store and filter set (and dropped after each sync)
+const DISCREPANCY_SNAPSHOT_TTL_MS = Number(process.env.DISCREPANCY_SNAPSHOT_TTL_MS || 10 * 60 * 1000);
+const DISCREPANCY_SNAPSHOT_LIMIT = 20;
 
 /**
  * Inventory Service
  * Handles inventory management and synchronization logic
  */
 class InventoryService {
+  constructor() {
+    // Discrepancy scans by store + filters: { storeId, createdAt, promise }
+    this.discrepancySnapshots = new Map();
+  }
+
   /**
    * Sync Shopify inventory for a store using ProductVariant as source of truth.
-   * Options: { selectedSkus?: string[], onlyInStock?: boolean, maxUpdates?: number, updateOutOfStock?: boolean, onlyMissingShopifyFields?: boolean }
+   * Linkage is read from and written to the store's StoreVariantLink docs.
+   * Resolves missing Shopify identifiers per batch, then sets Shopify's available quantity at
+   * each of the vendor's mapped locations (split per Store.settings.locationMappings) to the
+   * variant's stockQty after Store.settings.inventoryRules, compared against the last known per-location quantity.
+   * Options: { selectedSkus?: string[], onlyInStock?: boolean, maxUpdates?: number, updateOutOfStock?: boolean, onlyMissingShopifyFields?: boolean, bulkImport?: boolean, jobId?: string }
+   * With bulkImport, Shopify linkage is refreshed once for the whole catalog via a bulk operation
+   * instead of per-batch SKU lookups.
+   * With dryRun nothing is written (no linkage lookups, bulk import or pre-order updates either):
+   * variants that would change and variants not linked to Shopify are stored as SyncReportItem
+   * rows under reportJobId, and `updated` counts the variants that would be updated.
+   * shouldStop (async () => boolean) is checked before each batch; when it returns true the run
+   * ends early with `stopped: true`.
    */
   async syncStoreFromProductVariants(storeId, options = {}) {
     const {
@@ -21,7 +49,12 @@ class InventoryService {
       maxUpdates = 0,
       updateOutOfStock = true,
       onlyMissingShopifyFields = false,
+      bulkImport = false,
+      dryRun = false,
+      reportJobId = null,
+      jobId = null,
       onProgress = null,
+      shouldStop = null,
       batchSize: optBatchSize,
       batchDelayMs: optBatchDelayMs
     } = options;
@@ -38,15 +71,13 @@ class InventoryService {
       return arr;
     };
 
-    // Load variants to sync
-    const query = {};
-    // If requested, limit to variants that are missing Shopify identifiers (variantId or inventoryItemId)
-    if (onlyMissingShopifyFields) {
-      query.$or = [
-        { shopifyVariantId: { $in: [null, ''] } },
-        { shopifyInventoryItemId: { $in: [null, ''] } }
-      ];
+    let bulkImportSummary = null;
+    if (bulkImport && !dryRun) {
+      bulkImportSummary = await this.importShopifyCatalogBulk(storeId);
     }
+
+    // Load variants to sync (onlyMissingShopifyFields is applied per batch, on the store's links)
+    const query = {};
     if (selectedSkus.length > 0) {
       query.variantSku = { $in: selectedSkus.map(s => s && s.toString().trim()).filter(Boolean) };
     }
@@ -60,28 +91,54 @@ class InventoryService {
       let total = 0;
       let countToUpdate = 0;
       let skipped = 0;
+      let updated = 0;
+      let failed = 0;
+      let unchanged = 0;
+      let unresolved = 0;
+      let stopped = false;
+      const preOrderSummary = { continued: 0, reverted: 0, failed: 0 };
       // Pre-compute total matching documents for progress visibility
       const totalToScan = await ProductVariant.countDocuments(query);
+      // Vendor -> Shopify location allocations, resolved once per vendor
+      const locationPlan = this.getLocationPlan(storeId);
+      const rules = inventoryRulesService.getStoreRules(store);
 
       while (true) {
+        if (typeof shouldStop === 'function' && await shouldStop()) {
+          stopped = true;
+          break;
+        }
         const batchQuery = { ...query };
         if (lastId) {
           batchQuery._id = { $gt: lastId };
         }
-        const batch = await ProductVariant.find(batchQuery)
+        const variants = await ProductVariant.find(batchQuery)
           .sort({ _id: 1 })
           .limit(batchSize)
-          .lean(false); // want mongoose docs for saving
+          .lean();
+
+        if (!variants || variants.length === 0) break;
+        lastId = variants[variants.length - 1]._id;
 
-        if (!batch || batch.length === 0) break;
+        // This store's links (mongoose docs for saving), standing in for the variants below
+        let batch = await StoreVariantLink.forVariants(storeId, variants);
+        // If requested, limit to variants that are missing Shopify identifiers (variantId or inventoryItemId)
+        if (onlyMissingShopifyFields) {
+          batch = batch.filter(link => !link.isLinked());
+        }
 
-        // Resolve missing Shopify fields for this batch
+        // Resolve missing Shopify fields for this batch (SKUs marked not sold in this store are left alone)
         let needsShopifyLookup = batch.filter(v => !v.shopifyVariantId || !v.shopifyInventoryItemId || v.lastKnownShopifyQty == null);
+        if (needsShopifyLookup.length > 0) {
+          const notSold = await UnmatchedSku.notSoldSkus(storeId, needsShopifyLookup.map(v => v.variantSku));
+          if (notSold.size) needsShopifyLookup = needsShopifyLookup.filter(v => !notSold.has(v.variantSku));
+        }
         // Randomize order for lookup
         if (needsShopifyLookup.length > 1) shuffle(needsShopifyLookup);
 
 
-        if (needsShopifyLookup.length > 0) {
+        // The bulk import already matched everything Shopify has; don't look up the leftovers one by one
+        if (needsShopifyLookup.length > 0 && !bulkImport && !dryRun) {
           await this.resolveMissingShopifyFields(storeId, needsShopifyLookup);
         }
 
@@ -95,12 +152,59 @@ class InventoryService {
         countToUpdate += toUpdateBatch.length;
         skipped += Math.max(0, batch.length - toUpdateBatch.length);
 
-        lastId = batch[batch.length - 1]._id;
+        // Respect maxUpdates across the whole run (0 = unlimited)
+        if (maxUpdates > 0) {
+          const remaining = Math.max(0, maxUpdates - updated);
+          if (toUpdateBatch.length > remaining) {
+            skipped += toUpdateBatch.length - remaining;
+            toUpdateBatch = toUpdateBatch.slice(0, remaining);
+          }
+        }
+
+        if (dryRun) {
+          const unlinked = batch.filter(pv => !pv.shopifyVariantId || !pv.shopifyInventoryItemId);
+          const preview = toUpdateBatch.length
+            ? await this.previewVariantQuantities(storeId, toUpdateBatch, { locationPlan, rules })
+            : { changes: [], unchanged: 0 };
+          const wouldUpdate = new Set(preview.changes.map(c => c.variantSku)).size;
+          updated += wouldUpdate;
+          unchanged += toUpdateBatch.length - wouldUpdate;
+          unresolved += unlinked.length;
+          if (reportJobId) {
+            await SyncReportItem.append(reportJobId, [
+              ...preview.changes,
+              ...unlinked.map(pv => ({
+                kind: 'unresolved',
+                variantSku: pv.variantSku,
+                mainSku: pv.mainSku,
+                storeId,
+                newStockQty: pv.stockQty,
+                reason: SyncReportItem.REASONS.NOT_LINKED_TO_SHOPIFY,
+                detail: 'No Shopify variant with this SKU is linked'
+              }))
+            ]);
+          }
+        } else if (toUpdateBatch.length > 0) {
+          const pushed = await this.pushVariantQuantities(storeId, toUpdateBatch, { locationPlan, rules, jobId });
+          updated += pushed.updated;
+          failed += pushed.failed;
+          unchanged += pushed.unchanged;
+
+          try {
+            const preOrderResult = await this.applyPreOrderPolicies(store, toUpdateBatch);
+            preOrderSummary.continued += preOrderResult.continued;
+            preOrderSummary.reverted += preOrderResult.reverted;
+            preOrderSummary.failed += preOrderResult.failed;
+          } catch (preOrderErr) {
+            logger.warn(`Pre-order policy update failed for store ${storeId}: ${preOrderErr.message}`);
+            preOrderSummary.failed += toUpdateBatch.length;
+          }
+        }
 
         // Real-time progress callback and logs
         if (typeof onProgress === 'function') {
           try {
-            await onProgress({ processed: total, resolved: countToUpdate, skipped, total: totalToScan });
+            await onProgress({ processed: total, resolved: countToUpdate, skipped, updated, failed, unchanged, total: totalToScan });
           } catch (cbErr) {
             logger.warn(`onProgress callback failed: ${cbErr.message}`);
           }
@@ -110,18 +214,705 @@ class InventoryService {
         await new Promise(res => setTimeout(res, batchDelayMs));
       }
 
+      if (!dryRun) this.invalidateDiscrepancySnapshots(storeId);
+
       return {
         total,
         countToUpdate,
         skipped,
+        updated,
+        failed,
+        unchanged,
+        dryRun,
+        stopped,
+        ...(dryRun ? { unresolved } : { preOrders: preOrderSummary }),
+        bulkImport: bulkImportSummary,
         toUpdate: [] // intentionally empty to avoid huge payloads in large runs
       };
     }
   }
-  
+
+  /**
+   * Refresh Shopify linkage for the whole catalog with one bulk operation.
+   * Exports every Shopify variant (sku, ids, inventory levels), then fills shopifyVariantId,
+   * shopifyInventoryItemId, shopifyProductId, shopifyVariantTitle and the last known available
+   * quantity at the vendor's mapped location(s) on the store's link of every ProductVariant with a matching SKU
+   * or SkuAlias target. SKUs used by more than one Shopify variant are ambiguous and left untouched.
+   * @param {string} storeId - Store document ID
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - Called with { phase, status?, objectCount?, matched? }
+   * @returns {Promise<Object>} - Import summary
+   */
+  async importShopifyCatalogBulk(storeId, { onProgress = null } = {}) {
+    const startedAt = Date.now();
+    const notify = async (data) => {
+      if (typeof onProgress !== 'function') return;
+      try {
+        await onProgress(data);
+      } catch (cbErr) {
+        logger.warn(`onProgress callback failed: ${cbErr.message}`);
+      }
+    };
+
+    const trackedLocationIds = new Set(await shopifyService.getTrackedLocationIds(storeId));
+    const locationPlan = this.getLocationPlan(storeId);
+    const started = await shopifyService.startVariantBulkExport(storeId);
+    logger.info(`[importShopifyCatalogBulk][started]`, { storeId: String(storeId), bulkOperationId: started.id });
+
+    const op = await shopifyService.waitForBulkOperation(storeId, started.id, {
+      onPoll: (current) => notify({ phase: 'export', status: current.status, objectCount: Number(current.objectCount || 0) })
+    });
+
+    // Parent variant lines and child inventory level lines (linked by __parentId)
+    const bySku = new Map();
+    const duplicateSkus = new Set();
+    const levelsByVariantId = new Map(); // variant GID -> { locationId: available }
+    const byVariantId = new Map(); // for SkuAlias variant ids
+    const streamed = await shopifyService.streamBulkOperationResult(op.url, (record) => {
+      if (record.__parentId) {
+        if (!trackedLocationIds.has(record.location?.id)) return;
+        const available = (record.quantities || []).find(q => q.name === 'available');
+        if (available && typeof available.quantity === 'number') {
+          const levels = levelsByVariantId.get(record.__parentId) || {};
+          levels[record.location.id] = available.quantity;
+          levelsByVariantId.set(record.__parentId, levels);
+        }
+        return;
+      }
+      const info = {
+        variantId: record.id,
+        inventoryItemId: record.inventoryItem?.id || null,
+        productId: record.product?.id || null,
+        title: record.title || null
+      };
+      byVariantId.set(record.id, info);
+      const sku = String(record.sku || '').trim().toLowerCase();
+      if (!sku) return;
+      if (bySku.has(sku)) {
+        duplicateSkus.add(sku);
+        return;
+      }
+      bySku.set(sku, info);
+    });
+    for (const sku of duplicateSkus) bySku.delete(sku);
+    await notify({ phase: 'parsed', objectCount: streamed.lines });
+
+    // Single pass over local variants, writing in bulk
+    const writeBatchSize = 1000;
+    const now = new Date();
+    let ops = [];
+    let linked = [];
+    let matched = 0;
+    let modified = 0;
+    const flush = async () => {
+      if (!ops.length) return;
+      const res = await StoreVariantLink.bulkWrite(ops, { ordered: false });
+      modified += (res.modifiedCount || 0) + (res.upsertedCount || 0);
+      // Clear the lookup failure left by earlier per-SKU resolution
+      await StoreVariantLink.updateMany(
+        {
+          storeId,
+          variantSku: { $in: linked.map(l => l.variantSku) },
+          lastSyncError: 'MISSING_SHOPIFY_FIELDS',
+          shopifyInventoryItemId: { $ne: null }
+        },
+        { $set: { lastSyncStatus: 'success', lastSyncError: null, lastSyncAt: now } }
+      );
+      await UnmatchedSku.markMatched(storeId, linked, 'bulk-import');
+      ops = [];
+      linked = [];
+    };
+
+    // Aliased SKUs resolve through their alias first, like getProductVariantsBySkus
+    const aliases = new Map((await SkuAlias.find({ storeId }).lean()).map(a => [a.variantSku.toLowerCase(), a]));
+    const aliasTarget = (alias) => (alias.shopifyVariantIds || []).map(id => byVariantId.get(id)).find(Boolean)
+      || (alias.shopifySkus || []).map(sku => bySku.get(sku.toLowerCase())).find(Boolean);
+
+    const cursor = ProductVariant.find({}, { variantSku: 1 }).lean().cursor();
+    for await (const pv of cursor) {
+      const key = String(pv.variantSku || '').trim().toLowerCase();
+      const alias = aliases.get(key);
+      const info = (alias && aliasTarget(alias)) || bySku.get(key);
+      if (!info) continue;
+      matched++;
+
+      // Keep only the levels at locations this variant's vendor writes to
+      const levels = levelsByVariantId.get(info.variantId) || {};
+      const byLocation = {};
+      for (const { locationId } of await locationPlan.allocationsFor(pv.variantSku)) {
+        if (typeof levels[locationId] === 'number') byLocation[locationId] = levels[locationId];
+      }
+      const known = Object.values(byLocation);
+
+      const $set = {
+        shopifyVariantId: info.variantId,
+        shopifyInventoryItemId: info.inventoryItemId,
+        shopifyProductId: info.productId,
+        shopifyVariantTitle: info.title,
+        lastKnownShopifyQtyByLocation: byLocation,
+        lastKnownShopifyQty: known.length ? known.reduce((sum, q) => sum + q, 0) : null
+      };
+      ops.push({ updateOne: { filter: { storeId, variantSku: pv.variantSku }, update: { $set }, upsert: true } });
+      linked.push({ variantSku: pv.variantSku, shopifyVariantId: info.variantId });
+      if (ops.length >= writeBatchSize) {
+        await flush();
+        await notify({ phase: 'write', matched });
+      }
+    }
+    await flush();
+
+    const summary = {
+      bulkOperationId: op.id,
+      objectCount: Number(op.objectCount || 0),
+      shopifyVariants: bySku.size + duplicateSkus.size,
+      duplicateSkus: duplicateSkus.size,
+      matched,
+      modified,
+      unmatchedShopifySkus: Math.max(0, bySku.size - matched),
+      durationMs: Date.now() - startedAt
+    };
+    if (duplicateSkus.size) {
+      logger.warn(`[importShopifyCatalogBulk][duplicate-skus] ${duplicateSkus.size} SKU(s) used by multiple Shopify variants were skipped`, {
+        sample: [...duplicateSkus].slice(0, 20)
+      });
+    }
+    logger.info(`[importShopifyCatalogBulk][complete]`, { storeId: String(storeId), ...summary });
+    this.invalidateDiscrepancySnapshots(storeId);
+    return summary;
+  }
+
+  /**
+   * Location allocations per vendor for a store, cached for the lifetime of one run
+   * @param {string} storeId - Store document ID
+   * @returns {{allocationsFor: function(string): Promise<Array<{locationId:string, split:number}>>}}
+   */
+  getLocationPlan(storeId) {
+    const cache = new Map();
+    return {
+      allocationsFor: (variantSku) => {
+        const vendorKey = ProductVariant.getVendorKey(variantSku) || '';
+        if (!cache.has(vendorKey)) {
+          cache.set(vendorKey, shopifyService.getVendorLocationAllocations(storeId, vendorKey));
+        }
+        return cache.get(vendorKey);
+      }
+    };
+  }
+
+  /**
+   * Divide a quantity across location allocations by their split weights.
+   * Rounds down per location and gives the remainder to the largest share.
+   * @param {number} quantity - Total quantity
+   * @param {Array<{locationId:string, split:number}>} allocations
+   * @returns {Array<{locationId:string, quantity:number}>}
+   */
+  splitQuantity(quantity, allocations = []) {
+    const totalWeight = allocations.reduce((sum, a) => sum + (Number(a.split) || 0), 0);
+    if (allocations.length <= 1 || totalWeight <= 0) {
+      return allocations.slice(0, 1).map(a => ({ locationId: a.locationId, quantity }));
+    }
+
+    let assigned = 0;
+    let largest = 0;
+    const out = allocations.map((a, i) => {
+      const q = Math.floor((quantity * (Number(a.split) || 0)) / totalWeight);
+      assigned += q;
+      if ((Number(a.split) || 0) > (Number(allocations[largest].split) || 0)) largest = i;
+      return { locationId: a.locationId, quantity: q };
+    });
+    out[largest].quantity += quantity - assigned;
+    return out;
+  }
+
+  /**
+   * Last known Shopify quantity of a variant at a location. Variants synced before
+   * per-location tracking only carry lastKnownShopifyQty, which is used for single-location plans.
+   */
+  getKnownShopifyQty(pv, locationId, singleLocation = false) {
+    const byLocation = pv.lastKnownShopifyQtyByLocation;
+    const value = byLocation instanceof Map ? byLocation.get(locationId) : byLocation?.[locationId];
+    if (typeof value === 'number') return value;
+    const hasAny = byLocation instanceof Map ? byLocation.size > 0 : Object.keys(byLocation || {}).length > 0;
+    if (!hasAny && singleLocation && typeof pv.lastKnownShopifyQty === 'number') return pv.lastKnownShopifyQty;
+    return null;
+  }
+
+  /**
+   * Helper: Bring Shopify pre-order settings in line with preOrderDate/stockQty for linked variants.
+   * Stores that have not opted in (settings.preOrders.enabled) only get variants we previously
+   * switched to CONTINUE reverted to DENY; variants we never managed are left alone.
+   * @param {Object} store - Store document
+   * @param {Array<Object>} variantDocs - The store's StoreVariantLink docs (from forVariants) with shopifyVariantId/shopifyProductId
+   * @returns {Promise<{continued:number, reverted:number, failed:number}>}
+   */
+  async applyPreOrderPolicies(store, variantDocs = []) {
+    const summary = { continued: 0, reverted: 0, failed: 0 };
+    const preOrders = store.settings?.preOrders || {};
+    const now = new Date();
+    const sameDay = (a, b) => (a ? new Date(a).toISOString().slice(0, 10) : null) === (b ? new Date(b).toISOString().slice(0, 10) : null);
+
+    const changes = [];
+    for (const pv of variantDocs) {
+      if (!pv.shopifyVariantId || !pv.shopifyProductId) continue;
+      const desired = preOrders.enabled
+        ? ProductVariant.getPreOrderState(pv, now)
+        : { inventoryPolicy: 'DENY', shipDate: null };
+
+      if (desired.inventoryPolicy === 'DENY' && pv.shopifyInventoryPolicy !== 'CONTINUE') continue;
+      if (desired.inventoryPolicy === pv.shopifyInventoryPolicy && sameDay(desired.shipDate, pv.shopifyShipDate)) continue;
+      changes.push({ pv, ...desired });
+    }
+    if (!changes.length) return summary;
+
+    const result = await shopifyService.updateVariantPreOrders(store._id, changes.map(c => ({
+      productId: c.pv.shopifyProductId,
+      variantId: c.pv.shopifyVariantId,
+      inventoryPolicy: c.inventoryPolicy,
+      shipDate: c.shipDate
+    })), {
+      namespace: preOrders.metafieldNamespace || 'custom',
+      key: preOrders.metafieldKey || 'expected_ship_date'
+    });
+
+    const updatedIds = new Set(result.updated);
+    for (const change of changes) {
+      if (!updatedIds.has(change.pv.shopifyVariantId)) continue;
+      change.pv.shopifyInventoryPolicy = change.inventoryPolicy;
+      change.pv.shopifyShipDate = change.shipDate;
+      await change.pv.save();
+      if (change.inventoryPolicy === 'CONTINUE') summary.continued += 1;
+      else summary.reverted += 1;
+    }
+    summary.failed = result.failed.length;
+    return summary;
+  }
+
+  /**
+   * Helper: Work out the per-location writes pushVariantQuantities would make, without writing
+   * @param {string} storeId - Store document ID
+   * @param {Array<Object>} variantDocs - StoreVariantLink docs (from forVariants)
+   * @param {Object} [options] - Same as pushVariantQuantities
+   * @returns {Promise<{items:Array<Object>, pending:Map, unchanged:number}>}
+   *   items: inventorySetQuantities inputs; pending: variantSku -> { pv, targets, evaluation }
+   */
+  async planVariantQuantities(storeId, variantDocs = [], { locationPlan = null, locationId = null, rules = null } = {}) {
+    const plan = locationId
+      ? { allocationsFor: async () => [{ locationId, split: 100 }] }
+      : (locationPlan || this.getLocationPlan(storeId));
+    const items = [];
+    const pending = new Map();
+    let unchanged = 0;
+
+    const storeRules = rules || inventoryRulesService.getStoreRules(await Store.findById(storeId));
+    const evaluated = await inventoryRulesService.evaluateVariants(storeRules, variantDocs);
+
+    for (const pv of variantDocs) {
+      const evaluation = evaluated.get(pv.variantSku);
+      const targets = this.splitQuantity(evaluation.quantity, await plan.allocationsFor(pv.variantSku));
+      const single = targets.length === 1;
+      let changed = 0;
+
+      for (const target of targets) {
+        const known = this.getKnownShopifyQty(pv, target.locationId, single);
+        target.known = known;
+        if (known === target.quantity) continue;
+        changed++;
+        items.push({
+          variantSku: pv.variantSku,
+          inventoryItemId: pv.shopifyInventoryItemId,
+          locationId: target.locationId,
+          quantity: target.quantity,
+          compareQuantity: known
+        });
+      }
+
+      if (changed === 0) {
+        unchanged++;
+      } else {
+        pending.set(pv.variantSku, { pv, targets, evaluation });
+      }
+    }
+
+    return { items, pending, unchanged };
+  }
+
+  /**
+   * Helper: Read Shopify's current available quantity for the items we have no known quantity
+   * for (compareQuantity null), so their writes can compare-and-set too
+   * @param {string} storeId - Store document ID
+   * @param {Array<Object>} items - inventorySetQuantities inputs
+   * @returns {Promise<Map<string, number>>} - Available quantity by `${inventoryItemId}|${locationId}`;
+   *   locations the item is not stocked at are missing
+   */
+  async readUnknownShopifyQuantities(storeId, items = []) {
+    const unknownIds = [...new Set(items.filter(i => i.compareQuantity === null).map(i => i.inventoryItemId))];
+    const liveLevels = new Map();
+    if (!unknownIds.length) return liveLevels;
+
+    const levels = await shopifyService.getInventoryLevels(storeId, unknownIds);
+    for (const item of levels) {
+      for (const level of item.levels || []) {
+        if (typeof level.available === 'number') {
+          liveLevels.set(`${item.id}|${level.locationId}`, level.available);
+        }
+      }
+    }
+    return liveLevels;
+  }
+
+  /**
+   * Helper: Dry-run counterpart of pushVariantQuantities. Returns report rows for every
+   * variant/location whose Shopify quantity would change; quantities we have no record of
+   * are read from Shopify so the old value in the report is real.
+   * @param {string} storeId - Store document ID
+   * @param {Array<Object>} variantDocs - StoreVariantLink docs (from forVariants) linked to Shopify
+   * @param {Object} [options] - Same as pushVariantQuantities
+   * @returns {Promise<{changes:Array<Object>, unchanged:number}>}
+   */
+  async previewVariantQuantities(storeId, variantDocs = [], options = {}) {
+    const { REASONS } = SyncReportItem;
+    const { items, pending, unchanged: unchangedVariants } = await this.planVariantQuantities(storeId, variantDocs, options);
+    let unchanged = unchangedVariants;
+    const liveLevels = await this.readUnknownShopifyQuantities(storeId, items);
+
+    const changes = [];
+    const stillChanged = new Set();
+    for (const item of items) {
+      const { pv, evaluation } = pending.get(item.variantSku);
+      let oldQty = item.compareQuantity;
+      let reason;
+      let detail;
+
+      if (oldQty === null) {
+        const live = liveLevels.get(`${item.inventoryItemId}|${item.locationId}`);
+        oldQty = typeof live === 'number' ? live : null;
+        if (oldQty === item.quantity) continue;
+        if (oldQty === null) reason = REASONS.SHOPIFY_QTY_UNKNOWN;
+      }
+      if (!reason) {
+        if (evaluation.steps.length) {
+          reason = REASONS.INVENTORY_RULES;
+          detail = evaluation.steps.map(s => `${s.rule}=${s.value}`).join('; ');
+        } else {
+          reason = REASONS.SHOPIFY_OUT_OF_SYNC;
+        }
+      }
+
+      stillChanged.add(item.variantSku);
+      changes.push({
+        kind: 'change',
+        variantSku: pv.variantSku,
+        mainSku: pv.mainSku,
+        storeId,
+        locationId: item.locationId,
+        newStockQty: evaluation.stockQty,
+        oldShopifyQty: oldQty,
+        newShopifyQty: item.quantity,
+        reason,
+        detail
+      });
+    }
+    // Variants whose only "changes" turned out to match Shopify already
+    unchanged += pending.size - stillChanged.size;
+
+    return { changes, unchanged };
+  }
+
+  /**
+   * Helper: Dry-run counterpart of a vendor inventory save. Compares freshly fetched vendor
+   * records with the stored ProductVariants and, when a store is given, the quantity its
+   * inventory rules would send to Shopify against the last known Shopify quantity.
+   * @param {Object} adapter - Vendor adapter (for variant SKU generation)
+   * @param {Array<Object>} records - Normalized inventory records
+   * @param {Object} [options]
+   * @param {Object} [options.store] - Store to evaluate Shopify quantities for
+   * @returns {Promise<{changes:Array<Object>, unresolved:Array<Object>}>}
+   */
+  async previewVendorInventory(adapter, records = [], { store = null } = {}) {
+    const { REASONS } = SyncReportItem;
+    const entries = records
+      .filter(r => r && r.mainSku)
+      .map(record => ({ record, variantSku: adapter.generateVariantSku(record) }));
+    const existing = await ProductVariant.find({ variantSku: { $in: entries.map(e => e.variantSku) } }).lean();
+    const bySku = new Map(existing.map(pv => [pv.variantSku, pv]));
+    const links = store ? await StoreVariantLink.mapForStore(store._id, existing.map(pv => pv.variantSku)) : new Map();
+
+    let evaluated = new Map();
+    if (store) {
+      const rules = inventoryRulesService.getStoreRules(store);
+      evaluated = await inventoryRulesService.evaluateVariants(rules, entries.map(({ record, variantSku }) => ({
+        variantSku,
+        product_id: bySku.get(variantSku)?.product_id,
+        mainSku: record.mainSku,
+        color: record.color,
+        size: record.size,
+        stockQty: record.stockQty
+      })));
+    }
+
+    const changes = [];
+    const unresolved = [];
+    for (const { record, variantSku } of entries) {
+      const pv = bySku.get(variantSku);
+      const newStockQty = Number(record.stockQty) || 0;
+      const newStatus = record.status || (newStockQty > 0 ? 'Active' : 'Inactive');
+      const evaluation = evaluated.get(variantSku);
+      const link = links.get(variantSku);
+      const linked = Boolean(link?.shopifyInventoryItemId);
+      const oldShopifyQty = typeof link?.lastKnownShopifyQty === 'number' ? link.lastKnownShopifyQty : null;
+      const newShopifyQty = evaluation && linked ? evaluation.quantity : null;
+
+      let reason = null;
+      let detail;
+      if (!pv) reason = REASONS.NEW_VARIANT;
+      else if (pv.stockQty !== newStockQty) reason = REASONS.VENDOR_STOCK_CHANGED;
+      else if (pv.status !== newStatus) {
+        reason = REASONS.STATUS_CHANGED;
+        detail = `${pv.status} -> ${newStatus}`;
+      } else if (newShopifyQty !== null && oldShopifyQty !== newShopifyQty) {
+        reason = evaluation.steps.length ? REASONS.INVENTORY_RULES : REASONS.SHOPIFY_OUT_OF_SYNC;
+      }
+      if (reason && evaluation?.steps.length && !detail) {
+        detail = evaluation.steps.map(s => `${s.rule}=${s.value}`).join('; ');
+      }
+
+      if (reason) {
+        changes.push({
+          kind: 'change',
+          variantSku,
+          mainSku: record.mainSku,
+          storeId: store?._id,
+          oldStockQty: pv ? pv.stockQty : null,
+          newStockQty,
+          oldShopifyQty,
+          newShopifyQty,
+          reason,
+          detail
+        });
+      }
+      if (store && !linked) {
+        unresolved.push({
+          kind: 'unresolved',
+          variantSku,
+          mainSku: record.mainSku,
+          storeId: store._id,
+          newStockQty,
+          reason: REASONS.NOT_LINKED_TO_SHOPIFY,
+          detail: pv ? 'No Shopify variant with this SKU is linked' : 'Variant does not exist yet'
+        });
+      }
+    }
+
+    return { changes, unresolved };
+  }
+
+  /**
+   * Helper: Set Shopify's available quantity for a store's StoreVariantLink docs that already carry
+   * shopifyInventoryItemId, using bulk inventorySetQuantities with the last known per-location
+   * quantity as the compare quantity (read from Shopify first where none is known). The quantity is stockQty run through the store's inventory
+   * rules, split across the vendor's mapped locations. Records lastSyncAt/lastSyncStatus/lastSyncError per link.
+   * @param {string} storeId - Store document ID
+   * @param {Array<Object>} variantDocs - StoreVariantLink docs (from forVariants)
+   * @param {Object} [options]
+   * @param {Object} [options.locationPlan] - From getLocationPlan (built on demand when omitted)
+   * @param {string} [options.locationId] - Force a single location instead of the vendor mapping
+   * @param {Object} [options.rules] - From inventoryRulesService.getStoreRules (loaded when omitted)
+   * @param {string} [options.jobId] - Sync job, recorded in InventoryHistory
+   * @returns {Promise<{updated:number, failed:number, unchanged:number}>}
+   */
+  async pushVariantQuantities(storeId, variantDocs = [], options = {}) {
+    const counts = { updated: 0, failed: 0, unchanged: 0 };
+    const { items, pending, unchanged } = await this.planVariantQuantities(storeId, variantDocs, options);
+    counts.unchanged = unchanged;
+
+    if (items.length === 0) return counts;
+
+    // Compare against Shopify's current quantity where we have none on record
+    const readFailed = [];
+    let writable = items;
+    try {
+      const liveLevels = await this.readUnknownShopifyQuantities(storeId, items);
+      for (const item of items) {
+        if (item.compareQuantity !== null) continue;
+        const live = liveLevels.get(`${item.inventoryItemId}|${item.locationId}`);
+        if (typeof live !== 'number') continue;
+        item.compareQuantity = live;
+        const target = pending.get(item.variantSku).targets.find(t => t.locationId === item.locationId);
+        if (target) target.known = live;
+      }
+    } catch (error) {
+      // Without a quantity to compare against, leave these items for the next run
+      logger.warn(`[pushVariantQuantities] Reading Shopify inventory levels failed for store ${storeId}: ${error.message}`);
+      writable = items.filter(item => item.compareQuantity !== null);
+      items.filter(item => item.compareQuantity === null).forEach(item => readFailed.push({
+        variantSku: item.variantSku,
+        locationId: item.locationId,
+        code: 'SHOPIFY_QTY_UNKNOWN',
+        message: `Could not read the current Shopify quantity: ${error.message}`
+      }));
+    }
+
+    const { updated, failed } = writable.length
+      ? await shopifyService.setInventoryQuantities(storeId, writable)
+      : { updated: [], failed: [] };
+    failed.push(...readFailed);
+    const now = new Date();
+
+    // Fold per-location results back onto each variant
+    const results = new Map();
+    const resultFor = (sku) => {
+      if (!results.has(sku)) results.set(sku, { updated: new Map(), failed: [] });
+      return results.get(sku);
+    };
+    updated.forEach(u => resultFor(u.variantSku).updated.set(u.locationId, u.quantity));
+    failed.forEach(f => resultFor(f.variantSku).failed.push(f));
+
+    const ops = [];
+    const history = [];
+    for (const [variantSku, outcome] of results) {
+      const entry = pending.get(variantSku);
+      if (!entry) continue;
+      const { pv, targets } = entry;
+      const $set = { lastSyncAt: now };
+      const $unset = {};
+
+      const latest = {};
+      for (const target of targets) {
+        if (outcome.updated.has(target.locationId)) {
+          latest[target.locationId] = outcome.updated.get(target.locationId);
+          $set[`lastKnownShopifyQtyByLocation.${target.locationId}`] = latest[target.locationId];
+          history.push({
+            variantSku,
+            field: 'shopifyQty',
+            oldQty: target.known,
+            newQty: latest[target.locationId],
+            source: 'shopify-push',
+            jobId: options.jobId || null,
+            storeId,
+            locationId: target.locationId
+          });
+        } else {
+          latest[target.locationId] = target.known;
+        }
+      }
+
+      for (const f of outcome.failed) {
+        logger.warn(`[pushVariantQuantities][failed] ${variantSku} @ ${f.locationId}: ${f.code} ${f.message}`);
+        // A stale compare quantity means our cached Shopify qty is wrong; clear it so the next run re-reads it
+        if (f.code === 'COMPARE_QUANTITY_STALE') {
+          $unset[`lastKnownShopifyQtyByLocation.${f.locationId}`] = '';
+          latest[f.locationId] = null;
+        }
+      }
+
+      const latestValues = Object.values(latest);
+      $set.lastKnownShopifyQty = latestValues.every(q => typeof q === 'number')
+        ? latestValues.reduce((sum, q) => sum + q, 0)
+        : null;
+
+      if (outcome.failed.length) {
+        counts.failed++;
+        $set.lastSyncStatus = 'failed';
+        $set.lastSyncError = outcome.failed.map(f => `${f.code}: ${f.message}`).join('; ');
+      } else {
+        counts.updated++;
+        $set.lastSyncStatus = 'success';
+        $set.lastSyncError = null;
+      }
+
+      const update = { $set };
+      if (Object.keys($unset).length) update.$unset = $unset;
+      ops.push({ updateOne: { filter: { _id: pv._id }, update } });
+    }
+
+    if (ops.length > 0) {
+      await StoreVariantLink.bulkWrite(ops, { ordered: false });
+    }
+    await InventoryHistory.record(history);
+
+    return counts;
+  }
+
+  /**
+   * Set one inventory item's available quantity at a location, compare-and-set against the last
+   * known quantity on the store's link for it (read from Shopify when unknown), and record the new
+   * quantity on the link
+   * @param {string} storeId - Store document ID
+   * @param {string} inventoryItemId - Shopify InventoryItem GID
+   * @param {number} quantity - New available quantity
+   * @param {string} [locationId] - Shopify Location GID; defaults to the store's primary location
+   * @param {Object} [options]
+   * @param {string} [options.jobId] - Sync job, recorded in InventoryHistory
+   * @returns {Promise<{inventoryItemId:string, locationId:string, quantity:number, previousQuantity:number|null}>}
+   * @throws {Error} - error.code is Shopify's userError code, e.g. COMPARE_QUANTITY_STALE when the
+   *   quantity changed in Shopify since it was last seen (the known quantity is then cleared)
+   */
+  async setInventoryItemQuantity(storeId, inventoryItemId, quantity, locationId = null, options = {}) {
+    const targetLocationId = locationId || await shopifyService.getPrimaryLocationId(storeId);
+    const link = await StoreVariantLink.findOne({ storeId, shopifyInventoryItemId: inventoryItemId });
+    const item = {
+      variantSku: link ? link.variantSku : inventoryItemId,
+      inventoryItemId,
+      locationId: targetLocationId,
+      quantity,
+      compareQuantity: link ? this.getKnownShopifyQty(link, targetLocationId, true) : null
+    };
+    if (item.compareQuantity === null) {
+      const live = (await this.readUnknownShopifyQuantities(storeId, [item])).get(`${inventoryItemId}|${targetLocationId}`);
+      if (typeof live === 'number') item.compareQuantity = live;
+    }
+    const known = item.compareQuantity;
+
+    const { failed } = await shopifyService.setInventoryQuantities(storeId, [item]);
+
+    if (failed.length) {
+      const [failure] = failed;
+      if (link) {
+        const update = { $set: { lastSyncStatus: 'failed', lastSyncError: `${failure.code}: ${failure.message}` } };
+        // Our cached Shopify qty is wrong; clear it so the next write re-reads it
+        if (failure.code === 'COMPARE_QUANTITY_STALE') {
+          update.$unset = { [`lastKnownShopifyQtyByLocation.${targetLocationId}`]: '' };
+          update.$set.lastKnownShopifyQty = null;
+        }
+        await StoreVariantLink.updateOne({ _id: link._id }, update);
+      }
+      const error = new Error(failure.message);
+      error.code = failure.code;
+      throw error;
+    }
+
+    if (link) {
+      const byLocation = new Map(link.lastKnownShopifyQtyByLocation || []);
+      byLocation.set(targetLocationId, quantity);
+      await StoreVariantLink.updateOne({ _id: link._id }, {
+        $set: {
+          [`lastKnownShopifyQtyByLocation.${targetLocationId}`]: quantity,
+          lastKnownShopifyQty: [...byLocation.values()].reduce((sum, q) => sum + q, 0),
+          lastSyncAt: new Date(),
+          lastSyncStatus: 'success',
+          lastSyncError: null
+        }
+      });
+      await InventoryHistory.record([{
+        variantSku: link.variantSku,
+        field: 'shopifyQty',
+        oldQty: known,
+        newQty: quantity,
+        source: 'shopify-push',
+        jobId: options.jobId || null,
+        storeId,
+        locationId: targetLocationId
+      }]);
+    }
+
+    return { inventoryItemId, locationId: targetLocationId, quantity, previousQuantity: known };
+  }
+
   /**
    * Helper: Resolve and update missing Shopify fields (shopifyVariantId, shopifyInventoryItemId, lastKnownShopifyQty)
-   * for the provided ProductVariant mongoose docs by fetching productVariants by SKUs in batches.
+   * on the provided StoreVariantLink docs of the store by fetching productVariants by SKUs in batches.
+   * SKUs with a SkuAlias in the store are looked up through the alias before exact SKU search;
+   * SKUs Shopify has no variant for are recorded in the store's UnmatchedSku queue.
    */
   async resolveMissingShopifyFields(storeId, variantDocs = []) {
     try {
@@ -144,6 +935,8 @@ class InventoryService {
         // Apply updates for only the documents in this batch
         const batchSkuSet = new Set(batchSkus.map(s => String(s).toLowerCase()));
         const docsInBatch = variantDocs.filter(v => batchSkuSet.has(String(v.variantSku || '').toLowerCase()));
+        const notFound = [];
+        const found = [];
 
         for (const pv of docsInBatch) {
           const key = String(pv.variantSku || '').toLowerCase();
@@ -190,6 +983,7 @@ class InventoryService {
             }
           } else {
             logger.debug(`No Shopify match found for SKU '${pv.variantSku}' during field resolution`);
+            notFound.push(pv);
           }
           // If still missing required fields after lookup, mark as failed
           const missingRequired = (!pv.shopifyVariantId || !pv.shopifyInventoryItemId);
@@ -204,6 +998,7 @@ class InventoryService {
               shopifyInventoryItemId: pv.shopifyInventoryItemId
             });
           } else {
+            found.push({ variantSku: pv.variantSku, shopifyVariantId: pv.shopifyVariantId, alias: Boolean(info?.alias) });
             // Fields resolved: ensure a valid enum value is set to pass validation
             if (pv.lastSyncStatus !== 'success') {
               pv.lastSyncStatus = 'success';
@@ -226,6 +1021,18 @@ class InventoryService {
           }
         }
 
+        // Queue SKUs Shopify doesn't know for review; close entries that now resolve
+        try {
+          await UnmatchedSku.markMatched(storeId, found.filter(f => !f.alias));
+          await UnmatchedSku.markMatched(storeId, found.filter(f => f.alias), 'alias');
+          const queued = await unmatchedSkuService.recordMisses(storeId, notFound);
+          if (notFound.length) {
+            logger.info(`[resolveMissingShopifyFields][unmatched]`, { storeId: String(storeId), missing: notFound.length, ...queued });
+          }
+        } catch (queueErr) {
+          logger.warn(`Failed to update unmatched SKU queue: ${queueErr.message}`);
+        }
+
         // brief pause between batches to avoid hitting hard limits
         await sleep(300);
       }
@@ -234,16 +1041,62 @@ class InventoryService {
       throw err;
     }
   }
+
+  /**
+   * Archive Shopify products whose linked variants are all discontinued, in every connected store
+   * (each store's products come from its own StoreVariantLinks)
+   * @param {string[]} variantSkus - Variants that were just zeroed as discontinued
+   * @returns {Promise<{productIds:string[], stores:Array<{storeId:string, archived:string[], failed:Array}>}>}
+   */
+  async archiveDiscontinuedProducts(variantSkus = []) {
+    if (!variantSkus.length) return { productIds: [], stores: [] };
+    const stores = await Store.find({ isActive: true, connectionStatus: 'connected' });
+    const candidates = new Set();
+    const results = [];
+    for (const store of stores) {
+      const productIds = await StoreVariantLink.distinct('shopifyProductId', {
+        storeId: store._id,
+        variantSku: { $in: variantSkus },
+        shopifyProductId: { $nin: [null, ''] }
+      });
+      if (!productIds.length) continue;
+
+      // Keep products that have no variant still on a vendor's active list
+      const productLinks = await StoreVariantLink.find(
+        { storeId: store._id, shopifyProductId: { $in: productIds } },
+        { variantSku: 1, shopifyProductId: 1 }
+      ).lean();
+      const activeSkus = new Set(await ProductVariant.distinct('variantSku', {
+        variantSku: { $in: productLinks.map(l => l.variantSku) },
+        status: { $ne: 'Discontinued' }
+      }));
+      const stillActive = new Set(productLinks.filter(l => activeSkus.has(l.variantSku)).map(l => l.shopifyProductId));
+      const toArchive = productIds.filter(id => !stillActive.has(id));
+      if (!toArchive.length) continue;
+
+      toArchive.forEach(id => candidates.add(id));
+      try {
+        const r = await shopifyService.archiveProducts(store._id, toArchive);
+        results.push({ storeId: String(store._id), ...r });
+      } catch (error) {
+        logger.warn(`Archiving discontinued products failed for store ${store._id}: ${error.message}`);
+        results.push({ storeId: String(store._id), archived: [], failed: [{ message: error.message }] });
+      }
+    }
+    return { productIds: [...candidates], stores: results };
+  }
+
   /**
    * Get comprehensive inventory overview
    */
   async getInventoryOverview() {
     try {
-      const [stores, vendors, products, mappings] = await Promise.all([
+      const [stores, vendors, products, linkedVariants, totalLinks] = await Promise.all([
         Store.find({}),
         Vendor.find({}),
         Product.find({}),
-        ProductMapping.find({})
+        StoreVariantLink.countDocuments({ shopifyVariantId: { $ne: null } }),
+        StoreVariantLink.countDocuments({})
       ]);
 
       const connectedStores = stores.filter(store => store.connectionStatus === 'connected');
@@ -261,8 +1114,11 @@ class InventoryService {
         product.variants?.some(variant => variant.inventory === 0)
       ).length;
 
-      // Find discrepancies between store and vendor inventory
-      const discrepancies = await this.findInventoryDiscrepancies();
+      // Discrepancies between vendor and Shopify quantities, across the connected stores
+      let discrepancies = 0;
+      for (const store of connectedStores) {
+        discrepancies += (await this.getDiscrepancySummary(store._id)).total;
+      }
 
       const lastSyncAt = products.reduce((latest, product) => {
         const productLastSync = product.lastSyncAt;
@@ -274,7 +1130,7 @@ class InventoryService {
         totalVariants,
         lowStockItems,
         outOfStockItems,
-        discrepancies: discrepancies.length,
+        discrepancies,
         lastSyncAt,
         stores: {
           connected: connectedStores.length,
@@ -285,8 +1141,8 @@ class InventoryService {
           total: vendors.length
         },
         mappings: {
-          active: mappings.filter(m => m.isActive).length,
-          total: mappings.length
+          active: linkedVariants,
+          total: totalLinks
         }
       };
     } catch (error) {
@@ -453,76 +1309,201 @@ class InventoryService {
   }
 
   /**
-   * Find inventory discrepancies between stores and vendors
+   * Compare each variant's expected Shopify quantity (stockQty through the store's inventory rules)
+   * with the last known Shopify quantity on its StoreVariantLink and classify mismatches:
+   *   unlinked       - no Shopify variant/inventory item linked
+   *   stale          - Shopify quantity unknown, or differs and the last sync is older than staleHours
+   *   shopify_higher - Shopify shows more than the vendor-derived quantity
+   *   vendor_higher  - Shopify shows less than the vendor-derived quantity
+   * The summary and the matching variantSkus come from a cached scan (see getDiscrepancySnapshot);
+   * only the requested page of variants is loaded and re-evaluated. Rows fixed since the scan are left out.
+   * @param {Object} options
+   * @param {string} options.storeId - Store whose links and rules apply
+   * @param {string[]} [options.classifications] - Only these classes
+   * @param {string} [options.vendorKey] - Only variants of this vendor (SKU prefix)
+   * @param {string} [options.sku] - variantSku substring
+   * @param {number} [options.minDifference=0] - Minimum |expected - shopify| for the two *_higher classes
+   * @param {number} [options.staleHours=24]
+   * @param {boolean} [options.refresh=false] - Rescan instead of using a cached scan
+   * @param {number} [options.page=1]
+   * @param {number} [options.limit=50]
+   * @returns {Promise<{storeId:string, discrepancies:Array<Object>, summary:Object, computedAt:Date, pagination:Object}>}
    */
   async findInventoryDiscrepancies(options = {}) {
-    try {
-      const { page = 1, limit = 50 } = options;
-      const skip = (page - 1) * limit;
+    const { page = 1, limit = 50, refresh = false } = options;
+    const store = await this.getDiscrepancyStore(options.storeId);
+    const rules = inventoryRulesService.getStoreRules(store);
+    const filters = this.getDiscrepancyFilters(options);
+    const snapshot = await this.getDiscrepancySnapshot(store, rules, filters, { refresh });
+
+    const pageSkus = snapshot.skus.slice((page - 1) * limit, page * limit);
+    const discrepancies = [];
+    if (pageSkus.length) {
+      const variants = await ProductVariant.find({ variantSku: { $in: pageSkus } }, {
+        variantSku: 1, mainSku: 1, color: 1, size: 1, product_id: 1, stockQty: 1, status: 1
+      })
+        .sort({ variantSku: 1 })
+        .lean();
+      const links = await StoreVariantLink.mapForStore(store._id, pageSkus);
+      const evaluated = await inventoryRulesService.evaluateVariants(rules, variants);
+      const classify = this.getDiscrepancyClassifier(filters);
+
+      for (const variant of variants) {
+        const pv = { ...variant, ...links.get(variant.variantSku) };
+        const expected = evaluated.get(pv.variantSku).quantity;
+        const classification = classify(pv, expected);
+        if (!classification) continue;
+        const shopifyQty = typeof pv.lastKnownShopifyQty === 'number' ? pv.lastKnownShopifyQty : null;
+        discrepancies.push({
+          variantSku: pv.variantSku,
+          mainSku: pv.mainSku,
+          color: pv.color,
+          size: pv.size,
+          status: pv.status,
+          classification,
+          stockQty: pv.stockQty,
+          expectedShopifyQty: expected,
+          shopifyQty,
+          difference: shopifyQty === null ? null : shopifyQty - expected,
+          lastSyncAt: pv.lastSyncAt || null,
+          lastSyncStatus: pv.lastSyncStatus || null,
+          lastSyncError: pv.lastSyncError || null
+        });
+      }
+    }
 
-      const mappings = await ProductMapping.find({ isActive: true })
-        .populate('storeId')
-        .populate('vendorId')
-        .skip(skip)
-        .limit(limit);
+    return {
+      storeId: String(store._id),
+      discrepancies,
+      summary: snapshot.summary,
+      computedAt: snapshot.computedAt,
+      pagination: {
+        page,
+        limit,
+        total: snapshot.summary.total,
+        pages: Math.ceil(snapshot.summary.total / limit) || 1
+      }
+    };
+  }
 
-      const discrepancies = [];
+  /**
+   * Discrepancy counts for a store with the default filters (cached like findInventoryDiscrepancies)
+   * @param {string} storeId
+   * @returns {Promise<Object>} - { total, unlinked, stale, shopify_higher, vendor_higher }
+   */
+  async getDiscrepancySummary(storeId) {
+    const store = await this.getDiscrepancyStore(storeId);
+    const rules = inventoryRulesService.getStoreRules(store);
+    const snapshot = await this.getDiscrepancySnapshot(store, rules, this.getDiscrepancyFilters());
+    return snapshot.summary;
+  }
 
-      for (const mapping of mappings) {
-        try {
-          // Get current inventory from both store and vendor
-          const [storeProduct, vendorProduct] = await Promise.all([
-            Product.findOne({ 
-              storeId: mapping.storeId._id,
-              shopifyProductId: mapping.shopifyProductId 
-            }),
-            Product.findOne({ 
-              vendorId: mapping.vendorId._id,
-              vendorSku: mapping.vendorSku 
-            })
-          ]);
-
-          if (storeProduct && vendorProduct) {
-            const storeInventory = this.getTotalInventory(storeProduct);
-            const vendorInventory = this.getTotalInventory(vendorProduct);
-            const variance = Math.abs(storeInventory - vendorInventory);
-            const variancePercent = storeInventory > 0 ? (variance / storeInventory) * 100 : 100;
-
-            if (variance > 0) {
-              discrepancies.push({
-                mappingId: mapping._id,
-                shopifyProductId: mapping.shopifyProductId,
-                vendorSku: mapping.vendorSku,
-                storeName: mapping.storeId.name,
-                vendorName: mapping.vendorId.name,
-                storeInventory,
-                vendorInventory,
-                variance,
-                variancePercent: Math.round(variancePercent * 100) / 100,
-                lastChecked: new Date()
-              });
-            }
-          }
-        } catch (error) {
-          logger.error(`Error checking discrepancy for mapping ${mapping._id}:`, error);
-        }
-      }
+  async getDiscrepancyStore(storeId) {
+    if (!storeId) throw new Error('storeId is required');
+    const store = await Store.findById(storeId);
+    if (!store) throw new Error('Store not found');
+    return store;
+  }
 
-      const total = await ProductMapping.countDocuments({ isActive: true });
+  getDiscrepancyFilters({ classifications = [], vendorKey = null, sku = null, minDifference = 0, staleHours = 24 } = {}) {
+    return { classifications: [...classifications].sort(), vendorKey, sku, minDifference, staleHours };
+  }
 
-      return {
-        discrepancies,
-        pagination: {
-          page,
-          limit,
-          total,
-          pages: Math.ceil(total / limit)
-        }
-      };
-    } catch (error) {
-      logger.error('Error finding inventory discrepancies:', error);
-      throw error;
+  getDiscrepancyClassifier({ minDifference, staleHours }) {
+    const staleBefore = Date.now() - staleHours * 3600 * 1000;
+    return (pv, expected) => {
+      if (!pv.shopifyVariantId || !pv.shopifyInventoryItemId) return 'unlinked';
+      const shopify = pv.lastKnownShopifyQty;
+      if (typeof shopify !== 'number') return 'stale';
+      if (shopify === expected) return null;
+      if (!pv.lastSyncAt || new Date(pv.lastSyncAt).getTime() < staleBefore) return 'stale';
+      if (Math.abs(shopify - expected) < minDifference) return null;
+      return shopify > expected ? 'shopify_higher' : 'vendor_higher';
+    };
+  }
+
+  /**
+   * Full discrepancy scan of a store for one filter set, reused for DISCREPANCY_SNAPSHOT_TTL_MS.
+   * Concurrent callers share a running scan; a store settings change (updatedAt) starts a new one.
+   * @returns {Promise<{summary:Object, skus:string[], computedAt:Date}>}
+   */
+  getDiscrepancySnapshot(store, rules, filters, { refresh = false } = {}) {
+    const storeId = String(store._id);
+    const key = JSON.stringify([storeId, store.updatedAt ? new Date(store.updatedAt).getTime() : null, filters]);
+    const cached = this.discrepancySnapshots.get(key);
+    if (cached && !refresh && Date.now() - cached.createdAt < DISCREPANCY_SNAPSHOT_TTL_MS) {
+      return cached.promise;
+    }
+
+    const entry = { storeId, createdAt: Date.now(), promise: this.scanInventoryDiscrepancies(store, rules, filters) };
+    this.discrepancySnapshots.delete(key);
+    this.discrepancySnapshots.set(key, entry);
+    entry.promise.catch(() => {
+      if (this.discrepancySnapshots.get(key) === entry) this.discrepancySnapshots.delete(key);
+    });
+    // Oldest entries go first
+    while (this.discrepancySnapshots.size > DISCREPANCY_SNAPSHOT_LIMIT) {
+      this.discrepancySnapshots.delete(this.discrepancySnapshots.keys().next().value);
     }
+    return entry.promise;
+  }
+
+  /**
+   * Drop cached discrepancy scans of a store (after a sync changed its links or quantities)
+   */
+  invalidateDiscrepancySnapshots(storeId) {
+    for (const [key, entry] of this.discrepancySnapshots) {
+      if (entry.storeId === String(storeId)) this.discrepancySnapshots.delete(key);
+    }
+  }
+
+  /**
+   * Scan variants in variantSku order in batches and keep only the counts and the matching variantSkus
+   */
+  async scanInventoryDiscrepancies(store, rules, filters) {
+    const { classifications, vendorKey, sku } = filters;
+    const query = {};
+    if (vendorKey) {
+      query.variantSku = { $regex: `^${String(vendorKey).toLowerCase().replace(/[^a-z0-9]/g, '')}_` };
+    }
+    if (sku) {
+      const pattern = String(sku).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      query.$and = [{ variantSku: { $regex: pattern, $options: 'i' } }];
+    }
+
+    const wanted = classifications.length ? new Set(classifications) : null;
+    const classify = this.getDiscrepancyClassifier(filters);
+    const summary = { total: 0, unlinked: 0, stale: 0, shopify_higher: 0, vendor_higher: 0 };
+    const skus = [];
+
+    const batchSize = Number(process.env.INVENTORY_BATCH_SIZE || 1000);
+    let lastSku = null;
+    while (true) {
+      const batchQuery = lastSku ? { ...query, $and: [...(query.$and || []), { variantSku: { $gt: lastSku } }] } : query;
+      const batch = await ProductVariant.find(batchQuery, {
+        variantSku: 1, mainSku: 1, color: 1, size: 1, product_id: 1, stockQty: 1
+      })
+        .sort({ variantSku: 1 })
+        .limit(batchSize)
+        .lean();
+      if (!batch.length) break;
+      lastSku = batch[batch.length - 1].variantSku;
+
+      const links = await StoreVariantLink.mapForStore(store._id, batch.map(pv => pv.variantSku));
+      const evaluated = await inventoryRulesService.evaluateVariants(rules, batch);
+      for (const variant of batch) {
+        const pv = { ...variant, ...links.get(variant.variantSku) };
+        const classification = classify(pv, evaluated.get(pv.variantSku).quantity);
+        if (!classification) continue;
+        summary[classification] += 1;
+        if (wanted && !wanted.has(classification)) continue;
+        summary.total += 1;
+        skus.push(pv.variantSku);
+      }
+      if (batch.length < batchSize) break;
+    }
+
+    return { summary, skus, computedAt: new Date() };
   }
 
   /**
@@ -0,0 +1,32 @@
+/**
+ * Base Notification Channel
+ * Contract every notification channel implements. A channel delivers one message to one
+ * target (an email address, a webhook URL, ...) and throws when the delivery failed.
+ *
+ * Message (see NotificationService.buildMessage):
+ *   { event, title, text, schedule: { id, name, cronExpression, storeId, vendorId },
+ *     occurredAt, error, summary, test }
+ *   event: 'success' | 'failure' | 'partial_failure' | 'skipped'
+ */
+class BaseNotificationChannel {
+  /**
+   * Deliver a message
+   * @param {string} target
+   * @param {Object} message
+   * @returns {Promise<{responseStatus?:number}>}
+   */
+  async send(target, message) {
+    throw new Error(`${this.constructor.name} does not implement send`);
+  }
+
+  /**
+   * Whether a target is usable by this channel (checked before anything is recorded)
+   * @param {string} target
+   * @returns {boolean}
+   */
+  isValidTarget(target) {
+    return Boolean(target);
+  }
+}
+
+module.exports = BaseNotificationChannel;
@@ -0,0 +1,63 @@
+const nodemailer = require('nodemailer');
+const BaseNotificationChannel = require('./base.channel');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * SMTP Email Channel
+ * Configured through SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS and
+ * NOTIFICATION_EMAIL_FROM. The transport is created on first use.
+ */
+class EmailChannel extends BaseNotificationChannel {
+  constructor() {
+    super();
+    this.transport = null;
+  }
+
+  getTransport() {
+    if (this.transport) return this.transport;
+    if (!process.env.SMTP_HOST) {
+      throw new Error('SMTP is not configured (SMTP_HOST)');
+    }
+    const port = Number(process.env.SMTP_PORT || 587);
+    this.transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+    return this.transport;
+  }
+
+  isValidTarget(target) {
+    return EMAIL_PATTERN.test(String(target || ''));
+  }
+
+  async send(target, message) {
+    const lines = [
+      message.text,
+      '',
+      `Schedule: ${message.schedule.name} (${message.schedule.cronExpression})`,
+      `Occurred at: ${message.occurredAt}`
+    ];
+    if (message.error) lines.push(`Error: ${message.error}`);
+    if (message.summary && Object.keys(message.summary).length) {
+      lines.push('', 'Summary:');
+      for (const [key, value] of Object.entries(message.summary)) {
+        lines.push(`  ${key}: ${value}`);
+      }
+    }
+
+    await this.getTransport().sendMail({
+      from: process.env.NOTIFICATION_EMAIL_FROM || process.env.SMTP_USER,
+      to: target,
+      subject: message.title,
+      text: lines.join('\n')
+    });
+    return {};
+  }
+}
+
+module.exports = EmailChannel;
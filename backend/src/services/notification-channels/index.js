@@ -0,0 +1,45 @@
+const BaseNotificationChannel = require('./base.channel');
+const EmailChannel = require('./email.channel');
+const WebhookChannel = require('./webhook.channel');
+const SlackChannel = require('./slack.channel');
+
+// Channel name -> channel instance
+const channels = new Map([
+  ['email', new EmailChannel()],
+  ['webhook', new WebhookChannel()],
+  ['slack', new SlackChannel()]
+]);
+
+/**
+ * Register a channel instance under a name
+ * @param {string} name - NotificationDelivery.channel value
+ * @param {BaseNotificationChannel} channel
+ */
+const registerChannel = (name, channel) => {
+  if (!(channel instanceof BaseNotificationChannel)) {
+    throw new Error(`Channel ${name} must extend BaseNotificationChannel`);
+  }
+  channels.set(name, channel);
+};
+
+/**
+ * Resolve a channel by name
+ * @param {string} name
+ * @returns {BaseNotificationChannel}
+ */
+const getChannel = (name) => {
+  const channel = channels.get(name);
+  if (!channel) {
+    throw new Error(`No notification channel registered for: ${name}`);
+  }
+  return channel;
+};
+
+const getChannelNames = () => Array.from(channels.keys());
+
+module.exports = {
+  BaseNotificationChannel,
+  registerChannel,
+  getChannel,
+  getChannelNames
+};
@@ -0,0 +1,39 @@
+const WebhookChannel = require('./webhook.channel');
+
+const COLORS = {
+  success: '#2eb886',
+  partial_failure: '#daa038',
+  failure: '#a30200',
+  skipped: '#9e9e9e'
+};
+
+/**
+ * Slack-compatible Incoming Webhook Channel
+ * Same transport as the JSON webhook, with a { text, attachments } payload that Slack
+ * (and compatible tools such as Mattermost) render.
+ */
+class SlackChannel extends WebhookChannel {
+  formatPayload(message) {
+    const fields = [
+      { title: 'Schedule', value: `${message.schedule.name} (\`${message.schedule.cronExpression}\`)`, short: false }
+    ];
+    if (message.error) {
+      fields.push({ title: 'Error', value: message.error, short: false });
+    }
+    for (const [key, value] of Object.entries(message.summary || {})) {
+      fields.push({ title: key, value: String(value), short: true });
+    }
+
+    return {
+      text: message.title,
+      attachments: [{
+        color: COLORS[message.event] || COLORS.failure,
+        text: message.text,
+        fields,
+        ts: Math.floor(new Date(message.occurredAt).getTime() / 1000)
+      }]
+    };
+  }
+}
+
+module.exports = SlackChannel;
@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const BaseNotificationChannel = require('./base.channel');
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Generic JSON Webhook Channel
+ * POSTs the message as JSON. With NOTIFICATION_WEBHOOK_SECRET set, the body is signed
+ * (hex HMAC-SHA256) in the X-Notification-Signature header.
+ */
+class WebhookChannel extends BaseNotificationChannel {
+  isValidTarget(target) {
+    try {
+      const url = new URL(String(target || ''));
+      return url.protocol === 'https:' || url.protocol === 'http:';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Request body for a message
+   */
+  formatPayload(message) {
+    return message;
+  }
+
+  async send(target, message) {
+    const body = JSON.stringify(this.formatPayload(message));
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.NOTIFICATION_WEBHOOK_SECRET) {
+      headers['X-Notification-Signature'] = crypto
+        .createHmac('sha256', process.env.NOTIFICATION_WEBHOOK_SECRET)
+        .update(body)
+        .digest('hex');
+    }
+
+    const response = await axios.post(target, body, { headers, timeout: REQUEST_TIMEOUT_MS });
+    return { responseStatus: response.status };
+  }
+}
+
+module.exports = WebhookChannel;
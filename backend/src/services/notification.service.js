@@ -0,0 +1,240 @@
+const logger = require('../utils/logger');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const { getChannel } = require('./notification-channels');
+
+// First retry delay; doubles with every failed attempt
+const RETRY_BASE_DELAY_MS = Number(process.env.NOTIFICATION_RETRY_DELAY_MS || 60000);
+const MAX_ATTEMPTS = Number(process.env.NOTIFICATION_MAX_ATTEMPTS || 5);
+// How often pending retries are looked for
+const RETRY_INTERVAL_MS = Number(process.env.NOTIFICATION_RETRY_INTERVAL_MS || 30000);
+// Deliveries retried per pass
+const RETRY_BATCH_SIZE = 50;
+// How long a claimed delivery is left to the instance sending it
+const CLAIM_LEASE_MS = Number(process.env.NOTIFICATION_CLAIM_LEASE_MS || 300000);
+
+// Run result counters copied into the message summary
+const SUMMARY_KEYS = [
+  'total', 'updated', 'failed', 'totalPairs', 'successfulPairs', 'failedPairs',
+  'totalProductsProcessed', 'totalInventoryUpdated'
+];
+
+const TITLES = {
+  success: 'completed',
+  partial_failure: 'completed with errors',
+  failure: 'failed',
+  skipped: 'was skipped'
+};
+
+/**
+ * Notification Service
+ * Sends schedule run outcomes to the targets in SyncSchedule.notifications through the
+ * registered channels, records each delivery with all of its attempts and retries failed
+ * deliveries with exponential backoff.
+ */
+class NotificationService {
+  constructor() {
+    this.retryTimer = null;
+    this.retrying = false;
+  }
+
+  /**
+   * Start the retry loop (idempotent)
+   */
+  start() {
+    if (this.retryTimer) return;
+    this.retryTimer = setInterval(() => {
+      this.retryDue().catch(error => logger.error('Error retrying notifications:', error));
+    }, RETRY_INTERVAL_MS);
+    if (this.retryTimer.unref) this.retryTimer.unref();
+  }
+
+  stop() {
+    if (this.retryTimer) clearInterval(this.retryTimer);
+    this.retryTimer = null;
+  }
+
+  /**
+   * Whether the schedule wants to be notified about an event
+   * @param {Object} schedule - SyncSchedule doc
+   * @param {string} event - 'success' | 'failure' | 'partial_failure' | 'skipped'
+   */
+  isEnabled(schedule, event) {
+    const settings = schedule.notifications || {};
+    if (event === 'success') return Boolean(settings.onSuccess);
+    if (event === 'partial_failure') return Boolean(settings.onPartialFailure);
+    if (event === 'skipped') return Boolean(settings.onSkipped);
+    return Boolean(settings.onFailure);
+  }
+
+  /**
+   * Channel/target pairs from a schedule's notification settings. `email` may hold several
+   * comma-separated addresses; `webhook` is sent as JSON or as a Slack payload (webhookFormat).
+   * @returns {Array<{channel:string, target:string}>}
+   */
+  getTargets(schedule) {
+    const settings = schedule.notifications || {};
+    const targets = String(settings.email || '')
+      .split(',')
+      .map(address => address.trim())
+      .filter(Boolean)
+      .map(target => ({ channel: 'email', target }));
+    if (settings.webhook) {
+      targets.push({ channel: settings.webhookFormat === 'slack' ? 'slack' : 'webhook', target: settings.webhook.trim() });
+    }
+    return targets.filter(({ channel, target }) => getChannel(channel).isValidTarget(target));
+  }
+
+  /**
+   * Channel-independent message for a schedule run outcome
+   * @param {Object} schedule - SyncSchedule doc
+   * @param {string} event
+   * @param {Object} [details]
+   * @param {Error|string} [details.error]
+   * @param {Object} [details.summary] - Flat counters of the run (shown as key/value pairs)
+   * @param {boolean} [details.test]
+   */
+  buildMessage(schedule, event, { error = null, summary = {}, test = false } = {}) {
+    const title = `${test ? '[Test] ' : ''}Scheduled sync "${schedule.name}" ${TITLES[event]}`;
+    let text = `The scheduled sync ${TITLES[event]}.`;
+    if (event !== 'success' && error) {
+      text = `The scheduled sync ${TITLES[event]}: ${error.message || error}`;
+    }
+    return {
+      event,
+      title,
+      text,
+      schedule: {
+        id: String(schedule._id),
+        name: schedule.name,
+        cronExpression: schedule.cronExpression,
+        storeId: schedule.storeId ? String(schedule.storeId._id || schedule.storeId) : null,
+        vendorId: schedule.vendorId ? String(schedule.vendorId._id || schedule.vendorId) : null
+      },
+      occurredAt: new Date().toISOString(),
+      error: error ? String(error.message || error) : null,
+      summary,
+      test
+    };
+  }
+
+  /**
+   * Notify a schedule's targets about a run outcome, if the schedule asks for that event.
+   * Never throws: delivery problems are recorded on the deliveries and retried later.
+   * @param {Object} schedule - SyncSchedule doc
+   * @param {string} event - 'success' | 'failure' | 'partial_failure' | 'skipped'
+   * @param {Object} [details] - See buildMessage
+   * @returns {Promise<Array<Object>>} - NotificationDelivery docs
+   */
+  async notifySchedule(schedule, event, details = {}) {
+    try {
+      if (!details.test && !this.isEnabled(schedule, event)) return [];
+      const targets = this.getTargets(schedule);
+      if (!targets.length) {
+        if (details.test) return [];
+        logger.warn(`Schedule "${schedule.name}" has ${event} notifications on but no valid email or webhook`);
+        return [];
+      }
+
+      const message = this.buildMessage(schedule, event, details);
+      const deliveries = await NotificationDelivery.insertMany(targets.map(({ channel, target }) => ({
+        scheduleId: schedule._id,
+        event,
+        channel,
+        target,
+        message,
+        maxAttempts: details.test ? 1 : MAX_ATTEMPTS,
+        test: Boolean(details.test),
+        // Claimed by this instance for the first attempt
+        nextAttemptAt: new Date(Date.now() + CLAIM_LEASE_MS)
+      })));
+
+      for (const delivery of deliveries) {
+        await this.attempt(delivery);
+      }
+      if (deliveries.some(d => d.status === 'pending')) this.start();
+      return deliveries;
+    } catch (error) {
+      logger.error(`Error sending ${event} notification for schedule "${schedule.name}":`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Notify success, or partial failure when a completed run reports per-item errors
+   * @param {Object} schedule - SyncSchedule doc
+   * @param {Object} result - Run result (errors[], failed/failedPairs counters)
+   */
+  async notifyRunResult(schedule, result = {}) {
+    const errors = Array.isArray(result.errors) ? result.errors : [];
+    const failed = Number(result.failed || result.failedPairs || 0);
+    const summary = {};
+    for (const key of SUMMARY_KEYS) {
+      if (typeof result[key] === 'number') summary[key] = result[key];
+    }
+    if (errors.length) summary.errors = errors.length;
+
+    if (errors.length || failed > 0) {
+      const first = errors[0];
+      const error = first ? (first.error || first.message || String(first)) : `${failed} item(s) failed`;
+      return this.notifySchedule(schedule, 'partial_failure', { error, summary });
+    }
+    return this.notifySchedule(schedule, 'success', { summary });
+  }
+
+  /**
+   * Make one delivery attempt and record it; schedules the next attempt on failure
+   * @param {Object} delivery - NotificationDelivery doc
+   */
+  async attempt(delivery) {
+    const startedAt = Date.now();
+    const record = { attemptedAt: new Date(startedAt) };
+    try {
+      const result = await getChannel(delivery.channel).send(delivery.target, delivery.message);
+      record.success = true;
+      record.responseStatus = result?.responseStatus;
+      delivery.status = 'sent';
+      delivery.sentAt = new Date();
+      delivery.lastError = null;
+    } catch (error) {
+      record.success = false;
+      record.responseStatus = error.response?.status;
+      record.error = error.message;
+      delivery.lastError = error.message;
+      if (delivery.attempts.length + 1 >= delivery.maxAttempts) {
+        delivery.status = 'failed';
+        logger.error(`Notification to ${delivery.channel} ${delivery.target} failed after ${delivery.attempts.length + 1} attempt(s): ${error.message}`);
+      } else {
+        delivery.nextAttemptAt = new Date(Date.now() + RETRY_BASE_DELAY_MS * 2 ** delivery.attempts.length);
+        logger.warn(`Notification to ${delivery.channel} ${delivery.target} failed, retrying at ${delivery.nextAttemptAt.toISOString()}: ${error.message}`);
+      }
+    }
+    record.durationMs = Date.now() - startedAt;
+    delivery.attempts.push(record);
+    await delivery.save();
+    return delivery;
+  }
+
+  /**
+   * Retry pending deliveries that are due, claiming each one first so that only one instance
+   * sends it
+   * @returns {Promise<number>} - Deliveries attempted
+   */
+  async retryDue() {
+    if (this.retrying) return 0;
+    this.retrying = true;
+    try {
+      let attempted = 0;
+      while (attempted < RETRY_BATCH_SIZE) {
+        const delivery = await NotificationDelivery.claimDue(CLAIM_LEASE_MS);
+        if (!delivery) break;
+        await this.attempt(delivery);
+        attempted += 1;
+      }
+      return attempted;
+    } finally {
+      this.retrying = false;
+    }
+  }
+}
+
+module.exports = new NotificationService();
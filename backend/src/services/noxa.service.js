@@ -2,22 +2,62 @@ const axios = require('axios');
 const logger = require('../utils/logger');
 const ProductVariant = require('../models/ProductVariant');
 const Product = require('../models/Product');
+const InventoryHistory = require('../models/InventoryHistory');
 
 /**
  * Noxa Service
  * Handles all Noxa vendor API interactions
  */
 class NoxaService {
-  constructor() {
-    this.baseUrl = process.env.NOXA_API_URL || 'http://api.noxanabel.com/API';
-    this.timeout = 30000; // 30 seconds
-    this.authKey = process.env.NOXA_AUTH_KEY;
+  /**
+   * @param {Object} [config] - Per-vendor settings; env NOXA_* values are the defaults
+   * @param {string} [config.baseUrl]
+   * @param {string} [config.authKey]
+   * @param {string} [config.vendorId] - Vendor document ID stamped on synced products
+   * @param {string} [config.skuPrefix='noxa'] - Variant SKU prefix
+   * @param {number} [config.timeout]
+   */
+  constructor(config = {}) {
+    this.baseUrl = config.baseUrl || process.env.NOXA_API_URL || 'http://api.noxanabel.com/API';
+    this.timeout = config.timeout || 30000; // 30 seconds
+    this.authKey = config.authKey || process.env.NOXA_AUTH_KEY;
+    this.vendorId = config.vendorId || process.env.NOXA_VENDOR_ID || undefined;
+    this.skuPrefix = config.skuPrefix || 'noxa';
     
     if (!this.authKey) {
       logger.warn('NOXA_AUTH_KEY environment variable is not set');
     }
   }
 
+  /**
+   * Client configured from a Vendor document (decrypted API key, base URL, SKU prefix)
+   * @param {Object} vendor - Vendor document
+   * @returns {NoxaService}
+   */
+  forVendor(vendor) {
+    return new NoxaService({
+      baseUrl: vendor.apiUrl,
+      authKey: vendor.apiKey,
+      vendorId: String(vendor._id),
+      skuPrefix: vendor.skuPrefix,
+      timeout: vendor.settings?.timeoutMs
+    });
+  }
+
+  /**
+   * Check credentials by requesting one SKU from the active list
+   * @returns {Promise<{success:boolean, totalSkus?:number, error?:string}>}
+   */
+  async testConnection() {
+    try {
+      const response = await this.makeRequest('/Inventory/ActiveSKUList', 'GET', null, { pgNo: 1, pgSize: 1 });
+      return { success: true, totalSkus: Number(response.Response?.TotalCount) || 0 };
+    } catch (error) {
+      logger.warn(`Noxa connection test failed for ${this.baseUrl}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Upsert a Product document for a given main SKU and inventories from Noxa
    * @param {string} mainSku
@@ -25,9 +65,9 @@ class NoxaService {
    * @param {Array} inventories - array of { Color, Size, StockQty, PreOrderDate }
    */
   async upsertProductFromNoxa(mainSku, skuStatus, inventories = []) {
-    const vendorId = process.env.NOXA_VENDOR_ID || undefined;
+    const vendorId = this.vendorId;
     const variants = (inventories || []).map((inv) => {
-      const variantSku = `noxa_${mainSku}-${inv.Color}-${inv.Size}`;
+      const variantSku = ProductVariant.generateVariantSku(mainSku, inv.Color, inv.Size, this.skuPrefix);
       return {
         variantId: variantSku,
         sku: variantSku,
@@ -218,9 +258,7 @@ class NoxaService {
           const color = v.color;
           const size = v.size;
           // Use ProductVariant helper if available to generate consistent SKU
-          const variantSku = ProductVariant.generateVariantSku
-            ? ProductVariant.generateVariantSku(mainSku, color, size)
-            : `noxa_${mainSku}-${color.replace(/\s+/g, '')}-${size.replace(/\s+/g, '')}`;
+          const variantSku = ProductVariant.generateVariantSku(mainSku, color, size, this.skuPrefix);
           return {
             ...v,
             mainSku,
@@ -315,7 +353,22 @@ class NoxaService {
           return { acknowledged: true, insertedCount: 0, matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
         }
 
+        const previous = await ProductVariant.find(
+          { variantSku: { $in: prepared.map(v => v.variantSku) } },
+          { _id: 0, variantSku: 1, stockQty: 1 }
+        ).lean();
+        const previousQty = new Map(previous.map(v => [v.variantSku, v.stockQty]));
+
         const result = await ProductVariant.bulkWrite(bulkOps, { ordered: false });
+        await InventoryHistory.record(prepared
+          .filter(v => idByMainSku.has(v.mainSku))
+          .map(v => ({
+            variantSku: v.variantSku,
+            field: 'stockQty',
+            oldQty: previousQty.get(v.variantSku),
+            newQty: v.stockQty,
+            source: 'vendor-import'
+          })));
         return result;
       } catch (err) {
         logger.error('Error processing product variants:', err);
@@ -323,6 +376,43 @@ class NoxaService {
       }
   }
 
+  /**
+   * Read-only call to InventoriesBySKUs with retry/backoff (nothing is written to the database)
+   * @param {string[]} skus - Main SKUs
+   * @returns {Promise<{Result:boolean, Message:string|null, Response:Array}>}
+   */
+  async fetchInventoriesBySKUs(skus) {
+    // Normalize and de-duplicate SKUs to match vendor expectations
+    const payloadSkus = Array.from(new Set(
+      (skus || [])
+        .filter(Boolean)
+        .map(s => s.toString().trim())
+    ));
+
+    logger.debug(`Noxa batch payload: ${payloadSkus.length} SKUs`, { sample: payloadSkus.slice(0, 5) });
+
+    // Make the API request to Noxa with retry/backoff
+    const doPost = async () => this.makeRequest(
+      '/Inventory/InventoriesBySKUs',
+      'POST',
+      { SKUList: payloadSkus }
+    );
+    let attempt = 0;
+    const maxRetries = 3;
+    while (true) {
+      try {
+        return await doPost();
+      } catch (err) {
+        const status = err.status || 0;
+        const retriable = status === 0 || status >= 500 || status === 429;
+        if (!retriable || attempt >= maxRetries) throw err;
+        const delay = Math.min(2000, 500 * Math.pow(2, attempt)) + Math.floor(Math.random() * 200);
+        await new Promise(r => setTimeout(r, delay));
+        attempt += 1;
+      }
+    }
+  }
+
   /**
    * Fetches inventory for specific SKUs from Noxa API
    * @param {string[]} skus - Array of SKUs to fetch inventory for
@@ -339,37 +429,7 @@ class NoxaService {
         };
       }
 
-      // Normalize and de-duplicate SKUs to match vendor expectations
-      const payloadSkus = Array.from(new Set(
-        skus
-          .filter(Boolean)
-          .map(s => s.toString().trim())
-      ));
-
-      logger.debug(`Noxa batch payload: ${payloadSkus.length} SKUs`, { sample: payloadSkus.slice(0, 5) });
-
-      // Make the API request to Noxa with retry/backoff
-      const doPost = async () => this.makeRequest(
-        '/Inventory/InventoriesBySKUs',
-        'POST',
-        { SKUList: payloadSkus }
-      );
-      let response;
-      let attempt = 0;
-      const maxRetries = 3;
-      while (true) {
-        try {
-          response = await doPost();
-          break;
-        } catch (err) {
-          const status = err.status || 0;
-          const retriable = status === 0 || status >= 500 || status === 429;
-          if (!retriable || attempt >= maxRetries) throw err;
-          const delay = Math.min(2000, 500 * Math.pow(2, attempt)) + Math.floor(Math.random() * 200);
-          await new Promise(r => setTimeout(r, delay));
-          attempt += 1;
-        }
-      }
+      const response = await this.fetchInventoriesBySKUs(skus);
 
       if (response.Result && Array.isArray(response.Response)) {
         const results = [];
@@ -383,7 +443,7 @@ class NoxaService {
           const skuStatus = product.SKUStatus;
 
           const variants = product.Inventories.map(inv => ({
-            variantSku: `noxa_${mainSku}-${inv.Color}-${inv.Size}`,
+            variantSku: ProductVariant.generateVariantSku(mainSku, inv.Color, inv.Size, this.skuPrefix),
             mainSku,
             skuStatus,
             color: inv.Color,
@@ -396,7 +456,7 @@ class NoxaService {
           allVariants.push(...variants);
 
           const totalInventory = (product.Inventories || []).reduce((s, inv) => s + (Number(inv.StockQty) || 0), 0);
-          const vendorId = process.env.NOXA_VENDOR_ID || undefined;
+          const vendorId = this.vendorId;
           productOps.push({
             updateOne: {
               filter: { source: 'vendor', sourceId: mainSku },
@@ -466,7 +526,7 @@ class NoxaService {
     const url = `${this.baseUrl}${endpoint}`;
     
     if (!this.authKey) {
-      throw new Error('NOXA_AUTH_KEY environment variable is not set');
+      throw new Error('Noxa API key is not configured (vendor apiKey or NOXA_AUTH_KEY)');
     }
     
     // Debug: log the URL and method (without sensitive headers)
@@ -556,4 +616,5 @@ class NoxaService {
 }
 
 const noxaService = new NoxaService();
+noxaService.NoxaService = NoxaService;
 module.exports = noxaService;
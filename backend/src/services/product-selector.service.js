@@ -315,6 +315,80 @@ class ProductSelectorService {
     }
   }
 
+  /**
+   * Rank Shopify variants for a ProductVariant that has no exact SKU match.
+   * The variant's own mainSku/color/size stand in for a parsed SKU, so any vendor prefix works;
+   * each product is scored with calculateMatchScore and contributes its closest variant.
+   * @param {Object} variant - { variantSku, mainSku, color, size }
+   * @param {Array<Object>} shopifyProducts - { id, title, variants: [{ id, title, sku }] }
+   * @param {number} [limit]
+   * @returns {Array<Object>} - { shopifyProductId, shopifyVariantId, productTitle, variantTitle, sku, score, confidence, reasons }
+   */
+  suggestVariantMatches(variant, shopifyProducts = [], limit = 5) {
+    const skuInfo = {
+      originalSku: variant.variantSku,
+      parsed: Boolean(variant.mainSku),
+      productCode: variant.mainSku || null,
+      color: variant.color || null,
+      size: variant.size || null,
+      standardColor: variant.color ? this.standardizeColor(String(variant.color)) : null,
+      standardSize: variant.size ? this.standardizeSize(String(variant.size)) : null
+    };
+
+    const suggestions = [];
+    for (const product of shopifyProducts) {
+      const score = this.calculateMatchScore(skuInfo, product);
+      if (score <= 0) continue;
+      const best = this.pickVariant(skuInfo, product.variants || []);
+      if (!best) continue;
+      suggestions.push({
+        shopifyProductId: product.id,
+        shopifyVariantId: best.variant.id,
+        productTitle: product.title,
+        variantTitle: best.variant.title || null,
+        sku: best.variant.sku || null,
+        score,
+        confidence: this.getConfidenceLevel(score),
+        reasons: [...this.getMatchReasons(skuInfo, product, score), ...best.reasons]
+      });
+    }
+
+    suggestions.sort((a, b) => b.score - a.score);
+    return suggestions.slice(0, limit);
+  }
+
+  /**
+   * Closest variant of a product by exact SKU, then color and size option values
+   */
+  pickVariant(skuInfo, variants = []) {
+    let best = null;
+    for (const variant of variants) {
+      const options = String(variant.title || '').toLowerCase().split(/\s*\/\s*/);
+      const reasons = [];
+      let rank = 0;
+      if (variant.sku && variant.sku === skuInfo.originalSku) {
+        rank += 4;
+        reasons.push('Exact SKU match on variant');
+      }
+      const colors = [skuInfo.color, skuInfo.standardColor].filter(Boolean).map(c => String(c).toLowerCase());
+      if (colors.some(c => options.includes(c))) {
+        rank += 2;
+        reasons.push('Color matches variant');
+      }
+      if (skuInfo.standardSize) {
+        const sizes = [skuInfo.standardSize.toLowerCase(), ...(this.sizeMappings[skuInfo.standardSize] || [])];
+        if (sizes.some(s => options.includes(s))) {
+          rank += 1;
+          reasons.push('Size matches variant');
+        }
+      }
+      if (!best || rank > best.rank) {
+        best = { variant, rank, reasons };
+      }
+    }
+    return best;
+  }
+
   /**
    * Validate mapping suggestion
    */
@@ -1,7 +1,66 @@
 const cron = require('node-cron');
+const cronParser = require('cron-parser');
 const logger = require('../utils/logger');
+const { DateHelper } = require('../utils/helpers');
 const SyncSchedule = require('../models/SyncSchedule');
+const ScheduleRun = require('../models/ScheduleRun');
 const syncService = require('./sync.service');
+const notificationService = require('./notification.service');
+const syncLockService = require('./sync-lock.service');
+
+// Most missed fire times a 'run-all' catch-up executes (older ones are recorded as missed)
+const CATCH_UP_LIMIT = Number(process.env.SCHEDULE_CATCH_UP_LIMIT || 10);
+// Most missed fire times looked at per schedule on startup
+const MISSED_SCAN_LIMIT = 500;
+// Longest setTimeout delay; longer waits are chained
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+
+/**
+ * Timer-driven cron task: waits for the next fire time of the expression in the schedule's
+ * timezone (see DateHelper.getCronExecutions) and calls onFire(scheduledFor). Unlike
+ * node-cron's wall-clock matching, a time skipped by a DST change still runs once.
+ */
+class CronTask {
+  constructor(cronExpression, timezone, onFire) {
+    this.cronExpression = cronExpression;
+    this.timezone = timezone;
+    this.onFire = onFire;
+    this.timer = null;
+    this.nextRun = null;
+  }
+
+  start() {
+    this.stop();
+    this.arm(new Date());
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.nextRun = null;
+  }
+
+  arm(from) {
+    this.nextRun = DateHelper.getNextCronExecution(this.cronExpression, this.timezone, from);
+    this.wait();
+  }
+
+  wait() {
+    const delay = this.nextRun.getTime() - Date.now();
+    this.timer = setTimeout(() => {
+      if (delay > MAX_TIMER_DELAY_MS) {
+        this.wait();
+        return;
+      }
+      const scheduledFor = this.nextRun;
+      // Timers may fire a little early; never fire the same time twice
+      this.arm(new Date(Math.max(Date.now(), scheduledFor.getTime())));
+      Promise.resolve()
+        .then(() => this.onFire(scheduledFor))
+        .catch(error => logger.error('Error in scheduled task:', error));
+    }, Math.min(Math.max(delay, 0), MAX_TIMER_DELAY_MS));
+  }
+}
 
 /**
  * Scheduler Service
@@ -27,13 +86,17 @@ class SchedulerService {
       // Load and start all active schedules
       const activeSchedules = await SyncSchedule.find({ 
         isActive: true,
-        status: 'active'
+        status: { $ne: 'inactive' }
       });
 
       for (const schedule of activeSchedules) {
+        await this.catchUpMissedRuns(schedule);
         await this.startSchedule(schedule);
       }
 
+      // Retry notification deliveries left pending (also across restarts)
+      notificationService.start();
+
       this.initialized = true;
       logger.info(`Scheduler initialized with ${activeSchedules.length} active schedules`);
     } catch (error) {
@@ -53,6 +116,7 @@ class SchedulerService {
       if (!cron.validate(cronExpression)) {
         throw new Error('Invalid cron expression');
       }
+      const timezone = scheduleData.timezone || 'UTC';
 
       // Create schedule record
       const schedule = new SyncSchedule({
@@ -65,9 +129,10 @@ class SchedulerService {
           direction: syncConfig.direction || 'vendor-to-store',
           options: syncConfig.options || {}
         },
+        timezone,
         isActive: true,
         status: 'active',
-        nextRun: this.getNextRunTime(cronExpression)
+        nextRun: this.getNextRunTime(cronExpression, timezone)
       });
 
       await schedule.save();
@@ -95,12 +160,9 @@ class SchedulerService {
         this.activeTasks.get(scheduleId).stop();
       }
 
-      // Create new cron task
-      const task = cron.schedule(schedule.cronExpression, async () => {
-        await this.executeScheduledSync(schedule);
-      }, {
-        scheduled: false,
-        timezone: process.env.TIMEZONE || 'UTC'
+      // Create new cron task, firing in the schedule's timezone
+      const task = new CronTask(schedule.cronExpression, schedule.timezone || 'UTC', async (scheduledFor) => {
+        await this.executeScheduledSync(schedule, { scheduledFor });
       });
 
       // Start the task
@@ -110,7 +172,7 @@ class SchedulerService {
       // Update schedule status
       await SyncSchedule.findByIdAndUpdate(scheduleId, {
         status: 'active',
-        nextRun: this.getNextRunTime(schedule.cronExpression),
+        nextRun: task.nextRun,
         lastStarted: new Date()
       });
 
@@ -159,6 +221,8 @@ class SchedulerService {
       if (updateData.cronExpression && !cron.validate(updateData.cronExpression)) {
         throw new Error('Invalid cron expression');
       }
+      const cronExpression = updateData.cronExpression || schedule.cronExpression;
+      const timezone = updateData.timezone || schedule.timezone;
 
       // Stop current task
       await this.stopSchedule(scheduleId);
@@ -168,8 +232,8 @@ class SchedulerService {
         scheduleId,
         {
           ...updateData,
-          nextRun: updateData.cronExpression ? 
-            this.getNextRunTime(updateData.cronExpression) : 
+          nextRun: updateData.cronExpression || updateData.timezone ?
+            this.getNextRunTime(cronExpression, timezone) :
             schedule.nextRun,
           updatedAt: new Date()
         },
@@ -197,8 +261,9 @@ class SchedulerService {
       // Stop the task
       await this.stopSchedule(scheduleId);
 
-      // Delete from database
+      // Delete from database; schedules that ran after it no longer wait for it
       await SyncSchedule.findByIdAndDelete(scheduleId);
+      await SyncSchedule.updateMany({ runAfter: scheduleId }, { $pull: { runAfter: scheduleId } });
 
       logger.info(`Deleted schedule: ${scheduleId}`);
     } catch (error) {
@@ -216,8 +281,7 @@ class SchedulerService {
         scheduleId,
         { 
           isActive: true,
-          status: 'active',
-          nextRun: this.getNextRunTime(schedule.cronExpression)
+          status: 'active'
         },
         { new: true }
       );
@@ -263,58 +327,232 @@ class SchedulerService {
   }
 
   /**
-   * Execute scheduled sync
+   * Handle the fire times a schedule missed while the scheduler was down, per
+   * schedule.catchUpPolicy: 'run-once' runs the latest one, 'run-all' runs each of them
+   * (oldest first, at most CATCH_UP_LIMIT) and 'skip' runs none. Fire times that don't run
+   * are recorded as 'missed' runs.
+   * @param {Object} schedule - SyncSchedule doc
+   * @returns {Promise<{missed:number, executed:number}>}
+   */
+  async catchUpMissedRuns(schedule) {
+    try {
+      // Fire times up to the last handled one, or up to the previous start of the schedule, are not missed
+      const lastHandled = await ScheduleRun.lastScheduledFor(schedule._id);
+      const known = [lastHandled, schedule.lastStarted, schedule.lastRun].filter(Boolean).map(date => new Date(date).getTime());
+      if (!known.length) {
+        return { missed: 0, executed: 0 };
+      }
+
+      const missed = this.getRunTimesBetween(schedule.cronExpression, schedule.timezone, new Date(Math.max(...known)), new Date());
+      if (!missed.length) {
+        return { missed: 0, executed: 0 };
+      }
+
+      const policy = schedule.catchUpPolicy || 'run-once';
+      let toRun = [];
+      if (policy === 'run-once') {
+        toRun = missed.slice(-1);
+      } else if (policy === 'run-all') {
+        toRun = missed.slice(-CATCH_UP_LIMIT);
+      }
+      await ScheduleRun.recordMissed(
+        schedule._id,
+        missed.slice(0, missed.length - toRun.length),
+        `Missed while the scheduler was down (catch-up policy ${policy})`
+      );
+
+      logger.info(`Schedule ${schedule.name} missed ${missed.length} run(s); catching up ${toRun.length} (${policy})`);
+
+      for (const scheduledFor of toRun) {
+        try {
+          // Several catch-up runs of one schedule wait for each other instead of skipping
+          await this.executeScheduledSync(schedule, {
+            scheduledFor,
+            trigger: 'catch-up',
+            overlapPolicy: toRun.length > 1 ? 'queue' : undefined
+          });
+        } catch (error) {
+          // Logged and recorded by executeScheduledSync
+        }
+      }
+
+      return { missed: missed.length, executed: toRun.length };
+    } catch (error) {
+      logger.error(`Error catching up missed runs of schedule ${schedule.name}:`, error);
+      return { missed: 0, executed: 0 };
+    }
+  }
+
+  /**
+   * Execute scheduled sync for one fire time, tracked as a ScheduleRun. A fire time that
+   * already has a run (e.g. handled by another instance) is not run again. The run is skipped
+   * (lastRunStatus 'skipped') in a blackout window or while runAfter schedules haven't
+   * succeeded. When a sync of the same store and vendor is still running,
+   * schedule.overlapPolicy decides: skip, queue behind it, or cancel it.
+   * @param {Object} schedule - SyncSchedule doc
+   * @param {Object} [run]
+   * @param {Date} [run.scheduledFor] - Fire time (default: the current minute)
+   * @param {string} [run.trigger] - 'cron' | 'catch-up' | 'dependency'
+   * @param {string} [run.overlapPolicy] - Overrides schedule.overlapPolicy
    */
-  async executeScheduledSync(schedule) {
+  async executeScheduledSync(schedule, { scheduledFor = this.currentFireTime(), trigger = 'cron', overlapPolicy } = {}) {
+    const startedAt = Date.now();
+    const run = await ScheduleRun.claim(schedule._id, scheduledFor, trigger);
+    if (!run) {
+      logger.info(`Scheduled sync ${schedule.name} already handled for ${scheduledFor.toISOString()}`);
+      return { skipped: true, reason: 'Fire time already handled' };
+    }
+
     try {
+      // Reloaded: blackout windows and dependencies may have changed since the task started
+      const current = await SyncSchedule.findById(schedule._id);
+      const blockReason = current ? await current.getBlockReason() : 'Schedule was deleted';
+      if (blockReason) {
+        logger.info(`Skipping scheduled sync ${schedule.name}: ${blockReason}`);
+        await this.recordSkip(schedule, run, startedAt, blockReason);
+        return { skipped: true, reason: blockReason, runId: run._id };
+      }
+      // Run with the stored config, not the copy the task was started with
+      schedule = current;
+
+      const overlap = await syncLockService.checkOverlap(
+        { storeId: schedule.storeId, vendorId: schedule.vendorId },
+        overlapPolicy || schedule.overlapPolicy
+      );
+      if (overlap.skip) {
+        logger.info(`Skipping scheduled sync ${schedule.name}: previous sync still running`, { lockedBy: overlap.lockedBy });
+        await this.recordSkip(schedule, run, startedAt, 'Previous sync still running');
+        return { skipped: true, lockedBy: overlap.lockedBy, runId: run._id };
+      }
+
       logger.info(`Executing scheduled sync: ${schedule.name}`);
 
-      // Update execution tracking
+      // Update execution tracking; the outcome is recorded by completeRun when the sync job ends
       await SyncSchedule.findByIdAndUpdate(schedule._id, {
-        lastRun: new Date(),
-        nextRun: this.getNextRunTime(schedule.cronExpression),
-        'executionStats.totalRuns': schedule.executionStats.totalRuns + 1
+        lastRun: new Date(startedAt),
+        nextRun: this.getNextRunTime(schedule.cronExpression, schedule.timezone)
       });
 
-      // Execute the sync
+      // Queue the sync
       const syncResult = await syncService.startManualSync(
         schedule.storeId,
         schedule.vendorId,
         schedule.syncConfig.syncType,
         {
           ...schedule.syncConfig.options,
+          ...this.getSyncModeOptions(schedule.syncConfig),
           scheduledSync: true,
-          scheduleId: schedule._id
+          scheduleId: schedule._id,
+          scheduleRunId: run._id,
+          overlapPolicy: overlap.policy
         }
       );
-
-      // Update success stats
-      await SyncSchedule.findByIdAndUpdate(schedule._id, {
-        'executionStats.successfulRuns': schedule.executionStats.successfulRuns + 1,
-        'executionStats.lastSuccess': new Date()
+      // The sync job marks the run running/finished and links its SyncLog
+      await ScheduleRun.findByIdAndUpdate(run._id, {
+        syncId: syncResult.syncId,
+        jobId: String(syncResult.jobId)
       });
 
-      logger.info(`Scheduled sync completed successfully: ${schedule.name}`);
-      return syncResult;
+      logger.info(`Scheduled sync queued: ${schedule.name}`, { syncId: syncResult.syncId });
+      return { ...syncResult, runId: run._id };
     } catch (error) {
+      // The sync could not be queued
       logger.error(`Scheduled sync failed: ${schedule.name}`, error);
+      const failedRun = await ScheduleRun.finish(run._id, 'failed', { error: error.message });
+      await this.completeRun(schedule._id, failedRun);
+      throw error;
+    }
+  }
 
-      // Update failure stats
-      await SyncSchedule.findByIdAndUpdate(schedule._id, {
-        'executionStats.failedRuns': schedule.executionStats.failedRuns + 1,
-        'executionStats.lastFailure': new Date(),
-        'executionStats.lastError': error.message
-      });
+  /**
+   * Sync options for a schedule's syncConfig.type: 'incremental' runs the incremental mode
+   * (only SKUs that are new, recently changed, low on stock or due for a refresh), 'full' every
+   * SKU and 'selected' only syncConfig.selectedProducts
+   * @param {Object} syncConfig - SyncSchedule.syncConfig
+   * @returns {Object} - { mode, selectedProducts? }
+   */
+  getSyncModeOptions(syncConfig = {}) {
+    const options = { mode: syncConfig.type === 'incremental' ? 'incremental' : 'full' };
+    if (syncConfig.type === 'selected') {
+      options.selectedProducts = syncConfig.selectedProducts || [];
+    }
+    return options;
+  }
 
-      // Handle notifications if configured
-      if (schedule.notifications.onFailure) {
-        await this.sendFailureNotification(schedule, error);
-      }
+  /**
+   * Record a finished run on its schedule (stats, lastRunStatus), notify the schedule's targets
+   * and, on success, start the schedules that run after it. Called when the sync job ends (or
+   * when it could not be queued).
+   * @param {string} scheduleId
+   * @param {Object} run - Finished ScheduleRun
+   * @param {Object} [result] - Sync result of a completed or cancelled run
+   */
+  async completeRun(scheduleId, run, result = null) {
+    if (!run) return;
+    const update = { lastRunDuration: run.durationMs };
+    let event = null;
+    let error = null;
+
+    if (run.status === 'success') {
+      update.lastRunStatus = 'success';
+      update.$inc = { 'stats.totalRuns': 1, 'stats.successfulRuns': 1 };
+    } else if (run.status === 'skipped') {
+      update.lastRunStatus = 'skipped';
+      event = 'skipped';
+      error = run.skipReason;
+    } else {
+      // failed, or stopped part-way through by a newer run or a blackout window
+      error = run.status === 'cancelled' ? (run.error || 'Cancelled by a newer run') : run.error;
+      event = run.status === 'cancelled' ? 'partial_failure' : 'failure';
+      update.lastRunStatus = 'failed';
+      update['stats.lastFailureReason'] = error;
+      update.$inc = { 'stats.totalRuns': 1, 'stats.failedRuns': 1 };
+    }
 
-      throw error;
+    const schedule = await SyncSchedule.findByIdAndUpdate(scheduleId, update, { new: true });
+    if (!schedule) return;
+
+    if (run.status === 'success') {
+      await notificationService.notifyRunResult(schedule, result || {});
+      await this.runDependents(schedule._id);
+    } else {
+      await notificationService.notifySchedule(schedule, event, { error });
+    }
+  }
+
+  /**
+   * Record a fire time that was not run on the schedule and its run, and send the
+   * schedule's (opt-in) skipped notification
+   */
+  async recordSkip(schedule, run, startedAt, skipReason) {
+    const updated = await SyncSchedule.findByIdAndUpdate(schedule._id, {
+      lastRun: new Date(startedAt),
+      lastRunStatus: 'skipped',
+      nextRun: this.getNextRunTime(schedule.cronExpression, schedule.timezone)
+    }, { new: true });
+    const finished = await ScheduleRun.finish(run._id, 'skipped', { skipReason });
+    if (updated && finished) {
+      await notificationService.notifySchedule(updated, 'skipped', { error: skipReason });
     }
   }
 
+  /**
+   * Run the active schedules that run after a schedule whose run just succeeded; each one
+   * starts once all of its runAfter schedules have succeeded (see executeScheduledSync)
+   * @param {string} scheduleId - Schedule whose run succeeded
+   */
+  async runDependents(scheduleId) {
+    const dependents = await SyncSchedule.find({ runAfter: scheduleId, isActive: true });
+    for (const dependent of dependents) {
+      try {
+        await this.executeScheduledSync(dependent, { scheduledFor: new Date(), trigger: 'dependency' });
+      } catch (error) {
+        // Logged and recorded by executeScheduledSync
+      }
+    }
+    return dependents.length;
+  }
+
   /**
    * Get all schedules
    */
@@ -350,31 +588,57 @@ class SchedulerService {
   }
 
   /**
-   * Get running jobs
+   * Get running jobs: schedule runs that are queued or running, with their actual start time
+   * (null while still queued)
    */
-  getRunningJobs() {
-    const runningJobs = [];
-    
-    for (const [scheduleId, task] of this.activeTasks.entries()) {
-      if (task.running) {
-        runningJobs.push({
-          scheduleId,
-          status: 'running',
-          startedAt: new Date() // TODO: Track actual start time
-        });
-      }
+  async getRunningJobs() {
+    const runs = await ScheduleRun.find({ status: { $in: ['queued', 'running'] } })
+      .sort({ scheduledFor: 1 })
+      .lean();
+
+    return runs.map(run => ({
+      scheduleId: run.scheduleId.toString(),
+      runId: run._id,
+      status: run.status,
+      scheduledFor: run.scheduledFor,
+      triggeredAt: run.triggeredAt,
+      startedAt: run.startedAt || null,
+      syncId: run.syncId
+    }));
+  }
+
+  /**
+   * Fire times of a cron expression in a timezone after `since` and before `until`, oldest
+   * first (at most `limit`, the latest ones)
+   */
+  getRunTimesBetween(cronExpression, timezone, since, until, limit = MISSED_SCAN_LIMIT) {
+    const interval = cronParser.parseExpression(cronExpression, {
+      currentDate: until,
+      startDate: since,
+      tz: timezone || 'UTC'
+    });
+    const times = [];
+    while (times.length < limit && interval.hasPrev()) {
+      const time = interval.prev().toDate();
+      if (time <= since) break;
+      times.push(time);
     }
+    return times.reverse();
+  }
 
-    return runningJobs;
+  /**
+   * Fire time for a run started now without one: the current whole minute
+   */
+  currentFireTime() {
+    return new Date(Math.floor(Date.now() / 60000) * 60000);
   }
 
   /**
-   * Get next run time for cron expression
+   * Get next run time for cron expression in an IANA timezone
    */
-  getNextRunTime(cronExpression) {
+  getNextRunTime(cronExpression, timezone = 'UTC') {
     try {
-      const task = cron.schedule(cronExpression, () => {}, { scheduled: false });
-      return task.nextDate().toDate();
+      return DateHelper.getNextCronExecution(cronExpression, timezone);
     } catch (error) {
       logger.error('Error calculating next run time:', error);
       return null;
@@ -388,18 +652,6 @@ class SchedulerService {
     return cron.validate(expression);
   }
 
-  /**
-   * Send failure notification
-   */
-  async sendFailureNotification(schedule, error) {
-    try {
-      // TODO: Implement notification logic (email, webhook, etc.)
-      logger.warn(`Notification: Schedule "${schedule.name}" failed - ${error.message}`);
-    } catch (notificationError) {
-      logger.error('Error sending failure notification:', notificationError);
-    }
-  }
-
   /**
    * Shutdown scheduler
    */
@@ -412,6 +664,7 @@ class SchedulerService {
       }
       
       this.activeTasks.clear();
+      notificationService.stop();
       this.initialized = false;
       
       logger.info('Scheduler shutdown complete');
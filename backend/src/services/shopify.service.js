@@ -1,7 +1,10 @@
 const axios = require('axios');
+const readline = require('readline');
 const { encrypt, decrypt } = require('../utils/encryption');
 const logger = require('../utils/logger');
 const Store = require('../models/Store');
+const SkuAlias = require('../models/SkuAlias');
+const shopifyRateLimiter = require('../utils/shopify-rate-limiter');
 
 /**
  * Shopify Service
@@ -13,7 +16,7 @@ class ShopifyService {
   }
 
   /**
-   * Fetch inventoryItemId and inventoryQuantity for a given variant ID (GID)
+   * Fetch inventoryItemId and inventoryQuantity (plus product id, title and SKU) for a given variant ID (GID)
    */
   async getInventoryItemForVariant(storeId, variantId) {
     try {
@@ -27,8 +30,11 @@ class ShopifyService {
         query variantInventory($id: ID!) {
           productVariant(id: $id) {
             id
+            title
+            sku
             inventoryQuantity
             inventoryItem { id }
+            product { id }
           }
         }
       `;
@@ -37,7 +43,10 @@ class ShopifyService {
       const v = resp.data?.data?.productVariant;
       return {
         inventoryItemId: v?.inventoryItem?.id || null,
-        inventoryQuantity: typeof v?.inventoryQuantity === 'number' ? v.inventoryQuantity : null
+        inventoryQuantity: typeof v?.inventoryQuantity === 'number' ? v.inventoryQuantity : null,
+        productId: v?.product?.id || null,
+        title: v?.title || null,
+        sku: v?.sku || null
       };
     } catch (error) {
       logger.error('Error fetching inventory item for variant:', error);
@@ -47,7 +56,9 @@ class ShopifyService {
 
   /**
    * Get product variants by SKUs using GraphQL productVariants search
-   * Returns a map keyed by lowercased SKU -> { variantId, inventoryItemId, inventoryQuantity, raw }
+   * SKUs with a SkuAlias in the store resolve through the alias (variant IDs, then Shopify SKUs)
+   * first; the rest, and aliases whose targets no longer exist, fall back to exact SKU search.
+   * Returns a map keyed by lowercased requested SKU -> { variantId, inventoryItemId, inventoryQuantity, raw, alias? }
    */
   async getProductVariantsBySkus(storeId, skus = []) {
     try {
@@ -61,62 +72,28 @@ class ShopifyService {
       }
 
       const accessToken = decrypt(store.accessToken);
+      const outMap = new Map();
 
-      const graphqlQuery = `
-        query productVariantsBySku($first: Int!, $query: String!, $after: String) {
-          productVariants(first: $first, query: $query, after: $after) {
-            edges {
-              cursor
-              node {
-                id
-                title
-                sku
-                inventoryQuantity
-                inventoryItem { id }
-                product { id title }
-              }
-            }
-            pageInfo { hasNextPage }
+      const aliases = await SkuAlias.forSkus(store._id, skus.map(s => String(s || '').trim()).filter(Boolean));
+      if (aliases.size) {
+        const aliasList = [...aliases.values()];
+        const byId = await this.fetchVariantsByIds(store, accessToken, [...new Set(aliasList.flatMap(a => a.shopifyVariantIds || []))]);
+        const bySku = await this.searchVariantsBySkus(store, accessToken, [...new Set(aliasList.flatMap(a => a.shopifySkus || []))]);
+        for (const [key, alias] of aliases) {
+          const info = (alias.shopifyVariantIds || []).map(id => byId.get(id)).find(Boolean)
+            || (alias.shopifySkus || []).map(sku => bySku.get(sku.toLowerCase())).find(Boolean);
+          if (info) {
+            outMap.set(key, { ...info, alias: true });
+          } else {
+            logger.warn(`SKU alias for ${alias.variantSku} matched no Shopify variant; trying exact SKU`, { storeId: String(store._id) });
           }
         }
-      `;
+      }
 
-      // Shopify search length/complexity can be limited; chunk SKUs conservatively
-      const chunkSize = 25;
-      const outMap = new Map();
-      const sleep = (ms) => new Promise(res => setTimeout(res, ms));
-      const perChunkDelayMs = Number(process.env.SHOPIFY_GRAPHQL_CHUNK_DELAY_MS || 200); // throttle between chunk requests
-      // Helper to safely escape quotes/backslashes in SKUs for GraphQL search
-      const escapeSku = (s) => String(s).trim().replace(/\\/g, '\\\\').replace(/\"/g, '\\"');
-      for (let i = 0; i < skus.length; i += chunkSize) {
-        const chunk = skus.slice(i, i + chunkSize).filter(Boolean);
-        if (!chunk.length) continue;
-        // Quote SKUs to ensure exact-match search even when SKUs contain spaces/special characters
-        const orQuery = chunk.map(s => `sku:\"${escapeSku(s)}\"`).join(' OR ');
-        let after = null;
-        let page = 0;
-        do {
-          const variables = { first: 100, query: orQuery, after };
-          const resp = await this.makeGraphQLRequest(store.shopifyDomain, accessToken, graphqlQuery, variables);
-          const body = resp.data?.data?.productVariants;
-          const edges = body?.edges || [];
-          for (const edge of edges) {
-            const node = edge?.node;
-            if (!node?.sku) continue;
-            const key = String(node.sku).toLowerCase();
-            outMap.set(key, {
-              variantId: node.id,
-              inventoryItemId: node.inventoryItem?.id || null,
-              inventoryQuantity: typeof node.inventoryQuantity === 'number' ? node.inventoryQuantity : null,
-              raw: node
-            });
-          }
-          after = edges.length ? edges[edges.length - 1].cursor : null;
-          page++;
-          // small delay to avoid hammering Shopify
-          await sleep(perChunkDelayMs);
-          if (!body?.pageInfo?.hasNextPage) break;
-        } while (true);
+      const remaining = skus.filter(s => s && !outMap.has(String(s).trim().toLowerCase()));
+      const exact = await this.searchVariantsBySkus(store, accessToken, remaining);
+      for (const [key, info] of exact) {
+        if (!outMap.has(key)) outMap.set(key, info);
       }
 
       return outMap;
@@ -126,6 +103,107 @@ class ShopifyService {
     }
   }
 
+  /**
+   * Exact SKU search via GraphQL productVariants, in chunks
+   * Returns a map keyed by lowercased Shopify SKU -> { variantId, inventoryItemId, inventoryQuantity, raw }
+   */
+  async searchVariantsBySkus(store, accessToken, skus = []) {
+    const graphqlQuery = `
+      query productVariantsBySku($first: Int!, $query: String!, $after: String) {
+        productVariants(first: $first, query: $query, after: $after) {
+          edges {
+            cursor
+            node {
+              id
+              title
+              sku
+              inventoryQuantity
+              inventoryItem { id }
+              product { id title }
+            }
+          }
+          pageInfo { hasNextPage }
+        }
+      }
+    `;
+
+    // Shopify search length/complexity can be limited; chunk SKUs conservatively
+    const chunkSize = 25;
+    const outMap = new Map();
+    const sleep = (ms) => new Promise(res => setTimeout(res, ms));
+    const perChunkDelayMs = Number(process.env.SHOPIFY_GRAPHQL_CHUNK_DELAY_MS || 200); // throttle between chunk requests
+    // Helper to safely escape quotes/backslashes in SKUs for GraphQL search
+    const escapeSku = (s) => String(s).trim().replace(/\\/g, '\\\\').replace(/\"/g, '\\"');
+    for (let i = 0; i < skus.length; i += chunkSize) {
+      const chunk = skus.slice(i, i + chunkSize).filter(Boolean);
+      if (!chunk.length) continue;
+      // Quote SKUs to ensure exact-match search even when SKUs contain spaces/special characters
+      const orQuery = chunk.map(s => `sku:\"${escapeSku(s)}\"`).join(' OR ');
+      let after = null;
+      do {
+        const variables = { first: 100, query: orQuery, after };
+        const resp = await this.makeGraphQLRequest(store.shopifyDomain, accessToken, graphqlQuery, variables);
+        const body = resp.data?.data?.productVariants;
+        const edges = body?.edges || [];
+        for (const edge of edges) {
+          const node = edge?.node;
+          if (!node?.sku) continue;
+          outMap.set(String(node.sku).toLowerCase(), this.toVariantInfo(node));
+        }
+        after = edges.length ? edges[edges.length - 1].cursor : null;
+        // small delay to avoid hammering Shopify
+        await sleep(perChunkDelayMs);
+        if (!body?.pageInfo?.hasNextPage) break;
+      } while (true);
+    }
+
+    return outMap;
+  }
+
+  /**
+   * Fetch variants by GID via GraphQL nodes, in chunks
+   * Returns a map keyed by variant GID -> { variantId, inventoryItemId, inventoryQuantity, raw }
+   */
+  async fetchVariantsByIds(store, accessToken, variantIds = []) {
+    const graphqlQuery = `
+      query variantsByIds($ids: [ID!]!) {
+        nodes(ids: $ids) {
+          ... on ProductVariant {
+            id
+            title
+            sku
+            inventoryQuantity
+            inventoryItem { id }
+            product { id title }
+          }
+        }
+      }
+    `;
+
+    const chunkSize = 100;
+    const outMap = new Map();
+    for (let i = 0; i < variantIds.length; i += chunkSize) {
+      const ids = variantIds.slice(i, i + chunkSize);
+      const resp = await this.makeGraphQLRequest(store.shopifyDomain, accessToken, graphqlQuery, { ids });
+      for (const node of resp.data?.data?.nodes || []) {
+        if (node?.id) outMap.set(node.id, this.toVariantInfo(node));
+      }
+    }
+    return outMap;
+  }
+
+  /**
+   * Lookup result shape shared by the SKU and variant ID searches
+   */
+  toVariantInfo(node) {
+    return {
+      variantId: node.id,
+      inventoryItemId: node.inventoryItem?.id || null,
+      inventoryQuantity: typeof node.inventoryQuantity === 'number' ? node.inventoryQuantity : null,
+      raw: node
+    };
+  }
+
   /**
    * Get primary location ID for a store and cache it in Store.settings.defaultLocationId
    */
@@ -349,30 +427,43 @@ class ShopifyService {
   }
 
   /**
-   * Get inventory levels for products
+   * Get inventory levels for inventory items across locations
+   * Each returned item carries `levels: [{ locationId, locationName, available }]`, limited to
+   * options.locationIds when given.
+   * @param {string} storeId - Store document id
+   * @param {string[]} inventoryItemIds - InventoryItem GIDs
+   * @param {Object} [options]
+   * @param {string[]} [options.locationIds] - Only keep levels at these Location GIDs
+   * @returns {Promise<Array<Object>>}
    */
-  async getInventoryLevels(storeId, inventoryItemIds = []) {
+  async getInventoryLevels(storeId, inventoryItemIds = [], options = {}) {
     try {
       const store = await Store.findById(storeId);
       if (!store) {
         throw new Error('Store not found');
       }
+      if (!Array.isArray(inventoryItemIds) || inventoryItemIds.length === 0) return [];
 
       const accessToken = decrypt(store.accessToken);
+      const locationFilter = Array.isArray(options.locationIds) && options.locationIds.length
+        ? new Set(options.locationIds)
+        : null;
       
       const graphqlQuery = `
-        query getInventoryLevels($inventoryItemIds: [ID!]!) {
-          inventoryItems(ids: $inventoryItemIds) {
-            id
-            tracked
-            inventoryLevels(first: 10) {
-              edges {
-                node {
-                  id
-                  available
-                  location {
+        query getInventoryLevels($inventoryItemIds: [ID!]!, $levelsFirst: Int!) {
+          nodes(ids: $inventoryItemIds) {
+            ... on InventoryItem {
+              id
+              tracked
+              inventoryLevels(first: $levelsFirst) {
+                edges {
+                  node {
                     id
-                    name
+                    quantities(names: ["available"]) { name quantity }
+                    location {
+                      id
+                      name
+                    }
                   }
                 }
               }
@@ -381,10 +472,30 @@ class ShopifyService {
         }
       `;
 
-      const variables = { inventoryItemIds };
-      const response = await this.makeGraphQLRequest(store.shopifyDomain, accessToken, graphqlQuery, variables);
+      const items = [];
+      const chunkSize = 50;
+      for (let i = 0; i < inventoryItemIds.length; i += chunkSize) {
+        const variables = { inventoryItemIds: inventoryItemIds.slice(i, i + chunkSize), levelsFirst: 100 };
+        const response = await this.makeGraphQLRequest(store.shopifyDomain, accessToken, graphqlQuery, variables);
+        const nodes = response.data?.data?.nodes;
+        if (!nodes) {
+          throw new Error(response.data?.errors?.[0]?.message || 'Failed to fetch inventory levels');
+        }
+
+        for (const node of nodes) {
+          if (!node?.id) continue;
+          const levels = (node.inventoryLevels?.edges || [])
+            .map(({ node: level }) => ({
+              locationId: level.location?.id,
+              locationName: level.location?.name || null,
+              available: level.quantities?.find(q => q.name === 'available')?.quantity ?? null
+            }))
+            .filter(level => !locationFilter || locationFilter.has(level.locationId));
+          items.push({ ...node, levels });
+        }
+      }
       
-      return response.data.data.inventoryItems;
+      return items;
     } catch (error) {
       logger.error('Error getting inventory levels:', error);
       throw error;
@@ -392,24 +503,477 @@ class ShopifyService {
   }
 
   /**
-   * Update inventory quantity for a variant
+   * List the store's Shopify locations
+   * @param {string} storeId - Store document id
+   * @returns {Promise<Array<{id:string, name:string, isActive:boolean, fulfillsOnlineOrders:boolean}>>}
    */
-  async updateInventory(storeId, variantId, quantity, locationId) {
-    try {
-      const store = await Store.findById(storeId);
-      if (!store) {
-        throw new Error('Store not found');
+  async getLocations(storeId) {
+    const store = await Store.findById(storeId);
+    if (!store) throw new Error('Store not found');
+
+    const query = `
+      query locations($first: Int!, $after: String) {
+        locations(first: $first, after: $after, includeInactive: true) {
+          edges {
+            cursor
+            node { id name isActive fulfillsOnlineOrders }
+          }
+          pageInfo { hasNextPage }
+        }
       }
+    `;
 
-      const accessToken = decrypt(store.accessToken);
-      
-      const graphqlMutation = `
-        mutation inventoryAdjustQuantity($input: InventoryAdjustQuantityInput!) {
-          inventoryAdjustQuantity(input: $input) {
-            inventoryLevel {
+    const accessToken = decrypt(store.accessToken);
+    const locations = [];
+    let after = null;
+    do {
+      const resp = await this.makeGraphQLRequest(store.shopifyDomain, accessToken, query, { first: 100, after });
+      const conn = resp.data?.data?.locations;
+      if (!conn) throw new Error(resp.data?.errors?.[0]?.message || 'Failed to list locations');
+      conn.edges.forEach(edge => locations.push(edge.node));
+      after = conn.pageInfo.hasNextPage ? conn.edges[conn.edges.length - 1].cursor : null;
+    } while (after);
+
+    return locations;
+  }
+
+  /**
+   * Where a vendor's stock goes in Shopify for a store.
+   * Uses settings.locationMappings for the vendor (then the '*' mapping), falling back to the
+   * store's primary location.
+   * @param {string} storeId - Store document id
+   * @param {string|null} vendorKey - Vendor key (e.g. 'noxa')
+   * @returns {Promise<Array<{locationId:string, split:number}>>}
+   */
+  async getVendorLocationAllocations(storeId, vendorKey) {
+    const store = await Store.findById(storeId);
+    if (!store) throw new Error('Store not found');
+
+    const mapped = store.getVendorLocations(vendorKey);
+    if (mapped.length) {
+      return mapped.map(m => ({ locationId: m.locationId, split: m.split }));
+    }
+    return [{ locationId: await this.getPrimaryLocationId(storeId), split: 100 }];
+  }
+
+  /**
+   * Every location this app reads or writes inventory at for a store (mapped + primary)
+   * @param {string} storeId - Store document id
+   * @returns {Promise<string[]>}
+   */
+  async getTrackedLocationIds(storeId) {
+    const store = await Store.findById(storeId);
+    if (!store) throw new Error('Store not found');
+
+    const ids = new Set((store.settings?.locationMappings || []).map(m => m.locationId));
+    ids.add(await this.getPrimaryLocationId(storeId));
+    return [...ids];
+  }
+
+  /**
+   * Set absolute available quantities in bulk using inventorySetQuantities.
+   * Sends up to 250 inventory item/location pairs per mutation. Items carrying a numeric
+   * compareQuantity are written with compare-and-set semantics; items without one are written
+   * in a separate mutation that ignores the compare check.
+   * @param {string} storeId - Store document id
+   * @param {Array<{variantSku:string, inventoryItemId:string, quantity:number, compareQuantity?:number|null, locationId?:string}>} items
+   * @param {Object} [options]
+   * @param {string} [options.locationId] - Default Location GID; falls back to the store's primary location
+   * @param {string} [options.reason='correction'] - Shopify inventory change reason
+   * @returns {Promise<{updated:Array<{variantSku:string, locationId:string, quantity:number}>, failed:Array<{variantSku:string, locationId:string, code:string, message:string}>}>}
+   */
+  async setInventoryQuantities(storeId, items = [], options = {}) {
+    const { reason = 'correction' } = options;
+    const result = { updated: [], failed: [] };
+    if (!Array.isArray(items) || items.length === 0) return result;
+
+    const store = await Store.findById(storeId);
+    if (!store) {
+      throw new Error('Store not found');
+    }
+
+    const accessToken = decrypt(store.accessToken);
+    const defaultLocationId = options.locationId || await this.getPrimaryLocationId(storeId);
+    const locationOf = (item) => item.locationId || defaultLocationId;
+
+    const graphqlMutation = `
+      mutation inventorySetQuantities($input: InventorySetQuantitiesInput!) {
+        inventorySetQuantities(input: $input) {
+          inventoryAdjustmentGroup {
+            reason
+          }
+          userErrors {
+            code
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    const maxPerMutation = 250;
+    const sleep = (ms) => new Promise(res => setTimeout(res, ms));
+    const perBatchDelayMs = Number(process.env.SHOPIFY_GRAPHQL_CHUNK_DELAY_MS || 200);
+
+    // Run one mutation; userErrors point at input.quantities.<index>, so map them back to the item
+    const runMutation = async (batch, ignoreCompareQuantity) => {
+      const variables = {
+        input: {
+          name: 'available',
+          reason,
+          ignoreCompareQuantity,
+          quantities: batch.map(item => {
+            const q = {
+              inventoryItemId: item.inventoryItemId,
+              locationId: locationOf(item),
+              quantity: Math.max(0, Number(item.quantity) || 0)
+            };
+            if (!ignoreCompareQuantity) q.compareQuantity = item.compareQuantity;
+            return q;
+          })
+        }
+      };
+
+      const response = await this.makeGraphQLRequest(store.shopifyDomain, accessToken, graphqlMutation, variables);
+      const payload = response.data?.data?.inventorySetQuantities;
+      if (!payload) {
+        const gqlError = response.data?.errors?.[0]?.message || 'Empty response from inventorySetQuantities';
+        return { failedByIndex: new Map(), batchError: { code: 'GRAPHQL_ERROR', message: gqlError } };
+      }
+
+      const failedByIndex = new Map();
+      let batchError = null;
+      for (const ue of payload.userErrors || []) {
+        const path = Array.isArray(ue.field) ? ue.field : [];
+        const qIdx = path.indexOf('quantities');
+        const index = qIdx >= 0 ? Number(path[qIdx + 1]) : NaN;
+        const entry = { code: ue.code || 'USER_ERROR', message: ue.message };
+        if (Number.isInteger(index) && index >= 0 && index < batch.length) {
+          failedByIndex.set(index, entry);
+        } else {
+          batchError = entry;
+        }
+      }
+      return { failedByIndex, batchError };
+    };
+
+    const processBatch = async (batch, ignoreCompareQuantity) => {
+      let pending = batch;
+      // Shopify rejects the whole mutation when any entry has a userError: drop the offending
+      // entries and retry the remainder once
+      for (let attempt = 0; attempt < 2 && pending.length > 0; attempt++) {
+        let outcome;
+        try {
+          outcome = await runMutation(pending, ignoreCompareQuantity);
+        } catch (err) {
+          outcome = { failedByIndex: new Map(), batchError: { code: 'REQUEST_FAILED', message: err.message } };
+        }
+        const { failedByIndex, batchError } = outcome;
+
+        if (batchError && failedByIndex.size === 0) {
+          pending.forEach(item => result.failed.push({ variantSku: item.variantSku, locationId: locationOf(item), ...batchError }));
+          return;
+        }
+
+        if (failedByIndex.size === 0) {
+          pending.forEach(item => result.updated.push({
+            variantSku: item.variantSku,
+            locationId: locationOf(item),
+            quantity: Math.max(0, Number(item.quantity) || 0)
+          }));
+          return;
+        }
+
+        failedByIndex.forEach((entry, index) => {
+          result.failed.push({ variantSku: pending[index].variantSku, locationId: locationOf(pending[index]), ...entry });
+        });
+        pending = pending.filter((_, index) => !failedByIndex.has(index));
+        logger.warn(`inventorySetQuantities userErrors for store ${storeId}: ${failedByIndex.size} rejected, retrying ${pending.length}`);
+      }
+      pending.forEach(item => result.failed.push({
+        variantSku: item.variantSku,
+        locationId: locationOf(item),
+        code: 'RETRY_EXHAUSTED',
+        message: 'Batch rejected after retry'
+      }));
+    };
+
+    const withCompare = items.filter(item => typeof item.compareQuantity === 'number');
+    const withoutCompare = items.filter(item => typeof item.compareQuantity !== 'number');
+
+    for (const [group, ignoreCompareQuantity] of [[withCompare, false], [withoutCompare, true]]) {
+      for (let i = 0; i < group.length; i += maxPerMutation) {
+        await processBatch(group.slice(i, i + maxPerMutation), ignoreCompareQuantity);
+        await sleep(perBatchDelayMs);
+      }
+    }
+
+    logger.info(`inventorySetQuantities completed for store ${storeId}`, {
+      requested: items.length,
+      updated: result.updated.length,
+      failed: result.failed.length
+    });
+
+    return result;
+  }
+
+  /**
+   * Start a bulk query exporting every product variant with its product, inventory item
+   * and per-location available quantities
+   * @param {string} storeId - Store document ID
+   * @returns {Promise<{id:string, status:string}>} - The created BulkOperation
+   */
+  async startVariantBulkExport(storeId) {
+    const store = await Store.findById(storeId);
+    if (!store) throw new Error('Store not found');
+
+    const bulkQuery = `
+      {
+        productVariants {
+          edges {
+            node {
+              id
+              sku
+              title
+              product { id }
+              inventoryItem {
+                id
+                inventoryLevels {
+                  edges {
+                    node {
+                      location { id }
+                      quantities(names: ["available"]) { name quantity }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    `;
+
+    const mutation = `
+      mutation bulkOperationRunQuery($query: String!) {
+        bulkOperationRunQuery(query: $query) {
+          bulkOperation { id status }
+          userErrors { field message }
+        }
+      }
+    `;
+
+    const resp = await this.makeGraphQLRequest(store.shopifyDomain, decrypt(store.accessToken), mutation, { query: bulkQuery });
+    const payload = resp.data?.data?.bulkOperationRunQuery;
+    if (!payload) {
+      throw new Error(resp.data?.errors?.[0]?.message || 'Failed to start bulk operation');
+    }
+    if (payload.userErrors?.length) {
+      // Shopify allows one bulk query per app and shop at a time
+      throw new Error(payload.userErrors.map(e => e.message).join('; '));
+    }
+    return payload.bulkOperation;
+  }
+
+  /**
+   * Fetch the state of a bulk operation
+   * @param {string} storeId - Store document ID
+   * @param {string} bulkOperationId - BulkOperation GID
+   * @returns {Promise<Object>} - { id, status, errorCode, objectCount, fileSize, url, partialDataUrl }
+   */
+  async getBulkOperation(storeId, bulkOperationId) {
+    const store = await Store.findById(storeId);
+    if (!store) throw new Error('Store not found');
+
+    const query = `
+      query bulkOperation($id: ID!) {
+        node(id: $id) {
+          ... on BulkOperation {
+            id
+            status
+            errorCode
+            objectCount
+            fileSize
+            url
+            partialDataUrl
+          }
+        }
+      }
+    `;
+
+    const resp = await this.makeGraphQLRequest(store.shopifyDomain, decrypt(store.accessToken), query, { id: bulkOperationId });
+    const op = resp.data?.data?.node;
+    if (!op) {
+      throw new Error(resp.data?.errors?.[0]?.message || `Bulk operation ${bulkOperationId} not found`);
+    }
+    return op;
+  }
+
+  /**
+   * Poll a bulk operation until it reaches a terminal status
+   * @param {string} storeId - Store document ID
+   * @param {string} bulkOperationId - BulkOperation GID
+   * @param {Object} [options]
+   * @param {number} [options.intervalMs] - Poll interval (env SHOPIFY_BULK_POLL_INTERVAL_MS, default 5s)
+   * @param {number} [options.timeoutMs] - Give up after (env SHOPIFY_BULK_TIMEOUT_MS, default 2h)
+   * @param {Function} [options.onPoll] - Called with the operation after each poll
+   * @returns {Promise<Object>} - The COMPLETED operation
+   */
+  async waitForBulkOperation(storeId, bulkOperationId, options = {}) {
+    const intervalMs = Number(options.intervalMs || process.env.SHOPIFY_BULK_POLL_INTERVAL_MS || 5000);
+    const timeoutMs = Number(options.timeoutMs || process.env.SHOPIFY_BULK_TIMEOUT_MS || 2 * 60 * 60 * 1000);
+    const sleep = (ms) => new Promise(res => setTimeout(res, ms));
+    const startedAt = Date.now();
+
+    while (true) {
+      const op = await this.getBulkOperation(storeId, bulkOperationId);
+      if (typeof options.onPoll === 'function') {
+        try {
+          await options.onPoll(op);
+        } catch (cbErr) {
+          logger.warn(`Bulk operation onPoll callback failed: ${cbErr.message}`);
+        }
+      }
+
+      if (op.status === 'COMPLETED') return op;
+      if (['FAILED', 'CANCELED', 'EXPIRED'].includes(op.status)) {
+        throw new Error(`Bulk operation ${op.status.toLowerCase()}${op.errorCode ? `: ${op.errorCode}` : ''}`);
+      }
+      if (Date.now() - startedAt > timeoutMs) {
+        throw new Error(`Bulk operation did not complete within ${Math.round(timeoutMs / 1000)}s (status ${op.status})`);
+      }
+      await sleep(intervalMs);
+    }
+  }
+
+  /**
+   * Stream a bulk operation JSONL result, calling onRecord for every parsed line
+   * @param {string} url - Result URL from a COMPLETED bulk operation
+   * @param {Function} onRecord - (record) => void|Promise<void>
+   * @returns {Promise<{lines:number, invalid:number}>}
+   */
+  async streamBulkOperationResult(url, onRecord) {
+    const counts = { lines: 0, invalid: 0 };
+    if (!url) return counts; // COMPLETED with no url means the query matched nothing
+
+    const response = await axios({ method: 'GET', url, responseType: 'stream', timeout: 0 });
+    const rl = readline.createInterface({ input: response.data, crlfDelay: Infinity });
+
+    for await (const line of rl) {
+      if (!line.trim()) continue;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (parseErr) {
+        counts.invalid++;
+        logger.warn(`Skipping unparsable bulk operation line: ${parseErr.message}`);
+        continue;
+      }
+      counts.lines++;
+      await onRecord(record);
+    }
+    return counts;
+  }
+
+  /**
+   * Set variant inventory policy and the expected ship date metafield for pre-orders.
+   * CONTINUE items get the date metafield written; DENY items have it removed.
+   * @param {string} storeId - Store document ID
+   * @param {Array<{productId:string, variantId:string, inventoryPolicy:'CONTINUE'|'DENY', shipDate:Date|null}>} items
+   * @param {Object} metafield - { namespace, key }
+   * @returns {Promise<{updated:string[], failed:Array<{variantId:string, message:string}>}>}
+   */
+  async updateVariantPreOrders(storeId, items = [], { namespace, key }) {
+    const result = { updated: [], failed: [] };
+    if (!items.length) return result;
+
+    const store = await Store.findById(storeId);
+    if (!store) throw new Error('Store not found');
+    const accessToken = decrypt(store.accessToken);
+
+    const bulkUpdateMutation = `
+      mutation productVariantsBulkUpdate($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
+        productVariantsBulkUpdate(productId: $productId, variants: $variants) {
+          productVariants {
+            id
+            inventoryPolicy
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    const byProduct = new Map();
+    for (const item of items) {
+      if (!byProduct.has(item.productId)) byProduct.set(item.productId, []);
+      byProduct.get(item.productId).push(item);
+    }
+
+    const succeeded = [];
+    for (const [productId, variants] of byProduct.entries()) {
+      try {
+        const response = await this.makeGraphQLRequest(store.shopifyDomain, accessToken, bulkUpdateMutation, {
+          productId,
+          variants: variants.map(item => ({
+            id: item.variantId,
+            inventoryPolicy: item.inventoryPolicy,
+            ...(item.inventoryPolicy === 'CONTINUE' && item.shipDate
+              ? { metafields: [{ namespace, key, type: 'date', value: new Date(item.shipDate).toISOString().slice(0, 10) }] }
+              : {})
+          }))
+        });
+        const payload = response.data?.data?.productVariantsBulkUpdate;
+        if (!payload) {
+          const message = response.data?.errors?.[0]?.message || 'Empty response from productVariantsBulkUpdate';
+          variants.forEach(item => result.failed.push({ variantId: item.variantId, message }));
+          continue;
+        }
+
+        // userErrors point at variants.<index>; an error without an index fails the whole product
+        const failedIndexes = new Map();
+        for (const ue of payload.userErrors || []) {
+          const path = Array.isArray(ue.field) ? ue.field : [];
+          const index = path[0] === 'variants' ? Number(path[1]) : NaN;
+          if (Number.isInteger(index)) {
+            failedIndexes.set(index, ue.message);
+          } else {
+            variants.forEach((_, i) => failedIndexes.set(i, ue.message));
+          }
+        }
+        variants.forEach((item, i) => {
+          if (failedIndexes.has(i)) {
+            result.failed.push({ variantId: item.variantId, message: failedIndexes.get(i) });
+          } else {
+            succeeded.push(item);
+          }
+        });
+      } catch (error) {
+        variants.forEach(item => result.failed.push({ variantId: item.variantId, message: error.message }));
+      }
+    }
+
+    // Remove the ship date from variants that are no longer pre-orders
+    const denied = succeeded.filter(item => item.inventoryPolicy === 'DENY').map(item => item.variantId);
+    const failedDeletes = new Set();
+    if (denied.length) {
+      const lookupQuery = `
+        query variantShipDates($ids: [ID!]!, $namespace: String!, $key: String!) {
+          nodes(ids: $ids) {
+            ... on ProductVariant {
               id
-              available
+              metafield(namespace: $namespace, key: $key) {
+                id
+              }
             }
+          }
+        }
+      `;
+      const deleteMutation = `
+        mutation metafieldDelete($input: MetafieldDeleteInput!) {
+          metafieldDelete(input: $input) {
+            deletedId
             userErrors {
               field
               message
@@ -417,25 +981,96 @@ class ShopifyService {
           }
         }
       `;
-
-      const variables = {
-        input: {
-          inventoryLevelId: `gid://shopify/InventoryLevel/${locationId}?inventory_item_id=${variantId}`,
-          availableDelta: quantity
+      for (let i = 0; i < denied.length; i += 50) {
+        const ids = denied.slice(i, i + 50);
+        let nodes;
+        try {
+          const response = await this.makeGraphQLRequest(store.shopifyDomain, accessToken, lookupQuery, { ids, namespace, key });
+          nodes = response.data?.data?.nodes;
+          if (!nodes) {
+            throw new Error(response.data?.errors?.[0]?.message || 'Empty response from ship date lookup');
+          }
+        } catch (error) {
+          // Without the metafield ids none of this batch can be cleared
+          ids.forEach(variantId => {
+            failedDeletes.add(variantId);
+            result.failed.push({ variantId, message: error.message });
+          });
+          continue;
         }
-      };
+        for (const node of nodes) {
+          if (!node?.metafield?.id) continue;
+          try {
+            const del = await this.makeGraphQLRequest(store.shopifyDomain, accessToken, deleteMutation, { input: { id: node.metafield.id } });
+            const payload = del.data?.data?.metafieldDelete;
+            const message = payload
+              ? payload.userErrors?.[0]?.message
+              : (del.data?.errors?.[0]?.message || 'Empty response from metafieldDelete');
+            if (message) {
+              failedDeletes.add(node.id);
+              result.failed.push({ variantId: node.id, message });
+            }
+          } catch (error) {
+            failedDeletes.add(node.id);
+            result.failed.push({ variantId: node.id, message: error.message });
+          }
+        }
+      }
+    }
 
-      const response = await this.makeGraphQLRequest(store.shopifyDomain, accessToken, graphqlMutation, variables);
-      
-      if (response.data.data.inventoryAdjustQuantity.userErrors.length > 0) {
-        throw new Error(response.data.data.inventoryAdjustQuantity.userErrors[0].message);
+    result.updated = succeeded.map(item => item.variantId).filter(id => !failedDeletes.has(id));
+    logger.info(`Pre-order settings updated for ${result.updated.length}/${items.length} variant(s) in store ${storeId}`, { failed: result.failed.length });
+    return result;
+  }
+
+  /**
+   * Set products to ARCHIVED (one productUpdate per product)
+   * @param {string} storeId - Store document ID
+   * @param {string[]} productIds - Product GIDs
+   * @returns {Promise<{archived:string[], failed:Array<{productId:string, message:string}>}>}
+   */
+  async archiveProducts(storeId, productIds = []) {
+    const result = { archived: [], failed: [] };
+    if (!productIds.length) return result;
+
+    const store = await Store.findById(storeId);
+    if (!store) throw new Error('Store not found');
+    const accessToken = decrypt(store.accessToken);
+
+    const graphqlMutation = `
+      mutation productUpdate($input: ProductInput!) {
+        productUpdate(input: $input) {
+          product {
+            id
+            status
+          }
+          userErrors {
+            field
+            message
+          }
+        }
       }
+    `;
 
-      return response.data.data.inventoryAdjustQuantity.inventoryLevel;
-    } catch (error) {
-      logger.error('Error updating inventory:', error);
-      throw error;
+    for (const productId of productIds) {
+      try {
+        const response = await this.makeGraphQLRequest(store.shopifyDomain, accessToken, graphqlMutation, {
+          input: { id: productId, status: 'ARCHIVED' }
+        });
+        const payload = response.data?.data?.productUpdate;
+        const message = payload?.userErrors?.[0]?.message || (!payload ? response.data?.errors?.[0]?.message || 'Empty response from productUpdate' : null);
+        if (message) {
+          result.failed.push({ productId, message });
+        } else {
+          result.archived.push(productId);
+        }
+      } catch (error) {
+        result.failed.push({ productId, message: error.message });
+      }
     }
+
+    logger.info(`Archived ${result.archived.length}/${productIds.length} product(s) in store ${storeId}`, { failed: result.failed.length });
+    return result;
   }
 
   /**
@@ -577,19 +1212,36 @@ class ShopifyService {
       timeout: 20000 // 20 second timeout for GraphQL queries
     };
 
-    // basic retry with backoff for rate limiting / transient errors
+    // retry with backoff for rate limiting / transient errors
     const sleep = (ms) => new Promise(res => setTimeout(res, ms));
     const maxRetries = 4;
     let attempt = 0;
     let lastErr;
     while (attempt <= maxRetries) {
+      // Cost-aware throttling: wait for the store's bucket before sending, then sync it from the response
+      const estimatedCost = shopifyRateLimiter.estimateCost(query, variables);
       try {
-        return await axios(baseConfig);
+        await shopifyRateLimiter.acquire(normalizedDomain, estimatedCost);
+        const response = await axios(baseConfig);
+        shopifyRateLimiter.record(normalizedDomain, response.data?.extensions?.cost, query, variables);
+
+        // Shopify reports cost throttling as a 200 with a THROTTLED error
+        const throttled = (response.data?.errors || []).some(e => e?.extensions?.code === 'THROTTLED');
+        if (!throttled) return response;
+
+        // The bucket now reflects Shopify's real state, so the next acquire() waits long enough
+        shopifyRateLimiter.recordThrottled(normalizedDomain);
+        lastErr = new Error('Shopify GraphQL request throttled');
+        lastErr.response = response;
+        if (attempt === maxRetries) break;
+        logger.warn(`Shopify GraphQL throttled for ${normalizedDomain} (attempt ${attempt + 1})`);
+        attempt++;
       } catch (err) {
         lastErr = err;
         const status = err?.response?.status;
         const retryAfter = Number(err?.response?.headers?.['retry-after']) || null;
         const shouldRetry = status === 429 || status === 430 || status === 500 || status === 502 || status === 503 || status === 504;
+        if (status === 429) shopifyRateLimiter.recordThrottled(normalizedDomain);
         if (!shouldRetry || attempt === maxRetries) break;
         const backoff = retryAfter ? retryAfter * 1000 : Math.min(2000 * Math.pow(2, attempt), 15000);
         await sleep(backoff);
@@ -601,15 +1253,22 @@ class ShopifyService {
 
   /**
    * Validate Shopify webhook
+   * @param {Buffer|string} data - Raw request body exactly as received
+   * @param {string} hmacHeader - X-Shopify-Hmac-Sha256 header value
+   * @returns {boolean}
    */
   validateWebhook(data, hmacHeader) {
     const crypto = require('crypto');
+    const secret = process.env.SHOPIFY_WEBHOOK_SECRET;
+    if (!secret || !data || !hmacHeader) return false;
+
     const calculated = crypto
-      .createHmac('sha256', process.env.SHOPIFY_WEBHOOK_SECRET)
-      .update(data, 'utf8')
-      .digest('base64');
+      .createHmac('sha256', secret)
+      .update(data, typeof data === 'string' ? 'utf8' : undefined)
+      .digest();
+    const received = Buffer.from(String(hmacHeader), 'base64');
 
-    return calculated === hmacHeader;
+    return received.length === calculated.length && crypto.timingSafeEqual(calculated, received);
   }
 }
 
@@ -0,0 +1,364 @@
+const crypto = require('crypto');
+const { createClient } = require('redis');
+const logger = require('../utils/logger');
+const SyncLock = require('../models/SyncLock');
+const SyncJob = require('../models/SyncJob');
+
+// What a sync does when another sync holds its store+vendor lock
+const POLICIES = ['skip', 'queue', 'cancel-previous'];
+const DEFAULT_POLICY = POLICIES.includes(process.env.SYNC_OVERLAP_POLICY) ? process.env.SYNC_OVERLAP_POLICY : 'skip';
+// Lock lifetime; the holder extends it while running so a crashed process can't hold it forever
+const LOCK_TTL_MS = Number(process.env.SYNC_LOCK_TTL_MS || 10 * 60 * 1000);
+// How long 'queue' and 'cancel-previous' keep retrying for the lock before the sync fails
+const WAIT_TIMEOUT_MS = Number(process.env.SYNC_LOCK_WAIT_TIMEOUT_MS || 30 * 60 * 1000);
+// Delay before a waiting sync is tried again (it is re-queued, not held in a worker)
+const RETRY_DELAY_MS = Number(process.env.SYNC_LOCK_RETRY_DELAY_MS || 30000);
+// Holders look for cancel requests at most this often
+const CANCEL_CHECK_INTERVAL_MS = 5000;
+const REDIS_CONNECT_TIMEOUT_MS = 5000;
+
+// Redis locks are hashes { token, holder, acquiredAt, cancelRequestedAt? }; scripts keep token checks atomic
+const ACQUIRE_SCRIPT = `
+if redis.call('exists', KEYS[1]) == 1 then return 0 end
+redis.call('hset', KEYS[1], 'token', ARGV[1], 'holder', ARGV[2], 'acquiredAt', ARGV[3])
+redis.call('pexpire', KEYS[1], ARGV[4])
+return 1`;
+const EXTEND_SCRIPT = `
+if redis.call('hget', KEYS[1], 'token') == ARGV[1] then return redis.call('pexpire', KEYS[1], ARGV[2]) end
+return 0`;
+const RELEASE_SCRIPT = `
+if redis.call('hget', KEYS[1], 'token') == ARGV[1] then return redis.call('del', KEYS[1]) end
+return 0`;
+const CANCEL_SCRIPT = `
+if redis.call('exists', KEYS[1]) == 0 then return 0 end
+redis.call('hset', KEYS[1], 'cancelRequestedAt', ARGV[1])
+return 1`;
+
+/**
+ * A lock held by this process
+ */
+class HeldLock {
+  constructor(service, key, token, holder, ttlMs) {
+    this.service = service;
+    this.key = key;
+    this.token = token;
+    this.holder = holder;
+    this.ttlMs = ttlMs;
+    this.cancelled = false;
+    this.lastCancelCheck = 0;
+  }
+
+  /**
+   * Whether a newer run asked this one to stop (cached between checks)
+   */
+  async isCancelRequested() {
+    if (this.cancelled) return true;
+    if (Date.now() - this.lastCancelCheck < CANCEL_CHECK_INTERVAL_MS) return false;
+    this.lastCancelCheck = Date.now();
+    const current = await this.service.get(this.key);
+    this.cancelled = Boolean(current && current.token === this.token && current.cancelRequestedAt);
+    return this.cancelled;
+  }
+
+  extend() {
+    return this.service.extend(this);
+  }
+
+  release() {
+    return this.service.release(this);
+  }
+}
+
+/**
+ * Sync Lock Service
+ * Store+vendor locks that keep two syncs of the same pair from running at once, across
+ * cron overlaps and backend replicas. Redis-backed when Redis is reachable, Mongo-backed
+ * (SyncLock collection) otherwise; SYNC_LOCK_DRIVER=redis|mongo forces a driver.
+ */
+class SyncLockService {
+  constructor() {
+    this.driver = null;
+    this.redis = null;
+    this.connecting = null;
+    this.waitTimeoutMs = WAIT_TIMEOUT_MS;
+    this.retryDelayMs = RETRY_DELAY_MS;
+  }
+
+  /**
+   * Lock key for a store/vendor pair
+   */
+  keyFor(storeId, vendorId) {
+    return `sync:${storeId || 'all'}:${vendorId || 'all'}`;
+  }
+
+  /**
+   * Valid overlap policy, falling back to SYNC_OVERLAP_POLICY (default skip)
+   */
+  resolvePolicy(policy) {
+    return POLICIES.includes(policy) ? policy : DEFAULT_POLICY;
+  }
+
+  /**
+   * Pick the driver once: Redis unless disabled or unreachable
+   * @returns {Promise<'redis'|'mongo'>}
+   */
+  async getDriver() {
+    if (this.driver) return this.driver;
+    if (!this.connecting) {
+      this.connecting = this.connect().then(driver => {
+        this.driver = driver;
+        logger.info(`Sync locks use the ${driver} driver`);
+        return driver;
+      });
+    }
+    return this.connecting;
+  }
+
+  async connect() {
+    const configured = (process.env.SYNC_LOCK_DRIVER || '').toLowerCase();
+    if (configured === 'mongo') return 'mongo';
+    if (!configured && (process.env.QUEUE_DRIVER || 'redis').toLowerCase() === 'memory') return 'mongo';
+
+    const socket = {
+      connectTimeout: REDIS_CONNECT_TIMEOUT_MS,
+      // Give up on the first failed connect (falls back to Mongo); reconnect once connected
+      reconnectStrategy: retries => (this.redis ? Math.min(retries * 200, 5000) : new Error('Redis connection failed'))
+    };
+    const client = createClient(process.env.REDIS_URL ? { url: process.env.REDIS_URL, socket } : {
+      socket: {
+        ...socket,
+        host: process.env.REDIS_HOST || 'localhost',
+        port: Number(process.env.REDIS_PORT || 6379)
+      },
+      password: process.env.REDIS_PASSWORD || undefined,
+      database: Number(process.env.REDIS_DB || 0)
+    });
+    client.on('error', error => logger.warn(`Sync lock Redis error: ${error.message}`));
+    try {
+      await client.connect();
+      this.redis = client;
+      return 'redis';
+    } catch (error) {
+      logger.warn(`Redis unavailable for sync locks, using Mongo: ${error.message}`);
+      client.disconnect().catch(() => {});
+      return 'mongo';
+    }
+  }
+
+  /**
+   * Try to take a lock once
+   * @param {string} key
+   * @param {Object} holder - Who holds it (syncId, jobId, type, scheduleId, ...), shown to skipped runs
+   * @param {number} [ttlMs]
+   * @returns {Promise<HeldLock|null>}
+   */
+  async acquire(key, holder = {}, ttlMs = LOCK_TTL_MS) {
+    const token = crypto.randomBytes(16).toString('hex');
+    const now = new Date();
+
+    if (await this.getDriver() === 'redis') {
+      const ok = await this.redis.eval(ACQUIRE_SCRIPT, {
+        keys: [key],
+        arguments: [token, JSON.stringify(holder), now.toISOString(), String(ttlMs)]
+      });
+      return ok ? new HeldLock(this, key, token, holder, ttlMs) : null;
+    }
+
+    const doc = { token, holder, acquiredAt: now, expiresAt: new Date(now.getTime() + ttlMs), cancelRequestedAt: null };
+    try {
+      await SyncLock.create({ _id: key, ...doc });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      // Held, unless the holder died and the lock expired before the TTL monitor removed it
+      const taken = await SyncLock.findOneAndUpdate({ _id: key, expiresAt: { $lte: now } }, doc, { new: true });
+      if (!taken) return null;
+    }
+    return new HeldLock(this, key, token, holder, ttlMs);
+  }
+
+  /**
+   * Current holder of a lock
+   * @returns {Promise<{token:string, holder:Object, acquiredAt:Date, cancelRequestedAt:Date|null}|null>}
+   */
+  async get(key) {
+    if (await this.getDriver() === 'redis') {
+      const lock = await this.redis.hGetAll(key);
+      if (!lock || !lock.token) return null;
+      let holder = {};
+      try {
+        holder = JSON.parse(lock.holder || '{}');
+      } catch (error) {
+        holder = {};
+      }
+      return {
+        token: lock.token,
+        holder,
+        acquiredAt: lock.acquiredAt ? new Date(lock.acquiredAt) : null,
+        cancelRequestedAt: lock.cancelRequestedAt ? new Date(lock.cancelRequestedAt) : null
+      };
+    }
+
+    const lock = await SyncLock.findOne({ _id: key, expiresAt: { $gt: new Date() } }).lean();
+    return lock ? { token: lock.token, holder: lock.holder, acquiredAt: lock.acquiredAt, cancelRequestedAt: lock.cancelRequestedAt } : null;
+  }
+
+  /**
+   * Keep a held lock alive
+   * @returns {Promise<boolean>} - false when the lock was lost
+   */
+  async extend(lock) {
+    if (await this.getDriver() === 'redis') {
+      return Boolean(await this.redis.eval(EXTEND_SCRIPT, { keys: [lock.key], arguments: [lock.token, String(lock.ttlMs)] }));
+    }
+    const res = await SyncLock.updateOne(
+      { _id: lock.key, token: lock.token },
+      { expiresAt: new Date(Date.now() + lock.ttlMs) }
+    );
+    return res.matchedCount > 0;
+  }
+
+  async release(lock) {
+    if (await this.getDriver() === 'redis') {
+      await this.redis.eval(RELEASE_SCRIPT, { keys: [lock.key], arguments: [lock.token] });
+      return;
+    }
+    await SyncLock.deleteOne({ _id: lock.key, token: lock.token });
+  }
+
+  /**
+   * Ask the current holder to stop at its next checkpoint
+   * @returns {Promise<boolean>} - false when nothing held the lock
+   */
+  async requestCancel(key) {
+    const at = new Date();
+    if (await this.getDriver() === 'redis') {
+      return Boolean(await this.redis.eval(CANCEL_SCRIPT, { keys: [key], arguments: [at.toISOString()] }));
+    }
+    const res = await SyncLock.updateOne({ _id: key, expiresAt: { $gt: at } }, { cancelRequestedAt: at });
+    return res.matchedCount > 0;
+  }
+
+  /**
+   * Check a store/vendor pair before queueing a sync; with skip the caller should not queue it.
+   * Does not cancel anything: with cancel-previous the queued job asks the holder to stop when it runs.
+   * @returns {Promise<{running:boolean, skip:boolean, policy:string, lockedBy:Object|null}>}
+   */
+  async checkOverlap({ storeId, vendorId }, policy) {
+    const overlapPolicy = this.resolvePolicy(policy);
+    const current = await this.get(this.keyFor(storeId, vendorId));
+    if (!current) return { running: false, skip: false, policy: overlapPolicy, lockedBy: null };
+    return { running: true, skip: overlapPolicy === 'skip', policy: overlapPolicy, lockedBy: current.holder };
+  }
+
+  /**
+   * runExclusive for a queued job: when the lock is taken, skip returns skipped; queue and
+   * cancel-previous hand the job options (with the wait deadline in lockWaitUntil) to requeue,
+   * which adds the job again after the retry delay, and throw once the deadline has passed.
+   * @param {Object} pair - { storeId, vendorId }
+   * @param {Object} holder - Shown to runs that find the lock taken
+   * @param {Object} options - Job options (overlapPolicy, lockWaitUntil)
+   * @param {Function} fn - async (lock) => result
+   * @param {Function} requeue - async (options, delayMs) => new job
+   * @returns {Promise<{skipped:boolean, deferred?:boolean, retryJobId?:string, result?:*, reason?:string, lockedBy?:Object}>}
+   */
+  async runQueued(pair, holder, options, fn, requeue) {
+    const outcome = await this.runExclusive(pair, holder, fn, { policy: options.overlapPolicy });
+    if (!outcome.waiting) return outcome;
+
+    const waitUntil = options.lockWaitUntil
+      ? new Date(options.lockWaitUntil)
+      : new Date(Date.now() + this.waitTimeoutMs);
+    if (Date.now() >= waitUntil.getTime()) {
+      const error = new Error(`Timed out waiting ${Math.round(this.waitTimeoutMs / 1000)}s for the running sync of this store and vendor`);
+      error.code = 'SYNC_LOCK_TIMEOUT';
+      throw error;
+    }
+    const retry = await requeue({ ...options, lockWaitUntil: waitUntil.toISOString() }, this.retryDelayMs);
+    return { skipped: false, deferred: true, retryJobId: String(retry.id), reason: outcome.reason, lockedBy: outcome.lockedBy };
+  }
+
+  /**
+   * runQueued for queue jobs tracked as a SyncJob document (data.jobId, data.options): a
+   * skipped run cancels the document, a timed-out wait fails it
+   * @param {Object} job - Queue job
+   * @param {Object} pair - { storeId, vendorId }
+   * @param {Function} fn - async (lock) => result
+   * @param {Function} requeue - async (options, delayMs) => new job
+   * @returns {Promise<Object>} - fn's result, or { skipped } / { deferred }
+   */
+  async runSyncJob(job, pair, fn, requeue) {
+    const { jobId, options = {} } = job.data || {};
+    const holder = { syncId: jobId, jobId: String(job.id), type: 'manual', startedAt: new Date().toISOString() };
+    let outcome;
+    try {
+      outcome = await this.runQueued(pair, holder, options, fn, requeue);
+    } catch (error) {
+      if (error.code === 'SYNC_LOCK_TIMEOUT') {
+        const syncJobDoc = await SyncJob.findOne({ jobId });
+        if (syncJobDoc) await syncJobDoc.fail(error, false);
+      }
+      throw error;
+    }
+
+    if (outcome.skipped) {
+      logger.info(`Sync job ${jobId} skipped: ${outcome.reason}`, { lockedBy: outcome.lockedBy });
+      const syncJobDoc = await SyncJob.findOne({ jobId });
+      if (syncJobDoc) await syncJobDoc.cancel();
+      return { skipped: true, reason: outcome.reason, lockedBy: outcome.lockedBy };
+    }
+    if (outcome.deferred) {
+      logger.info(`Sync job ${jobId} waiting for the running sync; retrying as job ${outcome.retryJobId}`, { lockedBy: outcome.lockedBy });
+      return { deferred: true, retryJobId: outcome.retryJobId, lockedBy: outcome.lockedBy };
+    }
+    return outcome.result;
+  }
+
+  /**
+   * Run fn while holding the store+vendor lock. The lock is extended while fn runs and
+   * released afterwards; fn receives the HeldLock to check isCancelRequested().
+   * When the lock is taken, skip returns skipped; queue and cancel-previous (after asking the
+   * holder to stop) return waiting without blocking, and the caller tries again later.
+   * @param {Object} pair - { storeId, vendorId }
+   * @param {Object} holder - Shown to runs that find the lock taken
+   * @param {Function} fn - async (lock) => result
+   * @param {Object} [opts]
+   * @param {string} [opts.policy] - skip | queue | cancel-previous
+   * @returns {Promise<{skipped:boolean, waiting?:boolean, result?:*, reason?:string, lockedBy?:Object}>}
+   */
+  async runExclusive({ storeId, vendorId }, holder, fn, { policy } = {}) {
+    const key = this.keyFor(storeId, vendorId);
+    const overlapPolicy = this.resolvePolicy(policy);
+    const lock = await this.acquire(key, holder);
+
+    if (!lock) {
+      const current = await this.get(key);
+      const lockedBy = current ? current.holder : null;
+      if (overlapPolicy === 'skip') {
+        logger.info(`Sync ${key} already running, skipping`, { holder, lockedBy });
+        return { skipped: true, reason: 'Another sync of this store and vendor is running', lockedBy };
+      }
+      if (overlapPolicy === 'cancel-previous') {
+        await this.requestCancel(key);
+        logger.info(`Sync ${key} already running, asked it to stop`, { holder, lockedBy });
+      }
+      return { skipped: false, waiting: true, reason: 'Another sync of this store and vendor is running', lockedBy };
+    }
+
+    const heartbeat = setInterval(() => {
+      lock.extend()
+        .then(held => { if (!held) logger.warn(`Sync lock ${key} was lost while running`); })
+        .catch(error => logger.warn(`Failed to extend sync lock ${key}: ${error.message}`));
+    }, Math.max(1000, Math.floor(lock.ttlMs / 3)));
+    if (heartbeat.unref) heartbeat.unref();
+
+    try {
+      const result = await fn(lock);
+      return { skipped: false, result };
+    } finally {
+      clearInterval(heartbeat);
+      await lock.release().catch(error => logger.warn(`Failed to release sync lock ${key}: ${error.message}`));
+    }
+  }
+}
+
+module.exports = new SyncLockService();
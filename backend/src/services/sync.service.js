@@ -1,10 +1,14 @@
 const logger = require('../utils/logger');
 const SyncLog = require('../models/SyncLog');
 const Store = require('../models/Store');
+const Vendor = require('../models/Vendor');
+const ProductVariant = require('../models/ProductVariant');
+const InventoryHistory = require('../models/InventoryHistory');
 const queueManager = require('../queues/queue-manager');
 const shopifyService = require('./shopify.service');
 const noxaService = require('./noxa.service');
 const inventoryService = require('./inventory.service');
+const inventoryRulesService = require('./inventory-rules.service');
 
 /**
  * Sync Service
@@ -70,8 +74,8 @@ class SyncService {
       
       // Validate stores and vendors exist
       const [stores, vendors] = await Promise.all([
-        Store.find({ _id: { $in: storeIds }, connected: true, isActive: true }),
-        Vendor.find({ _id: { $in: vendorIds }, connected: true, isActive: true })
+        Store.find({ _id: { $in: storeIds }, connectionStatus: 'connected', isActive: true }),
+        Vendor.find({ _id: { $in: vendorIds }, status: 'active', connectionStatus: 'connected' })
       ]);
       
       if (stores.length === 0) {
@@ -537,9 +541,11 @@ class SyncService {
         throw new Error(`Vendor inventory not found for SKU: ${mapping.vendorSku}`);
       }
       
-      // Calculate sync inventory based on mapping settings
+      // Store inventory rules first, then the mapping's own offset/min/max
       const rawInventory = parseInt(vendorItem.quantity || vendorItem.inventory || 0);
-      let syncInventory = rawInventory + (mapping.syncSettings.inventoryOffset || 0);
+      const store = await Store.findById(mapping.storeId);
+      const ruleResult = await inventoryRulesService.evaluateForSku(store, mapping.vendorSku, rawInventory);
+      let syncInventory = ruleResult.quantity + (mapping.syncSettings.inventoryOffset || 0);
       
       // Apply minimum inventory constraint
       if (syncInventory < (mapping.syncSettings.minimumInventory || 0)) {
@@ -556,41 +562,59 @@ class SyncService {
       
       logger.info(`Inventory calculation: vendor=${rawInventory}, sync=${syncInventory}`, {
         mappingId: mapping._id,
+        rules: ruleResult.steps,
         offset: mapping.syncSettings.inventoryOffset,
         min: mapping.syncSettings.minimumInventory,
         max: mapping.syncSettings.maximumInventory
       });
       
       if (!dryRun) {
-        // Get current Shopify inventory to calculate delta
+        // Split across the vendor's mapped locations and read current levels there so writes are compare-and-set
+        const allocations = await shopifyService.getVendorLocationAllocations(
+          mapping.storeId,
+          ProductVariant.getVendorKey(mapping.vendorSku)
+        );
+        const targets = inventoryService.splitQuantity(syncInventory, allocations);
         const shopifyInventoryLevels = await shopifyService.getInventoryLevels(
           mapping.storeId, 
-          [mapping.shopifyVariantId]
+          [mapping.shopifyInventoryItemId],
+          { locationIds: targets.map(t => t.locationId) }
         );
+        const levels = shopifyInventoryLevels[0]?.levels || [];
         
-        let currentShopifyInventory = 0;
-        if (shopifyInventoryLevels.length > 0) {
-          const inventoryLevel = shopifyInventoryLevels[0].inventoryLevels.edges[0];
-          if (inventoryLevel) {
-            currentShopifyInventory = inventoryLevel.node.available || 0;
-          }
+        const items = [];
+        for (const target of targets) {
+          const level = levels.find(l => l.locationId === target.locationId);
+          const currentShopifyInventory = typeof level?.available === 'number' ? level.available : null;
+          if (currentShopifyInventory === target.quantity) continue;
+          items.push({
+            variantSku: mapping.vendorSku,
+            inventoryItemId: mapping.shopifyInventoryItemId,
+            locationId: target.locationId,
+            quantity: target.quantity,
+            compareQuantity: currentShopifyInventory
+          });
         }
         
-        // Calculate inventory delta
-        const inventoryDelta = syncInventory - currentShopifyInventory;
-        
-        if (inventoryDelta !== 0) {
-          // Update Shopify inventory
-          await shopifyService.updateInventory(
-            mapping.storeId,
-            mapping.shopifyVariantId,
-            inventoryDelta,
-            null // Use default location
-          );
+        if (items.length > 0) {
+          // Set absolute Shopify inventory
+          const { updated, failed } = await shopifyService.setInventoryQuantities(mapping.storeId, items);
+          await InventoryHistory.record(updated.map(u => ({
+            variantSku: mapping.vendorSku,
+            field: 'shopifyQty',
+            oldQty: items.find(i => i.locationId === u.locationId)?.compareQuantity,
+            newQty: u.quantity,
+            source: 'shopify-push',
+            storeId: mapping.storeId,
+            locationId: u.locationId
+          })));
+          if (failed.length > 0) {
+            throw new Error(`${failed[0].code}: ${failed[0].message}`);
+          }
           
-          logger.info(`Updated Shopify inventory: ${currentShopifyInventory} -> ${syncInventory}`, {
+          logger.info(`Updated Shopify inventory to ${syncInventory} across ${targets.length} location(s)`, {
             mappingId: mapping._id,
-            delta: inventoryDelta
+            locations: items.map(i => ({ locationId: i.locationId, quantity: i.quantity, previous: i.compareQuantity }))
           });
         }
         
@@ -634,19 +658,19 @@ class SyncService {
     try {
       logger.info(`Syncing inventory store to vendor for mapping ${mapping._id}`, { dryRun });
       
-      // Get Shopify inventory levels
+      // Get Shopify inventory levels at the vendor's mapped locations
+      const allocations = await shopifyService.getVendorLocationAllocations(
+        mapping.storeId,
+        ProductVariant.getVendorKey(mapping.vendorSku)
+      );
       const shopifyInventoryLevels = await shopifyService.getInventoryLevels(
         mapping.storeId, 
-        [mapping.shopifyVariantId]
+        [mapping.shopifyInventoryItemId],
+        { locationIds: allocations.map(a => a.locationId) }
       );
       
-      let shopifyInventory = 0;
-      if (shopifyInventoryLevels.length > 0) {
-        const inventoryLevel = shopifyInventoryLevels[0].inventoryLevels.edges[0];
-        if (inventoryLevel) {
-          shopifyInventory = inventoryLevel.node.available || 0;
-        }
-      }
+      const shopifyInventory = (shopifyInventoryLevels[0]?.levels || [])
+        .reduce((sum, level) => sum + (Number(level.available) || 0), 0);
       
       logger.info(`Found Shopify inventory: ${shopifyInventory}`, {
         mappingId: mapping._id,
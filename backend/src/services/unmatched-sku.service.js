@@ -0,0 +1,200 @@
+const logger = require('../utils/logger');
+const ProductVariant = require('../models/ProductVariant');
+const StoreVariantLink = require('../models/StoreVariantLink');
+const UnmatchedSku = require('../models/UnmatchedSku');
+const shopifyService = require('./shopify.service');
+const productSelectorService = require('./product-selector.service');
+
+// Suggestions older than this are recomputed when an entry is opened
+const SUGGESTION_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Unmatched SKU Service
+ * Maintains the queue of ProductVariants with no Shopify variant in a store and resolves
+ * them by accepting a suggested (or manually searched) Shopify variant, or by marking the
+ * SKU as not sold in that store.
+ */
+class UnmatchedSkuService {
+  /**
+   * Record variants whose Shopify lookup came back empty. Only the miss is stored during a sync;
+   * suggestions are computed when an entry is opened (see needsSuggestions).
+   * @param {string} storeId
+   * @param {Array<Object>} variantDocs - ProductVariant docs
+   * @returns {Promise<{created:number}>}
+   */
+  async recordMisses(storeId, variantDocs = []) {
+    if (!variantDocs.length) return { created: 0 };
+    const created = await UnmatchedSku.recordMisses(storeId, variantDocs);
+    return { created };
+  }
+
+  /**
+   * Shopify product search for an entry: SKU prefix or free text on its mainSku
+   */
+  catalogQuery(entry) {
+    const term = String(entry.mainSku || entry.variantSku.replace(/^[a-z0-9]+_/i, '')).replace(/["\\]/g, '');
+    return `sku:${term}* OR "${term}"`;
+  }
+
+  /**
+   * Search a store's products, flattened to the shape ProductSelectorService scores
+   * @returns {Promise<Array<{id:string, title:string, variants:Array<Object>}>>}
+   */
+  async searchCatalog(storeId, query, limit = 25) {
+    const products = await shopifyService.getProducts(storeId, { limit, query });
+    return (products?.edges || []).map(({ node }) => ({
+      id: node.id,
+      title: node.title || '',
+      variants: (node.variants?.edges || []).map(edge => edge.node)
+    }));
+  }
+
+  /**
+   * Recompute and save an entry's suggestions
+   * @param {Object} entry - UnmatchedSku doc
+   * @param {Map<string, Array>} [catalog] - Search results cache keyed by query
+   */
+  async refreshSuggestions(entry, catalog = new Map()) {
+    const query = this.catalogQuery(entry);
+    if (!catalog.has(query)) {
+      catalog.set(query, await this.searchCatalog(entry.storeId, query));
+    }
+    entry.suggestions = productSelectorService.suggestVariantMatches(entry, catalog.get(query));
+    entry.suggestionsUpdatedAt = new Date();
+    await entry.save();
+    return entry;
+  }
+
+  /**
+   * Whether an open entry's suggestions should be recomputed before showing it
+   */
+  needsSuggestions(entry) {
+    if (entry.status !== 'open') return false;
+    return !entry.suggestionsUpdatedAt || Date.now() - entry.suggestionsUpdatedAt.getTime() > SUGGESTION_TTL_MS;
+  }
+
+  /**
+   * Manual catalog search scored against an entry (not saved)
+   * @param {Object} entry - UnmatchedSku doc
+   * @param {string} q - Shopify product search query
+   * @param {number} [limit]
+   */
+  async search(entry, q, limit = 10) {
+    const products = await this.searchCatalog(entry.storeId, q);
+    const ranked = productSelectorService.suggestVariantMatches(entry, products, limit);
+    if (ranked.length) return ranked;
+    // Nothing scored (e.g. a title search): still list what Shopify returned
+    return products.slice(0, limit).flatMap(product => product.variants.map(variant => ({
+      shopifyProductId: product.id,
+      shopifyVariantId: variant.id,
+      productTitle: product.title,
+      variantTitle: variant.title || null,
+      sku: variant.sku || null,
+      score: 0,
+      confidence: 'none',
+      reasons: []
+    })));
+  }
+
+  /**
+   * Link the entry's ProductVariant to a Shopify variant in its store and close the entry
+   * @param {Object} entry - UnmatchedSku doc
+   * @param {string} shopifyVariantId - ProductVariant GID
+   * @param {string} resolvedBy
+   * @returns {Promise<Object>} - Updated StoreVariantLink
+   */
+  async accept(entry, shopifyVariantId, resolvedBy) {
+    const variant = await ProductVariant.findOne({ variantSku: entry.variantSku }, { variantSku: 1 }).lean();
+    if (!variant) {
+      throw new Error('Variant not found');
+    }
+    const linked = await StoreVariantLink.findOne(
+      { storeId: entry.storeId, shopifyVariantId, variantSku: { $ne: entry.variantSku } },
+      { variantSku: 1 }
+    ).lean();
+    if (linked) {
+      const error = new Error('Shopify variant already linked');
+      error.variantSku = linked.variantSku;
+      throw error;
+    }
+
+    const info = await shopifyService.getInventoryItemForVariant(entry.storeId, shopifyVariantId);
+    if (!info.inventoryItemId) {
+      throw new Error('Shopify variant not found');
+    }
+
+    const [link] = await StoreVariantLink.forVariants(entry.storeId, [variant]);
+    link.shopifyVariantId = shopifyVariantId;
+    link.shopifyInventoryItemId = info.inventoryItemId;
+    link.shopifyProductId = info.productId;
+    link.shopifyVariantTitle = info.title;
+    const byLocation = await this.readLevels(entry.storeId, variant.variantSku, info.inventoryItemId);
+    const known = Object.values(byLocation);
+    link.lastKnownShopifyQtyByLocation = byLocation;
+    link.lastKnownShopifyQty = known.length ? known.reduce((sum, q) => sum + q, 0) : null;
+    link.lastSyncStatus = 'success';
+    link.lastSyncError = null;
+    link.lastSyncAt = new Date();
+    await link.save();
+
+    entry.status = 'matched';
+    entry.matchedShopifyVariantId = shopifyVariantId;
+    entry.resolvedAt = new Date();
+    entry.resolvedBy = resolvedBy;
+    await entry.save();
+
+    logger.info('Linked unmatched SKU to Shopify variant', {
+      storeId: String(entry.storeId), variantSku: entry.variantSku, shopifyVariantId, resolvedBy
+    });
+    return link;
+  }
+
+  /**
+   * Available quantities of an inventory item at the locations the variant's vendor writes to.
+   * Empty when they can't be read, so the next sync reads them before writing.
+   * @returns {Promise<Object>} - { locationId: available }
+   */
+  async readLevels(storeId, variantSku, inventoryItemId) {
+    const byLocation = {};
+    try {
+      const allocations = await shopifyService.getVendorLocationAllocations(
+        storeId, ProductVariant.getVendorKey(variantSku) || ''
+      );
+      const [item] = await shopifyService.getInventoryLevels(storeId, [inventoryItemId], {
+        locationIds: allocations.map(a => a.locationId)
+      });
+      for (const level of item?.levels || []) {
+        if (typeof level.available === 'number') byLocation[level.locationId] = level.available;
+      }
+    } catch (error) {
+      logger.warn(`Could not read Shopify levels for ${variantSku}: ${error.message}`, { storeId: String(storeId) });
+    }
+    return byLocation;
+  }
+
+  /**
+   * Mark the SKU as intentionally not sold in the store; syncs stop looking it up
+   */
+  async markNotSold(entry, resolvedBy, note) {
+    entry.status = 'not_sold';
+    entry.resolvedAt = new Date();
+    entry.resolvedBy = resolvedBy;
+    if (note !== undefined) entry.note = note;
+    await entry.save();
+    return entry;
+  }
+
+  /**
+   * Put a matched or not-sold entry back in the queue
+   */
+  async reopen(entry) {
+    entry.status = 'open';
+    entry.resolvedAt = null;
+    entry.resolvedBy = null;
+    entry.matchedShopifyVariantId = null;
+    await entry.save();
+    return entry;
+  }
+}
+
+module.exports = new UnmatchedSkuService();
@@ -0,0 +1,201 @@
+const logger = require('../../utils/logger');
+const Product = require('../../models/Product');
+const ProductVariant = require('../../models/ProductVariant');
+const VendorSkuState = require('../../models/VendorSkuState');
+
+/**
+ * Base Vendor Adapter
+ * Contract every vendor integration implements. Adapters only talk to the vendor API and
+ * normalize its data; persisting to Product/ProductVariant is shared here.
+ *
+ * Normalized inventory record:
+ *   { mainSku, color, size, stockQty, preOrderDate, status, skuStatus?, tags? }
+ *   status: 'Active' | 'Inactive' | 'Discontinued' (variant), skuStatus: vendor's product status,
+ *   tags: product-level tags (stored on Product.tags when provided)
+ */
+class BaseVendorAdapter {
+  /**
+   * @param {Object} vendor - Vendor document (or plain object with type/skuPrefix/settings)
+   */
+  constructor(vendor = {}) {
+    this.vendor = vendor;
+    this.vendorId = vendor._id ? String(vendor._id) : undefined;
+    this.skuPrefix = vendor.skuPrefix || 'noxa';
+    // Vendor-documented maximum SKUs per inventory request
+    this.maxSkusPerRequest = 100;
+    // Record-level problems found while reading vendor data ({ sku, row?, error, errorCode })
+    this.errors = [];
+  }
+
+  /**
+   * List active main SKUs (paginated)
+   * @param {number} page - 1-indexed page
+   * @param {number} pageSize
+   * @returns {Promise<{skus:string[], total:number, pageSize:number}>}
+   */
+  async listActiveSkus(page, pageSize) {
+    throw new Error(`${this.constructor.name} does not implement listActiveSkus`);
+  }
+
+  /**
+   * Fetch inventory for main SKUs without saving anything
+   * @param {string[]} skus - Main SKUs
+   * @returns {Promise<Array<Object>>} - Normalized inventory records
+   */
+  async fetchInventory(skus) {
+    throw new Error(`${this.constructor.name} does not implement fetchInventory`);
+  }
+
+  /**
+   * Check credentials/reachability
+   * @returns {Promise<{success:boolean, totalSkus?:number, error?:string}>}
+   */
+  async testConnection() {
+    throw new Error(`${this.constructor.name} does not implement testConnection`);
+  }
+
+  /**
+   * Return and clear record-level errors collected since the last call
+   * @returns {Array<Object>}
+   */
+  drainErrors() {
+    const errors = this.errors;
+    this.errors = [];
+    return errors;
+  }
+
+  /**
+   * Whether the active SKU list read so far is complete enough to discontinue SKUs missing
+   * from it (false when vendor rows were rejected and their SKUs may be missing)
+   * @returns {boolean}
+   */
+  isActiveListComplete() {
+    return true;
+  }
+
+  /**
+   * Called once after a successful sync run (e.g. to mark a feed file as processed)
+   * @param {Object} summary - { processed, total }
+   */
+  async finalize(summary) {
+    return summary;
+  }
+
+  /**
+   * Variant SKU for a normalized record, using this vendor's prefix
+   * @param {Object} record - Normalized inventory record
+   * @returns {string}
+   */
+  generateVariantSku(record) {
+    return ProductVariant.generateVariantSku(record.mainSku, record.color, record.size, this.skuPrefix);
+  }
+
+  /**
+   * Product.sourceId for a main SKU. The default 'noxa' vendor keeps the bare main SKU
+   * so existing products are matched; other vendors are namespaced by prefix.
+   * @param {string} mainSku
+   * @returns {string}
+   */
+  getProductSourceId(mainSku) {
+    return this.skuPrefix === 'noxa' ? mainSku : `${this.skuPrefix}_${mainSku}`;
+  }
+
+  /**
+   * Fetch inventory for main SKUs and save it. Per-SKU checksums are always updated so a
+   * later incremental run has a baseline.
+   * @param {string[]} skus - Main SKUs
+   * @param {Object} [opts]
+   * @param {boolean} [opts.skipUnchanged=false] - Don't write SKUs whose inventory hash is unchanged
+   * @param {string} [opts.jobId] - Sync job, recorded in InventoryHistory
+   * @returns {Promise<{processedSkus:number, variants:number, unchangedSkus:number}>}
+   */
+  async syncInventory(skus, { skipUnchanged = false, jobId = null } = {}) {
+    const records = await this.fetchInventory(skus);
+    const { unchanged, states } = await VendorSkuState.diffFetched(this.skuPrefix, skus, records);
+
+    const toSave = skipUnchanged ? records.filter(r => !unchanged.has(r.mainSku)) : records;
+    const result = await this.saveInventory(toSave, { jobId });
+    await VendorSkuState.saveFetched(this.skuPrefix, states);
+
+    return { ...result, unchangedSkus: skipUnchanged ? unchanged.size : 0 };
+  }
+
+  /**
+   * Upsert Products (one per main SKU) and ProductVariants from normalized records
+   * @param {Array<Object>} records - Normalized inventory records
+   * @param {Object} [opts]
+   * @param {string} [opts.jobId] - Sync job, recorded in InventoryHistory
+   * @returns {Promise<{processedSkus:number, variants:number}>}
+   */
+  async saveInventory(records = [], { jobId = null } = {}) {
+    const valid = (records || []).filter(r => r && r.mainSku);
+    if (!valid.length) {
+      return { processedSkus: 0, variants: 0 };
+    }
+
+    const now = new Date();
+    const byMainSku = new Map();
+    for (const record of valid) {
+      if (!byMainSku.has(record.mainSku)) byMainSku.set(record.mainSku, []);
+      byMainSku.get(record.mainSku).push(record);
+    }
+
+    const productOps = Array.from(byMainSku.entries()).map(([mainSku, items]) => {
+      const totalInventory = items.reduce((sum, r) => sum + (Number(r.stockQty) || 0), 0);
+      const skuStatus = items.find(r => r.skuStatus)?.skuStatus;
+      const active = skuStatus
+        ? String(skuStatus).toLowerCase() === 'active'
+        : items.some(r => r.status !== 'Discontinued');
+      const tagged = items.filter(r => Array.isArray(r.tags));
+      const tags = tagged.length
+        ? [...new Set(tagged.flatMap(r => r.tags).map(t => String(t).trim().toLowerCase()).filter(Boolean))]
+        : null;
+      return {
+        updateOne: {
+          filter: { source: 'vendor', sourceId: this.getProductSourceId(mainSku) },
+          update: {
+            $set: {
+              source: 'vendor',
+              mainSku,
+              status: active ? 'active' : 'draft',
+              totalInventory,
+              inStock: totalInventory > 0,
+              lastSynced: now,
+              syncStatus: 'synced',
+              ...(tags ? { tags } : {})
+            }
+          },
+          upsert: true
+        }
+      };
+    });
+    await Product.bulkWrite(productOps, { ordered: false });
+
+    const sourceIds = Array.from(byMainSku.keys()).map(ms => this.getProductSourceId(ms));
+    const products = await Product.find({ source: 'vendor', sourceId: { $in: sourceIds } }, { _id: 1, sourceId: 1 }).lean();
+    const productIdBySourceId = new Map(products.map(p => [p.sourceId, p._id]));
+
+    const variants = valid.map(record => {
+      const productId = productIdBySourceId.get(this.getProductSourceId(record.mainSku));
+      if (!productId) return null;
+      const stockQty = Number(record.stockQty) || 0;
+      return {
+        variantSku: this.generateVariantSku(record),
+        product_id: productId,
+        mainSku: record.mainSku,
+        color: record.color,
+        size: record.size,
+        stockQty,
+        preOrderDate: record.preOrderDate ? new Date(record.preOrderDate) : null,
+        status: record.status || (stockQty > 0 ? 'Active' : 'Inactive')
+      };
+    }).filter(Boolean);
+
+    await ProductVariant.bulkUpdateInventory(variants, { source: 'vendor-sync', jobId });
+
+    logger.debug(`Saved ${variants.length} variant(s) for ${byMainSku.size} SKU(s) from vendor ${this.skuPrefix}`);
+    return { processedSkus: byMainSku.size, variants: variants.length };
+  }
+}
+
+module.exports = BaseVendorAdapter;
@@ -0,0 +1,353 @@
+const fs = require('fs');
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+const ExcelJS = require('exceljs');
+const SftpClient = require('ssh2-sftp-client');
+const logger = require('../../utils/logger');
+const BaseVendorAdapter = require('./base.adapter');
+
+const SPREADSHEET_EXTENSIONS = ['.xlsx'];
+const VARIANT_STATUSES = ['Active', 'Inactive', 'Discontinued'];
+
+/**
+ * File Feed Vendor Adapter
+ * Reads the newest CSV/XLSX inventory file from a local or SFTP directory and maps its
+ * columns to normalized records through vendor.feed.columnMapping.
+ * The file is read once per adapter instance (i.e. once per sync run).
+ */
+class FeedAdapter extends BaseVendorAdapter {
+  constructor(vendor = {}) {
+    super(vendor);
+    this.feed = vendor.feed || {};
+    // Nothing to rate limit: records come from memory
+    this.maxSkusPerRequest = 500;
+    this.loaded = null; // { file, recordsBySku, skus, rows }
+  }
+
+  async listActiveSkus(page = 1, pageSize = 100) {
+    const { skus } = await this.load();
+    const start = (Math.max(1, page) - 1) * pageSize;
+    return {
+      skus: skus.slice(start, start + pageSize),
+      total: skus.length,
+      pageSize
+    };
+  }
+
+  /**
+   * Rejected rows drop their SKU from the list; one malformed row must not discontinue it
+   */
+  isActiveListComplete() {
+    return Boolean(this.loaded) && this.loaded.rowErrors === 0;
+  }
+
+  async fetchInventory(skus) {
+    const { recordsBySku } = await this.load();
+    return (skus || []).flatMap(sku => recordsBySku.get(String(sku).trim()) || []);
+  }
+
+  async testConnection() {
+    try {
+      const file = await this.findLatestFile();
+      if (!file) {
+        return { success: false, error: `No file matching ${this.feed.filePattern} in ${this.feed.directory}` };
+      }
+      return { success: true, latestFile: file.name, modifiedAt: file.modifiedAt };
+    } catch (error) {
+      logger.warn(`Feed connection test failed for vendor ${this.vendorId}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Record the processed file on the vendor
+   */
+  async finalize(summary) {
+    if (this.loaded && typeof this.vendor.save === 'function') {
+      this.vendor.set('feed.lastFile', {
+        name: this.loaded.file.name,
+        modifiedAt: this.loaded.file.modifiedAt,
+        rows: this.loaded.rows,
+        rowErrors: this.loaded.rowErrors,
+        processedAt: new Date()
+      });
+      await this.vendor.save();
+    }
+    return summary;
+  }
+
+  /**
+   * Read and parse the newest feed file (cached for the life of the adapter)
+   * @returns {Promise<{file:Object, recordsBySku:Map, skus:string[], rows:number, rowErrors:number}>}
+   */
+  async load() {
+    if (this.loaded) return this.loaded;
+
+    const file = await this.findLatestFile();
+    if (!file) {
+      throw new Error(`No feed file matching ${this.feed.filePattern} in ${this.feed.directory}`);
+    }
+
+    const buffer = await this.readFile(file);
+    const rows = await this.parseRows(buffer, file.name);
+    const { records, errors } = this.mapRows(rows);
+    this.errors.push(...errors);
+
+    const recordsBySku = new Map();
+    for (const record of records) {
+      if (!recordsBySku.has(record.mainSku)) recordsBySku.set(record.mainSku, []);
+      recordsBySku.get(record.mainSku).push(record);
+    }
+
+    logger.info(`Loaded vendor feed ${file.name}: ${rows.length} row(s), ${records.length} valid, ${errors.length} error(s)`, { vendorId: this.vendorId });
+    this.loaded = {
+      file,
+      recordsBySku,
+      skus: Array.from(recordsBySku.keys()),
+      rows: rows.length,
+      rowErrors: errors.length
+    };
+    return this.loaded;
+  }
+
+  /**
+   * Newest file in the feed directory matching filePattern
+   * @returns {Promise<{name:string, path:string, modifiedAt:Date}|null>}
+   */
+  async findLatestFile() {
+    const { directory } = this.feed;
+    if (!directory) {
+      throw new Error('Feed directory is not configured');
+    }
+    const matcher = this.patternToRegExp(this.feed.filePattern || '*.csv');
+    let files;
+
+    if (this.feed.source === 'sftp') {
+      files = await this.withSftp(async (sftp) => {
+        const entries = await sftp.list(directory);
+        return entries
+          .filter(entry => entry.type === '-' && matcher.test(entry.name))
+          .map(entry => ({
+            name: entry.name,
+            path: path.posix.join(directory, entry.name),
+            modifiedAt: new Date(entry.modifyTime)
+          }));
+      });
+    } else {
+      const dir = await this.resolveLocalDirectory(directory);
+      const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+      files = await Promise.all(entries
+        .filter(entry => entry.isFile() && matcher.test(entry.name))
+        .map(async (entry) => {
+          const filePath = path.join(dir, entry.name);
+          const stat = await fs.promises.stat(filePath);
+          return { name: entry.name, path: filePath, modifiedAt: stat.mtime };
+        }));
+    }
+
+    if (!files.length) return null;
+    return files.sort((a, b) => b.modifiedAt - a.modifiedAt)[0];
+  }
+
+  async readFile(file) {
+    if (this.feed.source === 'sftp') {
+      return this.withSftp(sftp => sftp.get(file.path));
+    }
+    return fs.promises.readFile(file.path);
+  }
+
+  /**
+   * Parse a CSV or XLSX buffer into header-keyed row objects
+   * @param {Buffer} buffer
+   * @param {string} fileName - Used to pick the parser by extension
+   * @returns {Promise<Array<Object>>}
+   */
+  async parseRows(buffer, fileName) {
+    const ext = path.extname(fileName).toLowerCase();
+    if (ext === '.xls') {
+      throw new Error(`${fileName}: legacy .xls files are not supported, save the feed as .xlsx or CSV`);
+    }
+    if (SPREADSHEET_EXTENSIONS.includes(ext)) {
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(buffer);
+      const sheet = this.feed.sheetName
+        ? workbook.getWorksheet(this.feed.sheetName)
+        : workbook.worksheets[0];
+      if (!sheet) {
+        throw new Error(`Sheet "${this.feed.sheetName || 1}" not found in ${fileName}`);
+      }
+      return this.sheetRows(sheet);
+    }
+
+    return parse(buffer, {
+      columns: true,
+      delimiter: this.feed.delimiter || ',',
+      bom: true,
+      trim: true,
+      skip_empty_lines: true,
+      relax_column_count: true
+    });
+  }
+
+  /**
+   * Rows of a worksheet keyed by the headers in its first row; blank rows are skipped and
+   * empty cells read as ''
+   * @param {Object} sheet - ExcelJS worksheet
+   * @returns {Array<Object>}
+   */
+  sheetRows(sheet) {
+    const headers = [];
+    const rows = [];
+    sheet.eachRow((row, rowNumber) => {
+      if (rowNumber === 1) {
+        row.eachCell((cell, col) => { headers[col] = String(this.cellValue(cell)).trim(); });
+        return;
+      }
+      const values = {};
+      headers.forEach((header, col) => {
+        if (header) values[header] = this.cellValue(row.getCell(col));
+      });
+      if (Object.values(values).some(value => value !== '')) rows.push(values);
+    });
+    return rows;
+  }
+
+  /**
+   * Plain value of a cell: formula results, rich and hyperlink text are unwrapped; dates stay Dates
+   */
+  cellValue(cell) {
+    const value = cell.value;
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date || typeof value !== 'object') return value;
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if ('result' in value) return value.result?.error ? '' : (value.result ?? '');
+    if ('text' in value) return value.text;
+    return '';
+  }
+
+  /**
+   * Map parsed rows to normalized records using the vendor's column mapping.
+   * Invalid rows are returned as errors (row numbers are 1-based and count the header).
+   * @param {Array<Object>} rows
+   * @returns {{records:Array<Object>, errors:Array<Object>}}
+   */
+  mapRows(rows) {
+    const mapping = this.feed.columnMapping || {};
+    const records = [];
+    const errors = [];
+    const seen = new Set();
+
+    rows.forEach((row, index) => {
+      const rowNumber = index + 2;
+      const get = (field) => this.getColumn(row, mapping[field]);
+      const mainSku = String(get('mainSku') ?? '').trim();
+      const color = String(get('color') ?? '').trim();
+      const size = String(get('size') ?? '').trim();
+      const rawQty = get('stockQty');
+      const fail = (error) => errors.push({ sku: mainSku || undefined, row: rowNumber, error, errorCode: 'FEED_ROW_ERROR' });
+
+      if (!mainSku || !color || !size) {
+        return fail('Missing mainSku, color or size');
+      }
+
+      const stockQty = Number(String(rawQty ?? '').replace(/,/g, '').trim());
+      if (rawQty === undefined || rawQty === '' || !Number.isInteger(stockQty) || stockQty < 0) {
+        return fail(`Invalid quantity: ${rawQty}`);
+      }
+
+      let preOrderDate = null;
+      const rawDate = mapping.preOrderDate ? get('preOrderDate') : null;
+      if (rawDate) {
+        preOrderDate = rawDate instanceof Date ? rawDate : new Date(rawDate);
+        if (Number.isNaN(preOrderDate.getTime())) {
+          return fail(`Invalid pre-order date: ${rawDate}`);
+        }
+      }
+
+      let status = stockQty > 0 ? 'Active' : 'Inactive';
+      const rawStatus = mapping.status ? String(get('status') ?? '').trim() : '';
+      if (rawStatus) {
+        status = VARIANT_STATUSES.find(s => s.toLowerCase() === rawStatus.toLowerCase());
+        if (!status) {
+          return fail(`Invalid status: ${rawStatus}`);
+        }
+      }
+
+      const key = `${mainSku}|${color}|${size}`.toLowerCase();
+      if (seen.has(key)) {
+        return fail(`Duplicate row for ${mainSku} ${color} ${size}`);
+      }
+      seen.add(key);
+
+      const record = { mainSku, color, size, stockQty, preOrderDate, status };
+      if (mapping.tags) {
+        record.tags = String(get('tags') ?? '').split(/[,;]/).map(t => t.trim()).filter(Boolean);
+      }
+      records.push(record);
+    });
+
+    return { records, errors };
+  }
+
+  /**
+   * Column value by header name (case/whitespace-insensitive)
+   */
+  getColumn(row, header) {
+    if (!header) return undefined;
+    if (Object.prototype.hasOwnProperty.call(row, header)) return row[header];
+    const wanted = header.trim().toLowerCase();
+    const key = Object.keys(row).find(k => k.trim().toLowerCase() === wanted);
+    return key === undefined ? undefined : row[key];
+  }
+
+  /**
+   * Glob-style pattern (* and ?) to a case-insensitive RegExp
+   */
+  patternToRegExp(pattern) {
+    const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+    return new RegExp(`^${escaped}$`, 'i');
+  }
+
+  /**
+   * Local feed directory, resolved relative to VENDOR_FEED_ROOT. Local feeds are refused
+   * unless that root is configured, and the real path (symlinks followed) must stay inside it.
+   */
+  async resolveLocalDirectory(directory) {
+    const root = process.env.VENDOR_FEED_ROOT;
+    if (!root) {
+      throw new Error('Local feeds are disabled: VENDOR_FEED_ROOT is not configured');
+    }
+    const realRoot = await fs.promises.realpath(path.resolve(root));
+    const resolved = await fs.promises.realpath(path.resolve(realRoot, directory));
+    if (resolved !== realRoot && !resolved.startsWith(realRoot + path.sep)) {
+      throw new Error('Feed directory must be inside VENDOR_FEED_ROOT');
+    }
+    return resolved;
+  }
+
+  /**
+   * Run fn with a connected SFTP client, always closing the connection
+   */
+  async withSftp(fn) {
+    const { host, port, username, password, privateKey } = this.feed.sftp || {};
+    if (!host || !username) {
+      throw new Error('SFTP host and username are required');
+    }
+    const sftp = new SftpClient();
+    try {
+      await sftp.connect({
+        host,
+        port: port || 22,
+        username,
+        password: password || undefined,
+        privateKey: privateKey || undefined,
+        readyTimeout: this.vendor.settings?.timeoutMs || 30000
+      });
+      return await fn(sftp);
+    } finally {
+      await sftp.end().catch(() => {});
+    }
+  }
+}
+
+module.exports = FeedAdapter;
@@ -0,0 +1,47 @@
+const BaseVendorAdapter = require('./base.adapter');
+const NoxaAdapter = require('./noxa.adapter');
+const FeedAdapter = require('./feed.adapter');
+
+// Vendor.type -> adapter class
+const adapters = new Map([
+  ['noxa', NoxaAdapter],
+  ['feed', FeedAdapter]
+]);
+
+/**
+ * Register an adapter class for a vendor type
+ * @param {string} type - Vendor.type value
+ * @param {Function} AdapterClass - Subclass of BaseVendorAdapter
+ */
+const registerAdapter = (type, AdapterClass) => {
+  if (!(AdapterClass.prototype instanceof BaseVendorAdapter)) {
+    throw new Error(`Adapter for ${type} must extend BaseVendorAdapter`);
+  }
+  adapters.set(type, AdapterClass);
+};
+
+/**
+ * Resolve the adapter for a vendor. Without a vendor, the env-configured Noxa
+ * integration is used (legacy /api/products/sync behaviour).
+ * @param {Object|null} vendor - Vendor document
+ * @returns {BaseVendorAdapter}
+ */
+const getAdapter = (vendor = null) => {
+  if (!vendor) {
+    return new NoxaAdapter();
+  }
+  const AdapterClass = adapters.get(vendor.type || 'noxa');
+  if (!AdapterClass) {
+    throw new Error(`No adapter registered for vendor type: ${vendor.type}`);
+  }
+  return new AdapterClass(vendor);
+};
+
+const getAdapterTypes = () => Array.from(adapters.keys());
+
+module.exports = {
+  BaseVendorAdapter,
+  registerAdapter,
+  getAdapter,
+  getAdapterTypes
+};
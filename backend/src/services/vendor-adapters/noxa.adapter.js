@@ -0,0 +1,61 @@
+const BaseVendorAdapter = require('./base.adapter');
+const noxaService = require('../noxa.service');
+
+/**
+ * Noxa Vendor Adapter
+ * Maps the Noxa Inventory API (Result/Message/Response envelopes) onto the adapter contract
+ */
+class NoxaAdapter extends BaseVendorAdapter {
+  constructor(vendor = {}) {
+    super(vendor);
+    // Vendors without stored credentials (legacy env setup) use the shared env-configured client
+    this.client = vendor.apiKey ? noxaService.forVendor(vendor) : noxaService;
+  }
+
+  async listActiveSkus(page = 1, pageSize = 100) {
+    const response = await this.client.getActiveSKUList(page, pageSize);
+    if (!response.Result || !response.Response) {
+      throw new Error(response.Message || `Failed to fetch active SKU list page ${page}`);
+    }
+    const { SKUList = [], TotalCount, ListSize } = response.Response;
+    return {
+      skus: SKUList,
+      total: Number(TotalCount) || SKUList.length,
+      pageSize: Number(ListSize) || SKUList.length || pageSize
+    };
+  }
+
+  async fetchInventory(skus) {
+    const response = await this.client.fetchInventoriesBySKUs(skus);
+    const products = Array.isArray(response?.Response) ? response.Response : [];
+    return products.flatMap(product => this.normalizeProduct(product));
+  }
+
+  async testConnection() {
+    return this.client.testConnection();
+  }
+
+  /**
+   * Normalize one InventoriesBySKUs entry ({ SKU, SKUStatus, Inventories: [{Color, Size, StockQty, PreOrderDate}] })
+   * @param {Object} product
+   * @returns {Array<Object>} - Normalized inventory records
+   */
+  normalizeProduct(product) {
+    if (!product?.SKU || !Array.isArray(product.Inventories)) return [];
+    const mainSku = String(product.SKU).trim();
+    return product.Inventories.map(inv => {
+      const stockQty = Number(inv.StockQty) || 0;
+      return {
+        mainSku,
+        color: inv.Color,
+        size: inv.Size,
+        stockQty,
+        preOrderDate: inv.PreOrderDate || null,
+        status: stockQty > 0 ? 'Active' : 'Inactive',
+        skuStatus: product.SKUStatus
+      };
+    });
+  }
+}
+
+module.exports = NoxaAdapter;
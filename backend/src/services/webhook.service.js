@@ -0,0 +1,470 @@
+const logger = require('../utils/logger');
+const { decrypt } = require('../utils/encryption');
+const ProductVariant = require('../models/ProductVariant');
+const StoreVariantLink = require('../models/StoreVariantLink');
+const InventoryHistory = require('../models/InventoryHistory');
+const UnmatchedSku = require('../models/UnmatchedSku');
+const SkuAlias = require('../models/SkuAlias');
+const shopifyService = require('./shopify.service');
+
+// Shopify linkage fields cleared when a product/variant disappears from Shopify
+const UNLINKED_FIELDS = {
+  shopifyVariantId: null,
+  shopifyInventoryItemId: null,
+  shopifyProductId: null,
+  shopifyVariantTitle: null,
+  lastKnownShopifyQty: null,
+  lastKnownShopifyQtyByLocation: {}
+};
+
+/**
+ * Webhook Service
+ * Manages a store's Shopify webhookSubscriptions and applies incoming
+ * webhook payloads to the store's StoreVariantLinks and Store
+ */
+class WebhookService {
+  constructor() {
+    this.handlers = {
+      'inventory_levels/update': this.handleInventoryLevelUpdate.bind(this),
+      'products/update': this.handleProductUpdate.bind(this),
+      'products/delete': this.handleProductDelete.bind(this),
+      'app/uninstalled': this.handleAppUninstalled.bind(this)
+    };
+  }
+
+  /**
+   * Topics this service knows how to handle
+   * @returns {string[]}
+   */
+  getSupportedTopics() {
+    return Object.keys(this.handlers);
+  }
+
+  /**
+   * Callback URL Shopify should deliver a store's webhooks to
+   * @param {Object} store - Store document
+   * @returns {string}
+   */
+  getCallbackUrl(store) {
+    const baseUrl = (process.env.WEBHOOK_BASE_URL || '').replace(/\/+$/, '');
+    if (!baseUrl) {
+      throw new Error('WEBHOOK_BASE_URL is not configured');
+    }
+    return `${baseUrl}/api/shopify/webhooks/${store._id}`;
+  }
+
+  /**
+   * List the app's webhook subscriptions on Shopify for a store
+   * @param {Object} store - Store document
+   * @returns {Promise<Array<{subscriptionId:string, topic:string, callbackUrl:string|null, createdAt:string}>>}
+   */
+  async listSubscriptions(store) {
+    const query = `
+      query webhookSubscriptions($first: Int!, $after: String) {
+        webhookSubscriptions(first: $first, after: $after) {
+          edges {
+            cursor
+            node {
+              id
+              topic
+              createdAt
+              endpoint {
+                __typename
+                ... on WebhookHttpEndpoint { callbackUrl }
+              }
+            }
+          }
+          pageInfo { hasNextPage }
+        }
+      }
+    `;
+
+    const accessToken = decrypt(store.accessToken);
+    const subscriptions = [];
+    let after = null;
+    do {
+      const resp = await shopifyService.makeGraphQLRequest(store.shopifyDomain, accessToken, query, { first: 100, after });
+      const conn = resp.data?.data?.webhookSubscriptions;
+      if (!conn) {
+        throw new Error(resp.data?.errors?.[0]?.message || 'Failed to list webhook subscriptions');
+      }
+      for (const edge of conn.edges) {
+        subscriptions.push({
+          subscriptionId: edge.node.id,
+          topic: this.fromTopicEnum(edge.node.topic),
+          callbackUrl: edge.node.endpoint?.callbackUrl || null,
+          createdAt: edge.node.createdAt
+        });
+      }
+      after = conn.pageInfo.hasNextPage ? conn.edges[conn.edges.length - 1].cursor : null;
+    } while (after);
+
+    return subscriptions;
+  }
+
+  /**
+   * Create a webhook subscription on Shopify
+   * @param {Object} store - Store document
+   * @param {string} topic - Webhook topic (e.g. 'products/update')
+   * @param {string} callbackUrl - Delivery URL
+   * @returns {Promise<Object>} - Created subscription
+   */
+  async createSubscription(store, topic, callbackUrl) {
+    const mutation = `
+      mutation webhookSubscriptionCreate($topic: WebhookSubscriptionTopic!, $webhookSubscription: WebhookSubscriptionInput!) {
+        webhookSubscriptionCreate(topic: $topic, webhookSubscription: $webhookSubscription) {
+          webhookSubscription { id topic createdAt }
+          userErrors { field message }
+        }
+      }
+    `;
+    const variables = {
+      topic: this.toTopicEnum(topic),
+      webhookSubscription: { callbackUrl, format: 'JSON' }
+    };
+
+    const resp = await shopifyService.makeGraphQLRequest(store.shopifyDomain, decrypt(store.accessToken), mutation, variables);
+    const payload = resp.data?.data?.webhookSubscriptionCreate;
+    if (!payload) {
+      throw new Error(resp.data?.errors?.[0]?.message || `Failed to create ${topic} webhook subscription`);
+    }
+    if (payload.userErrors?.length) {
+      throw new Error(payload.userErrors.map(e => e.message).join('; '));
+    }
+
+    return {
+      subscriptionId: payload.webhookSubscription.id,
+      topic,
+      callbackUrl,
+      createdAt: payload.webhookSubscription.createdAt
+    };
+  }
+
+  /**
+   * Delete a webhook subscription on Shopify
+   * @param {Object} store - Store document
+   * @param {string} subscriptionId - WebhookSubscription GID or numeric ID
+   * @returns {Promise<string>} - Deleted subscription GID
+   */
+  async deleteSubscription(store, subscriptionId) {
+    const mutation = `
+      mutation webhookSubscriptionDelete($id: ID!) {
+        webhookSubscriptionDelete(id: $id) {
+          deletedWebhookSubscriptionId
+          userErrors { field message }
+        }
+      }
+    `;
+    const id = this.toGid('WebhookSubscription', subscriptionId);
+
+    const resp = await shopifyService.makeGraphQLRequest(store.shopifyDomain, decrypt(store.accessToken), mutation, { id });
+    const payload = resp.data?.data?.webhookSubscriptionDelete;
+    if (!payload) {
+      throw new Error(resp.data?.errors?.[0]?.message || 'Failed to delete webhook subscription');
+    }
+    if (payload.userErrors?.length) {
+      throw new Error(payload.userErrors.map(e => e.message).join('; '));
+    }
+    return payload.deletedWebhookSubscriptionId || id;
+  }
+
+  /**
+   * Reconcile Shopify subscriptions with what this app expects and persist the IDs on the Store.
+   * Keeps one subscription per topic pointing at the store's callback URL, removes duplicates
+   * and ones left behind with an old callback URL (reconnects, base URL changes).
+   * @param {Object} store - Store document
+   * @param {Object} [options]
+   * @param {string[]} [options.topics] - Topics to subscribe (defaults to all supported)
+   * @param {boolean} [options.prune=true] - Remove this store's subscriptions for topics not listed
+   * @returns {Promise<{subscriptions:Array, created:string[], deleted:string[], kept:string[]}>}
+   */
+  async syncSubscriptions(store, options = {}) {
+    const topics = options.topics?.length ? options.topics : this.getSupportedTopics();
+    const prune = options.prune !== false;
+    const summary = { subscriptions: [], created: [], deleted: [], kept: [] };
+
+    try {
+      const callbackUrl = this.getCallbackUrl(store);
+      const existing = await this.listSubscriptions(store);
+
+      for (const topic of topics) {
+        const forTopic = existing.filter(sub => sub.topic === topic);
+        const keep = forTopic.find(sub => sub.callbackUrl === callbackUrl);
+
+        for (const sub of forTopic) {
+          if (sub === keep) continue;
+          await this.deleteSubscription(store, sub.subscriptionId);
+          summary.deleted.push(sub.subscriptionId);
+        }
+
+        if (keep) {
+          summary.kept.push(keep.subscriptionId);
+          summary.subscriptions.push(keep);
+        } else {
+          const created = await this.createSubscription(store, topic, callbackUrl);
+          summary.created.push(created.subscriptionId);
+          summary.subscriptions.push(created);
+        }
+      }
+
+      // Subscriptions for other topics that still point at this store
+      for (const sub of existing) {
+        if (topics.includes(sub.topic) || sub.callbackUrl !== callbackUrl) continue;
+        if (prune) {
+          await this.deleteSubscription(store, sub.subscriptionId);
+          summary.deleted.push(sub.subscriptionId);
+        } else {
+          summary.kept.push(sub.subscriptionId);
+          summary.subscriptions.push(sub);
+        }
+      }
+
+      await store.setWebhookSubscriptions(summary.subscriptions);
+      logger.info(`Webhook subscriptions synced for ${store.shopifyDomain}`, {
+        storeId: String(store._id), created: summary.created.length, deleted: summary.deleted.length, kept: summary.kept.length
+      });
+      return summary;
+    } catch (error) {
+      // Keep whatever was registered before the failure so later syncs can clean it up
+      await store.setWebhookSubscriptions(
+        summary.subscriptions.length ? summary.subscriptions : (store.webhooks?.subscriptions || []),
+        error.message
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Delete every subscription this app registered for a store
+   * @param {Object} store - Store document
+   * @returns {Promise<{deleted:string[], failed:Array<{subscriptionId:string, error:string}>}>}
+   */
+  async deleteAllSubscriptions(store) {
+    const deleted = [];
+    const failed = [];
+    const remote = await this.listSubscriptions(store);
+
+    for (const sub of remote) {
+      try {
+        await this.deleteSubscription(store, sub.subscriptionId);
+        deleted.push(sub.subscriptionId);
+      } catch (error) {
+        failed.push({ subscriptionId: sub.subscriptionId, error: error.message });
+      }
+    }
+
+    const remaining = remote.filter(sub => !deleted.includes(sub.subscriptionId));
+    await store.setWebhookSubscriptions(remaining, failed.length ? `${failed.length} subscription(s) could not be deleted` : null);
+    return { deleted, failed };
+  }
+
+  /**
+   * Dispatch a verified webhook payload to its topic handler
+   * @param {Object} store - Store document the webhook belongs to
+   * @param {string} topic - X-Shopify-Topic header value
+   * @param {Object} payload - Parsed JSON body
+   * @returns {Promise<Object>} - Handler summary ({ handled: false } for unsupported topics)
+   */
+  async handle(store, topic, payload = {}) {
+    const handler = this.handlers[topic];
+    if (!handler) {
+      logger.warn(`Ignoring unsupported Shopify webhook topic: ${topic}`, { storeId: String(store._id) });
+      return { handled: false, topic };
+    }
+    const result = await handler(store, payload);
+    return { handled: true, topic, ...result };
+  }
+
+  /**
+   * inventory_levels/update: cache the available quantity for variants whose vendor writes to that location
+   */
+  async handleInventoryLevelUpdate(store, payload) {
+    const { inventory_item_id: inventoryItemId, location_id: locationId, available } = payload;
+    if (!inventoryItemId || !locationId || typeof available !== 'number') {
+      return { matched: 0, reason: 'missing inventory_item_id, location_id or available' };
+    }
+
+    const locationGid = this.toGid('Location', locationId);
+    const variants = await StoreVariantLink.find({
+      storeId: store._id,
+      shopifyInventoryItemId: this.toGid('InventoryItem', inventoryItemId)
+    });
+
+    let matched = 0;
+    for (const pv of variants) {
+      const allocations = await shopifyService.getVendorLocationAllocations(store._id, ProductVariant.getVendorKey(pv.variantSku));
+      if (!allocations.some(a => a.locationId === locationGid)) continue;
+      matched++;
+
+      if (!pv.lastKnownShopifyQtyByLocation) pv.lastKnownShopifyQtyByLocation = new Map();
+      const previous = pv.lastKnownShopifyQtyByLocation.get(locationGid);
+      pv.lastKnownShopifyQtyByLocation.set(locationGid, available);
+      const known = allocations.map(a => pv.lastKnownShopifyQtyByLocation.get(a.locationId));
+      pv.lastKnownShopifyQty = known.every(q => typeof q === 'number') ? known.reduce((sum, q) => sum + q, 0) : null;
+      await pv.save();
+      await InventoryHistory.record([{
+        variantSku: pv.variantSku,
+        field: 'shopifyQty',
+        oldQty: typeof previous === 'number' ? previous : null,
+        newQty: available,
+        source: 'shopify-webhook',
+        storeId: store._id,
+        locationId: locationGid
+      }]);
+    }
+
+    logger.debug('Applied Shopify inventory level webhook', {
+      storeId: String(store._id), inventoryItemId, locationId, available, matched
+    });
+    return matched ? { matched } : { matched, reason: 'untracked location or item' };
+  }
+
+  /**
+   * products/update: refresh Shopify IDs for variants matched by SKU (or SkuAlias) and unlink
+   * local variants whose Shopify variant was removed or re-SKU'd
+   */
+  async handleProductUpdate(store, payload) {
+    const productId = payload.admin_graphql_api_id || this.toGid('Product', payload.id);
+    const variants = Array.isArray(payload.variants) ? payload.variants : [];
+    const skuByVariantId = new Map();
+    const setByVariantId = new Map();
+
+    for (const v of variants) {
+      const variantId = v.admin_graphql_api_id || this.toGid('ProductVariant', v.id);
+      const sku = typeof v.sku === 'string' ? v.sku.trim() : '';
+      skuByVariantId.set(variantId, sku);
+
+      const $set = {
+        shopifyVariantId: variantId,
+        shopifyProductId: productId,
+        shopifyVariantTitle: v.title || null
+      };
+      if (v.inventory_item_id) {
+        $set.shopifyInventoryItemId = this.toGid('InventoryItem', v.inventory_item_id);
+      }
+      setByVariantId.set(variantId, $set);
+    }
+
+    // SkuAlias targets in this product link their vendor SKU instead of an exact SKU match
+    const variantIdBySku = new Map([...skuByVariantId].filter(([, sku]) => sku).map(([id, sku]) => [sku, id]));
+    const aliases = await SkuAlias.find({
+      storeId: store._id,
+      $or: [
+        { shopifyVariantIds: { $in: [...skuByVariantId.keys()] } },
+        { shopifySkus: { $in: [...variantIdBySku.keys()] } }
+      ]
+    }, { variantSku: 1, shopifyVariantIds: 1, shopifySkus: 1 }).lean();
+    const aliasedVariantId = new Map(); // vendor variantSku -> Shopify variant GID
+    for (const alias of aliases) {
+      const target = (alias.shopifyVariantIds || []).find(id => skuByVariantId.has(id))
+        || (alias.shopifySkus || []).map(sku => variantIdBySku.get(sku)).find(Boolean);
+      if (target) aliasedVariantId.set(alias.variantSku, target);
+    }
+
+    // Only variants we have get a link
+    const targets = new Map();
+    for (const [sku, variantId] of variantIdBySku) {
+      if (!aliasedVariantId.has(sku)) targets.set(sku, variantId);
+    }
+    for (const [variantSku, variantId] of aliasedVariantId) targets.set(variantSku, variantId);
+    const existing = new Set(await ProductVariant.distinct('variantSku', { variantSku: { $in: [...targets.keys()] } }));
+    const ops = [];
+    for (const [variantSku, variantId] of targets) {
+      if (!existing.has(variantSku)) continue;
+      ops.push({
+        updateOne: {
+          filter: { storeId: store._id, variantSku },
+          update: { $set: setByVariantId.get(variantId) },
+          upsert: true
+        }
+      });
+    }
+
+    // Unlink first so a SKU moved between variants ends up on the new one
+    const linked = await StoreVariantLink.find(
+      { storeId: store._id, shopifyProductId: productId },
+      { variantSku: 1, shopifyVariantId: 1 }
+    ).lean();
+    let stale = linked.filter(pv => skuByVariantId.get(pv.shopifyVariantId) !== pv.variantSku
+      && aliasedVariantId.get(pv.variantSku) !== pv.shopifyVariantId);
+    // Links accepted from the unmatched queue don't share the SKU; keep them while the variant exists
+    const kept = stale.filter(pv => skuByVariantId.has(pv.shopifyVariantId));
+    if (kept.length) {
+      const accepted = await UnmatchedSku.find({
+        storeId: store._id,
+        status: 'matched',
+        matchedShopifyVariantId: { $in: kept.map(pv => pv.shopifyVariantId) }
+      }, { variantSku: 1, matchedShopifyVariantId: 1 }).lean();
+      const acceptedKeys = new Set(accepted.map(a => `${a.variantSku}|${a.matchedShopifyVariantId}`));
+      stale = stale.filter(pv => !acceptedKeys.has(`${pv.variantSku}|${pv.shopifyVariantId}`));
+    }
+    if (stale.length) {
+      await StoreVariantLink.updateMany(
+        { _id: { $in: stale.map(pv => pv._id) } },
+        { $set: UNLINKED_FIELDS }
+      );
+    }
+
+    let matched = 0;
+    if (ops.length) {
+      const res = await StoreVariantLink.bulkWrite(ops, { ordered: false });
+      matched = (res.matchedCount || 0) + (res.upsertedCount || 0);
+    }
+    logger.debug('Applied Shopify product update webhook', {
+      storeId: String(store._id), productId, matched, unlinked: stale.length
+    });
+    return { matched, unlinked: stale.length };
+  }
+
+  /**
+   * products/delete: unlink every variant pointing at the deleted product
+   */
+  async handleProductDelete(store, payload) {
+    const productId = payload.admin_graphql_api_id || this.toGid('Product', payload.id);
+    const result = await StoreVariantLink.updateMany(
+      { storeId: store._id, shopifyProductId: productId },
+      { $set: UNLINKED_FIELDS }
+    );
+    logger.info('Unlinked variants for deleted Shopify product', {
+      storeId: String(store._id), productId, unlinked: result.modifiedCount
+    });
+    return { unlinked: result.modifiedCount || 0 };
+  }
+
+  /**
+   * app/uninstalled: the access token is revoked, so mark the store disconnected
+   */
+  async handleAppUninstalled(store) {
+    // Shopify drops the app's subscriptions on uninstall
+    store.webhooks = { subscriptions: [], lastSyncedAt: new Date(), lastError: null };
+    await store.updateConnectionStatus('disconnected', 'App uninstalled from Shopify');
+    logger.warn(`Shopify app uninstalled for store ${store.shopifyDomain}`, { storeId: String(store._id) });
+    return { connectionStatus: 'disconnected' };
+  }
+
+  /**
+   * 'inventory_levels/update' -> 'INVENTORY_LEVELS_UPDATE'
+   */
+  toTopicEnum(topic) {
+    return String(topic).toUpperCase().replace(/\//g, '_');
+  }
+
+  /**
+   * 'INVENTORY_LEVELS_UPDATE' -> 'inventory_levels/update' for supported topics (others lowercased)
+   */
+  fromTopicEnum(topicEnum) {
+    const known = this.getSupportedTopics().find(t => this.toTopicEnum(t) === topicEnum);
+    return known || String(topicEnum).toLowerCase();
+  }
+
+  /**
+   * Convert a REST numeric ID to a GraphQL GID (GIDs are passed through)
+   */
+  toGid(type, id) {
+    if (id === undefined || id === null) return null;
+    const str = String(id);
+    return str.startsWith('gid://') ? str : `gid://shopify/${type}/${str}`;
+  }
+}
+
+module.exports = new WebhookService();
@@ -1,4 +1,5 @@
 const moment = require('moment');
+const cronParser = require('cron-parser');
 const logger = require('./logger');
 
 /**
@@ -260,17 +261,92 @@ class DateHelper {
     return moment().diff(moment(date), 'minutes') <= minutes;
   }
 
+  /**
+   * Check that a timezone is a known IANA name (e.g. Europe/London)
+   * @param {string} timezone - Timezone to check
+   * @returns {boolean} - True if known
+   */
+  static isValidTimezone(timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Get the next cron execution times in a timezone. Across DST changes, a wall-clock time
+   * skipped by the clock runs right after the jump and a repeated one runs once.
+   * @param {string} cronExpression - Cron expression
+   * @param {Object} [options]
+   * @param {string} [options.timezone] - IANA timezone (default UTC)
+   * @param {number} [options.count] - Number of execution times (default 1)
+   * @param {Date} [options.from] - Only times after this (default now)
+   * @returns {Date[]} - Execution times, earliest first
+   * @throws {Error} - Invalid expression or timezone, or an expression that never fires
+   */
+  static getCronExecutions(cronExpression, { timezone = 'UTC', count = 1, from = new Date() } = {}) {
+    if (!this.isValidTimezone(timezone)) {
+      throw new Error(`Unknown timezone: ${timezone}`);
+    }
+    try {
+      const interval = cronParser.parseExpression(cronExpression, { currentDate: from, tz: timezone });
+      const times = [];
+      while (times.length < count) {
+        times.push(interval.next().toDate());
+      }
+      return times;
+    } catch (error) {
+      // cron-parser rejects day/month combinations that never exist (e.g. 30 2 = Feb 30)
+      if (/day of month definition|loop limit exceeded/.test(error.message)) {
+        throw new Error('Cron expression never fires');
+      }
+      throw error;
+    }
+  }
+
   /**
    * Get next cron execution time
    * @param {string} cronExpression - Cron expression
+   * @param {string} [timezone] - IANA timezone (default UTC)
+   * @param {Date} [from] - Only times after this (default now)
    * @returns {Date} - Next execution time
    */
-  static getNextCronExecution(cronExpression) {
-    // This is a simplified implementation
-    // In production, use a proper cron parser library
-    const now = new Date();
-    const nextHour = new Date(now.getTime() + 60 * 60 * 1000);
-    return nextHour;
+  static getNextCronExecution(cronExpression, timezone = 'UTC', from = new Date()) {
+    return this.getCronExecutions(cronExpression, { timezone, from })[0];
+  }
+
+  /**
+   * Get the local day of week and time of day of a date in a timezone
+   * @param {Date} date - Date to convert
+   * @param {string} timezone - IANA timezone
+   * @returns {{dayOfWeek: number, minutes: number}} - Day 0-6 (0 = Sunday), minutes since midnight
+   */
+  static getZonedTime(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date);
+    const part = type => parts.find(p => p.type === type).value;
+    return {
+      dayOfWeek: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(part('weekday')),
+      minutes: Number(part('hour')) * 60 + Number(part('minute'))
+    };
+  }
+
+  /**
+   * Format a date as local wall-clock time in a timezone
+   * @param {Date} date - Date to format
+   * @param {string} timezone - IANA timezone
+   * @returns {string} - e.g. 2024-03-10 03:00:00
+   */
+  static formatInTimezone(date, timezone) {
+    // The sv-SE locale formats as YYYY-MM-DD HH:mm:ss
+    return date.toLocaleString('sv-SE', { timeZone: timezone });
   }
 }
 
@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+
+/**
+ * Shopify GraphQL Cost Limiter
+ * Per-store leaky bucket driven by extensions.cost.throttleStatus from every GraphQL response.
+ * Calls reserve their estimated cost up front and wait for the bucket to refill instead of
+ * being rejected with THROTTLED.
+ */
+class ShopifyRateLimiter {
+  constructor() {
+    this.buckets = new Map(); // shopDomain -> bucket state
+    this.learnedCosts = new Map(); // query hash + page/list sizes -> last requestedQueryCost
+    this.defaultMaximumAvailable = Number(process.env.SHOPIFY_GRAPHQL_BUCKET_SIZE || 1000);
+    this.defaultRestoreRate = Number(process.env.SHOPIFY_GRAPHQL_RESTORE_RATE || 50);
+    // Keep a little headroom so concurrent callers don't drain the bucket to zero
+    this.reserve = Number(process.env.SHOPIFY_GRAPHQL_COST_RESERVE || 50);
+  }
+
+  /**
+   * Get (or create) the bucket for a shop
+   * @param {string} shopDomain - Normalized myshopify domain
+   * @returns {Object} - Mutable bucket state
+   */
+  getBucket(shopDomain) {
+    if (!this.buckets.has(shopDomain)) {
+      this.buckets.set(shopDomain, {
+        maximumAvailable: this.defaultMaximumAvailable,
+        currentlyAvailable: this.defaultMaximumAvailable,
+        restoreRate: this.defaultRestoreRate,
+        updatedAt: Date.now(),
+        stats: {
+          requests: 0,
+          throttled: 0,
+          delayedCalls: 0,
+          totalWaitMs: 0,
+          lastRequestedCost: null,
+          lastActualCost: null,
+          lastResponseAt: null
+        }
+      });
+    }
+    return this.buckets.get(shopDomain);
+  }
+
+  /**
+   * Points available right now, accounting for restore since the last update
+   * @param {Object} bucket - Bucket state
+   * @returns {number}
+   */
+  projectedAvailable(bucket) {
+    const elapsedSec = (Date.now() - bucket.updatedAt) / 1000;
+    return Math.min(bucket.maximumAvailable, bucket.currentlyAvailable + elapsedSec * bucket.restoreRate);
+  }
+
+  /**
+   * Estimate the cost of a query before sending it.
+   * Uses the last requestedQueryCost Shopify reported for the same query text with the same
+   * page and list sizes when known, otherwise sums requested connection sizes (first/last)
+   * with a base cost.
+   * @param {string} query - GraphQL document
+   * @param {Object} [variables={}] - GraphQL variables
+   * @returns {number}
+   */
+  estimateCost(query, variables = {}) {
+    const key = this.costKey(query, variables);
+    if (this.learnedCosts.has(key)) {
+      return this.learnedCosts.get(key);
+    }
+
+    const isMutation = /^\s*mutation\b/.test(query);
+    let cost = isMutation ? 10 : 1;
+    for (const size of this.connectionSizes(query, variables)) {
+      cost += 2 + (Number.isFinite(size) ? size : 10);
+    }
+    return cost;
+  }
+
+  /**
+   * Requested connection sizes (first/last arguments, literal or from variables)
+   * @returns {number[]} - NaN where the size is unknown
+   */
+  connectionSizes(query, variables = {}) {
+    const sizes = [];
+    const connectionArgs = /\b(?:first|last)\s*:\s*(\$?\w+)/g;
+    let match;
+    while ((match = connectionArgs.exec(query)) !== null) {
+      const raw = match[1];
+      sizes.push(raw.startsWith('$') ? Number(variables?.[raw.slice(1)]) : Number(raw));
+    }
+    return sizes;
+  }
+
+  /**
+   * Wait until the store's bucket can afford the given cost, then reserve it
+   * @param {string} shopDomain - Normalized myshopify domain
+   * @param {number} cost - Estimated query cost
+   * @returns {Promise<number>} - Milliseconds waited
+   */
+  async acquire(shopDomain, cost) {
+    const bucket = this.getBucket(shopDomain);
+    const needed = Math.min(cost + this.reserve, bucket.maximumAvailable);
+    let waitedMs = 0;
+
+    let available = this.projectedAvailable(bucket);
+    while (available < needed) {
+      const waitMs = Math.ceil(((needed - available) / Math.max(1, bucket.restoreRate)) * 1000);
+      logger.debug(`Shopify cost limiter delaying ${shopDomain} by ${waitMs}ms`, { cost, available: Math.floor(available) });
+      await new Promise(res => setTimeout(res, waitMs));
+      waitedMs += waitMs;
+      available = this.projectedAvailable(bucket);
+    }
+
+    bucket.currentlyAvailable = available - cost;
+    bucket.updatedAt = Date.now();
+    bucket.stats.requests += 1;
+    if (waitedMs > 0) {
+      bucket.stats.delayedCalls += 1;
+      bucket.stats.totalWaitMs += waitedMs;
+    }
+    return waitedMs;
+  }
+
+  /**
+   * Sync bucket state with the cost extension of a GraphQL response
+   * @param {string} shopDomain - Normalized myshopify domain
+   * @param {Object} costExtension - response.extensions.cost
+   * @param {string} [query] - GraphQL document (to learn its cost)
+   * @param {Object} [variables={}] - GraphQL variables the query was sent with
+   */
+  record(shopDomain, costExtension, query = null, variables = {}) {
+    if (!costExtension) return;
+    const bucket = this.getBucket(shopDomain);
+    const status = costExtension.throttleStatus || {};
+
+    if (typeof status.maximumAvailable === 'number') bucket.maximumAvailable = status.maximumAvailable;
+    if (typeof status.restoreRate === 'number') bucket.restoreRate = status.restoreRate;
+    if (typeof status.currentlyAvailable === 'number') {
+      bucket.currentlyAvailable = status.currentlyAvailable;
+      bucket.updatedAt = Date.now();
+    }
+
+    bucket.stats.lastRequestedCost = costExtension.requestedQueryCost ?? null;
+    bucket.stats.lastActualCost = costExtension.actualQueryCost ?? null;
+    bucket.stats.lastResponseAt = new Date();
+
+    if (query && typeof costExtension.requestedQueryCost === 'number') {
+      this.learnedCosts.set(this.costKey(query, variables), costExtension.requestedQueryCost);
+    }
+  }
+
+  /**
+   * Record a THROTTLED (or HTTP 429) response for a store
+   * @param {string} shopDomain - Normalized myshopify domain
+   */
+  recordThrottled(shopDomain) {
+    const bucket = this.getBucket(shopDomain);
+    bucket.stats.throttled += 1;
+  }
+
+  /**
+   * Per-store budget stats for monitoring endpoints
+   * @returns {Array<Object>}
+   */
+  getStats() {
+    return Array.from(this.buckets.entries()).map(([shopDomain, bucket]) => {
+      const available = this.projectedAvailable(bucket);
+      return {
+        shopDomain,
+        maximumAvailable: bucket.maximumAvailable,
+        currentlyAvailable: Math.floor(available),
+        restoreRate: bucket.restoreRate,
+        utilization: bucket.maximumAvailable > 0
+          ? Math.round((1 - available / bucket.maximumAvailable) * 10000) / 100
+          : 0,
+        ...bucket.stats
+      };
+    });
+  }
+
+  /**
+   * Learned-cost key: the query document plus its page sizes and the lengths of list
+   * variables (e.g. ids for nodes()), which both scale its cost
+   */
+  costKey(query, variables = {}) {
+    const lists = Object.keys(variables || {}).sort()
+      .filter(name => Array.isArray(variables[name]))
+      .map(name => `${name}:${variables[name].length}`);
+    return [this.hashQuery(query), ...this.connectionSizes(query, variables), ...lists].join('|');
+  }
+
+  /**
+   * Stable key for a query document
+   */
+  hashQuery(query) {
+    return crypto.createHash('sha1').update(String(query).replace(/\s+/g, ' ').trim()).digest('hex');
+  }
+}
+
+module.exports = new ShopifyRateLimiter();
@@ -0,0 +1,47 @@
+const SkuAlias = require('../../src/models/SkuAlias');
+
+describe('SkuAlias.fromCsv', () => {
+  it('parses lists and normalizes numeric variant ids to GIDs', () => {
+    const csv = [
+      'variantSku,shopifySkus,shopifyVariantIds,note',
+      'CC100_Red_M,CC-100-RED-M | CC100RM,123,Renamed in Shopify',
+      'CC200_Blue_S,,gid://shopify/ProductVariant/456,'
+    ].join('\n');
+
+    const { rows, errors } = SkuAlias.fromCsv(csv);
+    expect(errors).toEqual([]);
+    expect(rows).toEqual([
+      {
+        variantSku: 'CC100_Red_M',
+        shopifySkus: ['CC-100-RED-M', 'CC100RM'],
+        shopifyVariantIds: ['gid://shopify/ProductVariant/123'],
+        note: 'Renamed in Shopify'
+      },
+      {
+        variantSku: 'CC200_Blue_S',
+        shopifySkus: [],
+        shopifyVariantIds: ['gid://shopify/ProductVariant/456']
+      }
+    ]);
+  });
+
+  it('reports invalid rows with their line numbers', () => {
+    const csv = [
+      'variantSku,shopifySkus,shopifyVariantIds',
+      ',CC-1,',
+      'CC100_Red_M,CC-100,',
+      'cc100_red_m,CC-101,',
+      'CC300_Red_M,,abc',
+      'CC400_Red_M,,'
+    ].join('\n');
+
+    const { rows, errors } = SkuAlias.fromCsv(csv);
+    expect(rows.map(r => r.variantSku)).toEqual(['CC100_Red_M']);
+    expect(errors).toEqual([
+      { line: 2, error: 'variantSku is required' },
+      { line: 4, error: 'Duplicate variantSku cc100_red_m' },
+      { line: 5, error: 'Invalid Shopify variant id in abc' },
+      { line: 6, error: 'At least one Shopify SKU or variant id is required' }
+    ]);
+  });
+});
@@ -0,0 +1,42 @@
+const SyncSchedule = require('../../src/models/SyncSchedule');
+
+// Overnight window Friday 22:00 -> Saturday 06:00 in New York
+const schedule = () => new SyncSchedule({
+  name: 'Nightly',
+  cronExpression: '0 * * * *',
+  timezone: 'America/New_York',
+  blackoutWindows: [{ name: 'Overnight', daysOfWeek: [5], startTime: '22:00', endTime: '06:00' }]
+});
+
+describe('SyncSchedule#getActiveBlackout', () => {
+  it('is active from the start time on the listed day', () => {
+    // Friday 2026-01-09 23:00 EST
+    expect(schedule().getActiveBlackout(new Date('2026-01-10T04:00:00Z'))?.name).toBe('Overnight');
+  });
+
+  it('stays active after midnight on the following day', () => {
+    // Saturday 2026-01-10 05:59 EST
+    expect(schedule().getActiveBlackout(new Date('2026-01-10T10:59:00Z'))?.name).toBe('Overnight');
+  });
+
+  it('ends at the end time', () => {
+    // Saturday 2026-01-10 06:00 EST
+    expect(schedule().getActiveBlackout(new Date('2026-01-10T11:00:00Z'))).toBeNull();
+  });
+
+  it('does not start on days that are not listed', () => {
+    // Saturday 2026-01-10 23:00 EST, and Friday 2026-01-09 05:00 EST (after Thursday night)
+    expect(schedule().getActiveBlackout(new Date('2026-01-11T04:00:00Z'))).toBeNull();
+    expect(schedule().getActiveBlackout(new Date('2026-01-09T10:00:00Z'))).toBeNull();
+  });
+
+  it('matches date-range windows by absolute time', () => {
+    const doc = new SyncSchedule({
+      name: 'Sale',
+      cronExpression: '0 * * * *',
+      blackoutWindows: [{ name: 'Sale', startsAt: new Date('2026-11-27T00:00:00Z'), endsAt: new Date('2026-11-30T00:00:00Z') }]
+    });
+    expect(doc.getActiveBlackout(new Date('2026-11-28T12:00:00Z'))?.name).toBe('Sale');
+    expect(doc.getActiveBlackout(new Date('2026-11-30T00:00:00Z'))).toBeNull();
+  });
+});
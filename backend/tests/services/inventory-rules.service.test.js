@@ -0,0 +1,70 @@
+const inventoryRulesService = require('../../src/services/inventory-rules.service');
+
+const variant = { mainSku: 'CC100', color: 'Red', size: 'M', stockQty: 20 };
+
+describe('InventoryRulesService.evaluate', () => {
+  it('passes stock through with the default rules', () => {
+    const rules = inventoryRulesService.getStoreRules(null);
+    const result = inventoryRulesService.evaluate(rules, variant);
+    expect(result.quantity).toBe(20);
+    expect(result.steps).toEqual([]);
+  });
+
+  it('applies safety buffer, allocation and cap in order', () => {
+    const rules = inventoryRulesService.getStoreRules(null, {
+      safetyBuffer: 2,
+      allocationPercent: 50,
+      maxQuantity: 5
+    });
+    const result = inventoryRulesService.evaluate(rules, variant);
+    expect(result.steps.map(s => [s.rule, s.quantity])).toEqual([
+      ['safetyBuffer', 18],
+      ['allocationPercent', 9],
+      ['maxQuantity', 5]
+    ]);
+    expect(result.quantity).toBe(5);
+  });
+
+  it('sends 0 below the zeroBelow threshold before any other rule', () => {
+    const rules = inventoryRulesService.getStoreRules(null, { zeroBelow: 25, safetyBuffer: 2 });
+    const result = inventoryRulesService.evaluate(rules, variant);
+    expect(result.quantity).toBe(0);
+    expect(result.steps.map(s => s.rule)).toEqual(['zeroBelow']);
+  });
+
+  it('lets the most specific matching override win per field', () => {
+    const rules = inventoryRulesService.getStoreRules(null, {
+      safetyBuffer: 1,
+      overrides: [
+        { mainSku: 'CC100', color: 'red', safetyBuffer: 5 },
+        { mainSku: 'cc100', safetyBuffer: 3, maxQuantity: 10 },
+        { mainSku: 'CC200', safetyBuffer: 9 }
+      ]
+    });
+    const result = inventoryRulesService.evaluate(rules, variant);
+    expect(result.overrides).toEqual([1, 0]);
+    expect(result.applied.safetyBuffer).toBe(5);
+    expect(result.applied.maxQuantity).toBe(10);
+    expect(result.quantity).toBe(10);
+  });
+
+  it('uses list order between overrides of equal specificity', () => {
+    const rules = inventoryRulesService.getStoreRules(null, {
+      overrides: [
+        { color: 'Red', allocationPercent: 50 },
+        { size: 'M', allocationPercent: 25 }
+      ]
+    });
+    const result = inventoryRulesService.evaluate(rules, variant);
+    expect(result.overrides).toEqual([0, 1]);
+    expect(result.quantity).toBe(5);
+  });
+
+  it('matches tag overrides only when the variant has the tag', () => {
+    const rules = inventoryRulesService.getStoreRules(null, {
+      overrides: [{ tag: 'Clearance', maxQuantity: 2 }]
+    });
+    expect(inventoryRulesService.evaluate(rules, { ...variant, tags: ['clearance'] }).quantity).toBe(2);
+    expect(inventoryRulesService.evaluate(rules, variant).quantity).toBe(20);
+  });
+});
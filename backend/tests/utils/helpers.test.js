@@ -0,0 +1,52 @@
+const { DateHelper } = require('../../src/utils/helpers');
+
+const iso = dates => dates.map(d => d.toISOString());
+
+describe('DateHelper.getCronExecutions', () => {
+  it('runs in the schedule timezone', () => {
+    const times = DateHelper.getCronExecutions('0 9 * * *', {
+      timezone: 'Europe/Paris',
+      count: 2,
+      from: new Date('2026-01-10T12:00:00Z')
+    });
+    expect(iso(times)).toEqual(['2026-01-11T08:00:00.000Z', '2026-01-12T08:00:00.000Z']);
+  });
+
+  it('runs a time skipped by the spring-forward change right after the jump', () => {
+    // America/New_York: 2026-03-08 02:00 EST -> 03:00 EDT
+    const times = DateHelper.getCronExecutions('30 2 * * *', {
+      timezone: 'America/New_York',
+      count: 2,
+      from: new Date('2026-03-07T12:00:00Z')
+    });
+    expect(iso(times)).toEqual(['2026-03-08T07:30:00.000Z', '2026-03-09T06:30:00.000Z']);
+  });
+
+  it('runs a time repeated by the fall-back change once', () => {
+    // America/New_York: 2026-11-01 02:00 EDT -> 01:00 EST, so 01:30 happens twice
+    const times = DateHelper.getCronExecutions('30 1 * * *', {
+      timezone: 'America/New_York',
+      count: 2,
+      from: new Date('2026-10-31T12:00:00Z')
+    });
+    expect(iso(times)).toEqual(['2026-11-01T05:30:00.000Z', '2026-11-02T06:30:00.000Z']);
+  });
+
+  it('keeps hourly runs one hour apart across the fall-back change', () => {
+    const times = DateHelper.getCronExecutions('0 * * * *', {
+      timezone: 'America/New_York',
+      count: 3,
+      from: new Date('2026-11-01T04:30:00Z')
+    });
+    expect(iso(times)).toEqual([
+      '2026-11-01T05:00:00.000Z',
+      '2026-11-01T06:00:00.000Z',
+      '2026-11-01T07:00:00.000Z'
+    ]);
+  });
+
+  it('rejects unknown timezones and expressions that never fire', () => {
+    expect(() => DateHelper.getCronExecutions('0 9 * * *', { timezone: 'Mars/Base' })).toThrow('Unknown timezone');
+    expect(() => DateHelper.getCronExecutions('0 0 30 2 *')).toThrow('Cron expression never fires');
+  });
+});